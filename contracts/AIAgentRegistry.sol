@@ -1,10 +1,11 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./utils/GuardianPausable.sol";
 
 /**
  * @title AIAgentRegistry
@@ -36,8 +37,11 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
  *   DEFAULT_ADMIN_ROLE → owner (multisig in production)
  *   SLASHER_ROLE       → Chainlink DON or DAO
  *   SCORER_ROLE        → Chainlink DON (approves + updates scores)
+ *
+ * State is set by __AIAgentRegistry_init so the same code backs the
+ * AIAgentRegistryUpgradeable proxy.
  */
-contract AIAgentRegistry is AccessControl, ReentrancyGuard {
+contract AIAgentRegistry is AccessControlUpgradeable, ReentrancyGuardUpgradeable, GuardianPausable {
     using SafeERC20 for IERC20;
 
     // ─── Roles ────────────────────────────────────────────────────────────────
@@ -81,13 +85,11 @@ contract AIAgentRegistry is AccessControl, ReentrancyGuard {
     uint256 public constant WARNING_SLASH_PCT       = 10;
     uint256 public constant SUSPENSION_SLASH_PCT    = 50;
     uint256 public constant FEE_INTERVAL            = 30 days;
-    uint256 public constant BURN_ADDRESS_PLACEHOLDER = 0; // see _burn()
 
     // ─── State ────────────────────────────────────────────────────────────────
 
-    IERC20  public yld;            // $YLD token
+    IERC20  public yld;            // $YLD token (YeldenToken — burnable)
     address public vault;          // YeldenVault — receives USDC slash (future)
-    address public burnAddress;    // 0x000...dead for YLD burns
 
     uint256 public minStake;       // 50e18 YLD
     uint256 public monthlyFee;     // 1e18 YLD max fee (score 0 pays full)
@@ -100,6 +102,9 @@ contract AIAgentRegistry is AccessControl, ReentrancyGuard {
     uint256 public totalSlashed;
     uint256 public totalBurned;     // total YLD burned (slash + fees)
 
+    /// @dev Free slots for future state — shrink by one for every slot added above
+    uint256[39] private __gap;
+
     // ─── Events ───────────────────────────────────────────────────────────────
 
     event AgentRegistered(address indexed agent, string name, string agentType, uint256 stake, uint256 timestamp);
@@ -122,7 +127,6 @@ contract AIAgentRegistry is AccessControl, ReentrancyGuard {
      * @param _minStake    50e18 (50 YLD)
      * @param _monthlyFee  1e18 (1 YLD max monthly fee)
      * @param _vault       YeldenVault address
-     * @param _burnAddress 0x000...dead
      * @param _admin       admin (multisig in production)
      */
     constructor(
@@ -130,12 +134,23 @@ contract AIAgentRegistry is AccessControl, ReentrancyGuard {
         uint256 _minStake,
         uint256 _monthlyFee,
         address _vault,
-        address _burnAddress,
         address _admin
-    ) {
+    ) initializer {
+        __AIAgentRegistry_init(_yld, _minStake, _monthlyFee, _vault, _admin);
+    }
+
+    function __AIAgentRegistry_init(
+        address _yld,
+        uint256 _minStake,
+        uint256 _monthlyFee,
+        address _vault,
+        address _admin
+    ) internal onlyInitializing {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+
         require(_yld         != address(0), "Registry: invalid YLD");
         require(_vault       != address(0), "Registry: invalid vault");
-        require(_burnAddress != address(0), "Registry: invalid burn address");
         require(_admin       != address(0), "Registry: invalid admin");
         require(_minStake    > 0,           "Registry: invalid min stake");
         require(_monthlyFee  > 0,           "Registry: invalid monthly fee");
@@ -144,7 +159,6 @@ contract AIAgentRegistry is AccessControl, ReentrancyGuard {
         minStake    = _minStake;
         monthlyFee  = _monthlyFee;
         vault       = _vault;
-        burnAddress = _burnAddress;
 
         _grantRole(DEFAULT_ADMIN_ROLE, _admin);
         _grantRole(SLASHER_ROLE,       _admin);
@@ -162,7 +176,7 @@ contract AIAgentRegistry is AccessControl, ReentrancyGuard {
         string calldata name,
         string calldata agentType,
         uint256 stakeAmount
-    ) external nonReentrant {
+    ) external nonReentrant whenNotPaused(REGISTRATIONS) {
         require(_agents[msg.sender].status == AgentStatus.NONE, "Registry: already registered");
         require(bytes(name).length > 0,      "Registry: name required");
         require(bytes(name).length <= 64,    "Registry: name too long");
@@ -501,13 +515,21 @@ contract AIAgentRegistry is AccessControl, ReentrancyGuard {
     // ─── Internal ─────────────────────────────────────────────────────────────
 
     function _burnYLD(uint256 amount, string memory reason) internal {
-        yld.safeTransfer(burnAddress, amount);
+        IYeldenToken(address(yld)).burn(amount);
         emit YLDBurned(amount, reason);
     }
+
+    function _checkPauseAdmin() internal view override {
+        _checkRole(DEFAULT_ADMIN_ROLE);
+    }
 }
 
-// ─── Interface ────────────────────────────────────────────────────────────────
+// ─── Interfaces ───────────────────────────────────────────────────────────────
 
 interface IYeldenVault {
     function receiveSlash(uint256 amount) external;
 }
+
+interface IYeldenToken {
+    function burn(uint256 amount) external;
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "./AIAgentRegistry.sol";
+import "./utils/TimelockedUUPSUpgradeable.sol";
+
+/**
+ * @title AIAgentRegistryUpgradeable
+ * @notice AIAgentRegistry behind an ERC1967 (UUPS) proxy, so agent records
+ *         survive bug fixes. Upgrades are queued by DEFAULT_ADMIN_ROLE and
+ *         gated by UPGRADE_TIMELOCK.
+ */
+contract AIAgentRegistryUpgradeable is AIAgentRegistry, TimelockedUUPSUpgradeable {
+
+    /// @dev AIAgentRegistry's constructor initializes the implementation's
+    ///      own storage, which the proxy never reads — placeholders pass its
+    ///      checks, and the implementation is then locked for good.
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() AIAgentRegistry(address(1), 1, 1, address(1), address(1)) {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _yld,
+        uint256 _minStake,
+        uint256 _monthlyFee,
+        address _vault,
+        address _admin
+    ) external initializer {
+        __AIAgentRegistry_init(_yld, _minStake, _monthlyFee, _vault, _admin);
+        __UUPSUpgradeable_init();
+    }
+
+    function _checkUpgradeAdmin() internal view override {
+        _checkRole(DEFAULT_ADMIN_ROLE);
+    }
+}
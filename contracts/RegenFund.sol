@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title RegenFund
+ * @notice Holds the 5% regen share of every YeldenVault harvest and pays it
+ *         out as environmental grants.
+ *
+ * GRANT LIFECYCLE:
+ *   proposeGrant  — anyone proposes a grant to an allowlisted recipient,
+ *                   split into milestones
+ *   approveGrant  — owner (DAO) approves and commits the full amount
+ *   completeMilestone — owner confirms a milestone; its amount starts vesting
+ *   claim         — recipient claims what has vested so far
+ *   cancelGrant   — owner releases milestones not yet completed
+ *
+ * Every USDC in and out is evented (RegenReceived, GrantClaimed), and
+ * totalReceived / totalPaid give an on-chain audit trail of regen funding.
+ */
+contract RegenFund is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+
+    enum GrantStatus { None, Proposed, Approved, Cancelled }
+
+    struct Milestone {
+        uint256 amount;
+        uint64  completedAt;   // 0 until completed — vesting starts here
+    }
+
+    struct Grant {
+        address     recipient;
+        GrantStatus status;
+        uint64      vestingDuration;
+        uint256     total;      // sum of milestone amounts
+        uint256     claimed;
+        bytes32     metadata;   // hash of the off-chain proposal (IPFS CID digest)
+    }
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+
+    uint256 public constant MAX_MILESTONES = 10;
+    uint64  public constant MAX_VESTING    = 4 * 365 days;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IERC20  public immutable usdc;
+    address public immutable vault;
+
+    /// @notice Recipients allowed to receive grants (vetted environmental projects)
+    mapping(address => bool) public isAllowedRecipient;
+
+    mapping(uint256 => Grant) public grants;
+    mapping(uint256 => Milestone[]) private _milestones;
+    uint256 public grantCount;
+
+    /// @notice USDC committed to approved grants and not yet claimed or released
+    uint256 public totalCommitted;
+    /// @notice Regen USDC received from the vault to date
+    uint256 public totalReceived;
+    /// @notice USDC paid out to grant recipients to date
+    uint256 public totalPaid;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event RegenReceived(uint256 amount, uint256 totalReceived);
+    event RecipientSet(address indexed recipient, bool allowed);
+    event GrantProposed(uint256 indexed grantId, address indexed proposer, address indexed recipient, uint256 total, bytes32 metadata);
+    event GrantApproved(uint256 indexed grantId, uint256 total);
+    event MilestoneCompleted(uint256 indexed grantId, uint256 indexed index, uint256 amount);
+    event GrantClaimed(uint256 indexed grantId, address indexed recipient, uint256 amount);
+    event GrantCancelled(uint256 indexed grantId, uint256 released);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _usdc, address _vault) Ownable(msg.sender) {
+        require(_usdc  != address(0), "RegenFund: invalid asset");
+        require(_vault != address(0), "RegenFund: invalid vault");
+        usdc  = IERC20(_usdc);
+        vault = _vault;
+    }
+
+    // ─── Vault Integration ────────────────────────────────────────────────────
+
+    /**
+     * @notice Account regen USDC sent by YeldenVault on harvest.
+     *         USDC is already transferred — this function just records it.
+     */
+    function receiveRegen(uint256 amount) external {
+        require(msg.sender == vault, "RegenFund: caller is not vault");
+        totalReceived += amount;
+        emit RegenReceived(amount, totalReceived);
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    function setRecipient(address recipient, bool allowed) external onlyOwner {
+        require(recipient != address(0), "RegenFund: invalid recipient");
+        isAllowedRecipient[recipient] = allowed;
+        emit RecipientSet(recipient, allowed);
+    }
+
+    // ─── Grants ───────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Propose a grant to an allowlisted recipient.
+     * @param recipient        Allowlisted project address
+     * @param milestoneAmounts USDC released per milestone, in order
+     * @param vestingDuration  Seconds over which each completed milestone vests (0 = immediate)
+     * @param metadata         Hash of the off-chain proposal document
+     * @return grantId         Id of the new proposal
+     */
+    function proposeGrant(
+        address recipient,
+        uint256[] calldata milestoneAmounts,
+        uint64 vestingDuration,
+        bytes32 metadata
+    ) external returns (uint256 grantId) {
+        require(isAllowedRecipient[recipient], "RegenFund: recipient not allowed");
+        require(milestoneAmounts.length > 0, "RegenFund: no milestones");
+        require(milestoneAmounts.length <= MAX_MILESTONES, "RegenFund: too many milestones");
+        require(vestingDuration <= MAX_VESTING, "RegenFund: vesting too long");
+
+        grantId = grantCount++;
+        uint256 total;
+        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
+            require(milestoneAmounts[i] > 0, "RegenFund: zero milestone");
+            total += milestoneAmounts[i];
+            _milestones[grantId].push(Milestone({amount: milestoneAmounts[i], completedAt: 0}));
+        }
+
+        grants[grantId] = Grant({
+            recipient:       recipient,
+            status:          GrantStatus.Proposed,
+            vestingDuration: vestingDuration,
+            total:           total,
+            claimed:         0,
+            metadata:        metadata
+        });
+
+        emit GrantProposed(grantId, msg.sender, recipient, total, metadata);
+    }
+
+    /// @notice Approve a proposal and commit its full amount from uncommitted funds
+    function approveGrant(uint256 grantId) external onlyOwner {
+        Grant storage g = grants[grantId];
+        require(g.status == GrantStatus.Proposed, "RegenFund: not proposed");
+        require(isAllowedRecipient[g.recipient], "RegenFund: recipient not allowed");
+        require(g.total <= availableFunds(), "RegenFund: insufficient funds");
+
+        g.status = GrantStatus.Approved;
+        totalCommitted += g.total;
+
+        emit GrantApproved(grantId, g.total);
+    }
+
+    /// @notice Confirm milestone `index` — its amount starts vesting now
+    function completeMilestone(uint256 grantId, uint256 index) external onlyOwner {
+        require(grants[grantId].status == GrantStatus.Approved, "RegenFund: not approved");
+        require(index < _milestones[grantId].length, "RegenFund: invalid milestone");
+        Milestone storage m = _milestones[grantId][index];
+        require(m.completedAt == 0, "RegenFund: milestone completed");
+        require(index == 0 || _milestones[grantId][index - 1].completedAt != 0, "RegenFund: previous milestone open");
+
+        m.completedAt = uint64(block.timestamp);
+        emit MilestoneCompleted(grantId, index, m.amount);
+    }
+
+    /// @notice Recipient claims everything vested so far
+    function claim(uint256 grantId) external nonReentrant returns (uint256 amount) {
+        Grant storage g = grants[grantId];
+        require(msg.sender == g.recipient, "RegenFund: not recipient");
+        require(isAllowedRecipient[g.recipient], "RegenFund: recipient not allowed");
+
+        amount = claimable(grantId);
+        require(amount > 0, "RegenFund: nothing to claim");
+
+        g.claimed      += amount;
+        totalCommitted -= amount;
+        totalPaid      += amount;
+
+        usdc.safeTransfer(g.recipient, amount);
+        emit GrantClaimed(grantId, g.recipient, amount);
+    }
+
+    /**
+     * @notice Cancel a grant. Milestones already completed keep vesting;
+     *         the rest is released back to available funds.
+     */
+    function cancelGrant(uint256 grantId) external onlyOwner {
+        Grant storage g = grants[grantId];
+        require(
+            g.status == GrantStatus.Proposed || g.status == GrantStatus.Approved,
+            "RegenFund: not active"
+        );
+
+        uint256 released;
+        if (g.status == GrantStatus.Approved) {
+            Milestone[] storage ms = _milestones[grantId];
+            for (uint256 i = 0; i < ms.length; i++) {
+                if (ms[i].completedAt == 0) {
+                    released += ms[i].amount;
+                    ms[i].amount = 0;
+                }
+            }
+            g.total        -= released;
+            totalCommitted -= released;
+        }
+
+        g.status = GrantStatus.Cancelled;
+        emit GrantCancelled(grantId, released);
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice USDC held and not committed to approved grants
+    function availableFunds() public view returns (uint256) {
+        uint256 balance = usdc.balanceOf(address(this));
+        return balance > totalCommitted ? balance - totalCommitted : 0;
+    }
+
+    /// @notice Amount vested across completed milestones
+    function vested(uint256 grantId) public view returns (uint256 total) {
+        Grant storage g = grants[grantId];
+        // Cancelled grants keep vesting their completed milestones
+        if (g.status != GrantStatus.Approved && g.status != GrantStatus.Cancelled) return 0;
+
+        Milestone[] storage ms = _milestones[grantId];
+        for (uint256 i = 0; i < ms.length; i++) {
+            uint64 start = ms[i].completedAt;
+            if (start == 0) continue;
+            uint256 elapsed = block.timestamp - start;
+            if (g.vestingDuration == 0 || elapsed >= g.vestingDuration) {
+                total += ms[i].amount;
+            } else {
+                total += (ms[i].amount * elapsed) / g.vestingDuration;
+            }
+        }
+    }
+
+    /// @notice Amount the recipient can claim now
+    function claimable(uint256 grantId) public view returns (uint256) {
+        return vested(grantId) - grants[grantId].claimed;
+    }
+
+    function getMilestones(uint256 grantId) external view returns (Milestone[] memory) {
+        return _milestones[grantId];
+    }
+}
@@ -0,0 +1,327 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/IRWAProvider.sol";
+
+/**
+ * @title YeldenAllocator
+ * @notice Multi-strategy allocator that sits behind YeldenVault as its single
+ *         IRWAProvider and spreads USDC across several RWA providers.
+ *
+ * ALLOCATION:
+ *   - Each strategy has a target weight (bps of allocator value) and a hard
+ *     maxDebt ceiling. Weights may sum to less than 100% — the rest stays idle
+ *     in the allocator as a liquidity buffer.
+ *   - deposit() fills strategies that are below target; rebalance() also pulls
+ *     from strategies above target so every position converges to its weight.
+ *
+ * WITHDRAWALS:
+ *   - Idle USDC first, then strategies in withdrawalQueue order.
+ *
+ * LIFECYCLE:
+ *   addStrategy → (updateStrategy) → retireStrategy → removeStrategy
+ *   Retiring recalls what the strategy can release now; until its debt is
+ *   zero it is retiring, and rebalance() and withdrawals recall the rest.
+ *   Only an empty, fully recalled strategy can be removed, so funds are
+ *   never stranded.
+ */
+contract YeldenAllocator is IRWAProvider, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+
+    struct StrategyParams {
+        uint256 targetBps;  // target share of allocator value
+        uint256 maxDebt;    // ceiling on assets allocated to the strategy
+        uint256 debt;       // assets booked in the strategy
+        bool    active;     // false once retired — receives no new funds
+        bool    added;      // true while listed in the allocator
+    }
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+
+    uint256 public constant BASIS_POINTS   = 10000;
+    uint256 public constant MAX_STRATEGIES = 10;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IERC20  public immutable usdc;
+    address public immutable vault;
+
+    mapping(address => StrategyParams) public strategies;
+    address[] private _strategyList;
+    address[] private _withdrawalQueue;
+
+    /// @notice Sum of targetBps over all active strategies (≤ 10000)
+    uint256 public totalTargetBps;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event StrategyAdded(address indexed strategy, uint256 targetBps, uint256 maxDebt);
+    event StrategyUpdated(address indexed strategy, uint256 targetBps, uint256 maxDebt);
+    event StrategyRetired(address indexed strategy, uint256 recalled);
+    event StrategyRemoved(address indexed strategy);
+    event WithdrawalQueueSet(address[] queue);
+    event DebtUpdated(address indexed strategy, uint256 oldDebt, uint256 newDebt);
+    event Rebalanced(uint256 totalValue, uint256 idle);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    /**
+     * @param _usdc  Vault asset
+     * @param _vault YeldenVault — the only caller of the IRWAProvider functions
+     */
+    constructor(address _usdc, address _vault) Ownable(msg.sender) {
+        require(_usdc  != address(0), "Allocator: invalid asset");
+        require(_vault != address(0), "Allocator: invalid vault");
+        usdc  = IERC20(_usdc);
+        vault = _vault;
+    }
+
+    // ─── Modifiers ────────────────────────────────────────────────────────────
+
+    modifier onlyVault() {
+        require(msg.sender == vault, "Allocator: only vault");
+        _;
+    }
+
+    // ─── Strategy Management ──────────────────────────────────────────────────
+
+    /**
+     * @notice Add a strategy at the end of the withdrawal queue.
+     * @param strategy  IRWAProvider with the same asset
+     * @param targetBps Target share of allocator value
+     * @param maxDebt   Hard ceiling on assets allocated to the strategy
+     */
+    function addStrategy(address strategy, uint256 targetBps, uint256 maxDebt) external onlyOwner {
+        require(strategy != address(0), "Allocator: invalid strategy");
+        require(!strategies[strategy].added, "Allocator: already added");
+        require(_strategyList.length < MAX_STRATEGIES, "Allocator: too many strategies");
+        require(IRWAProvider(strategy).asset() == address(usdc), "Allocator: asset mismatch");
+        require(totalTargetBps + targetBps <= BASIS_POINTS, "Allocator: targets exceed 100%");
+
+        strategies[strategy] = StrategyParams({
+            targetBps: targetBps,
+            maxDebt:   maxDebt,
+            debt:      0,
+            active:    true,
+            added:     true
+        });
+        totalTargetBps += targetBps;
+        _strategyList.push(strategy);
+        _withdrawalQueue.push(strategy);
+
+        emit StrategyAdded(strategy, targetBps, maxDebt);
+    }
+
+    /// @notice Change target weight and debt ceiling of an active strategy
+    function updateStrategy(address strategy, uint256 targetBps, uint256 maxDebt) external onlyOwner {
+        StrategyParams storage p = strategies[strategy];
+        require(p.active, "Allocator: not active");
+        require(totalTargetBps - p.targetBps + targetBps <= BASIS_POINTS, "Allocator: targets exceed 100%");
+
+        totalTargetBps = totalTargetBps - p.targetBps + targetBps;
+        p.targetBps = targetBps;
+        p.maxDebt   = maxDebt;
+
+        emit StrategyUpdated(strategy, targetBps, maxDebt);
+    }
+
+    /**
+     * @notice Retire a strategy: zero its target and ceiling and recall its
+     *         assets to the allocator. Debt the strategy cannot release yet
+     *         stays booked (see isRetiring). It stays in the withdrawal queue
+     *         until removed.
+     */
+    function retireStrategy(address strategy) external onlyOwner nonReentrant {
+        StrategyParams storage p = strategies[strategy];
+        require(p.active, "Allocator: not active");
+
+        totalTargetBps -= p.targetBps;
+        p.targetBps = 0;
+        p.maxDebt   = 0;
+        p.active    = false;
+
+        uint256 value = IRWAProvider(strategy).totalValue();
+        uint256 recalled = value > 0 ? IRWAProvider(strategy).withdraw(value) : 0;
+        _setDebt(strategy, recalled >= p.debt ? 0 : p.debt - recalled);
+
+        emit StrategyRetired(strategy, recalled);
+    }
+
+    /// @notice Remove a retired strategy that holds no assets
+    function removeStrategy(address strategy) external onlyOwner {
+        StrategyParams storage p = strategies[strategy];
+        require(p.added, "Allocator: not added");
+        require(!p.active, "Allocator: retire first");
+        require(p.debt == 0, "Allocator: still retiring");
+        require(IRWAProvider(strategy).totalValue() == 0, "Allocator: strategy not empty");
+
+        delete strategies[strategy];
+        _removeFrom(_strategyList, strategy);
+        _removeFrom(_withdrawalQueue, strategy);
+
+        emit StrategyRemoved(strategy);
+    }
+
+    /// @notice Reorder the withdrawal queue — must list every strategy once
+    function setWithdrawalQueue(address[] calldata queue) external onlyOwner {
+        require(queue.length == _strategyList.length, "Allocator: queue length mismatch");
+        for (uint256 i = 0; i < queue.length; i++) {
+            require(strategies[queue[i]].added, "Allocator: unknown strategy");
+            for (uint256 j = 0; j < i; j++) {
+                require(queue[j] != queue[i], "Allocator: duplicate strategy");
+            }
+        }
+        _withdrawalQueue = queue;
+        emit WithdrawalQueueSet(queue);
+    }
+
+    /**
+     * @notice Move funds toward target weights: pull from strategies above
+     *         target, then fill strategies below target from idle USDC.
+     */
+    function rebalance() external onlyOwner nonReentrant {
+        uint256 total = totalValue();
+
+        for (uint256 i = 0; i < _strategyList.length; i++) {
+            address s = _strategyList[i];
+            uint256 current = IRWAProvider(s).totalValue();
+            uint256 target  = _targetDebt(strategies[s], total);
+            if (current > target) {
+                uint256 withdrawn = IRWAProvider(s).withdraw(current - target);
+                uint256 debt = strategies[s].debt;
+                _setDebt(s, withdrawn >= debt ? 0 : debt - withdrawn);
+            }
+        }
+
+        _allocateIdle(total);
+        emit Rebalanced(totalValue(), idleAssets());
+    }
+
+    // ─── IRWAProvider ─────────────────────────────────────────────────────────
+
+    function asset() external view returns (address) {
+        return address(usdc);
+    }
+
+    /// @notice Pull USDC from the vault and fill strategies below target
+    function deposit(uint256 assets) external onlyVault nonReentrant {
+        usdc.safeTransferFrom(msg.sender, address(this), assets);
+        _allocateIdle(totalValue());
+    }
+
+    /// @notice Send up to `assets` to the vault — idle first, then the withdrawal queue
+    function withdraw(uint256 assets) external onlyVault nonReentrant returns (uint256 withdrawn) {
+        uint256 idle = idleAssets();
+        for (uint256 i = 0; i < _withdrawalQueue.length && idle < assets; i++) {
+            address s = _withdrawalQueue[i];
+            uint256 available = IRWAProvider(s).totalValue();
+            if (available == 0) continue;
+            uint256 needed = assets - idle;
+            uint256 out = IRWAProvider(s).withdraw(needed < available ? needed : available);
+            uint256 debt = strategies[s].debt;
+            _setDebt(s, out >= debt ? 0 : debt - out);
+            idle += out;
+        }
+        withdrawn = idle < assets ? idle : assets;
+        if (withdrawn > 0) usdc.safeTransfer(msg.sender, withdrawn);
+    }
+
+    /// @notice Idle USDC plus the value of every strategy
+    function totalValue() public view returns (uint256 total) {
+        total = idleAssets();
+        for (uint256 i = 0; i < _strategyList.length; i++) {
+            total += IRWAProvider(_strategyList[i]).totalValue();
+        }
+    }
+
+    /// @notice Harvest every strategy and book its new value as debt
+    /// @return profit Net gain across strategies since the previous harvest
+    function harvest() external onlyVault nonReentrant returns (uint256 profit) {
+        uint256 gain;
+        uint256 loss;
+        for (uint256 i = 0; i < _strategyList.length; i++) {
+            address s = _strategyList[i];
+            IRWAProvider(s).harvest();
+            uint256 value = IRWAProvider(s).totalValue();
+            uint256 debt  = strategies[s].debt;
+            if (value > debt) gain += value - debt;
+            else loss += debt - value;
+            _setDebt(s, value);
+        }
+        profit = gain > loss ? gain - loss : 0;
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    function idleAssets() public view returns (uint256) {
+        return usdc.balanceOf(address(this));
+    }
+
+    function getStrategies() external view returns (address[] memory) {
+        return _strategyList;
+    }
+
+    function withdrawalQueue() external view returns (address[] memory) {
+        return _withdrawalQueue;
+    }
+
+    /// @notice True for a retired strategy whose debt is not fully recalled yet
+    function isRetiring(address strategy) external view returns (bool) {
+        StrategyParams storage p = strategies[strategy];
+        return p.added && !p.active && p.debt > 0;
+    }
+
+    /// @notice Assets the strategy should hold at the current allocator value
+    function targetDebt(address strategy) external view returns (uint256) {
+        return _targetDebt(strategies[strategy], totalValue());
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _targetDebt(StrategyParams storage p, uint256 total) internal view returns (uint256) {
+        if (!p.active) return 0;
+        uint256 target = (total * p.targetBps) / BASIS_POINTS;
+        return target > p.maxDebt ? p.maxDebt : target;
+    }
+
+    function _allocateIdle(uint256 total) internal {
+        uint256 idle = idleAssets();
+        for (uint256 i = 0; i < _strategyList.length && idle > 0; i++) {
+            address s = _strategyList[i];
+            StrategyParams storage p = strategies[s];
+            uint256 current = IRWAProvider(s).totalValue();
+            uint256 target  = _targetDebt(p, total);
+            if (current >= target) continue;
+
+            uint256 amount = target - current;
+            if (amount > idle) amount = idle;
+            usdc.forceApprove(s, amount);
+            IRWAProvider(s).deposit(amount);
+            _setDebt(s, p.debt + amount);
+            idle -= amount;
+        }
+    }
+
+    function _setDebt(address strategy, uint256 newDebt) internal {
+        emit DebtUpdated(strategy, strategies[strategy].debt, newDebt);
+        strategies[strategy].debt = newDebt;
+    }
+
+    /// @dev Shifts the later entries left, so the owner's withdrawal order is kept
+    function _removeFrom(address[] storage list, address item) internal {
+        uint256 len = list.length;
+        for (uint256 i = 0; i < len; i++) {
+            if (list[i] == item) {
+                for (uint256 j = i + 1; j < len; j++) list[j - 1] = list[j];
+                list.pop();
+                return;
+            }
+        }
+    }
+}
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./YeldenBridgeBase.sol";
+import "./interfaces/IYelden.sol";
+
+/**
+ * @title YeldenBridgeAdapter
+ * @notice Home-chain end of the yUSD bridge. yUSD sent to another chain is
+ *         locked here and minted there as YeldenRemoteYUSD; yUSD coming back
+ *         is burned there and unlocked here. Liquidity stays in the one vault,
+ *         and lockedShares() always covers the remote supply.
+ *
+ * The rate it sends is the vault's live convertToAssets(1 yUSD).
+ *
+ * @dev Locking is a yUSD transfer, so the adapter must be eligible under
+ *      the vault's deposit guard.
+ */
+contract YeldenBridgeAdapter is YeldenBridgeBase {
+    using SafeERC20 for IERC20;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IYeldenVault public immutable vault;
+    /// @notice 1 yUSD in raw share units
+    uint256 private immutable _oneShare;
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _vault, address _messenger) YeldenBridgeBase(_messenger) {
+        require(_vault != address(0), "Bridge: invalid vault");
+        vault     = IYeldenVault(_vault);
+        _oneShare = 10 ** IERC20Metadata(_vault).decimals();
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice yUSD held against the supply minted on remote chains
+    function lockedShares() external view returns (uint256) {
+        return IERC20(address(vault)).balanceOf(address(this));
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _debit(address from, uint256 shares) internal override {
+        IERC20(address(vault)).safeTransferFrom(from, address(this), shares);
+    }
+
+    function _credit(address to, uint256 shares) internal override {
+        IERC20(address(vault)).safeTransfer(to, shares);
+    }
+
+    function _currentRate() internal view override returns (uint256, uint256) {
+        return (vault.convertToAssets(_oneShare), block.timestamp);
+    }
+
+    /// @dev The home rate is always live
+    function _syncRate(uint256, uint256) internal override {}
+}
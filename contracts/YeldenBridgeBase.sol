@@ -0,0 +1,219 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/IYeldenMessenger.sol";
+
+/**
+ * @title YeldenBridgeBase
+ * @notice Shared logic of the yUSD bridge: peers, messaging, per-chain rate
+ *         limits, replay protection and share-rate propagation.
+ *
+ * FLOW:
+ *   send()           → debit the sender (lock on home, burn on remote) and
+ *                      message the peer on `dstChainId`
+ *   receiveMessage() → credit the recipient (unlock on home, mint on remote)
+ *
+ * Every message carries a per-destination nonce; a (source chain, nonce)
+ * pair is processed at most once. Transfers also carry the sender chain's
+ * yUSD/USDC rate, and sendRate() pushes it on its own, so remote chains
+ * price yUSD without a round trip. A rate only replaces an older one.
+ *
+ * RATE LIMITS:
+ *   Outbound and inbound amounts per chain are capped by a bucket of `limit`
+ *   shares that refills linearly over `window`. An inbound transfer over the
+ *   limit reverts and can be relayed again once capacity frees up. A chain
+ *   with no limits set can neither send nor receive transfers.
+ */
+abstract contract YeldenBridgeBase is Ownable, ReentrancyGuard, IYeldenMessageReceiver {
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+
+    struct RateLimit {
+        uint256 limit;        // max shares in flight
+        uint256 window;       // seconds for a full refill
+        uint256 inFlight;     // shares counted against the limit at lastUpdated
+        uint256 lastUpdated;
+    }
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+    uint8 public constant MSG_TRANSFER = 1;
+    uint8 public constant MSG_RATE     = 2;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IYeldenMessenger public messenger;
+
+    /// @notice Bridge contract on each remote chain
+    mapping(uint256 => address) public peers;
+
+    mapping(uint256 => RateLimit) public outboundLimits;
+    mapping(uint256 => RateLimit) public inboundLimits;
+
+    /// @notice Last nonce sent to each chain
+    mapping(uint256 => uint64) public outboundNonce;
+    /// @notice Source chain => nonce => processed
+    mapping(uint256 => mapping(uint64 => bool)) public processed;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event MessengerSet(address indexed oldMessenger, address indexed newMessenger);
+    event PeerSet(uint256 indexed chainId, address peer);
+    event RateLimitsSet(uint256 indexed chainId, uint256 outboundLimit, uint256 inboundLimit, uint256 window);
+    event Sent(uint256 indexed dstChainId, uint64 indexed nonce, address indexed from, address to, uint256 shares);
+    event Received(uint256 indexed srcChainId, uint64 indexed nonce, address indexed to, uint256 shares);
+    event RateSent(uint256 indexed dstChainId, uint64 indexed nonce, uint256 rate, uint256 timestamp);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _messenger) Ownable(msg.sender) {
+        require(_messenger != address(0), "Bridge: invalid messenger");
+        messenger = IYeldenMessenger(_messenger);
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    function setMessenger(address _messenger) external onlyOwner {
+        require(_messenger != address(0), "Bridge: invalid messenger");
+        emit MessengerSet(address(messenger), _messenger);
+        messenger = IYeldenMessenger(_messenger);
+    }
+
+    /// @notice Trust `peer` as the bridge on `chainId`; address(0) disconnects it
+    function setPeer(uint256 chainId, address peer) external onlyOwner {
+        require(chainId != block.chainid, "Bridge: invalid chain");
+        peers[chainId] = peer;
+        emit PeerSet(chainId, peer);
+    }
+
+    /// @notice Set both limits for `chainId`; shares already in flight are kept
+    function setRateLimits(uint256 chainId, uint256 outboundLimit, uint256 inboundLimit, uint256 window)
+        external onlyOwner
+    {
+        require(window > 0, "Bridge: invalid window");
+        _setLimit(outboundLimits[chainId], outboundLimit, window);
+        _setLimit(inboundLimits[chainId], inboundLimit, window);
+        emit RateLimitsSet(chainId, outboundLimit, inboundLimit, window);
+    }
+
+    // ─── Bridge ───────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Move `shares` of the caller's yUSD to `to` on `dstChainId`
+     * @dev msg.value pays the messenger fee — see quoteSend()
+     */
+    function send(uint256 dstChainId, address to, uint256 shares)
+        external payable nonReentrant returns (uint64 nonce)
+    {
+        require(to != address(0), "Bridge: invalid recipient");
+        require(shares > 0, "Bridge: zero amount");
+        _consume(outboundLimits[dstChainId], shares);
+
+        _debit(msg.sender, shares);
+        nonce = _dispatch(dstChainId, MSG_TRANSFER, to, shares);
+        emit Sent(dstChainId, nonce, msg.sender, to, shares);
+    }
+
+    /// @notice Push this chain's yUSD/USDC rate to `dstChainId` — anyone may pay for it
+    function sendRate(uint256 dstChainId) external payable nonReentrant returns (uint64 nonce) {
+        nonce = _dispatch(dstChainId, MSG_RATE, address(0), 0);
+        (uint256 rate, uint256 timestamp) = _currentRate();
+        emit RateSent(dstChainId, nonce, rate, timestamp);
+    }
+
+    /// @inheritdoc IYeldenMessageReceiver
+    function receiveMessage(uint256 srcChainId, address sender, bytes calldata payload)
+        external nonReentrant
+    {
+        require(msg.sender == address(messenger), "Bridge: caller is not messenger");
+        require(sender != address(0) && sender == peers[srcChainId], "Bridge: unknown peer");
+
+        (uint8 kind, uint64 nonce, address to, uint256 shares, uint256 rate, uint256 timestamp) =
+            abi.decode(payload, (uint8, uint64, address, uint256, uint256, uint256));
+        require(!processed[srcChainId][nonce], "Bridge: already processed");
+        processed[srcChainId][nonce] = true;
+
+        _syncRate(rate, timestamp);
+        if (kind == MSG_TRANSFER) {
+            _consume(inboundLimits[srcChainId], shares);
+            _credit(to, shares);
+            emit Received(srcChainId, nonce, to, shares);
+        }
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice Messenger fee for send(dstChainId, to, shares)
+    function quoteSend(uint256 dstChainId, address to, uint256 shares) external view returns (uint256) {
+        return messenger.quote(dstChainId, _payload(dstChainId, MSG_TRANSFER, to, shares));
+    }
+
+    /// @notice Messenger fee for sendRate(dstChainId)
+    function quoteRate(uint256 dstChainId) external view returns (uint256) {
+        return messenger.quote(dstChainId, _payload(dstChainId, MSG_RATE, address(0), 0));
+    }
+
+    /// @notice Shares that can leave for `chainId` right now
+    function outboundCapacity(uint256 chainId) external view returns (uint256) {
+        return _capacity(outboundLimits[chainId]);
+    }
+
+    /// @notice Shares that can arrive from `chainId` right now
+    function inboundCapacity(uint256 chainId) external view returns (uint256) {
+        return _capacity(inboundLimits[chainId]);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    /// @dev Take `shares` from `from` before they leave this chain
+    function _debit(address from, uint256 shares) internal virtual;
+
+    /// @dev Give `shares` to `to` when they arrive on this chain
+    function _credit(address to, uint256 shares) internal virtual;
+
+    /// @dev This chain's yUSD/USDC rate and the time it was observed
+    function _currentRate() internal view virtual returns (uint256 rate, uint256 timestamp);
+
+    /// @dev Rate received from a peer — ignored where the rate is live
+    function _syncRate(uint256 rate, uint256 timestamp) internal virtual;
+
+    function _dispatch(uint256 dstChainId, uint8 kind, address to, uint256 shares) internal returns (uint64 nonce) {
+        address peer = peers[dstChainId];
+        require(peer != address(0), "Bridge: unknown peer");
+        bytes memory payload = _payload(dstChainId, kind, to, shares);
+        nonce = ++outboundNonce[dstChainId];
+        messenger.sendMessage{value: msg.value}(dstChainId, peer, payload);
+    }
+
+    function _payload(uint256 dstChainId, uint8 kind, address to, uint256 shares) internal view returns (bytes memory) {
+        (uint256 rate, uint256 timestamp) = _currentRate();
+        return abi.encode(kind, outboundNonce[dstChainId] + 1, to, shares, rate, timestamp);
+    }
+
+    function _consume(RateLimit storage rl, uint256 shares) internal {
+        uint256 inFlight = _inFlight(rl);
+        require(inFlight + shares <= rl.limit, "Bridge: rate limit exceeded");
+        rl.inFlight    = inFlight + shares;
+        rl.lastUpdated = block.timestamp;
+    }
+
+    function _setLimit(RateLimit storage rl, uint256 limit, uint256 window) internal {
+        rl.inFlight    = _inFlight(rl);
+        rl.lastUpdated = block.timestamp;
+        rl.limit       = limit;
+        rl.window      = window;
+    }
+
+    function _capacity(RateLimit storage rl) internal view returns (uint256) {
+        uint256 inFlight = _inFlight(rl);
+        return rl.limit > inFlight ? rl.limit - inFlight : 0;
+    }
+
+    /// @dev In-flight amount after the linear refill since lastUpdated
+    function _inFlight(RateLimit storage rl) internal view returns (uint256) {
+        if (rl.window == 0) return rl.inFlight;
+        uint256 decay = rl.limit * (block.timestamp - rl.lastUpdated) / rl.window;
+        return rl.inFlight > decay ? rl.inFlight - decay : 0;
+    }
+}
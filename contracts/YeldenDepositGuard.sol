@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IDepositGuard.sol";
+
+/// @notice Chainalysis-style on-chain sanctions oracle
+interface ISanctionsList {
+    function isSanctioned(address account) external view returns (bool);
+}
+
+/**
+ * @title YeldenDepositGuard
+ * @notice Reference IDepositGuard for YeldenVault. An account is eligible when
+ *         it is not sanctioned (local list or external oracle), its
+ *         jurisdiction is not blocked and — while the allowlist is enabled —
+ *         it is allowlisted. Both sides of a deposit or transfer must be eligible.
+ */
+contract YeldenDepositGuard is IDepositGuard, Ownable {
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    /// @notice When true only allowlisted accounts are eligible
+    bool public allowlistEnabled;
+
+    /// @notice Optional external sanctions oracle — address(0) disables it
+    ISanctionsList public sanctionsOracle;
+
+    mapping(address => bool) public isAllowlisted;
+    mapping(address => bool) public isSanctioned;
+
+    /// @notice ISO 3166-1 numeric jurisdiction code per account (0 = unknown)
+    mapping(address => uint16) public jurisdictionOf;
+    mapping(uint16 => bool) public isJurisdictionBlocked;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event AllowlistEnabled(bool enabled);
+    event AllowlistSet(address indexed account, bool allowed);
+    event SanctionSet(address indexed account, bool sanctioned);
+    event SanctionsOracleSet(address indexed oldOracle, address indexed newOracle);
+    event JurisdictionSet(address indexed account, uint16 jurisdiction);
+    event JurisdictionBlocked(uint16 indexed jurisdiction, bool blocked);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(bool _allowlistEnabled) Ownable(msg.sender) {
+        allowlistEnabled = _allowlistEnabled;
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    function setAllowlistEnabled(bool enabled) external onlyOwner {
+        allowlistEnabled = enabled;
+        emit AllowlistEnabled(enabled);
+    }
+
+    function setAllowlisted(address[] calldata accounts, bool allowed) external onlyOwner {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            isAllowlisted[accounts[i]] = allowed;
+            emit AllowlistSet(accounts[i], allowed);
+        }
+    }
+
+    function setSanctioned(address account, bool sanctioned) external onlyOwner {
+        isSanctioned[account] = sanctioned;
+        emit SanctionSet(account, sanctioned);
+    }
+
+    function setSanctionsOracle(address oracle) external onlyOwner {
+        emit SanctionsOracleSet(address(sanctionsOracle), oracle);
+        sanctionsOracle = ISanctionsList(oracle);
+    }
+
+    function setJurisdiction(address account, uint16 jurisdiction) external onlyOwner {
+        jurisdictionOf[account] = jurisdiction;
+        emit JurisdictionSet(account, jurisdiction);
+    }
+
+    function setJurisdictionBlocked(uint16 jurisdiction, bool blocked) external onlyOwner {
+        isJurisdictionBlocked[jurisdiction] = blocked;
+        emit JurisdictionBlocked(jurisdiction, blocked);
+    }
+
+    // ─── IDepositGuard ────────────────────────────────────────────────────────
+
+    function canDeposit(address caller, address receiver) external view returns (bool) {
+        return isEligible(caller) && isEligible(receiver);
+    }
+
+    function canTransfer(address from, address to) external view returns (bool) {
+        return isEligible(from) && isEligible(to);
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    function isEligible(address account) public view returns (bool) {
+        if (isSanctioned[account]) return false;
+        if (address(sanctionsOracle) != address(0) && sanctionsOracle.isSanctioned(account)) return false;
+        if (isJurisdictionBlocked[jurisdictionOf[account]]) return false;
+        if (allowlistEnabled && !isAllowlisted[account]) return false;
+        return true;
+    }
+}
@@ -1,7 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "./utils/GuardianPausable.sol";
 
 interface IZKVerifier {
     function verifyProof(
@@ -12,6 +14,15 @@ interface IZKVerifier {
     ) external view returns (bool);
 }
 
+interface IYeldenDistributionSource {
+    function releaseDistribution(address to, uint256 amount) external;
+}
+
+interface IYeldenLock {
+    function getPastWeight(address account, uint256 timepoint) external view returns (uint256);
+    function getPastTotalWeight(uint256 timepoint) external view returns (uint256);
+}
+
 /**
  * @title YeldenDistributor
  * @notice Receives surplus yield from YeldenVault and routes it to three pools:
@@ -19,23 +30,58 @@ interface IZKVerifier {
  *         - Equalized pool (20%):    flat distribution with per-wallet cap
  *         - ZK bonus pool (10%):     claimed via ZK proof (human) or AI agent registry
  *           └─ AI agent sub-pool (5% of ZK pool): reserved for AIAgentRegistry
+ *         weightOf() reads yUSD and YeldenLock checkpoints at an epoch's
+ *         timestamp, counting locked yUSD at its boosted weight.
+ *         The USDC itself stays in the vault's distributorPool until a claim
+ *         or release pays it out through vault.releaseDistribution().
  * @dev ZK verification is stubbed — full Groth16 integration in v3 with ZKVerifier.sol.
+ *      State is set by __YeldenDistributor_init so the same code backs the
+ *      YeldenDistributorUpgradeable proxy.
  */
-contract YeldenDistributor is Ownable {
+contract YeldenDistributor is OwnableUpgradeable, GuardianPausable {
 
     // ─── Constants ─────────────────────────────────────────────
+    /// @notice Basis points denominator
+    uint256 public constant BASIS_POINTS        = 10000;
+
+    /// @notice Delay between queuing and applying distribution parameters
+    uint256 public constant PARAM_TIMELOCK        = 2 days;
+    uint256 public constant MIN_PROPORTIONAL_BPS  = 5000;
+    uint256 public constant MAX_PROPORTIONAL_BPS  = 9000;
+    uint256 public constant MIN_EQUALIZED_BPS     = 500;
+    uint256 public constant MAX_EQUALIZED_BPS     = 3000;
+    uint256 public constant MIN_ZK_BONUS_BPS      = 500;
+    uint256 public constant MAX_ZK_BONUS_BPS      = 2000;
+    uint256 public constant MIN_AI_AGENT_SHARE_BPS = 0;
+    uint256 public constant MAX_AI_AGENT_SHARE_BPS = 5000;
+    uint256 public constant MIN_WALLET_CAP        = 100e6;
+    uint256 public constant MAX_WALLET_CAP        = 10_000e6;
+
+    // ─── Types ─────────────────────────────────────────────────
+    struct DistributionParams {
+        uint16  proportionalBps;
+        uint16  equalizedBps;
+        uint16  zkBonusBps;
+        uint16  aiAgentShareBps;
+        uint128 walletCap;
+        uint64  eta;            // 0 when nothing is queued
+    }
+
+    // ─── Parameters ────────────────────────────────────────────
+    // Packed into one slot — all split parameters are read on every distribute()
     /// @notice Proportional tier — pro-rata by $YLD balance (70%)
-    uint256 public constant PROPORTIONAL_BPS    = 7000;
+    uint16  public proportionalBps;
     /// @notice Equalized tier — flat with per-wallet cap (20%)
-    uint256 public constant EQUALIZED_BPS       = 2000;
+    uint16  public equalizedBps;
     /// @notice ZK bonus pool — claimed via proof (10%)
-    uint256 public constant ZK_BONUS_BPS        = 1000;
+    uint16  public zkBonusBps;
     /// @notice AI agent sub-pool as share of ZK bonus pool (5%)
-    uint256 public constant AI_AGENT_SHARE_BPS  = 500;
-    /// @notice Maximum USDC claimable per wallet per epoch (anti-whale)
-    uint256 public constant WALLET_CAP          = 500e6;
-    /// @notice Basis points denominator
-    uint256 public constant BASIS_POINTS        = 10000;
+    uint16  public aiAgentShareBps;
+    /// @notice Maximum USDC claimable per wallet per epoch (anti-whale, 500 USDC)
+    uint128 public walletCap;
+
+    /// @notice Parameter update waiting for its timelock
+    DistributionParams public pendingParams;
 
     // ─── State ─────────────────────────────────────────────────
     /// @notice Accumulated ZK bonus pool (human contributors)
@@ -47,12 +93,21 @@ contract YeldenDistributor is Ownable {
     /// @notice Total surplus distributed to date
     uint256 public totalDistributed;
 
+    /// @notice Accumulated proportional + equalized tiers, paid out by releaseHolderRewards
+    uint256 public holderPool;
+
     /// @notice Optional ZK verifier — set in v3 for on-chain proof verification
     IZKVerifier public zkVerifier;
 
     /// @notice Authorized vault address — only vault can call distribute()
     address public vault;
 
+    /// @notice Optional YeldenLock — locked yUSD counts at its boosted weight
+    IYeldenLock public locks;
+
+    /// @dev Free slots for future state — shrink by one for every slot added above
+    uint256[41] private __gap;
+
     // ─── Events ────────────────────────────────────────────────
     event Distributed(
         uint256 proportional,
@@ -70,11 +125,50 @@ contract YeldenDistributor is Ownable {
         address indexed agent,
         uint256 amount
     );
+    event HolderRewardsReleased(
+        address indexed to,
+        uint256 amount
+    );
+    event LossAbsorbed(
+        uint256 amount,
+        uint256 zkPool,
+        uint256 aiPool,
+        uint256 holderPool
+    );
     event VaultSet(address indexed oldVault, address indexed newVault);
     event ZKVerifierSet(address indexed oldVerifier, address indexed newVerifier);
+    event LocksSet(address indexed oldLocks, address indexed newLocks);
+    event ParamsQueued(
+        uint256 proportionalBps,
+        uint256 equalizedBps,
+        uint256 zkBonusBps,
+        uint256 aiAgentShareBps,
+        uint256 walletCap,
+        uint256 eta
+    );
+    event ParamsApplied(
+        uint256 proportionalBps,
+        uint256 equalizedBps,
+        uint256 zkBonusBps,
+        uint256 aiAgentShareBps,
+        uint256 walletCap
+    );
+    event ParamsCancelled(uint256 eta);
 
     // ─── Constructor ───────────────────────────────────────────
-    constructor() Ownable(msg.sender) {}
+    constructor() initializer {
+        __YeldenDistributor_init(msg.sender);
+    }
+
+    /// @dev Owner and default parameters — run once per distributor
+    function __YeldenDistributor_init(address _owner) internal onlyInitializing {
+        __Ownable_init(_owner);
+        proportionalBps = 7000;
+        equalizedBps    = 2000;
+        zkBonusBps      = 1000;
+        aiAgentShareBps = 500;
+        walletCap       = 500e6;
+    }
 
     // ─── Modifiers ─────────────────────────────────────────────
     modifier onlyVault() {
@@ -106,6 +200,76 @@ contract YeldenDistributor is Ownable {
         zkVerifier = IZKVerifier(_zkVerifier);
     }
 
+    /**
+     * @notice Set the YeldenLock whose positions get boosted weight.
+     * @dev Optional — when not set, weight is the plain yUSD balance.
+     * @param _locks Address of deployed YeldenLock for this vault
+     */
+    function setLocks(address _locks) external onlyOwner {
+        emit LocksSet(address(locks), _locks);
+        locks = IYeldenLock(_locks);
+    }
+
+    // ─── Governance ────────────────────────────────────────────
+
+    /**
+     * @notice Queue new distribution parameters, applied after PARAM_TIMELOCK.
+     * @dev The three tiers must sum to exactly BASIS_POINTS. Queuing again
+     *      replaces the pending update and restarts the timelock.
+     */
+    function queueParams(
+        uint16  _proportionalBps,
+        uint16  _equalizedBps,
+        uint16  _zkBonusBps,
+        uint16  _aiAgentShareBps,
+        uint128 _walletCap
+    ) external onlyOwner {
+        require(
+            _proportionalBps >= MIN_PROPORTIONAL_BPS && _proportionalBps <= MAX_PROPORTIONAL_BPS,
+            "Proportional out of bounds"
+        );
+        require(_equalizedBps >= MIN_EQUALIZED_BPS && _equalizedBps <= MAX_EQUALIZED_BPS, "Equalized out of bounds");
+        require(_zkBonusBps >= MIN_ZK_BONUS_BPS && _zkBonusBps <= MAX_ZK_BONUS_BPS, "ZK bonus out of bounds");
+        require(
+            _aiAgentShareBps >= MIN_AI_AGENT_SHARE_BPS && _aiAgentShareBps <= MAX_AI_AGENT_SHARE_BPS,
+            "AI share out of bounds"
+        );
+        require(_walletCap >= MIN_WALLET_CAP && _walletCap <= MAX_WALLET_CAP, "Wallet cap out of bounds");
+        require(
+            uint256(_proportionalBps) + _equalizedBps + _zkBonusBps == BASIS_POINTS,
+            "Tiers must sum to 100%"
+        );
+
+        uint64 eta = uint64(block.timestamp + PARAM_TIMELOCK);
+        pendingParams = DistributionParams(
+            _proportionalBps, _equalizedBps, _zkBonusBps, _aiAgentShareBps, _walletCap, eta
+        );
+        emit ParamsQueued(_proportionalBps, _equalizedBps, _zkBonusBps, _aiAgentShareBps, _walletCap, eta);
+    }
+
+    /// @notice Apply the queued parameters once the timelock has passed
+    function executeParams() external onlyOwner {
+        DistributionParams memory p = pendingParams;
+        require(p.eta != 0, "Nothing queued");
+        require(block.timestamp >= p.eta, "Timelock not expired");
+
+        proportionalBps = p.proportionalBps;
+        equalizedBps    = p.equalizedBps;
+        zkBonusBps      = p.zkBonusBps;
+        aiAgentShareBps = p.aiAgentShareBps;
+        walletCap       = p.walletCap;
+        delete pendingParams;
+
+        emit ParamsApplied(p.proportionalBps, p.equalizedBps, p.zkBonusBps, p.aiAgentShareBps, p.walletCap);
+    }
+
+    function cancelParams() external onlyOwner {
+        uint256 eta = pendingParams.eta;
+        require(eta != 0, "Nothing queued");
+        delete pendingParams;
+        emit ParamsCancelled(eta);
+    }
+
     // ─── Distribution ──────────────────────────────────────────
 
     /**
@@ -117,23 +281,43 @@ contract YeldenDistributor is Ownable {
     function distribute(uint256 surplus) external onlyVault {
         require(surplus > 0, "Zero surplus");
 
-        uint256 proportional = (surplus * PROPORTIONAL_BPS) / BASIS_POINTS; // 70%
-        uint256 equalized    = (surplus * EQUALIZED_BPS)    / BASIS_POINTS; // 20%
-        uint256 zkPool       = (surplus * ZK_BONUS_BPS)     / BASIS_POINTS; // 10%
+        uint256 proportional = (surplus * proportionalBps) / BASIS_POINTS; // 70%
+        uint256 equalized    = (surplus * equalizedBps)    / BASIS_POINTS; // 20%
+        uint256 zkPool       = (surplus * zkBonusBps)      / BASIS_POINTS; // 10%
 
-        uint256 aiShare = (zkPool * AI_AGENT_SHARE_BPS) / BASIS_POINTS; // 5% of ZK
+        uint256 aiShare = (zkPool * aiAgentShareBps) / BASIS_POINTS; // 5% of ZK
         uint256 humanZK = zkPool - aiShare;
 
         aiAgentPool  += aiShare;
         zkBonusPool  += humanZK;
+        holderPool   += surplus - zkPool; // proportional + equalized, incl. rounding dust
         totalDistributed += surplus;
 
-        // proportional and equalized pools are tracked off-chain via events
-        // on-chain distribution logic added in v3 with $YLD token integration
+        // proportional and equalized shares are computed off-chain from weightOf()
+        // at this timestamp, and paid out in bulk with releaseHolderRewards()
 
         emit Distributed(proportional, equalized, humanZK, aiShare, block.timestamp);
     }
 
+    /**
+     * @notice Shrink the pools after the vault wrote `amount` off its distributorPool.
+     * @dev Called by YeldenVault.reportLoss(). Each pool keeps its share of what
+     *      is left, rounded down, so the pools never promise more USDC than
+     *      the vault still holds for them.
+     * @param amount USDC taken from distributorPool
+     */
+    function absorbLoss(uint256 amount) external onlyVault {
+        uint256 total = zkBonusPool + aiAgentPool + holderPool;
+        if (total == 0) return;
+        uint256 kept = amount < total ? total - amount : 0;
+
+        zkBonusPool = (zkBonusPool * kept) / total;
+        aiAgentPool = (aiAgentPool * kept) / total;
+        holderPool  = (holderPool  * kept) / total;
+
+        emit LossAbsorbed(amount, zkBonusPool, aiAgentPool, holderPool);
+    }
+
     // ─── Claims ────────────────────────────────────────────────
 
     /**
@@ -156,10 +340,10 @@ contract YeldenDistributor is Ownable {
         uint256[2][2] memory b,
         uint256[2] memory c,
         uint256[3] memory publicInputs
-    ) external {
+    ) external whenNotPaused(CLAIMS) {
         require(amount > 0, "Zero amount");
         require(amount <= zkBonusPool, "Insufficient pool");
-        require(amount <= WALLET_CAP, "Exceeds wallet cap");
+        require(amount <= walletCap, "Exceeds wallet cap");
 
         // On-chain ZK verification when verifier is deployed
         if (address(zkVerifier) != address(0)) {
@@ -168,6 +352,7 @@ contract YeldenDistributor is Ownable {
         }
 
         zkBonusPool -= amount;
+        IYeldenDistributionSource(vault).releaseDistribution(msg.sender, amount);
 
         emit ZKBonusClaimed(msg.sender, amount, category);
     }
@@ -179,16 +364,35 @@ contract YeldenDistributor is Ownable {
      * @param agent  Agent address to receive reward
      * @param amount Amount to release from aiAgentPool
      */
-    function releaseAIBonus(address agent, uint256 amount) external onlyOwner {
+    function releaseAIBonus(address agent, uint256 amount) external onlyOwner whenNotPaused(CLAIMS) {
         require(agent != address(0), "Invalid agent");
         require(amount > 0, "Zero amount");
         require(amount <= aiAgentPool, "Insufficient AI pool");
 
         aiAgentPool -= amount;
+        IYeldenDistributionSource(vault).releaseDistribution(agent, amount);
 
         emit AIBonusClaimed(agent, amount);
     }
 
+    /**
+     * @notice Pay out the proportional and equalized tiers.
+     * @dev Per-holder amounts are computed off-chain (weightOf at the epoch, walletCap);
+     *      `to` is the payout contract or account that settles them.
+     * @param to     Recipient of the USDC
+     * @param amount Amount to release from holderPool
+     */
+    function releaseHolderRewards(address to, uint256 amount) external onlyOwner whenNotPaused(CLAIMS) {
+        require(to != address(0), "Invalid recipient");
+        require(amount > 0, "Zero amount");
+        require(amount <= holderPool, "Insufficient holder pool");
+
+        holderPool -= amount;
+        IYeldenDistributionSource(vault).releaseDistribution(to, amount);
+
+        emit HolderRewardsReleased(to, amount);
+    }
+
     // ─── Views ─────────────────────────────────────────────────
 
     /**
@@ -204,4 +408,34 @@ contract YeldenDistributor is Ownable {
     {
         return (zkBonusPool, aiAgentPool, totalDistributed);
     }
+
+    /**
+     * @notice Pool weight of `account` at `timepoint`, a timestamp strictly in
+     *         the past: its yUSD votes plus its boosted YeldenLock positions.
+     *         Pay an epoch at its Distributed timestamp, so yUSD bought after it
+     *         weighs nothing.
+     * @dev yUSD holders are delegated to themselves by default; yUSD delegated
+     *      elsewhere weighs for the delegatee. The lock contract's own yUSD
+     *      weighs nothing — its positions count through their holders.
+     */
+    function weightOf(address account, uint256 timepoint) external view returns (uint256 weight) {
+        if (vault == address(0)) return 0;
+        if (account != address(locks)) weight = IVotes(vault).getPastVotes(account, timepoint);
+        if (address(locks) != address(0)) weight += locks.getPastWeight(account, timepoint);
+    }
+
+    /// @notice Sum of weightOf() over all holders at `timepoint` — yUSD held by the lock counts once, boosted
+    function totalWeight(uint256 timepoint) external view returns (uint256 weight) {
+        if (vault == address(0)) return 0;
+        weight = IVotes(vault).getPastTotalSupply(timepoint);
+        if (address(locks) != address(0)) {
+            weight = weight - IVotes(vault).getPastVotes(address(locks), timepoint) + locks.getPastTotalWeight(timepoint);
+        }
+    }
+
+    // ─── Internal ──────────────────────────────────────────────
+
+    function _checkPauseAdmin() internal view override {
+        _checkOwner();
+    }
 }
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "./YeldenDistributor.sol";
+import "./utils/TimelockedUUPSUpgradeable.sol";
+
+/**
+ * @title YeldenDistributorUpgradeable
+ * @notice YeldenDistributor behind an ERC1967 (UUPS) proxy, with upgrades
+ *         queued by the owner and gated by UPGRADE_TIMELOCK.
+ */
+contract YeldenDistributorUpgradeable is YeldenDistributor, TimelockedUUPSUpgradeable {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _owner) external initializer {
+        __YeldenDistributor_init(_owner);
+        __UUPSUpgradeable_init();
+    }
+
+    function _checkUpgradeAdmin() internal view override {
+        _checkOwner();
+    }
+}
@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "./interfaces/IYelden.sol";
+
+/**
+ * @title YeldenLock
+ * @notice Time-locked yUSD positions with boosted distribution weight.
+ *         Locking yUSD for one of the offered durations (3, 6 or 12 months
+ *         by default) mints a transferable position NFT that records its
+ *         start, unlock time and boost. Until unlock the position weighs
+ *         shares * boost in YeldenDistributor.weightOf(); the yUSD keeps
+ *         earning the vault yield meanwhile.
+ *
+ * EXIT:
+ *   - After the unlock time the holder takes the full position back.
+ *   - Before it, earlyExitPenaltyBps of the yUSD — falling linearly to zero
+ *     at unlock — is redeemed and paid into the vault's yieldReserve.
+ *
+ * Weights are checkpointed by timestamp per holder and in total, like
+ * yUSD votes, so the distributor reads both at the same epoch timestamp.
+ * A position past its unlock time keeps its boost until anyone calls expire().
+ * The lock must be eligible under the vault's deposit guard.
+ */
+contract YeldenLock is ERC721, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace208;
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+
+    struct Position {
+        uint128 shares;     // yUSD locked
+        uint16  boostBps;   // weight multiplier, BASIS_POINTS = 1x
+        uint48  start;
+        uint48  end;        // unlock time
+    }
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+
+    uint256 public constant BASIS_POINTS               = 10000;
+    uint256 public constant MAX_BOOST_BPS              = 30000;  // 3x
+    uint256 public constant MAX_EARLY_EXIT_PENALTY_BPS = 5000;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IYeldenVault public immutable vault;
+    IERC20       public immutable usdc;
+
+    /// @notice Boost per lock duration (seconds) — 0 when the duration is not offered
+    mapping(uint256 => uint16) public boostFor;
+    /// @notice Penalty for exiting right after locking, in bps of the position; falls linearly to 0 at unlock
+    uint16 public earlyExitPenaltyBps;
+
+    mapping(uint256 => Position) public positions;
+    uint256 public nextTokenId = 1;
+    /// @notice yUSD held for all open positions
+    uint256 public totalLocked;
+
+    mapping(address => Checkpoints.Trace208) private _weights;
+    Checkpoints.Trace208 private _totalWeight;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event LockTierSet(uint256 duration, uint256 boostBps);
+    event EarlyExitPenaltySet(uint256 oldPenaltyBps, uint256 newPenaltyBps);
+    event Locked(uint256 indexed tokenId, address indexed owner, uint256 shares, uint256 end, uint256 boostBps);
+    event Unlocked(
+        uint256 indexed tokenId,
+        address indexed owner,
+        address receiver,
+        uint256 shares,
+        uint256 penaltyShares,
+        uint256 penaltyAssets
+    );
+    event Expired(uint256 indexed tokenId);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _vault) ERC721("Yelden Locked yUSD", "lyUSD") Ownable(msg.sender) {
+        require(_vault != address(0), "Lock: invalid vault");
+        vault = IYeldenVault(_vault);
+        usdc  = IERC20(IYeldenVault(_vault).asset());
+
+        _setLockTier(90 days,  12500);
+        _setLockTier(180 days, 15000);
+        _setLockTier(365 days, 20000);
+        earlyExitPenaltyBps = 1000;
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    /// @notice Offer `duration` with `boostBps`, or withdraw it with 0. Open positions keep their terms.
+    function setLockTier(uint256 duration, uint16 boostBps) external onlyOwner {
+        _setLockTier(duration, boostBps);
+    }
+
+    function setEarlyExitPenalty(uint16 penaltyBps) external onlyOwner {
+        require(penaltyBps <= MAX_EARLY_EXIT_PENALTY_BPS, "Lock: penalty too high");
+        emit EarlyExitPenaltySet(earlyExitPenaltyBps, penaltyBps);
+        earlyExitPenaltyBps = penaltyBps;
+    }
+
+    // ─── Locking ──────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Lock `shares` of the caller's yUSD for `duration` and mint the
+     *         position NFT to `receiver`
+     * @param duration One of the offered durations, in seconds
+     */
+    function lock(uint256 shares, uint256 duration, address receiver)
+        external nonReentrant returns (uint256 tokenId)
+    {
+        require(shares > 0, "Lock: zero amount");
+        require(receiver != address(0), "Lock: invalid receiver");
+        uint16 boostBps = boostFor[duration];
+        require(boostBps != 0, "Lock: unsupported duration");
+
+        IERC20(address(vault)).safeTransferFrom(msg.sender, address(this), shares);
+
+        tokenId = nextTokenId++;
+        uint48 end = uint48(block.timestamp + duration);
+        positions[tokenId] = Position(uint128(shares), boostBps, uint48(block.timestamp), end);
+        totalLocked += shares;
+        _safeMint(receiver, tokenId);
+
+        emit Locked(tokenId, receiver, shares, end, boostBps);
+    }
+
+    /**
+     * @notice Close position `tokenId` and send its yUSD to `receiver`, minus
+     *         the early-exit penalty before the unlock time
+     * @dev Callable by the holder or an approved operator
+     */
+    function unlock(uint256 tokenId, address receiver)
+        external nonReentrant returns (uint256 shares)
+    {
+        require(receiver != address(0), "Lock: invalid receiver");
+        address owner = _requireOwned(tokenId);
+        _checkAuthorized(owner, msg.sender, tokenId);
+
+        uint256 penaltyShares = penaltyOf(tokenId);
+        uint256 locked = positions[tokenId].shares;
+        _burn(tokenId);
+        delete positions[tokenId];
+        totalLocked -= locked;
+
+        uint256 penaltyAssets;
+        if (penaltyShares > 0 && vault.previewRedeem(penaltyShares) > 0) {
+            penaltyAssets = vault.redeem(penaltyShares, address(this), address(this));
+            usdc.forceApprove(address(vault), penaltyAssets);
+            vault.fundReserve(penaltyAssets);
+        } else {
+            penaltyShares = 0;  // dust worth no USDC stays with the holder
+        }
+
+        shares = locked - penaltyShares;
+        IERC20(address(vault)).safeTransfer(receiver, shares);
+        emit Unlocked(tokenId, owner, receiver, shares, penaltyShares, penaltyAssets);
+    }
+
+    /// @notice Drop the boost of a position past its unlock time to 1x — callable by anyone
+    function expire(uint256 tokenId) external {
+        address owner = _requireOwned(tokenId);
+        Position storage p = positions[tokenId];
+        require(block.timestamp >= p.end, "Lock: still locked");
+        require(p.boostBps > BASIS_POINTS, "Lock: not boosted");
+
+        uint256 boosted = _weightOf(p);
+        p.boostBps = uint16(BASIS_POINTS);
+        uint256 base = _weightOf(p);
+        _weights[owner].push(clock(), uint208(_weights[owner].latest() - boosted + base));
+        _totalWeight.push(clock(), uint208(_totalWeight.latest() - boosted + base));
+        emit Expired(tokenId);
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice yUSD forfeited if position `tokenId` were closed now
+    function penaltyOf(uint256 tokenId) public view returns (uint256) {
+        Position memory p = positions[tokenId];
+        if (block.timestamp >= p.end) return 0;
+        return uint256(p.shares) * earlyExitPenaltyBps * (p.end - block.timestamp)
+            / ((uint256(p.end) - p.start) * BASIS_POINTS);
+    }
+
+    /// @notice Boosted weight of all positions held by `account`
+    function weightOf(address account) external view returns (uint256) {
+        return _weights[account].latest();
+    }
+
+    function totalWeight() external view returns (uint256) {
+        return _totalWeight.latest();
+    }
+
+    /// @notice Weight of `account` at `timepoint`, a timestamp strictly in the past
+    function getPastWeight(address account, uint256 timepoint) external view returns (uint256) {
+        return _weights[account].upperLookupRecent(_pastTimepoint(timepoint));
+    }
+
+    function getPastTotalWeight(uint256 timepoint) external view returns (uint256) {
+        return _totalWeight.upperLookupRecent(_pastTimepoint(timepoint));
+    }
+
+    /// @notice Checkpoints are keyed by timestamp, like yUSD votes
+    function clock() public view returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _setLockTier(uint256 duration, uint16 boostBps) internal {
+        require(duration > 0, "Lock: invalid duration");
+        require(boostBps == 0 || (boostBps >= BASIS_POINTS && boostBps <= MAX_BOOST_BPS), "Lock: invalid boost");
+        boostFor[duration] = boostBps;
+        emit LockTierSet(duration, boostBps);
+    }
+
+    function _weightOf(Position memory p) internal pure returns (uint256) {
+        return uint256(p.shares) * p.boostBps / BASIS_POINTS;
+    }
+
+    function _pastTimepoint(uint256 timepoint) internal view returns (uint48) {
+        require(timepoint < clock(), "Lock: future lookup");
+        return uint48(timepoint);
+    }
+
+    /// @dev Moves the position's weight with the NFT on every mint, transfer and burn
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        uint256 weight = _weightOf(positions[tokenId]);
+        uint48 now_ = clock();
+
+        if (from == address(0)) {
+            _totalWeight.push(now_, uint208(_totalWeight.latest() + weight));
+        } else {
+            _weights[from].push(now_, uint208(_weights[from].latest() - weight));
+        }
+        if (to == address(0)) {
+            _totalWeight.push(now_, uint208(_totalWeight.latest() - weight));
+        } else {
+            _weights[to].push(now_, uint208(_weights[to].latest() + weight));
+        }
+    }
+}
@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/IYelden.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title YeldenRateOracle
+ * @notice Chainlink-compatible yUSD/USDC exchange-rate feed for lending
+ *         markets. The answer is convertToAssets(1 yUSD) in USDC units, so
+ *         decimals() equals the asset decimals.
+ *
+ * ROUNDS:
+ *   The vault writes a checkpoint at the end of every harvest and loss
+ *   report; each checkpoint is a round (ids start at 1). latestRoundData()
+ *   reports the latest checkpoint with the time it was written, so
+ *   consumers' staleness checks see how old it is — size the heartbeat to
+ *   the vault's harvest interval. getRoundData() returns any checkpoint.
+ *
+ * The feed never reads the live rate, so USDC donated to the vault does not
+ * reach it until the next harvest, and harvested profit reaches it only as
+ * it is streamed in over the vault's profitUnlockPeriod. currentRate() and
+ * rateAt() do read the live rate and are for display, not collateral pricing.
+ */
+contract YeldenRateOracle is AggregatorV3Interface {
+    using Math for uint256;
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+
+    struct Checkpoint {
+        uint64  timestamp;
+        uint192 rate;
+    }
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+    uint256 public constant BASIS_POINTS     = 10000;
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IYeldenVault public immutable vault;
+    /// @notice 1 yUSD in raw share units
+    uint256 private immutable _oneShare;
+    uint8   private immutable _decimals;
+
+    Checkpoint[] private _checkpoints;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event RateCheckpointed(uint256 indexed roundId, uint256 rate, uint256 timestamp);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _vault) {
+        require(_vault != address(0), "Oracle: invalid vault");
+        vault      = IYeldenVault(_vault);
+        _oneShare  = 10 ** IERC20Metadata(_vault).decimals();
+        _decimals  = IERC20Metadata(IYeldenVault(_vault).asset()).decimals();
+        _checkpoint();
+    }
+
+    // ─── Checkpoints ──────────────────────────────────────────────────────────
+
+    /// @notice Record the current rate — called by the vault on every harvest
+    function checkpoint() external {
+        require(msg.sender == address(vault), "Oracle: caller is not vault");
+        _checkpoint();
+    }
+
+    function checkpointCount() external view returns (uint256) {
+        return _checkpoints.length;
+    }
+
+    /// @notice Rate and time of checkpoint `roundId` (1-based)
+    function checkpointAt(uint256 roundId) public view returns (uint256 rate, uint256 timestamp) {
+        require(roundId > 0 && roundId <= _checkpoints.length, "Oracle: unknown round");
+        Checkpoint memory cp = _checkpoints[roundId - 1];
+        return (cp.rate, cp.timestamp);
+    }
+
+    // ─── Rates ────────────────────────────────────────────────────────────────
+
+    /// @notice Live rate — USDC units per 1 yUSD
+    function currentRate() public view returns (uint256) {
+        return vault.convertToAssets(_oneShare);
+    }
+
+    /**
+     * @notice Rate at `timestamp`, linearly interpolated between the
+     *         surrounding checkpoints (or the last checkpoint and the live
+     *         rate) — the time-weighted path between recorded points.
+     */
+    function rateAt(uint256 timestamp) external view returns (uint256) {
+        require(timestamp <= block.timestamp, "Oracle: future timestamp");
+        require(timestamp >= _checkpoints[0].timestamp, "Oracle: before first checkpoint");
+
+        uint256 idx = _upperLookup(timestamp);  // last checkpoint at or before timestamp
+        Checkpoint memory a = _checkpoints[idx];
+        if (a.timestamp == timestamp) return a.rate;
+
+        uint256 nextRate;
+        uint256 nextTime;
+        if (idx + 1 < _checkpoints.length) {
+            Checkpoint memory b = _checkpoints[idx + 1];
+            (nextRate, nextTime) = (b.rate, b.timestamp);
+        } else {
+            (nextRate, nextTime) = (currentRate(), block.timestamp);
+        }
+        return _interpolate(a.rate, a.timestamp, nextRate, nextTime, timestamp);
+    }
+
+    /**
+     * @notice Annualized rate of return, in bps, realized between two checkpoints
+     * @dev Simple (non-compounded) annualization; 0 if the rate fell
+     */
+    function realizedApy(uint256 fromRoundId, uint256 toRoundId) external view returns (uint256) {
+        require(fromRoundId < toRoundId, "Oracle: invalid range");
+        (uint256 fromRate, uint256 fromTime) = checkpointAt(fromRoundId);
+        (uint256 toRate, uint256 toTime)     = checkpointAt(toRoundId);
+        if (toRate <= fromRate || toTime == fromTime) return 0;
+        return (toRate - fromRate).mulDiv(BASIS_POINTS * SECONDS_PER_YEAR, fromRate * (toTime - fromTime));
+    }
+
+    // ─── AggregatorV3Interface ────────────────────────────────────────────────
+
+    function decimals() external view returns (uint8) {
+        return _decimals;
+    }
+
+    function description() external view returns (string memory) {
+        return string.concat(
+            IERC20Metadata(address(vault)).symbol(), " / ", IERC20Metadata(vault.asset()).symbol()
+        );
+    }
+
+    function version() external pure returns (uint256) {
+        return 1;
+    }
+
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        (uint256 rate, uint256 timestamp) = checkpointAt(_roundId);
+        return (_roundId, int256(rate), timestamp, timestamp, _roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        Checkpoint memory cp = _checkpoints[_checkpoints.length - 1];
+        roundId = uint80(_checkpoints.length);
+        return (roundId, int256(uint256(cp.rate)), cp.timestamp, cp.timestamp, roundId);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    /// @dev Appends the live rate; a second checkpoint in the same block overwrites the first
+    function _checkpoint() internal {
+        uint256 rate = currentRate();
+        uint256 len = _checkpoints.length;
+        if (len > 0 && _checkpoints[len - 1].timestamp == block.timestamp) {
+            _checkpoints[len - 1].rate = uint192(rate);
+        } else {
+            _checkpoints.push(Checkpoint(uint64(block.timestamp), uint192(rate)));
+            len++;
+        }
+        emit RateCheckpointed(len, rate, block.timestamp);
+    }
+
+    /// @dev Index of the last checkpoint with timestamp <= `timestamp` (binary search)
+    function _upperLookup(uint256 timestamp) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = _checkpoints.length;
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+            if (_checkpoints[mid].timestamp > timestamp) high = mid;
+            else low = mid + 1;
+        }
+        return low - 1;
+    }
+
+    function _interpolate(uint256 rateA, uint256 timeA, uint256 rateB, uint256 timeB, uint256 t)
+        internal pure returns (uint256)
+    {
+        if (rateB >= rateA) return rateA + (rateB - rateA).mulDiv(t - timeA, timeB - timeA);
+        return rateA - (rateA - rateB).mulDiv(t - timeA, timeB - timeA);
+    }
+}
@@ -0,0 +1,272 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/IYelden.sol";
+
+/**
+ * @title YeldenRedemptionQueue
+ * @notice Asynchronous (ERC-7540 style) redemptions for yUSD when the RWA
+ *         strategies behind YeldenVault settle in T+1 or longer.
+ *
+ * FLOW:
+ *   1. requestRedeem — the owner locks yUSD in the queue (Pending)
+ *   2. fulfillRedeems — the operator redeems queued yUSD against idle vault
+ *      USDC as strategies unwind, strictly first-in first-out (Claimable)
+ *   3. redeem / withdraw — the controller claims the USDC locked in at the
+ *      fulfilment price
+ *
+ * A pending request can be cancelled by its controller with cancelRedeem,
+ * and one that is worth no USDC by the time it reaches the head (e.g. after
+ * a socialized loss) is skipped and its yUSD refunded, so no request can
+ * block the queue.
+ *
+ * Requests are aggregated per controller, so requestId is always 0 in the
+ * ERC-7540 views. FIFO order is kept internally: a request is never
+ * fulfilled before an earlier one.
+ */
+contract YeldenRedemptionQueue is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+
+    struct Request {
+        address controller;
+        uint256 shares;
+    }
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IYeldenVault public immutable vault;
+    IERC20       public immutable usdc;
+
+    /// @notice Address allowed to fulfil queued requests
+    address public operator;
+
+    Request[] private _requests;
+    /// @notice Index of the oldest unfulfilled request
+    uint256 public head;
+
+    mapping(address => uint256) private _pendingShares;
+    mapping(address => uint256) private _claimableShares;
+    mapping(address => uint256) private _claimableAssets;
+
+    /// @notice yUSD locked in requests not yet fulfilled
+    uint256 public totalPendingShares;
+    /// @notice USDC held for fulfilled requests not yet claimed
+    uint256 public totalClaimableAssets;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event RedeemRequest(
+        address indexed controller,
+        address indexed owner,
+        uint256 indexed requestId,
+        address sender,
+        uint256 shares
+    );
+    event RedeemFulfilled(uint256 indexed index, address indexed controller, uint256 shares, uint256 assets);
+    event RedeemClaimed(address indexed controller, address indexed receiver, uint256 assets, uint256 shares);
+    event RedeemCancelled(uint256 indexed index, address indexed controller, uint256 shares);
+    event OperatorSet(address indexed operator);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _vault) Ownable(msg.sender) {
+        require(_vault != address(0), "Queue: invalid vault");
+        vault = IYeldenVault(_vault);
+        usdc  = IERC20(IYeldenVault(_vault).asset());
+        operator = msg.sender;
+    }
+
+    // ─── Modifiers ────────────────────────────────────────────────────────────
+
+    modifier onlyOperator() {
+        require(msg.sender == operator, "Queue: only operator");
+        _;
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    function setOperator(address _operator) external onlyOwner {
+        require(_operator != address(0), "Queue: invalid operator");
+        operator = _operator;
+        emit OperatorSet(_operator);
+    }
+
+    // ─── Request ──────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Lock `shares` yUSD from `owner_` in the queue on behalf of `controller`.
+     * @return requestId Always 0 — requests are aggregated per controller
+     */
+    function requestRedeem(uint256 shares, address controller, address owner_)
+        external
+        nonReentrant
+        returns (uint256 requestId)
+    {
+        require(shares > 0, "Queue: zero shares");
+        require(controller != address(0), "Queue: invalid controller");
+        require(msg.sender == owner_, "Queue: not owner");
+        // A request worth no USDC would make vault.redeem revert at the head
+        require(vault.previewRedeem(shares) > 0, "Queue: zero assets");
+
+        IERC20(address(vault)).safeTransferFrom(owner_, address(this), shares);
+
+        _requests.push(Request({controller: controller, shares: shares}));
+        _pendingShares[controller] += shares;
+        totalPendingShares += shares;
+
+        emit RedeemRequest(controller, owner_, 0, msg.sender, shares);
+        return 0;
+    }
+
+    // ─── Fulfil ───────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Process up to `maxRequests` queued requests, oldest first, while
+     *         the vault holds enough idle USDC of its own — USDC in the
+     *         protocol buckets does not count. Stops at the first request
+     *         that cannot be paid in full so later requests never jump ahead.
+     *         Cancelled requests are passed over and requests worth no USDC
+     *         are refunded; both count towards `maxRequests`.
+     * @return fulfilled Number of requests fulfilled
+     */
+    function fulfillRedeems(uint256 maxRequests) external onlyOperator nonReentrant returns (uint256 fulfilled) {
+        uint256 i = head;
+        uint256 end = _requests.length;
+        uint256 limit = maxRequests < end - i ? i + maxRequests : end;
+
+        for (; i < limit; i++) {
+            Request storage r = _requests[i];
+            if (r.shares == 0) continue; // cancelled
+
+            uint256 preview = vault.previewRedeem(r.shares);
+            if (preview == 0) {
+                _cancel(i, r.controller);
+                continue;
+            }
+            if (preview > vault.freeIdleAssets()) break;
+
+            uint256 assets = vault.redeem(r.shares, address(this), address(this));
+
+            _pendingShares[r.controller]   -= r.shares;
+            _claimableShares[r.controller] += r.shares;
+            _claimableAssets[r.controller] += assets;
+            totalPendingShares   -= r.shares;
+            totalClaimableAssets += assets;
+
+            emit RedeemFulfilled(i, r.controller, r.shares, assets);
+            delete _requests[i];
+            fulfilled++;
+        }
+        head = i;
+    }
+
+    /**
+     * @notice Withdraw a pending request at FIFO position `index` and return
+     *         its yUSD to the controller.
+     */
+    function cancelRedeem(uint256 index) external nonReentrant {
+        require(index >= head && index < _requests.length, "Queue: not pending");
+        Request storage r = _requests[index];
+        require(r.shares > 0, "Queue: not pending");
+        require(msg.sender == r.controller, "Queue: not controller");
+        _cancel(index, r.controller);
+    }
+
+    // ─── Claim ────────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Claim the USDC for `shares` of the controller's fulfilled requests.
+     * @return assets USDC sent to `receiver`, at the fulfilment price
+     */
+    function redeem(uint256 shares, address receiver, address controller)
+        external
+        nonReentrant
+        returns (uint256 assets)
+    {
+        require(shares > 0, "Queue: zero shares");
+        uint256 claimable = _claimableShares[controller];
+        require(shares <= claimable, "Queue: exceeds claimable");
+
+        assets = (_claimableAssets[controller] * shares) / claimable;
+        _claim(shares, assets, receiver, controller);
+    }
+
+    /**
+     * @notice Claim exactly `assets` USDC from the controller's fulfilled requests.
+     * @return shares Claimable yUSD consumed, rounded up
+     */
+    function withdraw(uint256 assets, address receiver, address controller)
+        external
+        nonReentrant
+        returns (uint256 shares)
+    {
+        require(assets > 0, "Queue: zero assets");
+        uint256 claimableAssets = _claimableAssets[controller];
+        require(assets <= claimableAssets, "Queue: exceeds claimable");
+
+        uint256 claimable = _claimableShares[controller];
+        shares = (assets * claimable + claimableAssets - 1) / claimableAssets;
+        _claim(shares, assets, receiver, controller);
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice yUSD the controller has locked and not yet had fulfilled
+    function pendingRedeemRequest(uint256, address controller) external view returns (uint256) {
+        return _pendingShares[controller];
+    }
+
+    /// @notice yUSD of the controller's fulfilled requests not yet claimed
+    function claimableRedeemRequest(uint256, address controller) external view returns (uint256) {
+        return _claimableShares[controller];
+    }
+
+    function maxRedeem(address controller) external view returns (uint256) {
+        return _claimableShares[controller];
+    }
+
+    function maxWithdraw(address controller) external view returns (uint256) {
+        return _claimableAssets[controller];
+    }
+
+    /// @notice Number of requests waiting to be fulfilled
+    function queueLength() external view returns (uint256) {
+        return _requests.length - head;
+    }
+
+    /// @notice Request at FIFO position `index` (zeroed once fulfilled)
+    function requestAt(uint256 index) external view returns (address controller, uint256 shares) {
+        Request storage r = _requests[index];
+        return (r.controller, r.shares);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _cancel(uint256 index, address controller) internal {
+        uint256 shares = _requests[index].shares;
+        delete _requests[index];
+        _pendingShares[controller] -= shares;
+        totalPendingShares -= shares;
+
+        IERC20(address(vault)).safeTransfer(controller, shares);
+        emit RedeemCancelled(index, controller, shares);
+    }
+
+    function _claim(uint256 shares, uint256 assets, address receiver, address controller) internal {
+        require(msg.sender == controller, "Queue: not controller");
+        require(receiver != address(0), "Queue: invalid receiver");
+
+        _claimableShares[controller] -= shares;
+        _claimableAssets[controller] -= assets;
+        totalClaimableAssets -= assets;
+
+        usdc.safeTransfer(receiver, assets);
+        emit RedeemClaimed(controller, receiver, assets, shares);
+    }
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./YeldenBridgeBase.sol";
+
+/**
+ * @title YeldenRemoteYUSD
+ * @notice yUSD on a remote chain (L2). Minted when shares are locked in the
+ *         home YeldenBridgeAdapter or burned on another remote chain, and
+ *         burned when sent onwards. It holds no assets: one remote yUSD is
+ *         redeemable for one yUSD on the home chain.
+ *
+ * The share price is propagated from home with every transfer and by
+ * sendRate(); rate() and convertToAssets() use the latest one received, and
+ * rateUpdatedAt tells integrators how fresh it is.
+ */
+contract YeldenRemoteYUSD is ERC20, ERC20Permit, YeldenBridgeBase {
+    using Math for uint256;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    uint8 private immutable _decimals;
+
+    /// @notice Latest known USDC value of 1 yUSD, in asset units
+    uint256 public rate;
+    /// @notice Home-chain time the rate was observed
+    uint256 public rateUpdatedAt;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event RateUpdated(uint256 rate, uint256 timestamp);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    /// @param decimals_ yUSD decimals on the home chain
+    constructor(string memory name_, string memory symbol_, uint8 decimals_, address _messenger)
+        ERC20(name_, symbol_)
+        ERC20Permit(name_)
+        YeldenBridgeBase(_messenger)
+    {
+        _decimals = decimals_;
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /// @notice USDC value of `shares` at the latest known rate
+    function convertToAssets(uint256 shares) external view returns (uint256) {
+        return shares.mulDiv(rate, 10 ** _decimals);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _debit(address from, uint256 shares) internal override {
+        _burn(from, shares);
+    }
+
+    function _credit(address to, uint256 shares) internal override {
+        _mint(to, shares);
+    }
+
+    /// @dev Relays the last rate received, so remote-to-remote hops keep its home timestamp
+    function _currentRate() internal view override returns (uint256, uint256) {
+        return (rate, rateUpdatedAt);
+    }
+
+    function _syncRate(uint256 _rate, uint256 timestamp) internal override {
+        if (timestamp <= rateUpdatedAt) return;
+        rate          = _rate;
+        rateUpdatedAt = timestamp;
+        emit RateUpdated(_rate, timestamp);
+    }
+}
@@ -0,0 +1,229 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/IYelden.sol";
+import "./interfaces/ISwapAdapter.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title YeldenRouter
+ * @notice Deposits whitelisted stablecoins (USDT, DAI, EURC, ...) into the
+ *         USDC-denominated YeldenVault in one call, and redeems yUSD back
+ *         into them.
+ *
+ * FLOW (deposit):
+ *   1. Pull `amountIn` of the stablecoin from the caller
+ *   2. Swap it to USDC through the configured ISwapAdapter
+ *   3. Deposit the USDC into the vault for `receiver`
+ *
+ * Every swap must clear two floors: the caller's own minimum and an oracle
+ * floor — the Chainlink-implied output minus maxOracleDeviationBps. A
+ * manipulated or depegged pool therefore reverts instead of filling at a bad
+ * price. Feeds must be positive and no older than maxPriceAge.
+ *
+ * @dev The vault sees the router as the depositor, so the router itself must
+ *      be eligible under the vault's deposit guard; the router checks the
+ *      real caller against the same guard before depositing.
+ */
+contract YeldenRouter is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+
+    struct PriceFeed {
+        AggregatorV3Interface feed;
+        uint8 tokenDecimals;
+        uint8 feedDecimals;
+    }
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+    uint256 public constant BASIS_POINTS               = 10000;
+    uint256 public constant MAX_ORACLE_DEVIATION_BPS   = 500;
+    uint256 public constant MAX_PRICE_AGE              = 3 days;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IYeldenVault public immutable vault;
+    IERC20       public immutable usdc;
+
+    /// @notice DEX integration used for every swap
+    ISwapAdapter public swapAdapter;
+
+    /// @notice USD price feed per token — USDC included
+    mapping(address => PriceFeed) public priceFeeds;
+    /// @notice Stablecoins accepted for deposits and paid out on redemptions
+    mapping(address => bool) public isSupported;
+
+    /// @notice Max shortfall of a swap against the oracle-implied output
+    uint256 public maxOracleDeviationBps = 100;
+    /// @notice Max age of a feed answer
+    uint256 public maxPriceAge = 1 days;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event SwapAdapterSet(address indexed oldAdapter, address indexed newAdapter);
+    event PriceFeedSet(address indexed token, address indexed feed);
+    event TokenSupportSet(address indexed token, bool supported);
+    event OracleParamsSet(uint256 maxOracleDeviationBps, uint256 maxPriceAge);
+    event TokenDeposited(
+        address indexed sender,
+        address indexed receiver,
+        address indexed token,
+        uint256 amountIn,
+        uint256 assets,
+        uint256 shares
+    );
+    event TokenRedeemed(
+        address indexed owner,
+        address indexed receiver,
+        address indexed token,
+        uint256 shares,
+        uint256 assets,
+        uint256 amountOut
+    );
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _vault, address _swapAdapter) Ownable(msg.sender) {
+        require(_vault != address(0), "Router: invalid vault");
+        require(_swapAdapter != address(0), "Router: invalid adapter");
+        vault = IYeldenVault(_vault);
+        usdc  = IERC20(IYeldenVault(_vault).asset());
+        swapAdapter = ISwapAdapter(_swapAdapter);
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    function setSwapAdapter(address _swapAdapter) external onlyOwner {
+        require(_swapAdapter != address(0), "Router: invalid adapter");
+        emit SwapAdapterSet(address(swapAdapter), _swapAdapter);
+        swapAdapter = ISwapAdapter(_swapAdapter);
+    }
+
+    /// @notice Set the USD price feed for `token` (also required for USDC)
+    function setPriceFeed(address token, address feed) external onlyOwner {
+        require(token != address(0) && feed != address(0), "Router: invalid feed");
+        priceFeeds[token] = PriceFeed({
+            feed: AggregatorV3Interface(feed),
+            tokenDecimals: IERC20Metadata(token).decimals(),
+            feedDecimals: AggregatorV3Interface(feed).decimals()
+        });
+        emit PriceFeedSet(token, feed);
+    }
+
+    /// @notice Accept or stop accepting `token`; it needs a price feed first
+    function setSupported(address token, bool supported) external onlyOwner {
+        require(token != address(usdc), "Router: deposit USDC directly");
+        require(!supported || address(priceFeeds[token].feed) != address(0), "Router: no price feed");
+        isSupported[token] = supported;
+        emit TokenSupportSet(token, supported);
+    }
+
+    function setOracleParams(uint256 _maxOracleDeviationBps, uint256 _maxPriceAge) external onlyOwner {
+        require(_maxOracleDeviationBps <= MAX_ORACLE_DEVIATION_BPS, "Router: deviation too high");
+        require(_maxPriceAge > 0 && _maxPriceAge <= MAX_PRICE_AGE, "Router: invalid price age");
+        maxOracleDeviationBps = _maxOracleDeviationBps;
+        maxPriceAge = _maxPriceAge;
+        emit OracleParamsSet(_maxOracleDeviationBps, _maxPriceAge);
+    }
+
+    // ─── Deposit / Redeem ─────────────────────────────────────────────────────
+
+    /**
+     * @notice Swap `amountIn` of `token` to USDC and deposit it for `receiver`
+     * @param minAssets Minimum USDC the swap must return (caller slippage limit)
+     * @return shares yUSD minted to `receiver`
+     */
+    function depositToken(address token, uint256 amountIn, uint256 minAssets, address receiver)
+        external nonReentrant returns (uint256 shares)
+    {
+        require(isSupported[token], "Router: unsupported token");
+        require(amountIn > 0, "Router: zero amount");
+        require(receiver != address(0), "Router: invalid receiver");
+
+        IDepositGuard guard = vault.depositGuard();
+        if (address(guard) != address(0)) {
+            require(guard.canDeposit(msg.sender, receiver), "Router: deposit not allowed");
+        }
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amountIn);
+        uint256 assets = _swap(token, address(usdc), amountIn, minAssets);
+
+        usdc.forceApprove(address(vault), assets);
+        shares = vault.deposit(assets, receiver);
+
+        emit TokenDeposited(msg.sender, receiver, token, amountIn, assets, shares);
+    }
+
+    /**
+     * @notice Redeem the caller's `shares` and pay `receiver` in `token`
+     * @dev The caller approves (or permits) the router for its yUSD.
+     * @param minAmountOut Minimum `token` the swap must return (caller slippage limit)
+     */
+    function redeemToToken(address token, uint256 shares, uint256 minAmountOut, address receiver)
+        external nonReentrant returns (uint256 amountOut)
+    {
+        require(isSupported[token], "Router: unsupported token");
+        require(shares > 0, "Router: zero amount");
+        require(receiver != address(0), "Router: invalid receiver");
+
+        IERC20(address(vault)).safeTransferFrom(msg.sender, address(this), shares);
+        uint256 assets = vault.redeem(shares, address(this), address(this));
+
+        amountOut = _swap(address(usdc), token, assets, minAmountOut);
+        IERC20(token).safeTransfer(receiver, amountOut);
+
+        emit TokenRedeemed(msg.sender, receiver, token, shares, assets, amountOut);
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice Oracle-implied amount of `tokenOut` for `amountIn` of `tokenIn`
+    function quote(address tokenIn, address tokenOut, uint256 amountIn) public view returns (uint256) {
+        (uint256 priceIn, uint256 scaleIn)   = _price(tokenIn);
+        (uint256 priceOut, uint256 scaleOut) = _price(tokenOut);
+        return amountIn.mulDiv(priceIn * scaleOut, priceOut * scaleIn);
+    }
+
+    /// @notice Lowest swap output the oracle check accepts
+    function oracleMinOut(address tokenIn, address tokenOut, uint256 amountIn) public view returns (uint256) {
+        return quote(tokenIn, tokenOut, amountIn).mulDiv(BASIS_POINTS - maxOracleDeviationBps, BASIS_POINTS);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    /// @dev Swaps through the adapter and checks what actually arrived against both floors
+    function _swap(address tokenIn, address tokenOut, uint256 amountIn, uint256 minOut)
+        internal returns (uint256 amountOut)
+    {
+        uint256 floor = oracleMinOut(tokenIn, tokenOut, amountIn);
+        if (minOut > floor) floor = minOut;
+
+        uint256 balanceBefore = IERC20(tokenOut).balanceOf(address(this));
+        IERC20(tokenIn).forceApprove(address(swapAdapter), amountIn);
+        swapAdapter.swap(tokenIn, tokenOut, amountIn, floor, address(this));
+        amountOut = IERC20(tokenOut).balanceOf(address(this)) - balanceBefore;
+
+        require(amountOut >= floor, "Router: slippage");
+    }
+
+    /// @dev Fresh, positive feed answer and 10^(token decimals + feed decimals)
+    function _price(address token) internal view returns (uint256 price, uint256 scale) {
+        PriceFeed memory pf = priceFeeds[token];
+        require(address(pf.feed) != address(0), "Router: no price feed");
+
+        (, int256 answer, , uint256 updatedAt, ) = pf.feed.latestRoundData();
+        require(answer > 0, "Router: invalid price");
+        require(block.timestamp - updatedAt <= maxPriceAge, "Router: stale price");
+
+        price = uint256(answer);
+        scale = 10 ** (uint256(pf.tokenDecimals) + pf.feedDecimals);
+    }
+}
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+
+/**
+ * @title YeldenToken
+ * @notice $YLD — the Yelden governance token. Agents stake it in
+ *         AIAgentRegistry, which burns fees and slashed stake for real.
+ *
+ * There is no premint: supply is minted by two roles, each with its own
+ * counter, and never beyond CAP in total over the token's lifetime.
+ *   EMISSIONS_MINTER_ROLE   → protocol emissions (e.g. distributor rewards)
+ *   CONTRIBUTOR_MINTER_ROLE → DevNet contributor pool (bounties, sub-vaults)
+ * Burns do not free room under the cap — CAP bounds everything ever minted.
+ *
+ * Votes are checkpointed by timestamp like yUSD (ERC-6372), and delegateBySig
+ * shares its nonces with permit.
+ */
+contract YeldenToken is ERC20, ERC20Burnable, ERC20Permit, ERC20Votes, AccessControl {
+
+    // ─── Roles ────────────────────────────────────────────────────────────────
+
+    bytes32 public constant EMISSIONS_MINTER_ROLE   = keccak256("EMISSIONS_MINTER_ROLE");
+    bytes32 public constant CONTRIBUTOR_MINTER_ROLE = keccak256("CONTRIBUTOR_MINTER_ROLE");
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+
+    uint256 public constant CAP = 1_000_000_000e18;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    uint256 public emissionsMinted;    // total minted as emissions
+    uint256 public contributorMinted;  // total minted from the contributor pool
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event EmissionsMinted(address indexed to, uint256 amount, address indexed minter);
+    event ContributorRewardMinted(address indexed to, uint256 amount, address indexed minter);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    /// @param _admin grants the minter roles (multisig in production)
+    constructor(address _admin) ERC20("Yelden Token", "YLD") ERC20Permit("Yelden Token") {
+        require(_admin != address(0), "YLD: invalid admin");
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+    }
+
+    // ─── Minting ──────────────────────────────────────────────────────────────
+
+    function mintEmissions(address to, uint256 amount) external onlyRole(EMISSIONS_MINTER_ROLE) {
+        _mintCapped(to, amount);
+        emissionsMinted += amount;
+        emit EmissionsMinted(to, amount, msg.sender);
+    }
+
+    function mintContributorReward(address to, uint256 amount) external onlyRole(CONTRIBUTOR_MINTER_ROLE) {
+        _mintCapped(to, amount);
+        contributorMinted += amount;
+        emit ContributorRewardMinted(to, amount, msg.sender);
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice YLD that can still be minted before hitting CAP
+    function mintable() external view returns (uint256) {
+        return CAP - emissionsMinted - contributorMinted;
+    }
+
+    /// @notice Checkpoints are keyed by timestamp, not block number (ERC-6372)
+    function clock() public view override returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    /// @notice ERC-6372 clock description — getPastVotes / getPastTotalSupply take timestamps
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=timestamp";
+    }
+
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _mintCapped(address to, uint256 amount) internal {
+        require(amount > 0, "YLD: zero amount");
+        require(emissionsMinted + contributorMinted + amount <= CAP, "YLD: cap exceeded");
+        _mint(to, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+    }
+}
@@ -1,180 +1,385 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-
-interface IYeldenDistributor {
-    function distribute(uint256 surplus) external;
-}
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "./interfaces/IPermit2.sol";
+import "./interfaces/AutomationCompatibleInterface.sol";
+import "./YeldenVaultBase.sol";
+import "./YeldenVaultExtension.sol";
 
 /**
  * @title YeldenVault
  * @notice ERC-4626 compliant vault for Yelden Protocol.
- *         Accepts USDC deposits, mints yUSD shares 1:1.
- *         Harvests RWA yield and routes surplus to YeldenDistributor.
+ *         Accepts USDC deposits, mints yUSD shares 1:1 (in display units).
+ *         Allocates idle USDC into an IRWAProvider strategy, harvests the
+ *         strategy's real yield and routes surplus to YeldenDistributor.
  *         Receives slashed stake from AIAgentRegistry into yieldReserve.
+ * @dev Rounding follows ERC-4626: deposit/redeem round shares/assets down,
+ *      mint/withdraw round assets/shares up — always in favor of the vault.
+ *      Share math uses 10**DECIMALS_OFFSET virtual shares and 1 virtual asset,
+ *      so donating USDC to an almost-empty vault cannot inflate the share price
+ *      enough to round later depositors down to zero. yUSD decimals are the
+ *      asset decimals plus DECIMALS_OFFSET (USDC 6 → yUSD 12).
+ *      totalAssets() is depositor equity only: USDC owned by the protocol
+ *      buckets (yieldReserve, regenPool, distributorPool) is held by the vault
+ *      but never priced into yUSD. Profit booked by a harvest is locked and
+ *      released into totalAssets() linearly over profitUnlockPeriod, so a
+ *      deposit placed right before harvest() cannot capture it.
+ *      Management and performance fees are minted as yUSD to the treasury;
+ *      pending management fees are included in every preview.
+ *      yUSD supports EIP-2612 permit; deposits can be authorized with a USDC
+ *      permit (depositWithPermit) or a Permit2 signature (depositWithPermit2).
+ *      Idle USDC can be flash borrowed (ERC-3156); the fee goes to yieldReserve.
+ *      Strategy losses booked with reportLoss() come out of yieldReserve and
+ *      the undistributed pools before they reach the share price.
+ *      When the active strategy has a Chainlink Proof-of-Reserve feed,
+ *      deposits and harvests require a fresh answer covering the booked
+ *      strategy value.
+ *      Anyone can harvest through performUpkeep() (Chainlink Automation)
+ *      once harvestInterval has passed, for a capped bounty.
+ *      Admin, strategy, emergency and harvest logic lives in a separately
+ *      deployed YeldenVaultExtension (and the YeldenVaultModule behind it)
+ *      and runs here by delegatecall, which keeps the vault under the 24KB
+ *      contract size limit.
  */
-contract YeldenVault is ERC20, Ownable, ReentrancyGuard {
+contract YeldenVault is
+    YeldenVaultBase,
+    ERC20PermitUpgradeable,
+    IERC4626,
+    IERC3156FlashLender,
+    AutomationCompatibleInterface
+{
     using SafeERC20 for IERC20;
+    using Math for uint256;
 
-    // ─── Immutables ───────────────────────────────────────────────────────────
-    IERC20 public immutable asset;
-
-    // ─── Constants ────────────────────────────────────────────────────────────
-    uint256 public constant BASE_YIELD_BPS    = 450;
-    uint256 public constant RESERVE_BPS       = 1000;
-    uint256 public constant REGEN_BPS         = 500;
-    uint256 public constant YIELD_RESERVE_BPS = 2000;
-    uint256 public constant BASIS_POINTS      = 10000;
+    /// @notice Holds the logic behind the delegatecall stubs below
+    address public immutable extension;
 
-    // ─── State ────────────────────────────────────────────────────────────────
-    uint256 public yieldReserve;
-    uint256 public lastHarvest;
+    // ─── Constructor ──────────────────────────────────────────────────────────
+    /// @param extension_ YeldenVaultExtension deployed for the same asset
+    constructor(
+        IERC20 asset_,
+        string memory _name,
+        string memory _symbol,
+        YeldenVaultExtension extension_
+    ) YeldenVaultBase(asset_) initializer {
+        require(extension_.asset() == address(asset_), "Extension asset mismatch");
+        extension = address(extension_);
+        __YeldenVault_init(_name, _symbol, msg.sender);
+    }
 
-    IYeldenDistributor public distributor;
+    // ─── Extension ────────────────────────────────────────────────────────────
+    // Admin, strategy, emergency and harvest entry points. Each one forwards
+    // the call unchanged to YeldenVaultExtension, which holds the logic,
+    // access control and documentation.
 
-    /// @notice AIAgentRegistry — only address allowed to call receiveSlash()
-    address public registry;
+    function setDistributor(address) external { _delegate(); }
+    function setRegistry(address) external { _delegate(); }
+    function setRateOracle(address) external { _delegate(); }
+    function queueYieldParams(uint16, uint16, uint16) external { _delegate(); }
+    function executeYieldParams() external { _delegate(); }
+    function cancelYieldParams() external { _delegate(); }
+    function setRegenFund(address) external { _delegate(); }
+    function setProfitUnlockPeriod(uint32) external { _delegate(); }
+    function setTreasury(address) external { _delegate(); }
+    function setFees(uint16, uint16) external { _delegate(); }
+    function setFlashFee(uint16) external { _delegate(); }
+    function setKeeperParams(uint32, uint96, uint16, uint96) external { _delegate(); }
+    function setDepositGuard(address) external { _delegate(); }
+    function setDepositCaps(uint256, uint256) external { _delegate(); }
+    function withdrawReserve(address, uint256) external { _delegate(); }
+    function fundReserve(uint256) external { _delegate(); }
+    function releaseDistribution(address, uint256) external { _delegate(); }
+    function setStrategy(address) external { _delegate(); }
+    function allocate(uint256) external { _delegate(); }
+    function deallocate(uint256) external { _delegate(); }
+    function setReserveFeed(address, address) external { _delegate(); }
+    function verifyReserves() external returns (bool) { _delegate(); }
+    function shutdown(string calldata) external { _delegate(); }
+    function endShutdown(string calldata) external { _delegate(); }
+    function receiveSlash(uint256) external { _delegate(); }
+    function reportLoss(address, uint256) external { _delegate(); }
+    function harvest() external { _delegate(); }
+    function checkUpkeep(bytes calldata) external returns (bool, bytes memory) { _delegate(); }
+    function performUpkeep(bytes calldata) external { _delegate(); }
+    function flashLoan(IERC3156FlashBorrower, address, uint256, bytes calldata) external returns (bool) { _delegate(); }
 
-    // ─── Events ───────────────────────────────────────────────────────────────
-    event Deposit(address indexed caller, address indexed owner, uint256 assets, uint256 shares);
-    event Withdraw(address indexed caller, address indexed receiver, address indexed owner, uint256 assets, uint256 shares);
-    event Harvest(uint256 gross, uint256 base, uint256 regen, uint256 toReserve, uint256 toDistributor);
-    event DistributorSet(address indexed oldDistributor, address indexed newDistributor);
-    event ReserveWithdrawn(address indexed to, uint256 amount);
-    event RegistrySet(address indexed oldRegistry, address indexed newRegistry);
-    event SlashReceived(uint256 amount, uint256 newReserve);
+    // ─── ERC-4626 Views ───────────────────────────────────────────────────────
 
-    // ─── Constructor ──────────────────────────────────────────────────────────
-    constructor(
-        IERC20 _asset,
-        string memory _name,
-        string memory _symbol
-    ) ERC20(_name, _symbol) Ownable(msg.sender) {
-        require(address(_asset) != address(0), "Invalid asset");
-        asset = _asset;
-        lastHarvest = block.timestamp;
+    /// @notice yUSD decimals — asset decimals plus DECIMALS_OFFSET
+    function decimals() public view override(ERC20Upgradeable, IERC20Metadata) returns (uint8) {
+        return _underlyingDecimals + DECIMALS_OFFSET;
     }
 
-    // ─── Admin ────────────────────────────────────────────────────────────────
+    function asset() public view returns (address) {
+        return address(_asset);
+    }
 
-    function setDistributor(address _distributor) external onlyOwner {
-        require(_distributor != address(0), "Invalid distributor");
-        emit DistributorSet(address(distributor), _distributor);
-        distributor = IYeldenDistributor(_distributor);
+    function nonces(address owner) public view override(ERC20PermitUpgradeable, NoncesUpgradeable) returns (uint256) {
+        return super.nonces(owner);
     }
 
-    function setRegistry(address _registry) external onlyOwner {
-        require(_registry != address(0), "Invalid registry");
-        emit RegistrySet(registry, _registry);
-        registry = _registry;
+    /// @notice Depositor equity — vault holdings minus protocol-owned buckets and locked profit
+    function totalAssets() public view override(IERC4626, YeldenVaultBase) returns (uint256) {
+        return super.totalAssets();
     }
 
-    function withdrawReserve(address to, uint256 amount) external onlyOwner {
-        require(to != address(0), "Invalid recipient");
-        require(amount <= yieldReserve, "Exceeds reserve");
-        yieldReserve -= amount;
-        asset.safeTransfer(to, amount);
-        emit ReserveWithdrawn(to, amount);
+    function convertToShares(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Floor);
     }
 
-    // ─── Slash Integration ────────────────────────────────────────────────────
+    function convertToAssets(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Floor);
+    }
 
     /**
-     * @notice Receive slashed stake from AIAgentRegistry.
-     *         USDC is already transferred — this function just accounts it.
-     *         Only callable by the registered AIAgentRegistry.
-     * @param amount Amount of slashed USDC added to yieldReserve
+     * @notice Largest deposit `receiver` can make — 0 if the guard rejects it,
+     *         otherwise the room left under the global and per-receiver caps.
+     * @dev The guard is asked as if the receiver deposited for itself.
      */
-    function receiveSlash(uint256 amount) external {
-        require(msg.sender == registry, "Vault: caller is not registry");
-        require(amount > 0, "Vault: zero slash amount");
-        yieldReserve += amount;
-        emit SlashReceived(amount, yieldReserve);
+    function maxDeposit(address receiver) public view returns (uint256) {
+        if (isPaused(DEPOSITS)) return 0;
+        if (_reserveGated) {
+            (bool healthy, , ) = reserveStatus();
+            if (!healthy) return 0;
+        }
+        if (address(depositGuard) != address(0) && !depositGuard.canDeposit(receiver, receiver)) return 0;
+
+        // Uncapped limits skip the equity math — the common case on every deposit
+        uint256 room = type(uint256).max;
+        if (depositCap != type(uint256).max) room = _room(depositCap, totalAssets());
+        if (accountCap != type(uint256).max) {
+            uint256 accountRoom = _room(accountCap, _convertToAssets(balanceOf(receiver), Math.Rounding.Ceil));
+            if (accountRoom < room) room = accountRoom;
+        }
+        return room;
     }
 
-    // ─── ERC-4626 Core ────────────────────────────────────────────────────────
+    function maxMint(address receiver) public view returns (uint256) {
+        uint256 maxAssets = maxDeposit(receiver);
+        if (maxAssets == type(uint256).max) return maxAssets;
+        return _convertToShares(maxAssets, Math.Rounding.Floor);
+    }
 
-    function totalAssets() public view returns (uint256) {
-        return asset.balanceOf(address(this));
+    function maxWithdraw(address owner) public view returns (uint256) {
+        if (emergencyShutdown) return 0;
+        return _convertToAssets(balanceOf(owner), Math.Rounding.Floor);
     }
 
-    function convertToShares(uint256 assets) public view returns (uint256) {
-        uint256 supply = totalSupply();
-        uint256 total  = totalAssets();
-        if (supply == 0 || total == 0) return assets;
-        return (assets * supply) / total;
+    function maxRedeem(address owner) public view returns (uint256) {
+        return balanceOf(owner);
     }
 
-    function convertToAssets(uint256 shares) public view returns (uint256) {
-        uint256 supply = totalSupply();
-        if (supply == 0) return shares;
-        return (shares * totalAssets()) / supply;
+    /// @notice Shares minted for `assets` on deposit — rounds down
+    function previewDeposit(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Floor);
     }
 
+    /// @notice Assets pulled to mint `shares` — rounds up
+    function previewMint(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Ceil);
+    }
+
+    /// @notice Shares burned to withdraw `assets` — rounds up
+    function previewWithdraw(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @notice Assets paid out for redeeming `shares` — rounds down.
+     *         In emergency shutdown holders get their pro-rata share of the
+     *         liquid depositor equity, so an unwinding strategy cannot be
+     *         drained first-come first-served.
+     */
+    function previewRedeem(uint256 shares) public view returns (uint256) {
+        if (emergencyShutdown) {
+            uint256 idle = idleAssets();
+            uint256 owned = protocolAssets();
+            uint256 liquid = idle > owned ? idle - owned : 0;
+            return shares.mulDiv(liquid + 1, _supplyWithFees() + 10 ** DECIMALS_OFFSET, Math.Rounding.Floor);
+        }
+        return _convertToAssets(shares, Math.Rounding.Floor);
+    }
+
+    // ─── ERC-4626 Core ────────────────────────────────────────────────────────
+
     function deposit(uint256 assets, address receiver)
-        external nonReentrant returns (uint256 shares)
+        public nonReentrant whenNotPaused(DEPOSITS) returns (uint256 shares)
     {
-        require(assets > 0, "Zero deposit");
-        require(receiver != address(0), "Invalid receiver");
-        shares = convertToShares(assets);
-        require(shares > 0, "Zero shares");
-        asset.safeTransferFrom(msg.sender, address(this), assets);
+        shares = _sharesForDeposit(assets, receiver);
+        _deposit(msg.sender, receiver, assets, shares);
+    }
+
+    /**
+     * @notice Deposit with an EIP-2612 permit on the asset instead of a prior approve.
+     * @dev A failing permit is ignored so a front-run permit (nonce already
+     *      used, allowance already set) cannot block the deposit; deposit()
+     *      still reverts if the allowance is missing.
+     */
+    function depositWithPermit(
+        uint256 assets,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 shares) {
+        try IERC20Permit(address(_asset)).permit(msg.sender, address(this), assets, deadline, v, r, s) {} catch {}
+        shares = deposit(assets, receiver);
+    }
+
+    /**
+     * @notice Deposit with a Permit2 SignatureTransfer signed by the caller.
+     *         The caller approves Permit2 once; each deposit carries its own
+     *         signature, nonce and deadline, with this vault as the spender.
+     */
+    function depositWithPermit2(
+        uint256 assets,
+        address receiver,
+        IPermit2.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused(DEPOSITS) returns (uint256 shares) {
+        require(permit.permitted.token == address(_asset), "Permit token mismatch");
+        shares = _sharesForDeposit(assets, receiver);
+        _checkDeposit(msg.sender, receiver);
+        IPermit2(PERMIT2).permitTransferFrom(
+            permit,
+            IPermit2.SignatureTransferDetails({to: address(this), requestedAmount: assets}),
+            msg.sender,
+            signature
+        );
         _mint(receiver, shares);
         emit Deposit(msg.sender, receiver, assets, shares);
     }
 
+    function mint(uint256 shares, address receiver)
+        external nonReentrant whenNotPaused(DEPOSITS) returns (uint256 assets)
+    {
+        _accrueManagementFee();
+        _checkReserves(strategyDebt);
+        require(shares > 0, "Zero shares");
+        require(receiver != address(0), "Invalid receiver");
+        require(shares <= maxMint(receiver), "Exceeds max mint");
+        assets = previewMint(shares);
+        require(assets > 0, "Zero assets");
+        _deposit(msg.sender, receiver, assets, shares);
+    }
+
     function withdraw(uint256 assets, address receiver, address owner)
         external nonReentrant returns (uint256 shares)
     {
+        require(!emergencyShutdown, "Emergency: redeem only");
+        _accrueManagementFee();
         require(assets > 0, "Zero withdraw");
         require(receiver != address(0), "Invalid receiver");
         require(owner != address(0), "Invalid owner");
-        shares = convertToShares(assets);
-        require(shares > 0, "Zero shares");
+        shares = previewWithdraw(assets);
         require(shares <= balanceOf(owner), "Insufficient balance");
-        if (msg.sender != owner) _spendAllowance(owner, msg.sender, shares);
-        _burn(owner, shares);
-        asset.safeTransfer(receiver, assets);
-        emit Withdraw(msg.sender, receiver, owner, assets, shares);
+        _withdraw(msg.sender, receiver, owner, assets, shares);
     }
 
     function redeem(uint256 shares, address receiver, address owner)
         external nonReentrant returns (uint256 assets)
     {
+        _accrueManagementFee();
         require(shares > 0, "Zero shares");
         require(receiver != address(0), "Invalid receiver");
         require(owner != address(0), "Invalid owner");
         require(shares <= balanceOf(owner), "Insufficient balance");
-        assets = convertToAssets(shares);
+        assets = previewRedeem(shares);
         require(assets > 0, "Zero assets");
-        if (msg.sender != owner) _spendAllowance(owner, msg.sender, shares);
-        _burn(owner, shares);
-        asset.safeTransfer(receiver, assets);
-        emit Withdraw(msg.sender, receiver, owner, assets, shares);
+        _withdraw(msg.sender, receiver, owner, assets, shares);
+    }
+
+    // ─── Flash Loans ──────────────────────────────────────────────────────────
+    // flashLoan runs in YeldenVaultModule, reached through the extension
+
+    /// @notice Idle USDC that can be borrowed — 0 for any other token, while deposits are paused or in shutdown
+    function maxFlashLoan(address token) external view returns (uint256) {
+        return token == address(_asset) ? _maxFlashLoan() : 0;
+    }
+
+    /// @notice Fee charged on a flash loan of `amount` — rounds up
+    function flashFee(address token, uint256 amount) external view returns (uint256) {
+        require(token == address(_asset), "Unsupported token");
+        return _flashFee(amount);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _update(address from, address to, uint256 value) internal override(ERC20Upgradeable, YeldenVaultBase) {
+        super._update(from, to, value);
     }
 
-    // ─── Yield Harvest ────────────────────────────────────────────────────────
+    function _convertToShares(uint256 assets, Math.Rounding rounding) internal view returns (uint256) {
+        return assets.mulDiv(_supplyWithFees() + 10 ** DECIMALS_OFFSET, totalAssets() + 1, rounding);
+    }
+
+    function _convertToAssets(uint256 shares, Math.Rounding rounding) internal view returns (uint256) {
+        return shares.mulDiv(totalAssets() + 1, _supplyWithFees() + 10 ** DECIMALS_OFFSET, rounding);
+    }
+
+    /// @dev Share supply as if the pending management fee had been minted
+    function _supplyWithFees() internal view returns (uint256) {
+        (, uint256 feeShares) = previewFees();
+        return totalSupply() + feeShares;
+    }
+
+    /// @dev Headroom under `cap`
+    function _room(uint256 cap, uint256 used) internal pure returns (uint256) {
+        return cap > used ? cap - used : 0;
+    }
 
-    function harvest(uint256 grossYield) external onlyOwner {
-        require(grossYield > 0, "Zero yield");
-        require(address(distributor) != address(0), "Distributor not set");
+    /// @dev Accrues fees, validates a deposit of `assets` for `receiver` and prices it
+    function _sharesForDeposit(uint256 assets, address receiver) internal returns (uint256 shares) {
+        _accrueManagementFee();
+        _checkReserves(strategyDebt);
+        require(assets > 0, "Zero deposit");
+        require(receiver != address(0), "Invalid receiver");
+        require(assets <= maxDeposit(receiver), "Exceeds max deposit");
+        shares = previewDeposit(assets);
+        require(shares > 0, "Zero shares");
+    }
 
-        uint256 base    = (grossYield * BASE_YIELD_BPS)  / BASIS_POINTS;
-        uint256 regen   = (grossYield * REGEN_BPS)       / BASIS_POINTS;
-        uint256 surplus = grossYield - base - regen;
+    function _checkDeposit(address caller, address receiver) internal view {
+        if (address(depositGuard) != address(0)) {
+            require(depositGuard.canDeposit(caller, receiver), "Deposit not allowed");
+        }
+    }
 
-        uint256 toReserve     = (surplus * YIELD_RESERVE_BPS) / BASIS_POINTS;
-        uint256 toDistributor = surplus - toReserve;
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal {
+        _checkDeposit(caller, receiver);
+        _asset.safeTransferFrom(caller, address(this), assets);
+        _mint(receiver, shares);
+        emit Deposit(caller, receiver, assets, shares);
+    }
 
-        yieldReserve += toReserve;
-        distributor.distribute(toDistributor);
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) internal {
+        if (caller != owner) _spendAllowance(owner, caller, shares);
+        _burn(owner, shares);
+        _ensureLiquidity(assets);
+        _asset.safeTransfer(receiver, assets);
+        emit Withdraw(caller, receiver, owner, assets, shares);
+    }
 
-        emit Harvest(grossYield, base, regen, toReserve, toDistributor);
-        lastHarvest = block.timestamp;
+    /// @dev Runs the current call in the extension against this contract's storage and returns its result
+    function _delegate() internal {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
 }
@@ -0,0 +1,417 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20VotesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/IRWAProvider.sol";
+import "./interfaces/IDepositGuard.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+import "./utils/GuardianPausable.sol";
+
+interface IYeldenDistributor {
+    function distribute(uint256 surplus) external;
+    function absorbLoss(uint256 amount) external;
+}
+
+interface IRegenFund {
+    function receiveRegen(uint256 amount) external;
+}
+
+interface IYeldenRateOracle {
+    function checkpoint() external;
+}
+
+/**
+ * @title YeldenVaultBase
+ * @notice Storage, events and shared accounting of YeldenVault.
+ * @dev YeldenVault, YeldenVaultExtension and YeldenVaultModule all inherit
+ *      this contract, and the vault runs the other two by delegatecall — so
+ *      they must share one storage layout. Declare every new state variable
+ *      here, never in a child, and take its slot from __gap.
+ *      Built on the upgradeable OpenZeppelin contracts so the same layout
+ *      serves the immutable YeldenVault and the YeldenVaultUpgradeable proxy:
+ *      state is set by __YeldenVault_init, not by initializers or the
+ *      constructor, which only sets the asset immutables. EIP-2612 permit is
+ *      added by YeldenVault alone; its storage is namespaced, like every
+ *      OpenZeppelin parent's, so the layouts still match.
+ */
+abstract contract YeldenVaultBase is
+    ERC20Upgradeable,
+    ERC20VotesUpgradeable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    GuardianPausable
+{
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    // ─── Immutables ───────────────────────────────────────────────────────────
+    IERC20 internal immutable _asset;
+    uint8  internal immutable _underlyingDecimals;
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+    uint256 public constant RESERVE_BPS       = 1000;
+    uint256 public constant BASIS_POINTS      = 10000;
+    uint8   public constant DECIMALS_OFFSET   = 6;
+    /// @notice Bear mode is exited once the realized rate reaches baseYieldBps + BEAR_HYSTERESIS_BPS
+    uint256 public constant BEAR_HYSTERESIS_BPS = 100;
+    uint256 public constant SECONDS_PER_YEAR  = 365 days;
+
+    // Governance bounds — yield routing parameters can never leave these ranges
+    uint256 public constant PARAM_TIMELOCK        = 2 days;
+    uint256 public constant MIN_BASE_YIELD_BPS    = 100;
+    uint256 public constant MAX_BASE_YIELD_BPS    = 2000;
+    uint256 public constant MIN_REGEN_BPS         = 100;
+    uint256 public constant MAX_REGEN_BPS         = 1500;
+    uint256 public constant MIN_YIELD_RESERVE_BPS = 500;
+    uint256 public constant MAX_YIELD_RESERVE_BPS = 5000;
+    uint256 public constant MAX_PROFIT_UNLOCK_PERIOD = 30 days;
+    uint256 public constant MAX_MANAGEMENT_FEE_BPS   = 200;    // 2% a year
+    uint256 public constant MAX_PERFORMANCE_FEE_BPS  = 2000;   // 20% of base yield
+    /// @notice Oldest Proof-of-Reserve answer deposits and harvests accept
+    uint256 public constant MAX_RESERVE_AGE          = 24 hours;
+    uint256 public constant MAX_FLASH_FEE_BPS        = 100;    // 1% of the amount borrowed
+    uint256 public constant MIN_HARVEST_INTERVAL     = 1 hours;
+    uint256 public constant MAX_KEEPER_BOUNTY_BPS    = 500;    // 5% of the gross yield harvested
+
+    /// @notice Uniswap Permit2 — same address on every chain
+    address public constant PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3;
+
+    // ─── Types ────────────────────────────────────────────────────────────────
+    struct YieldParams {
+        uint16 baseYieldBps;
+        uint16 regenBps;
+        uint16 yieldReserveBps;
+        uint64 eta;             // 0 when nothing is queued
+    }
+
+    // ─── State ────────────────────────────────────────────────────────────────
+    /// @notice Protocol-owned bear market reserve (harvest share + slashes)
+    uint256 public yieldReserve;
+    /// @notice Protocol-owned regen share of harvests, not yet sent to regenFund
+    uint256 public regenPool;
+    /// @notice Protocol-owned surplus routed to YeldenDistributor pools, not yet paid out
+    uint256 public distributorPool;
+    uint256 public lastHarvest;
+
+    IYeldenDistributor public distributor;
+    // Packed with distributor — all are touched on every harvest
+    /// @notice Annualized yield rate (bps of depositor equity) realized by the last harvest
+    uint32 public lastYieldRateBps;
+    /// @notice True while the realized rate is below target — reserve tops up base, distributor routing paused
+    bool public bearMode;
+    /// @notice Share of gross yield rebased into yUSD (4.5%); also the bear mode target rate
+    uint16 public baseYieldBps;
+    /// @notice Share of gross yield sent to the RegenFund (5%)
+    uint16 public regenBps;
+    /// @notice Share of the surplus kept in yieldReserve (20%)
+    uint16 public yieldReserveBps;
+    /// @notice Emergency exit mode — strategy unwound, only pro-rata redemptions allowed
+    bool public emergencyShutdown;
+
+    // Profit streaming — packed, read by every totalAssets() call
+    uint128 internal _lockedProfit;         // locked profit as of _lockedAt
+    uint64  internal _lockedAt;
+    /// @notice Time over which harvested profit is released into totalAssets() (7 days)
+    uint32  public profitUnlockPeriod;
+
+    // Fees — packed, read on every deposit, withdrawal and harvest
+    /// @notice Receives management and performance fees as yUSD
+    address public treasury;
+    /// @notice Annual fee on depositor equity, accrued per second
+    uint16  public managementFeeBps;
+    /// @notice Fee on the base yield booked by each harvest
+    uint16  public performanceFeeBps;
+    /// @notice Last time the management fee was minted
+    uint64  public lastFeeAccrual;
+
+    /// @notice Yield routing update waiting for its timelock
+    YieldParams public pendingYieldParams;
+
+    /// @notice AIAgentRegistry — only address allowed to call receiveSlash()
+    address public registry;
+
+    /// @notice RegenFund — receives the regen share in USDC on every harvest
+    IRegenFund public regenFund;
+
+    /// @notice RWA strategy that idle USDC is allocated into
+    IRWAProvider public strategy;
+
+    /// @notice Strategy value booked by the vault — updated on allocation and harvest
+    uint256 public strategyDebt;
+
+    /// @notice Compliance hook consulted on deposits and yUSD transfers — address(0) disables it
+    IDepositGuard public depositGuard;
+    // True when the active strategy has a reserve feed — packed with depositGuard, read on every deposit
+    bool internal _reserveGated;
+    /// @notice Maximum depositor equity (totalAssets) the vault accepts
+    uint256 public depositCap;
+    /// @notice Maximum position, in assets, a single receiver may hold after a deposit
+    uint256 public accountCap;
+
+    /// @notice Chainlink Proof-of-Reserve feed per strategy — address(0) disables the check
+    mapping(address => AggregatorV3Interface) public reserveFeeds;
+
+    /// @notice yUSD rate oracle checkpointed at the end of every harvest — address(0) disables it
+    IYeldenRateOracle public rateOracle;
+    /// @notice ERC-3156 flash loan fee, in bps of the amount borrowed — packed with rateOracle
+    uint16 public flashFeeBps;
+
+    // USDC out on the flash loan in progress — still counted in grossAssets()
+    uint256 internal _flashLoaned;
+
+    // Keeper harvest rules — packed, read by every checkUpkeep / performUpkeep
+    /// @notice Minimum time since lastHarvest before anyone can harvest — 0 disables keeper harvests
+    uint32 public harvestInterval;
+    /// @notice Keeper bounty, in bps of the gross yield harvested
+    uint16 public keeperBountyBps;
+    /// @notice Minimum gross yield a keeper harvest must book
+    uint96 public minHarvestProfit;
+    /// @notice Cap on the keeper bounty, in asset units
+    uint96 public maxKeeperBounty;
+
+    /// @dev Free slots for future state — shrink by one for every slot added above
+    uint256[31] private __gap;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+    // Deposit and Withdraw come from IERC4626, inherited by YeldenVault
+    event Harvest(uint256 gross, uint256 base, uint256 regen, uint256 toReserve, uint256 toDistributor);
+    event DistributorSet(address indexed oldDistributor, address indexed newDistributor);
+    event ReserveWithdrawn(address indexed to, uint256 amount);
+    event ReserveFunded(address indexed from, uint256 amount);
+    event DistributionReleased(address indexed to, uint256 amount);
+    event RegistrySet(address indexed oldRegistry, address indexed newRegistry);
+    event RegenFundSet(address indexed oldFund, address indexed newFund);
+    event RegenSent(address indexed fund, uint256 amount);
+    event RegenDeferred(uint256 amount, uint256 available);
+    event SlashReceived(uint256 amount, uint256 newReserve);
+    event StrategySet(address indexed oldStrategy, address indexed newStrategy, uint256 recalled);
+    event StrategyAllocated(address indexed strategy, uint256 amount, uint256 newDebt);
+    event StrategyDeallocated(address indexed strategy, uint256 amount, uint256 newDebt);
+    event YieldRateRecorded(uint256 rateBps, uint256 elapsed);
+    event BearModeEntered(uint256 rateBps);
+    event BearModeExited(uint256 rateBps);
+    event ReserveTopUp(uint256 amount, uint256 newReserve);
+    event LossReported(address indexed strategy, uint256 loss, uint256 newDebt);
+    event LossAbsorbedByReserve(uint256 amount, uint256 newReserve);
+    event LossAbsorbedByPools(uint256 fromDistributor, uint256 fromRegen);
+    event LossSocialized(uint256 amount, uint256 newTotalAssets);
+    event EmergencyShutdown(address indexed by, string reason, uint256 recalled);
+    event EmergencyShutdownEnded(address indexed by, string reason);
+    event DepositGuardSet(address indexed oldGuard, address indexed newGuard);
+    event DepositCapsSet(uint256 depositCap, uint256 accountCap);
+    event YieldParamsQueued(uint256 baseYieldBps, uint256 regenBps, uint256 yieldReserveBps, uint256 eta);
+    event YieldParamsApplied(uint256 baseYieldBps, uint256 regenBps, uint256 yieldReserveBps);
+    event YieldParamsCancelled(uint256 baseYieldBps, uint256 regenBps, uint256 yieldReserveBps);
+    event ProfitUnlockPeriodSet(uint256 oldPeriod, uint256 newPeriod);
+    event ProfitLocked(uint256 amount, uint256 totalLocked, uint256 unlockDate);
+    event TreasurySet(address indexed oldTreasury, address indexed newTreasury);
+    event FeesSet(uint256 managementFeeBps, uint256 performanceFeeBps);
+    event ManagementFeeMinted(address indexed treasury, uint256 assets, uint256 shares);
+    event PerformanceFeeMinted(address indexed treasury, uint256 assets, uint256 shares);
+    event ReserveFeedSet(address indexed strategy, address indexed oldFeed, address indexed newFeed);
+    event RateOracleSet(address indexed oldOracle, address indexed newOracle);
+    event FlashFeeSet(uint256 oldFeeBps, uint256 newFeeBps);
+    event FlashLoan(address indexed receiver, address indexed initiator, uint256 amount, uint256 fee);
+    event KeeperParamsSet(uint256 interval, uint256 minProfit, uint256 bountyBps, uint256 maxBounty);
+    event KeeperHarvest(address indexed keeper, uint256 grossYield, uint256 bounty);
+    event ReservesVerified(address indexed strategy, uint256 reserves, uint256 booked, uint256 updatedAt, bool healthy);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+    /// @custom:oz-upgrades-unsafe-allow constructor state-variable-immutable
+    constructor(IERC20 asset_) {
+        require(address(asset_) != address(0), "Invalid asset");
+        _asset = asset_;
+        _underlyingDecimals = _tryGetAssetDecimals(asset_);
+    }
+
+    // ─── Initializer ──────────────────────────────────────────────────────────
+
+    /// @dev Token metadata, owner and default parameters — run once per vault
+    function __YeldenVault_init(string memory _name, string memory _symbol, address _owner)
+        internal onlyInitializing
+    {
+        __ERC20_init(_name, _symbol);
+        __EIP712_init(_name, "1");
+        __ERC20Votes_init();
+        __Ownable_init(_owner);
+        __ReentrancyGuard_init();
+
+        baseYieldBps       = 450;
+        regenBps           = 500;
+        yieldReserveBps    = 2000;
+        profitUnlockPeriod = 7 days;
+        depositCap         = type(uint256).max;
+        accountCap         = type(uint256).max;
+        lastHarvest        = block.timestamp;
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    /// @notice USDC held by the vault and not allocated to the strategy
+    function idleAssets() public view returns (uint256) {
+        return _asset.balanceOf(address(this));
+    }
+
+    /// @notice Idle USDC beyond what the protocol buckets hold — what redemptions can take without the strategy
+    function freeIdleAssets() public view returns (uint256) {
+        uint256 idle  = idleAssets();
+        uint256 owned = protocolAssets();
+        return idle > owned ? idle - owned : 0;
+    }
+
+    /// @notice Depositor equity — vault holdings minus protocol-owned buckets and locked profit
+    function totalAssets() public view virtual returns (uint256) {
+        uint256 gross = grossAssets();
+        uint256 owned = protocolAssets() + lockedProfit();
+        return gross > owned ? gross - owned : 0;
+    }
+
+    /**
+     * @notice Management fee accrued since lastFeeAccrual and not yet minted
+     * @return assets Fee value in the vault asset
+     * @return shares yUSD the treasury receives when it is minted
+     */
+    function previewFees() public view returns (uint256 assets, uint256 shares) {
+        uint256 fee = managementFeeBps;
+        uint256 elapsed = block.timestamp - lastFeeAccrual;
+        if (fee == 0 || elapsed == 0) return (0, 0);
+
+        uint256 equity = totalAssets();
+        assets = equity.mulDiv(fee * elapsed, BASIS_POINTS * SECONDS_PER_YEAR);
+        shares = _feeShares(assets, equity, totalSupply());
+    }
+
+    /// @notice Harvested profit not yet released into totalAssets()
+    function lockedProfit() public view returns (uint256) {
+        uint256 end = fullProfitUnlockDate();
+        if (block.timestamp >= end) return 0;
+        return uint256(_lockedProfit).mulDiv(end - block.timestamp, profitUnlockPeriod);
+    }
+
+    /// @notice Timestamp at which all currently locked profit is released
+    function fullProfitUnlockDate() public view returns (uint256) {
+        if (_lockedProfit == 0) return _lockedAt;
+        return uint256(_lockedAt) + profitUnlockPeriod;
+    }
+
+    /// @notice Idle USDC, plus any out on a flash loan, plus the strategy value booked at the last harvest
+    function grossAssets() public view returns (uint256) {
+        return idleAssets() + _flashLoaned + strategyDebt;
+    }
+
+    /// @notice USDC held by the vault on behalf of the protocol, not depositors
+    function protocolAssets() public view returns (uint256) {
+        return yieldReserve + regenPool + distributorPool;
+    }
+
+    /**
+     * @notice Latest reserves reported for the active strategy, in asset units.
+     *         Healthy when no feed is set, or the answer is at most
+     *         MAX_RESERVE_AGE old and covers strategyDebt.
+     */
+    function reserveStatus() public view returns (bool healthy, uint256 reserves, uint256 updatedAt) {
+        AggregatorV3Interface feed = reserveFeeds[address(strategy)];
+        if (address(feed) == address(0)) return (true, 0, 0);
+
+        int256 answer;
+        (, answer, , updatedAt, ) = feed.latestRoundData();
+        if (answer > 0) reserves = uint256(answer).mulDiv(10 ** _underlyingDecimals, 10 ** feed.decimals());
+        healthy = updatedAt + MAX_RESERVE_AGE >= block.timestamp && reserves >= strategyDebt;
+    }
+
+    // ─── Votes ────────────────────────────────────────────────────────────────
+
+    /// @notice Checkpoints are keyed by timestamp, not block number (ERC-6372)
+    function clock() public view override returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    /// @notice ERC-6372 clock description — getPastVotes / getPastTotalSupply take timestamps
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=timestamp";
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _checkPauseAdmin() internal view override {
+        _checkOwner();
+    }
+
+    /// @dev Shares worth `assets` after they are minted against `equity`, so holders are diluted by exactly `assets`
+    function _feeShares(uint256 assets, uint256 equity, uint256 supply) internal pure returns (uint256) {
+        if (assets == 0 || assets >= equity) return 0;
+        return assets.mulDiv(supply + 10 ** DECIMALS_OFFSET, equity - assets + 1, Math.Rounding.Floor);
+    }
+
+    /// @dev Mints the management fee accrued since lastFeeAccrual to the treasury
+    function _accrueManagementFee() internal {
+        (uint256 assets, uint256 shares) = previewFees();
+        if (managementFeeBps == 0) return;
+        lastFeeAccrual = uint64(block.timestamp);
+        if (shares == 0) return;
+        _mint(treasury, shares);
+        emit ManagementFeeMinted(treasury, assets, shares);
+    }
+
+    /// @dev Idle USDC that can be flash borrowed — none while deposits are paused or in shutdown
+    function _maxFlashLoan() internal view returns (uint256) {
+        if (isPaused(DEPOSITS) || emergencyShutdown) return 0;
+        return idleAssets();
+    }
+
+    function _flashFee(uint256 amount) internal view returns (uint256) {
+        return amount.mulDiv(flashFeeBps, BASIS_POINTS, Math.Rounding.Ceil);
+    }
+
+    /// @dev Reverts unless the active strategy's reserve feed is fresh and covers `booked`
+    function _checkReserves(uint256 booked) internal view {
+        if (!_reserveGated) return;
+        (, uint256 reserves, uint256 updatedAt) = reserveStatus();
+        require(updatedAt + MAX_RESERVE_AGE >= block.timestamp, "Reserve feed stale");
+        require(reserves >= booked, "Reserves below booked value");
+    }
+
+    /**
+     * @dev yUSD transfers between accounts must pass the deposit guard; mints and burns are not gated here.
+     *      A receiver that has not delegated is delegated to itself, so every balance is checkpointed.
+     */
+    function _update(address from, address to, uint256 value) internal virtual override(ERC20Upgradeable, ERC20VotesUpgradeable) {
+        if (from != address(0) && to != address(0) && address(depositGuard) != address(0)) {
+            require(depositGuard.canTransfer(from, to), "Transfer not allowed");
+        }
+        super._update(from, to, value);
+        if (to != address(0) && delegates(to) == address(0)) _delegate(to, to);
+    }
+
+    /// @dev Pulls the shortfall from the strategy when idle USDC cannot cover `assets`
+    function _ensureLiquidity(uint256 assets) internal {
+        uint256 idle = idleAssets();
+        if (idle >= assets) return;
+        require(address(strategy) != address(0), "Insufficient liquidity");
+        uint256 shortfall = assets - idle;
+        require(_pullFromStrategy(shortfall) >= shortfall, "Insufficient liquidity");
+    }
+
+    function _pullFromStrategy(uint256 amount) internal returns (uint256 withdrawn) {
+        withdrawn = strategy.withdraw(amount);
+        strategyDebt -= withdrawn > strategyDebt ? strategyDebt : withdrawn;
+    }
+
+    /// @dev Falls back to 18 decimals if the asset does not implement decimals()
+    function _tryGetAssetDecimals(IERC20 asset_) private view returns (uint8) {
+        (bool success, bytes memory encoded) = address(asset_).staticcall(
+            abi.encodeCall(IERC20Metadata.decimals, ())
+        );
+        if (success && encoded.length >= 32) {
+            uint256 returned = abi.decode(encoded, (uint256));
+            if (returned <= type(uint8).max) return uint8(returned);
+        }
+        return 18;
+    }
+}
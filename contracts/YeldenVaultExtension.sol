@@ -0,0 +1,294 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./YeldenVaultBase.sol";
+import "./YeldenVaultModule.sol";
+
+/**
+ * @title YeldenVaultExtension
+ * @notice Admin, strategy and emergency logic of YeldenVault.
+ * @dev Deployed once per asset and passed to the YeldenVault constructor;
+ *      only ever run through the vault's delegatecall stubs, against the
+ *      vault's storage. It is never initialized and so has no owner of its
+ *      own — calling it directly cannot change anything. Calls it does not
+ *      implement fall through to YeldenVaultModule the same way.
+ */
+contract YeldenVaultExtension is YeldenVaultBase {
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    /// @notice Runs the vault logic that does not fit here
+    address public immutable module;
+
+    /// @param module_ YeldenVaultModule deployed for the same asset
+    constructor(IERC20 asset_, YeldenVaultModule module_) YeldenVaultBase(asset_) {
+        require(module_.asset() == address(asset_), "Module asset mismatch");
+        module = address(module_);
+        _disableInitializers();
+    }
+
+    /// @dev Delegates to the module, which still runs against the vault's storage
+    fallback() external {
+        address target = module;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /// @notice Asset this extension was deployed for — checked by the vault constructor
+    function asset() external view returns (address) {
+        return address(_asset);
+    }
+
+    /**
+     * @notice Initializer of a YeldenVaultUpgradeable proxy — runs once, against
+     *         the proxy's storage. The immutable YeldenVault has no stub for it.
+     */
+    function initialize(string calldata _name, string calldata _symbol, address _owner) external initializer {
+        __YeldenVault_init(_name, _symbol, _owner);
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    function setDistributor(address _distributor) external onlyOwner {
+        require(_distributor != address(0), "Invalid distributor");
+        emit DistributorSet(address(distributor), _distributor);
+        distributor = IYeldenDistributor(_distributor);
+    }
+
+    function setRegistry(address _registry) external onlyOwner {
+        require(_registry != address(0), "Invalid registry");
+        emit RegistrySet(registry, _registry);
+        registry = _registry;
+    }
+
+    /// @notice Set the yUSD rate oracle checkpointed on every harvest; address(0) removes it
+    function setRateOracle(address _rateOracle) external onlyOwner {
+        emit RateOracleSet(address(rateOracle), _rateOracle);
+        rateOracle = IYeldenRateOracle(_rateOracle);
+    }
+
+    // ─── Yield Routing Governance ─────────────────────────────────────────────
+
+    /**
+     * @notice Queue new yield routing parameters. They can be applied after
+     *         PARAM_TIMELOCK; queuing again replaces the pending update.
+     * @dev base + regen + surplus = BASIS_POINTS; MAX_BASE_YIELD_BPS + MAX_REGEN_BPS
+     *      stays below it, so the bounds alone keep the surplus share positive.
+     */
+    function queueYieldParams(uint16 _baseYieldBps, uint16 _regenBps, uint16 _yieldReserveBps)
+        external onlyOwner
+    {
+        require(_baseYieldBps >= MIN_BASE_YIELD_BPS && _baseYieldBps <= MAX_BASE_YIELD_BPS, "Base yield out of bounds");
+        require(_regenBps >= MIN_REGEN_BPS && _regenBps <= MAX_REGEN_BPS, "Regen out of bounds");
+        require(_yieldReserveBps >= MIN_YIELD_RESERVE_BPS && _yieldReserveBps <= MAX_YIELD_RESERVE_BPS, "Reserve out of bounds");
+
+        uint64 eta = uint64(block.timestamp + PARAM_TIMELOCK);
+        pendingYieldParams = YieldParams(_baseYieldBps, _regenBps, _yieldReserveBps, eta);
+        emit YieldParamsQueued(_baseYieldBps, _regenBps, _yieldReserveBps, eta);
+    }
+
+    /// @notice Apply the queued yield routing parameters once the timelock has passed
+    function executeYieldParams() external onlyOwner {
+        YieldParams memory p = pendingYieldParams;
+        require(p.eta != 0, "Nothing queued");
+        require(block.timestamp >= p.eta, "Timelock not expired");
+
+        baseYieldBps    = p.baseYieldBps;
+        regenBps        = p.regenBps;
+        yieldReserveBps = p.yieldReserveBps;
+        delete pendingYieldParams;
+
+        emit YieldParamsApplied(p.baseYieldBps, p.regenBps, p.yieldReserveBps);
+    }
+
+    function cancelYieldParams() external onlyOwner {
+        YieldParams memory p = pendingYieldParams;
+        require(p.eta != 0, "Nothing queued");
+        delete pendingYieldParams;
+        emit YieldParamsCancelled(p.baseYieldBps, p.regenBps, p.yieldReserveBps);
+    }
+
+    /// @notice Set the RegenFund. Regen accrued so far is sent on the next harvest.
+    function setRegenFund(address _regenFund) external onlyOwner {
+        require(_regenFund != address(0), "Invalid regen fund");
+        emit RegenFundSet(address(regenFund), _regenFund);
+        regenFund = IRegenFund(_regenFund);
+    }
+
+    /**
+     * @notice Set the profit unlock period (0 = profit counts immediately).
+     *         Profit still locked is re-streamed over the new period from now.
+     */
+    function setProfitUnlockPeriod(uint32 period) external onlyOwner {
+        require(period <= MAX_PROFIT_UNLOCK_PERIOD, "Unlock period too long");
+        uint256 locked = period == 0 ? 0 : lockedProfit();
+        emit ProfitUnlockPeriodSet(profitUnlockPeriod, period);
+        _lockedProfit      = uint128(locked);
+        _lockedAt          = uint64(block.timestamp);
+        profitUnlockPeriod = period;
+    }
+
+    /// @notice Set the fee recipient. Fees accrued so far go to the old treasury.
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+        _accrueManagementFee();
+        emit TreasurySet(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    /// @notice Set the fees. The old management fee is accrued up to now first.
+    function setFees(uint16 _managementFeeBps, uint16 _performanceFeeBps) external onlyOwner {
+        require(_managementFeeBps <= MAX_MANAGEMENT_FEE_BPS, "Management fee too high");
+        require(_performanceFeeBps <= MAX_PERFORMANCE_FEE_BPS, "Performance fee too high");
+        require(treasury != address(0), "Treasury not set");
+        _accrueManagementFee();
+        managementFeeBps  = _managementFeeBps;
+        performanceFeeBps = _performanceFeeBps;
+        lastFeeAccrual    = uint64(block.timestamp);
+        emit FeesSet(_managementFeeBps, _performanceFeeBps);
+    }
+
+    /// @notice Set the compliance hook; address(0) removes it
+    function setDepositGuard(address _guard) external onlyOwner {
+        emit DepositGuardSet(address(depositGuard), _guard);
+        depositGuard = IDepositGuard(_guard);
+    }
+
+    /// @notice Set the global TVL cap and the per-receiver cap (type(uint256).max = uncapped)
+    function setDepositCaps(uint256 _depositCap, uint256 _accountCap) external onlyOwner {
+        depositCap = _depositCap;
+        accountCap = _accountCap;
+        emit DepositCapsSet(_depositCap, _accountCap);
+    }
+
+    function withdrawReserve(address to, uint256 amount) external onlyOwner nonReentrant {
+        require(to != address(0), "Invalid recipient");
+        require(amount <= yieldReserve, "Exceeds reserve");
+        yieldReserve -= amount;
+        _ensureLiquidity(amount);
+        _asset.safeTransfer(to, amount);
+        emit ReserveWithdrawn(to, amount);
+    }
+
+    // ─── Strategy ─────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Set the RWA strategy. The previous strategy's position is
+     *         recalled to the vault in full first, so switching never strands
+     *         funds. Its value must equal strategyDebt: pending yield is
+     *         harvested and losses reported beforehand, so neither reaches
+     *         the share price outside harvest() / reportLoss().
+     * @param _strategy IRWAProvider whose asset() is the vault asset
+     */
+    function setStrategy(address _strategy) external onlyOwner nonReentrant {
+        require(_strategy != address(0), "Invalid strategy");
+        require(IRWAProvider(_strategy).asset() == address(_asset), "Strategy asset mismatch");
+
+        uint256 recalled;
+        if (address(strategy) != address(0)) {
+            uint256 value = strategy.totalValue();
+            require(value <= strategyDebt, "Harvest before switching");
+            require(value >= strategyDebt, "Report loss before switching");
+            if (value > 0) recalled = strategy.withdraw(value);
+            require(recalled >= value, "Strategy not fully recalled");
+            strategyDebt = 0;
+        }
+
+        emit StrategySet(address(strategy), _strategy, recalled);
+        strategy = IRWAProvider(_strategy);
+        _reserveGated = address(reserveFeeds[_strategy]) != address(0);
+    }
+
+    /// @notice Move `amount` of idle USDC into the strategy
+    function allocate(uint256 amount) external onlyOwner nonReentrant {
+        require(!emergencyShutdown, "Emergency shutdown");
+        require(address(strategy) != address(0), "Strategy not set");
+        require(amount > 0, "Zero amount");
+        require(amount <= _asset.balanceOf(address(this)), "Exceeds idle");
+
+        _asset.forceApprove(address(strategy), amount);
+        strategy.deposit(amount);
+        strategyDebt += amount;
+
+        emit StrategyAllocated(address(strategy), amount, strategyDebt);
+    }
+
+    /// @notice Recall `amount` from the strategy back to idle USDC
+    function deallocate(uint256 amount) external onlyOwner nonReentrant {
+        require(address(strategy) != address(0), "Strategy not set");
+        require(amount > 0, "Zero amount");
+        require(amount <= strategyDebt, "Exceeds debt");
+        uint256 withdrawn = _pullFromStrategy(amount);
+        emit StrategyDeallocated(address(strategy), withdrawn, strategyDebt);
+    }
+
+    // ─── Proof of Reserve ─────────────────────────────────────────────────────
+
+    /// @notice Set the Proof-of-Reserve feed for `_strategy`; address(0) removes it
+    function setReserveFeed(address _strategy, address feed) external onlyOwner {
+        require(_strategy != address(0), "Invalid strategy");
+        emit ReserveFeedSet(_strategy, address(reserveFeeds[_strategy]), feed);
+        reserveFeeds[_strategy] = AggregatorV3Interface(feed);
+        if (_strategy == address(strategy)) _reserveGated = feed != address(0);
+    }
+
+    /// @notice Check the active strategy's reserves and record the result on-chain
+    function verifyReserves() external returns (bool healthy) {
+        uint256 reserves;
+        uint256 updatedAt;
+        (healthy, reserves, updatedAt) = reserveStatus();
+        emit ReservesVerified(address(strategy), reserves, strategyDebt, updatedAt, healthy);
+    }
+
+    // ─── Emergency ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Guardian or owner: enter emergency exit mode. Deposits and
+     *         harvests are paused, the strategy is unwound as far as it can
+     *         be, and holders can only redeem pro-rata from liquid assets.
+     */
+    function shutdown(string calldata reason) external nonReentrant {
+        if (msg.sender != guardian) _checkOwner();
+        require(!emergencyShutdown, "Already shut down");
+
+        emergencyShutdown = true;
+        _lockedProfit = 0;  // everyone still holding shares the streamed profit pro-rata
+        if (!isPaused(DEPOSITS)) _pause(DEPOSITS, reason);
+        if (!isPaused(HARVESTS)) _pause(HARVESTS, reason);
+
+        uint256 recalled;
+        if (address(strategy) != address(0)) {
+            uint256 value = strategy.totalValue();
+            if (value > 0) recalled = _pullFromStrategy(value);
+        }
+        emit EmergencyShutdown(msg.sender, reason, recalled);
+    }
+
+    /// @notice Owner only: leave emergency mode. Deposits and harvests stay paused until unpaused.
+    function endShutdown(string calldata reason) external onlyOwner {
+        require(emergencyShutdown, "Not shut down");
+        emergencyShutdown = false;
+        emit EmergencyShutdownEnded(msg.sender, reason);
+    }
+
+    // ─── Slash Integration ────────────────────────────────────────────────────
+
+    /**
+     * @notice Receive slashed stake from AIAgentRegistry.
+     *         USDC is already transferred — this function just accounts it.
+     *         Only callable by the registered AIAgentRegistry.
+     * @param amount Amount of slashed USDC added to yieldReserve
+     */
+    function receiveSlash(uint256 amount) external {
+        require(msg.sender == registry, "Vault: caller is not registry");
+        require(amount > 0, "Vault: zero slash amount");
+        yieldReserve += amount;
+        emit SlashReceived(amount, yieldReserve);
+    }
+}
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/IYelden.sol";
+
+/**
+ * @title YeldenVaultMigrator
+ * @notice Moves holders from an immutable YeldenVault to its upgradeable
+ *         successor (YeldenVaultUpgradeable proxy) in one transaction:
+ *         redeem old yUSD for USDC, deposit the USDC into the new vault.
+ *
+ * MIGRATION:
+ *   1. Deploy the proxy vault and point it at the same distributor,
+ *      registry, RegenFund and strategy settings.
+ *   2. Pause DEPOSITS on the old vault and recall its strategy
+ *      (setStrategy / deallocate, or shutdown) so redemptions are liquid.
+ *   3. Holders approve (or permit) the migrator for their old yUSD and call
+ *      migrate(). The owner moves yieldReserve over with withdrawReserve().
+ *
+ * @dev The new vault sees the migrator as the depositor, so the migrator
+ *      must be eligible under its deposit guard; the real caller is checked
+ *      against the same guard first.
+ */
+contract YeldenVaultMigrator is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+
+    IYeldenVault public immutable oldVault;
+    IYeldenVault public immutable newVault;
+    IERC20       public immutable asset;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    event Migrated(address indexed account, uint256 oldShares, uint256 assets, uint256 newShares);
+
+    // ─── Constructor ──────────────────────────────────────────────────────────
+
+    constructor(address _oldVault, address _newVault) {
+        require(_oldVault != address(0) && _newVault != address(0), "Migrator: invalid vault");
+        require(IYeldenVault(_oldVault).asset() == IYeldenVault(_newVault).asset(), "Migrator: asset mismatch");
+        oldVault = IYeldenVault(_oldVault);
+        newVault = IYeldenVault(_newVault);
+        asset    = IERC20(IYeldenVault(_oldVault).asset());
+    }
+
+    // ─── Migration ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Redeem `shares` of the caller's old yUSD and deposit the proceeds
+     *         into the new vault for the caller
+     * @param minNewShares Minimum new yUSD to receive (slippage limit)
+     */
+    function migrate(uint256 shares, uint256 minNewShares) public nonReentrant returns (uint256 newShares) {
+        require(shares > 0, "Migrator: zero amount");
+        IDepositGuard guard = newVault.depositGuard();
+        if (address(guard) != address(0)) {
+            require(guard.canDeposit(msg.sender, msg.sender), "Migrator: deposit not allowed");
+        }
+
+        uint256 assets = oldVault.redeem(shares, address(this), msg.sender);
+        asset.forceApprove(address(newVault), assets);
+        newShares = newVault.deposit(assets, msg.sender);
+        require(newShares >= minNewShares, "Migrator: slippage");
+
+        emit Migrated(msg.sender, shares, assets, newShares);
+    }
+
+    /// @notice migrate() with an EIP-2612 permit on the old yUSD instead of an approval
+    function migrateWithPermit(
+        uint256 shares,
+        uint256 minNewShares,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256) {
+        // A front-run permit still leaves the allowance in place — redeem checks it
+        try IERC20Permit(address(oldVault)).permit(msg.sender, address(this), shares, deadline, v, r, s) {} catch {}
+        return migrate(shares, minNewShares);
+    }
+}
@@ -0,0 +1,375 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC3156.sol";
+import "./YeldenVaultBase.sol";
+
+/**
+ * @title YeldenVaultModule
+ * @notice Harvest, keeper harvest (Chainlink Automation), ERC-3156 flash
+ *         lending, reserve funding, distributor payouts and loss reporting
+ *         of YeldenVault.
+ * @dev Second delegatecall target of the vault, for logic that no longer
+ *      fits in YeldenVaultExtension: the vault's stubs call the extension,
+ *      whose fallback delegates here, so it runs against the vault's storage.
+ *      Deployed once per asset and passed to the extension constructor. Like
+ *      the extension it is never initialized and has no owner of its own.
+ */
+contract YeldenVaultModule is YeldenVaultBase {
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    bytes32 private constant FLASH_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    constructor(IERC20 asset_) YeldenVaultBase(asset_) {
+        _disableInitializers();
+    }
+
+    /// @notice Asset this module was deployed for — checked by the extension constructor
+    function asset() external view returns (address) {
+        return address(_asset);
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    /// @notice Set the flash loan fee; it is credited to yieldReserve on every loan
+    function setFlashFee(uint16 _flashFeeBps) external onlyOwner {
+        require(_flashFeeBps <= MAX_FLASH_FEE_BPS, "Flash fee too high");
+        emit FlashFeeSet(flashFeeBps, _flashFeeBps);
+        flashFeeBps = _flashFeeBps;
+    }
+
+    // ─── Reserve ──────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Pay `amount` of the caller's USDC into yieldReserve — e.g.
+     *         YeldenLock early-exit penalties. Open to anyone: the caller
+     *         funds it, and the share price does not move.
+     */
+    function fundReserve(uint256 amount) external nonReentrant {
+        require(amount > 0, "Zero amount");
+        _asset.safeTransferFrom(msg.sender, address(this), amount);
+        yieldReserve += amount;
+        emit ReserveFunded(msg.sender, amount);
+    }
+
+    // ─── Distributor ──────────────────────────────────────────────────────────
+
+    /**
+     * @notice Pay `amount` of distributorPool to `to` in USDC. Called by
+     *         YeldenDistributor when a claim or release is made against the
+     *         surplus it was credited with.
+     */
+    function releaseDistribution(address to, uint256 amount) external nonReentrant {
+        require(msg.sender == address(distributor), "Only distributor");
+        require(to != address(0), "Invalid recipient");
+        require(amount <= distributorPool, "Exceeds distributor pool");
+        distributorPool -= amount;
+        _ensureLiquidity(amount);
+        _asset.safeTransfer(to, amount);
+        emit DistributionReleased(to, amount);
+    }
+
+    // ─── Losses ───────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Write `amount` off the active strategy after a default. The loss
+     *         is absorbed by yieldReserve first, then by the undistributed
+     *         distributor and regen pools, and only the rest by depositor
+     *         equity — the share price. Each step emits its own event.
+     * @dev Pauses DEPOSITS if they are not already paused; they stay paused
+     *      until the owner unpauses them, so nobody can buy in around the
+     *      write-down. The loss must already show in strategy.totalValue(),
+     *      so a later recovery is booked by harvest() as yield.
+     * @param _strategy Must be the active strategy
+     * @param amount    Loss in asset units, at most strategyDebt − totalValue()
+     */
+    function reportLoss(address _strategy, uint256 amount) external onlyOwner nonReentrant {
+        require(_strategy != address(0) && _strategy == address(strategy), "Not active strategy");
+        require(amount > 0, "Zero amount");
+        uint256 value = strategy.totalValue();
+        require(value < strategyDebt && amount <= strategyDebt - value, "Exceeds strategy shortfall");
+
+        if (!isPaused(DEPOSITS)) _pause(DEPOSITS, "Loss reported");
+        _accrueManagementFee();  // charge the fee on equity before the write-down
+        strategyDebt -= amount;
+        emit LossReported(_strategy, amount, strategyDebt);
+
+        uint256 remaining = amount;
+        uint256 fromReserve = remaining.min(yieldReserve);
+        if (fromReserve > 0) {
+            yieldReserve -= fromReserve;
+            remaining    -= fromReserve;
+            emit LossAbsorbedByReserve(fromReserve, yieldReserve);
+        }
+
+        uint256 fromDistributor = remaining.min(distributorPool);
+        uint256 fromRegen       = (remaining - fromDistributor).min(regenPool);
+        if (fromDistributor + fromRegen > 0) {
+            distributorPool -= fromDistributor;
+            regenPool       -= fromRegen;
+            remaining       -= fromDistributor + fromRegen;
+            emit LossAbsorbedByPools(fromDistributor, fromRegen);
+        }
+        // The distributor's pools are claims on distributorPool — shrink them with it
+        if (fromDistributor > 0) distributor.absorbLoss(fromDistributor);
+
+        if (remaining > 0) emit LossSocialized(remaining, totalAssets());
+        if (address(rateOracle) != address(0)) rateOracle.checkpoint();
+    }
+
+    // ─── Flash Loans ──────────────────────────────────────────────────────────
+
+    /**
+     * @notice ERC-3156 flash loan of idle USDC. `receiver` must approve the
+     *         vault for amount + fee before onFlashLoan returns; the vault pulls
+     *         it back in the same transaction and credits the fee to yieldReserve.
+     * @dev nonReentrant: the borrower cannot deposit, withdraw, redeem or
+     *      harvest during the loan, and no loan can start inside a harvest.
+     *      The amount out is still counted in grossAssets(), so the share
+     *      price does not move for anyone reading it mid-loan.
+     */
+    function flashLoan(IERC3156FlashBorrower receiver, address token, uint256 amount, bytes calldata data)
+        external nonReentrant returns (bool)
+    {
+        require(token == address(_asset), "Unsupported token");
+        require(amount > 0, "Zero amount");
+        require(amount <= _maxFlashLoan(), "Exceeds max flash loan");
+        uint256 fee = _flashFee(amount);
+
+        _flashLoaned = amount;
+        _asset.safeTransfer(address(receiver), amount);
+        require(
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) == FLASH_CALLBACK_SUCCESS,
+            "Flash loan callback failed"
+        );
+        _asset.safeTransferFrom(address(receiver), address(this), amount + fee);
+        _flashLoaned = 0;
+        yieldReserve += fee;
+
+        emit FlashLoan(address(receiver), msg.sender, amount, fee);
+        return true;
+    }
+
+    // ─── Yield Harvest ────────────────────────────────────────────────────────
+
+    /**
+     * @notice Harvest real RWA yield from the strategy.
+     *         Gross yield is the growth of strategy.totalValue() over the
+     *         booked strategyDebt; the profit stays invested and is booked
+     *         into strategyDebt before being split across the protocol.
+     *         Only the base share accrues to depositors; the regen, reserve
+     *         and distributor shares are booked into protocol buckets.
+     *
+     *         BEAR MODE: each harvest records the annualized rate realized on
+     *         depositor equity. Below baseYieldBps the vault enters bear mode
+     *         and stays there until the rate recovers to baseYieldBps +
+     *         BEAR_HYSTERESIS_BPS. While in bear mode the whole surplus goes
+     *         to yieldReserve and the reserve tops the base share up to what
+     *         it would have been had the strategy yielded baseYieldBps.
+     */
+    function harvest() external onlyOwner nonReentrant whenNotPaused(HARVESTS) {
+        _harvest(address(0));
+    }
+
+    // ─── Keeper Harvest ───────────────────────────────────────────────────────
+
+    /**
+     * @notice Set the rules for permissionless harvests through performUpkeep().
+     * @param interval  Minimum time since lastHarvest — 0 disables keeper harvests
+     * @param minProfit Minimum gross yield a keeper harvest must book, in asset units
+     * @param bountyBps Keeper bounty in bps of the gross yield, at most MAX_KEEPER_BOUNTY_BPS
+     * @param maxBounty Cap on the bounty, in asset units
+     */
+    function setKeeperParams(uint32 interval, uint96 minProfit, uint16 bountyBps, uint96 maxBounty)
+        external onlyOwner
+    {
+        require(interval == 0 || interval >= MIN_HARVEST_INTERVAL, "Harvest interval too short");
+        require(bountyBps <= MAX_KEEPER_BOUNTY_BPS, "Keeper bounty too high");
+        harvestInterval  = interval;
+        minHarvestProfit = minProfit;
+        keeperBountyBps  = bountyBps;
+        maxKeeperBounty  = maxBounty;
+        emit KeeperParamsSet(interval, minProfit, bountyBps, maxBounty);
+    }
+
+    /**
+     * @notice Chainlink Automation check — true once performUpkeep() would harvest.
+     * @dev A view here; the vault's stub is not, since it delegatecalls.
+     *      performData is the yield expected at check time, for logs only —
+     *      performUpkeep() checks everything again.
+     */
+    function checkUpkeep(bytes calldata) external view returns (bool upkeepNeeded, bytes memory performData) {
+        if (!_keeperHarvestOpen()) return (false, "");
+
+        uint256 value = strategy.totalValue();
+        if (value <= strategyDebt) return (false, "");
+        uint256 pending = value - strategyDebt;
+        upkeepNeeded = pending >= minHarvestProfit;
+
+        if (_reserveGated) {
+            (, uint256 reserves, uint256 updatedAt) = reserveStatus();
+            upkeepNeeded = upkeepNeeded && updatedAt + MAX_RESERVE_AGE >= block.timestamp && reserves >= value;
+        }
+        performData = abi.encode(pending);
+    }
+
+    /**
+     * @notice Harvest as anyone once harvestInterval has passed since
+     *         lastHarvest, for a bounty of keeperBountyBps of the gross yield
+     *         (at most maxKeeperBounty), paid in USDC to the caller. Harvests
+     *         booking less than minHarvestProfit revert, so nobody can grief
+     *         the profit stream and bear mode rate with tiny harvests.
+     */
+    function performUpkeep(bytes calldata) external nonReentrant whenNotPaused(HARVESTS) {
+        require(harvestInterval != 0, "Keeper harvest disabled");
+        require(block.timestamp >= lastHarvest + harvestInterval, "Harvest interval not elapsed");
+        _harvest(msg.sender);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    /// @dev The harvest itself; `keeper` is address(0) for the owner, who gets no bounty
+    function _harvest(address keeper) internal {
+        require(address(distributor) != address(0), "Distributor not set");
+        require(address(strategy) != address(0), "Strategy not set");
+
+        _accrueManagementFee();
+        strategy.harvest();
+        uint256 value = strategy.totalValue();
+        require(value > strategyDebt, "Zero yield");
+
+        uint256 grossYield = value - strategyDebt;
+        uint256 bounty;
+        if (keeper != address(0)) {
+            require(grossYield >= minHarvestProfit, "Yield below minimum");
+            bounty = grossYield.mulDiv(keeperBountyBps, BASIS_POINTS);
+            if (bounty > maxKeeperBounty) bounty = maxKeeperBounty;
+            grossYield -= bounty;
+        }
+        uint256 equity     = totalAssets();
+        uint256 elapsed    = block.timestamp - lastHarvest;
+        _checkReserves(value);  // only book yield the reserves attest to
+        strategyDebt = value;
+
+        uint256 base    = (grossYield * baseYieldBps) / BASIS_POINTS;
+        uint256 regen   = (grossYield * regenBps)     / BASIS_POINTS;
+        uint256 surplus = grossYield - base - regen;
+
+        _updateBearMode(grossYield + bounty, equity, elapsed);  // the strategy's yield, whoever harvests it
+
+        uint256 toReserve;
+        uint256 toDistributor;
+        if (bearMode) {
+            toReserve = surplus;
+        } else {
+            toReserve     = (surplus * yieldReserveBps) / BASIS_POINTS;
+            toDistributor = surplus - toReserve;
+        }
+
+        yieldReserve    += toReserve;
+        regenPool       += regen;
+        distributorPool += toDistributor;
+        if (toDistributor > 0) distributor.distribute(toDistributor);
+        if (address(regenFund) != address(0)) _sendRegen();
+
+        uint256 profit = base;
+        if (bearMode) profit += _topUpBase(base, equity, elapsed);
+        _lockProfit(profit);
+        _mintPerformanceFee(base);
+
+        if (keeper != address(0)) {
+            if (bounty > 0) {
+                _ensureLiquidity(bounty);
+                _asset.safeTransfer(keeper, bounty);
+            }
+            emit KeeperHarvest(keeper, grossYield + bounty, bounty);
+        }
+
+        emit Harvest(grossYield, base, regen, toReserve, toDistributor);
+        lastHarvest = block.timestamp;
+        if (address(rateOracle) != address(0)) rateOracle.checkpoint();
+    }
+
+    /// @dev Keeper harvests are enabled, unpaused, possible and due
+    function _keeperHarvestOpen() internal view returns (bool) {
+        return harvestInterval != 0
+            && !isPaused(HARVESTS)
+            && address(distributor) != address(0)
+            && address(strategy) != address(0)
+            && block.timestamp >= lastHarvest + harvestInterval;
+    }
+
+    /// @dev Records the realized rate and moves the bear mode state machine
+    function _updateBearMode(uint256 grossYield, uint256 equity, uint256 elapsed) internal {
+        if (equity == 0 || elapsed == 0) return;
+
+        uint256 rate = grossYield.mulDiv(SECONDS_PER_YEAR * BASIS_POINTS, equity * elapsed);
+        if (rate > type(uint32).max) rate = type(uint32).max;
+        lastYieldRateBps = uint32(rate);
+        emit YieldRateRecorded(rate, elapsed);
+
+        if (!bearMode && rate < baseYieldBps) {
+            bearMode = true;
+            emit BearModeEntered(rate);
+        } else if (bearMode && rate >= baseYieldBps + BEAR_HYSTERESIS_BPS) {
+            bearMode = false;
+            emit BearModeExited(rate);
+        }
+    }
+
+    /// @dev Releases reserve into depositor equity up to the base share at the target rate
+    function _topUpBase(uint256 base, uint256 equity, uint256 elapsed) internal returns (uint256 topUp) {
+        uint256 targetGross = equity.mulDiv(baseYieldBps * elapsed, BASIS_POINTS * SECONDS_PER_YEAR);
+        uint256 targetBase  = (targetGross * baseYieldBps) / BASIS_POINTS;
+        if (targetBase <= base) return 0;
+
+        topUp = targetBase - base;
+        if (topUp > yieldReserve) topUp = yieldReserve;
+        if (topUp == 0) return 0;
+
+        yieldReserve -= topUp;
+        emit ReserveTopUp(topUp, yieldReserve);
+    }
+
+    /// @dev Adds `profit` to the still-locked remainder and restarts the unlock from now
+    function _lockProfit(uint256 profit) internal {
+        uint256 period = profitUnlockPeriod;
+        if (period == 0 || profit == 0) return;
+
+        uint256 locked = lockedProfit() + profit;
+        _lockedProfit = uint128(locked);
+        _lockedAt     = uint64(block.timestamp);
+        emit ProfitLocked(profit, locked, block.timestamp + period);
+    }
+
+    /// @dev Takes performanceFeeBps of the base yield; priced as if the locked profit were already released
+    function _mintPerformanceFee(uint256 base) internal {
+        uint256 assets = (base * performanceFeeBps) / BASIS_POINTS;
+        if (assets == 0) return;
+        uint256 shares = _feeShares(assets, totalAssets() + lockedProfit(), totalSupply());
+        if (shares == 0) return;
+        _mint(treasury, shares);
+        emit PerformanceFeeMinted(treasury, assets, shares);
+    }
+
+    /**
+     * @dev Pays the whole regenPool out to regenFund in USDC. When the strategy
+     *      cannot release enough yet (e.g. a T+1 withdrawal limit), regenPool
+     *      stays booked for a later harvest instead of reverting this one.
+     */
+    function _sendRegen() internal {
+        uint256 amount = regenPool;
+        if (amount == 0) return;
+        uint256 idle = idleAssets();
+        if (idle < amount) idle += _pullFromStrategy(amount - idle);
+        if (idle < amount) {
+            emit RegenDeferred(amount, idle);
+            return;
+        }
+        regenPool = 0;
+        _asset.safeTransfer(address(regenFund), amount);
+        regenFund.receiveRegen(amount);
+        emit RegenSent(address(regenFund), amount);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "./YeldenVault.sol";
+import "./utils/TimelockedUUPSUpgradeable.sol";
+
+/**
+ * @title YeldenVaultUpgradeable
+ * @notice YeldenVault behind an ERC1967 (UUPS) proxy: same code and storage
+ *         layout, initialized instead of constructed. Upgrades are queued by
+ *         the owner and can only run after UPGRADE_TIMELOCK.
+ * @dev The asset and the extension are immutables of the implementation, so
+ *      every implementation is deployed for one asset and must keep both.
+ *      Deploy the proxy as ERC1967Proxy(implementation, initialize calldata).
+ *      YeldenVaultMigrator moves holders over from an immutable YeldenVault.
+ */
+contract YeldenVaultUpgradeable is YeldenVault, TimelockedUUPSUpgradeable {
+
+    /// @dev YeldenVault's constructor initializes the implementation's own
+    ///      storage, which the proxy never reads; it is then locked for good.
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(IERC20 asset_, YeldenVaultExtension extension_) YeldenVault(asset_, "", "", extension_) {
+        _disableInitializers();
+    }
+
+    /// @dev initialize(name, symbol, owner) runs in the extension, like the admin entry points
+    function initialize(string calldata, string calldata, address) external { _delegate(); }
+
+    function _checkUpgradeAdmin() internal view override {
+        _checkOwner();
+    }
+}
@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./utils/GuardianPausable.sol";
+
 // ─────────────────────────────────────────────────────────────────────────────
 // IGroth16Verifier — interface do contrato gerado pelo snarkjs
 // Groth16Verifier.sol em contracts/zk/Groth16Verifier.sol
@@ -23,7 +26,7 @@ interface IGroth16Verifier {
 //   input[2] = nullifierHash  (Poseidon(score, salt, 1) — evita double-claim)
 //   input[3] = commitmentHash (Poseidon(score, salt) — garante consistência)
 // ─────────────────────────────────────────────────────────────────────────────
-contract ZKVerifier {
+contract ZKVerifier is Ownable, GuardianPausable {
 
     // ── Estado ───────────────────────────────────────────────────────────────
     IGroth16Verifier public immutable verifier;
@@ -46,7 +49,7 @@ contract ZKVerifier {
     error OnlyDistributor();
 
     // ── Constructor ──────────────────────────────────────────────────────────
-    constructor(address _verifier, address _distributor) {
+    constructor(address _verifier, address _distributor) Ownable(msg.sender) {
         verifier    = IGroth16Verifier(_verifier);
         distributor = _distributor;
     }
@@ -77,7 +80,7 @@ contract ZKVerifier {
         uint[2][2] memory b,
         uint[2]    memory c,
         uint[4]    memory input
-    ) external {
+    ) external whenNotPaused(CLAIMS) {
         // input[0] = valid — o circuito prova que score >= threshold
         if (input[0] != 1) revert ScoreBelowThreshold();
 
@@ -119,4 +122,11 @@ contract ZKVerifier {
     function isNullifierUsed(uint256 nullifierHash) external view returns (bool) {
         return usedNullifiers[nullifierHash];
     }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // _checkPauseAdmin — só o owner (DAO) despausa ou troca o guardian
+    // ─────────────────────────────────────────────────────────────────────────
+    function _checkPauseAdmin() internal view override {
+        _checkOwner();
+    }
 }
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice Chainlink Automation upkeep interface
+interface AutomationCompatibleInterface {
+    /// @dev Simulated off-chain by the Automation nodes; not a view so it may use non-view calls
+    function checkUpkeep(bytes calldata checkData) external returns (bool upkeepNeeded, bytes memory performData);
+
+    function performUpkeep(bytes calldata performData) external;
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IDepositGuard
+ * @notice Compliance hook consulted by YeldenVault before minting yUSD on
+ *         deposit and before moving yUSD between accounts. Implementations
+ *         decide who may hold RWA exposure (allowlists, sanctions lists,
+ *         jurisdiction flags, ...).
+ * @dev Redemptions are never gated — holders can always exit.
+ */
+interface IDepositGuard {
+    /// @notice Whether `caller` may deposit and mint yUSD to `receiver`
+    function canDeposit(address caller, address receiver) external view returns (bool);
+
+    /// @notice Whether yUSD may be transferred from `from` to `to`
+    function canTransfer(address from, address to) external view returns (bool);
+}
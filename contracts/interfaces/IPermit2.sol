@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPermit2
+ * @notice The SignatureTransfer subset of Uniswap's Permit2 used by YeldenVault.
+ *         The owner approves Permit2 once per token and then signs a one-off
+ *         PermitTransferFrom for each deposit — no per-vault approval.
+ * @dev Permit2 is deployed at the same address on every supported chain.
+ */
+interface IPermit2 {
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    /// @notice Signed by the owner; the spender is the caller of permitTransferFrom
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;              // unordered — any unused nonce is valid
+        uint256 deadline;
+    }
+
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;    // at most permitted.amount
+    }
+
+    /// @notice Transfer `requestedAmount` of the permitted token from `owner` using a signed permit
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRWAProvider
+ * @notice Strategy interface between YeldenVault and a Real World Asset position
+ *         (tokenized T-bills, private credit, ...). The vault allocates idle USDC
+ *         into a provider and measures yield as the growth of totalValue().
+ * @dev All amounts are denominated in the vault asset (USDC).
+ *      Providers must only accept calls from their vault.
+ */
+interface IRWAProvider {
+    /// @notice Underlying asset accepted by the provider — must equal the vault asset
+    function asset() external view returns (address);
+
+    /// @notice Pull `assets` from the vault and invest them in the RWA position
+    function deposit(uint256 assets) external;
+
+    /// @notice Unwind up to `assets` and send them to the vault
+    /// @return withdrawn Assets actually transferred to the vault
+    function withdraw(uint256 assets) external returns (uint256 withdrawn);
+
+    /// @notice Current value of the vault position, in asset units
+    function totalValue() external view returns (uint256);
+
+    /// @notice Realize pending income (coupons, rewards) into the position
+    /// @return profit Value gained since the previous harvest
+    function harvest() external returns (uint256 profit);
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISwapAdapter
+ * @notice Pluggable DEX integration used by YeldenRouter (Uniswap, Curve, 1inch, ...).
+ * @dev The adapter pulls `amountIn` of `tokenIn` from the caller (which must
+ *      have approved it), swaps and sends at least `minAmountOut` of
+ *      `tokenOut` to `recipient`, reverting otherwise.
+ */
+interface ISwapAdapter {
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address recipient
+    ) external returns (uint256 amountOut);
+}
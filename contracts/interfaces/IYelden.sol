@@ -1,15 +1,26 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-interface IYeldenVault {
-    function deposit(uint256 assets, address receiver) external returns (uint256 shares);
-    function withdraw(uint256 assets, address receiver, address owner) external returns (uint256 shares);
-    function totalAssets() external view returns (uint256);
-    function convertToShares(uint256 assets) external view returns (uint256);
-    function convertToAssets(uint256 shares) external view returns (uint256);
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "./IDepositGuard.sol";
+
+interface IYeldenVault is IERC4626 {
+    function yieldReserve() external view returns (uint256);
+    function regenPool() external view returns (uint256);
+    function distributorPool() external view returns (uint256);
+    function protocolAssets() external view returns (uint256);
+    function grossAssets() external view returns (uint256);
+    function lastHarvest() external view returns (uint256);
+    function lockedProfit() external view returns (uint256);
+    function fullProfitUnlockDate() external view returns (uint256);
+    function idleAssets() external view returns (uint256);
+    function freeIdleAssets() external view returns (uint256);
+    function depositGuard() external view returns (IDepositGuard);
+    function fundReserve(uint256 amount) external;
 }
 
 interface IYeldenDistributor {
     function distribute(uint256 surplus) external;
+    function absorbLoss(uint256 amount) external;
     function claimZKBonus(uint256 amount, uint256 category) external;
-}
\ No newline at end of file
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IYeldenMessenger
+ * @notice Pluggable cross-chain messaging used by the yUSD bridge (CCIP,
+ *         LayerZero, Hyperlane, a canonical rollup bridge, ...).
+ * @dev Chain ids are EVM chain ids; the messenger maps them to its own
+ *      domain ids. It must deliver each payload to `receiver` on
+ *      `dstChainId` by calling IYeldenMessageReceiver.receiveMessage with the
+ *      original sender. Delivery may be delayed, reordered or repeated — the
+ *      receiver handles replays and ordering itself.
+ */
+interface IYeldenMessenger {
+    /// @notice Native fee for sending `payload` to `dstChainId`
+    function quote(uint256 dstChainId, bytes calldata payload) external view returns (uint256 fee);
+
+    function sendMessage(uint256 dstChainId, address receiver, bytes calldata payload)
+        external payable returns (bytes32 messageId);
+}
+
+interface IYeldenMessageReceiver {
+    function receiveMessage(uint256 srcChainId, address sender, bytes calldata payload) external;
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/AutomationCompatibleInterface.sol";
+
+/**
+ * @dev Chainlink Automation registry stand-in for tests. runUpkeep() does
+ *      what an Automation node does each block: checkUpkeep(), then
+ *      performUpkeep() with the returned performData when it says so. Like the
+ *      real registry, a reverting perform is recorded rather than bubbled up.
+ */
+contract MockAutomationRegistry {
+    struct Upkeep {
+        address target;
+        bytes   checkData;
+    }
+
+    Upkeep[] public upkeeps;
+
+    event UpkeepRegistered(uint256 indexed id, address indexed target);
+    event UpkeepPerformed(uint256 indexed id, bool success, bytes performData);
+
+    function registerUpkeep(address target, bytes calldata checkData) external returns (uint256 id) {
+        id = upkeeps.length;
+        upkeeps.push(Upkeep(target, checkData));
+        emit UpkeepRegistered(id, target);
+    }
+
+    function checkUpkeep(uint256 id) public returns (bool upkeepNeeded, bytes memory performData) {
+        Upkeep memory u = upkeeps[id];
+        return AutomationCompatibleInterface(u.target).checkUpkeep(u.checkData);
+    }
+
+    /// @notice One node round: perform `id` if its check says so — returns whether it was performed
+    function runUpkeep(uint256 id) external returns (bool performed) {
+        (bool upkeepNeeded, bytes memory performData) = checkUpkeep(id);
+        if (!upkeepNeeded) return false;
+
+        try AutomationCompatibleInterface(upkeeps[id].target).performUpkeep(performData) {
+            performed = true;
+        } catch {}
+        emit UpkeepPerformed(id, performed, performData);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../YeldenDistributorUpgradeable.sol";
+
+/**
+ * @dev Second implementation for upgrade tests: appends one variable after
+ *      the existing layout and adds a function.
+ */
+contract MockDistributorV2 is YeldenDistributorUpgradeable {
+    uint256 public newValue;
+
+    function setNewValue(uint256 _value) external onlyOwner {
+        newValue = _value;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
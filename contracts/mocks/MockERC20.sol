@@ -2,11 +2,16 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract MockERC20 is ERC20 {
+/// @dev Mintable test token with EIP-2612 permit (like USDC)
+contract MockERC20 is ERC20, ERC20Permit {
     uint8 private _decimals;
 
-    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) {
+    constructor(string memory name_, string memory symbol_, uint8 decimals_)
+        ERC20(name_, symbol_)
+        ERC20Permit(name_)
+    {
         _decimals = decimals_;
     }
 
@@ -17,4 +22,4 @@ contract MockERC20 is ERC20 {
     function decimals() public view virtual override returns (uint8) {
         return _decimals;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC3156.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @dev ERC-3156 borrower for tests. Repays honestly by default; other modes
+ *      skip the approval, return the wrong value or try to re-enter the vault
+ *      from the callback. checkpoint() lets it stand in for the rate oracle
+ *      and attempt a loan in the middle of a harvest.
+ */
+contract MockFlashBorrower is IERC3156FlashBorrower {
+    enum Mode { Repay, NoApproval, WrongReturn, Deposit, Redeem, FlashLoan }
+
+    IERC3156FlashLender public immutable lender;
+    Mode public mode;
+
+    // What the borrower saw inside the callback
+    uint256 public seenBalance;
+    uint256 public seenTotalAssets;
+    uint256 public seenFee;
+
+    constructor(IERC3156FlashLender _lender) {
+        lender = _lender;
+    }
+
+    function setMode(Mode _mode) external {
+        mode = _mode;
+    }
+
+    function borrow(address token, uint256 amount) external {
+        lender.flashLoan(this, token, amount, "");
+    }
+
+    function onFlashLoan(address, address token, uint256 amount, uint256 fee, bytes calldata)
+        external returns (bytes32)
+    {
+        require(msg.sender == address(lender), "MockFlashBorrower: untrusted lender");
+        seenBalance     = IERC20(token).balanceOf(address(this));
+        seenTotalAssets = IERC4626(address(lender)).totalAssets();
+        seenFee         = fee;
+
+        if (mode == Mode.Deposit) {
+            IERC20(token).approve(address(lender), amount);
+            IERC4626(address(lender)).deposit(amount, address(this));
+        } else if (mode == Mode.Redeem) {
+            IERC4626(address(lender)).redeem(1, address(this), address(this));
+        } else if (mode == Mode.FlashLoan) {
+            lender.flashLoan(this, token, 1, "");
+        } else if (mode == Mode.WrongReturn) {
+            return bytes32(0);
+        }
+
+        if (mode != Mode.NoApproval) IERC20(token).approve(address(lender), amount + fee);
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+
+    /// @dev Called by the vault at the end of harvest() when set as its rate oracle
+    function checkpoint() external {
+        lender.flashLoan(this, IERC4626(address(lender)).asset(), 1, "");
+    }
+}
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IYeldenMessenger.sol";
+
+/**
+ * @dev One instance per simulated chain. Messages queue on the source
+ *      messenger until a test relays them through the destination one —
+ *      in any order, and as often as it likes (replay tests).
+ */
+contract MockMessenger is IYeldenMessenger {
+    struct Message {
+        uint256 dstChainId;
+        address sender;
+        address receiver;
+        bytes   payload;
+    }
+
+    uint256 public immutable chainId;
+    uint256 public fee;
+    Message[] public messages;
+
+    event MessageSent(uint256 indexed id, uint256 indexed dstChainId, address sender, address receiver);
+
+    constructor(uint256 _chainId) {
+        chainId = _chainId;
+    }
+
+    function setFee(uint256 _fee) external {
+        fee = _fee;
+    }
+
+    function quote(uint256, bytes calldata) external view returns (uint256) {
+        return fee;
+    }
+
+    function sendMessage(uint256 dstChainId, address receiver, bytes calldata payload)
+        external payable returns (bytes32)
+    {
+        require(msg.value >= fee, "MockMessenger: fee");
+        messages.push(Message(dstChainId, msg.sender, receiver, payload));
+        emit MessageSent(messages.length - 1, dstChainId, msg.sender, receiver);
+        return bytes32(messages.length - 1);
+    }
+
+    function messageCount() external view returns (uint256) {
+        return messages.length;
+    }
+
+    /// @notice Deliver message `id` queued on `source` to its receiver on this chain
+    function relay(MockMessenger source, uint256 id) external {
+        (uint256 dstChainId, address sender, address receiver, bytes memory payload) = source.messages(id);
+        require(dstChainId == chainId, "MockMessenger: wrong chain");
+        IYeldenMessageReceiver(receiver).receiveMessage(source.chainId(), sender, payload);
+    }
+}
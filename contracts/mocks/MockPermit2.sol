@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../interfaces/IPermit2.sol";
+
+/**
+ * @dev Local stand-in for Permit2's SignatureTransfer: same EIP-712 types,
+ *      unordered nonces and deadline checks. The domain separator is computed
+ *      on every call, so the code can be placed at the canonical Permit2
+ *      address with hardhat_setCode.
+ */
+contract MockPermit2 is IPermit2 {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _TOKEN_PERMISSIONS_TYPEHASH =
+        keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant _PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)"
+        "TokenPermissions(address token,uint256 amount)"
+    );
+
+    mapping(address => mapping(uint256 => bool)) public nonceUsed;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(_DOMAIN_TYPEHASH, keccak256("Permit2"), block.chainid, address(this)));
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= permit.deadline, "Permit2: expired");
+        require(transferDetails.requestedAmount <= permit.permitted.amount, "Permit2: invalid amount");
+        require(!nonceUsed[owner][permit.nonce], "Permit2: nonce used");
+        nonceUsed[owner][permit.nonce] = true;
+
+        bytes32 structHash = keccak256(abi.encode(
+            _PERMIT_TRANSFER_FROM_TYPEHASH,
+            keccak256(abi.encode(_TOKEN_PERMISSIONS_TYPEHASH, permit.permitted.token, permit.permitted.amount)),
+            msg.sender,
+            permit.nonce,
+            permit.deadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(ECDSA.recover(digest, signature) == owner, "Permit2: invalid signature");
+
+        IERC20(permit.permitted.token).safeTransferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+    }
+}
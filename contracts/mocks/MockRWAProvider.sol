@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IRWAProvider.sol";
+
+/**
+ * @title MockRWAProvider
+ * @notice Local OUSG-like RWA position for Hardhat tests.
+ *         The vault receives mOUSG units on deposit; the NAV per unit rises as
+ *         yield is paid in with accrueYield(), like a tokenized T-bill fund.
+ */
+contract MockRWAProvider is ERC20, IRWAProvider {
+    using SafeERC20 for IERC20;
+
+    IERC20  public immutable usdc;
+    address public immutable vault;
+
+    /// @notice Value booked at the last harvest, net of deposits and withdrawals
+    uint256 public principal;
+    /// @notice Most USDC a single withdraw() pays out — models a T+1 redemption
+    uint256 public withdrawLimit = type(uint256).max;
+
+    event YieldAccrued(uint256 amount, uint256 pricePerUnit);
+    event LossSimulated(uint256 amount, uint256 pricePerUnit);
+
+    constructor(address _usdc, address _vault) ERC20("Mock OUSG", "mOUSG") {
+        usdc  = IERC20(_usdc);
+        vault = _vault;
+    }
+
+    modifier onlyVault() {
+        require(msg.sender == vault, "Only vault");
+        _;
+    }
+
+    function asset() external view returns (address) {
+        return address(usdc);
+    }
+
+    function deposit(uint256 assets) external onlyVault {
+        uint256 supply = totalSupply();
+        uint256 value  = totalValue();
+        uint256 units  = (supply == 0 || value == 0) ? assets * 1e12 : (assets * supply) / value;
+        usdc.safeTransferFrom(msg.sender, address(this), assets);
+        principal += assets;
+        _mint(msg.sender, units);
+    }
+
+    function withdraw(uint256 assets) external onlyVault returns (uint256 withdrawn) {
+        uint256 value = totalValue();
+        withdrawn = assets > value ? value : assets;
+        if (withdrawn > withdrawLimit) withdrawn = withdrawLimit;
+        if (withdrawn == 0) return 0;
+        uint256 supply = totalSupply();
+        if (supply > 0) {
+            uint256 units = (withdrawn * supply + value - 1) / value;
+            _burn(msg.sender, units > balanceOf(msg.sender) ? balanceOf(msg.sender) : units);
+        }
+        principal = withdrawn > principal ? 0 : principal - withdrawn;
+        usdc.safeTransfer(msg.sender, withdrawn);
+    }
+
+    function totalValue() public view returns (uint256) {
+        return usdc.balanceOf(address(this));
+    }
+
+    function harvest() external onlyVault returns (uint256 profit) {
+        uint256 value = totalValue();
+        profit = value > principal ? value - principal : 0;
+        principal = value;
+    }
+
+    /// @notice NAV per 1e18 units, in USDC
+    function pricePerUnit() public view returns (uint256) {
+        uint256 supply = totalSupply();
+        if (supply == 0) return 1e6;
+        return (totalValue() * 1e18) / supply;
+    }
+
+    /// @notice Test helper — pay `amount` USDC of T-bill interest into the fund
+    function accrueYield(uint256 amount) external {
+        usdc.safeTransferFrom(msg.sender, address(this), amount);
+        emit YieldAccrued(amount, pricePerUnit());
+    }
+
+    /// @notice Test helper — cap what one withdraw() can pay out
+    function setWithdrawLimit(uint256 limit) external {
+        withdrawLimit = limit;
+    }
+
+    /// @notice Test helper — an issuer default wipes out `amount` USDC of the fund
+    function simulateLoss(uint256 amount) external {
+        usdc.safeTransfer(address(0xdead), amount);
+        emit LossSimulated(amount, pricePerUnit());
+    }
+}
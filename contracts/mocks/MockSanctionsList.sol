@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockSanctionsList
+ * @notice Local stand-in for the Chainalysis on-chain sanctions oracle.
+ */
+contract MockSanctionsList {
+    mapping(address => bool) public isSanctioned;
+
+    function setSanctioned(address account, bool sanctioned) external {
+        isSanctioned[account] = sanctioned;
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/ISwapAdapter.sol";
+
+/**
+ * @dev Fixed-rate DEX for tests. Rates are whole `tokenOut` per whole `tokenIn`
+ *      scaled by 1e18, so decimals are handled here. The adapter pays out of
+ *      its own balance — mint liquidity to it before swapping.
+ */
+contract MockSwapAdapter is ISwapAdapter {
+    using SafeERC20 for IERC20;
+
+    mapping(address => mapping(address => uint256)) public rate;
+
+    function setRate(address tokenIn, address tokenOut, uint256 _rate) external {
+        rate[tokenIn][tokenOut] = _rate;
+    }
+
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address recipient
+    ) external returns (uint256 amountOut) {
+        uint256 r = rate[tokenIn][tokenOut];
+        require(r > 0, "MockSwap: no pool");
+
+        uint8 decIn  = IERC20Metadata(tokenIn).decimals();
+        uint8 decOut = IERC20Metadata(tokenOut).decimals();
+        amountOut = (amountIn * r * 10 ** decOut) / (1e18 * 10 ** decIn);
+        require(amountOut >= minAmountOut, "MockSwap: slippage");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenOut).safeTransfer(recipient, amountOut);
+    }
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+/// @dev Settable Chainlink feed for tests — answers and timestamps are pushed by hand
+contract MockV3Aggregator is AggregatorV3Interface {
+    uint8   public immutable decimals;
+    uint80  public latestRound;
+    int256  public latestAnswer;
+    uint256 public latestTimestamp;
+
+    mapping(uint80 => int256)  private _answers;
+    mapping(uint80 => uint256) private _timestamps;
+
+    constructor(uint8 _decimals, int256 _initialAnswer) {
+        decimals = _decimals;
+        updateAnswer(_initialAnswer);
+    }
+
+    function description() external pure returns (string memory) {
+        return "Mock V3 Aggregator";
+    }
+
+    function version() external pure returns (uint256) {
+        return 4;
+    }
+
+    /// @notice Push a new round at the current block timestamp
+    function updateAnswer(int256 answer) public {
+        updateRoundData(answer, block.timestamp);
+    }
+
+    /// @notice Push a new round with an explicit timestamp (stale feed tests)
+    function updateRoundData(int256 answer, uint256 timestamp) public {
+        latestRound++;
+        latestAnswer    = answer;
+        latestTimestamp = timestamp;
+        _answers[latestRound]    = answer;
+        _timestamps[latestRound] = timestamp;
+    }
+
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return (_roundId, _answers[_roundId], _timestamps[_roundId], _timestamps[_roundId], _roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return (latestRound, latestAnswer, latestTimestamp, latestTimestamp, latestRound);
+    }
+}
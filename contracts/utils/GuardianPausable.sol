@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title GuardianPausable
+ * @notice Per-action pause switches shared by the Yelden contracts.
+ *         A guardian (ops multisig, monitoring bot) can pause actions
+ *         independently; only the contract admin (owner / DAO) can unpause
+ *         or replace the guardian. Every change carries a reason string.
+ * @dev Inheriting contracts implement _checkPauseAdmin() with their own
+ *      access control (Ownable owner, AccessControl admin role, ...).
+ *      Guardian and pause bits share one storage slot so a pause check costs
+ *      a single SLOAD.
+ */
+abstract contract GuardianPausable {
+
+    // ─── Actions ──────────────────────────────────────────────────────────────
+    uint8 public constant DEPOSITS      = 0;
+    uint8 public constant HARVESTS      = 1;
+    uint8 public constant CLAIMS        = 2;
+    uint8 public constant REGISTRATIONS = 3;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+    /// @notice Address allowed to pause — cannot unpause
+    address public guardian;
+    uint8   private _pausedActions;   // bit i set = action i paused
+
+    /// @dev Keeps inheriting contracts' storage in place if this one grows (upgradeable variants)
+    uint256[49] private __gap;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+    event GuardianSet(address indexed oldGuardian, address indexed newGuardian);
+    event Paused(uint8 indexed action, address indexed by, string reason);
+    event Unpaused(uint8 indexed action, address indexed by, string reason);
+
+    // ─── Modifiers ────────────────────────────────────────────────────────────
+    modifier whenNotPaused(uint8 action) {
+        require(!isPaused(action), "Action paused");
+        _;
+    }
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    function setGuardian(address _guardian) external {
+        _checkPauseAdmin();
+        emit GuardianSet(guardian, _guardian);
+        guardian = _guardian;
+    }
+
+    /// @notice Pause `action` — guardian or admin
+    function pause(uint8 action, string calldata reason) external {
+        if (msg.sender != guardian) _checkPauseAdmin();
+        _pause(action, reason);
+    }
+
+    /// @notice Unpause `action` — admin only, never the guardian
+    function unpause(uint8 action, string calldata reason) external {
+        _checkPauseAdmin();
+        require(action <= REGISTRATIONS, "Invalid action");
+        require(isPaused(action), "Not paused");
+        _pausedActions &= ~uint8(1 << action);
+        emit Unpaused(action, msg.sender, reason);
+    }
+
+    // ─── Views ────────────────────────────────────────────────────────────────
+
+    function isPaused(uint8 action) public view returns (bool) {
+        return _pausedActions & (1 << action) != 0;
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _pause(uint8 action, string memory reason) internal {
+        require(action <= REGISTRATIONS, "Invalid action");
+        require(!isPaused(action), "Already paused");
+        _pausedActions |= uint8(1 << action);
+        emit Paused(action, msg.sender, reason);
+    }
+
+    /// @dev Must revert unless msg.sender is the contract admin
+    function _checkPauseAdmin() internal view virtual;
+}
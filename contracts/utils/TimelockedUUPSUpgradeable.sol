@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title TimelockedUUPSUpgradeable
+ * @notice UUPS upgrades behind the same two-step timelock as the Yelden
+ *         governance parameters: the admin queues an implementation, and
+ *         upgradeToAndCall() accepts exactly that implementation once
+ *         UPGRADE_TIMELOCK has passed. The queue can be cancelled meanwhile.
+ * @dev Inheriting contracts implement _checkUpgradeAdmin() with their own
+ *      access control. Check storage layouts with
+ *      scripts/check-storage-layout.js before queuing an implementation.
+ */
+abstract contract TimelockedUUPSUpgradeable is UUPSUpgradeable {
+
+    // ─── Constants ────────────────────────────────────────────────────────────
+    uint256 public constant UPGRADE_TIMELOCK = 2 days;
+
+    // ─── State ────────────────────────────────────────────────────────────────
+    /// @notice Implementation waiting for its timelock — address(0) when nothing is queued
+    address public pendingImplementation;
+    /// @notice Earliest time pendingImplementation can be installed
+    uint64  public upgradeEta;
+
+    uint256[49] private __gap;
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+    event UpgradeQueued(address indexed implementation, uint256 eta);
+    event UpgradeCancelled(address indexed implementation);
+
+    // ─── Admin ────────────────────────────────────────────────────────────────
+
+    /// @notice Queue `implementation`; replaces anything already queued and restarts the timelock
+    function queueUpgrade(address implementation) external {
+        _checkUpgradeAdmin();
+        require(implementation.code.length > 0, "Invalid implementation");
+        uint64 eta = uint64(block.timestamp + UPGRADE_TIMELOCK);
+        pendingImplementation = implementation;
+        upgradeEta = eta;
+        emit UpgradeQueued(implementation, eta);
+    }
+
+    function cancelUpgrade() external {
+        _checkUpgradeAdmin();
+        address implementation = pendingImplementation;
+        require(implementation != address(0), "Nothing queued");
+        delete pendingImplementation;
+        delete upgradeEta;
+        emit UpgradeCancelled(implementation);
+    }
+
+    // ─── Internal ─────────────────────────────────────────────────────────────
+
+    function _authorizeUpgrade(address implementation) internal override {
+        _checkUpgradeAdmin();
+        require(pendingImplementation != address(0), "Nothing queued");
+        require(implementation == pendingImplementation, "Upgrade not queued");
+        require(block.timestamp >= upgradeEta, "Timelock not expired");
+        delete pendingImplementation;
+        delete upgradeEta;
+    }
+
+    /// @dev Must revert unless msg.sender may queue and perform upgrades
+    function _checkUpgradeAdmin() internal view virtual;
+}
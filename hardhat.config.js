@@ -1,15 +1,38 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+const settings = {
+  optimizer: {
+    enabled: true,
+    runs: 200
+  },
+  // Read by scripts/check-storage-layout.js
+  outputSelection: {
+    "*": { "*": ["storageLayout"] }
+  }
+};
+
+// OpenZeppelin's UUPS and ERC1967 proxy code needs solc >= 0.8.22. The proxy
+// variants add upgrade logic to contracts already close to the 24KB size
+// limit, so they are optimized for size over runtime gas.
+const upgradeable = {
+  version: "0.8.22",
+  settings: { ...settings, optimizer: { enabled: true, runs: 1 } }
+};
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
-      }
+    compilers: [{ version: "0.8.20", settings }],
+    overrides: {
+      "contracts/utils/TimelockedUUPSUpgradeable.sol": upgradeable,
+      "contracts/YeldenVaultUpgradeable.sol": upgradeable,
+      "contracts/YeldenDistributorUpgradeable.sol": upgradeable,
+      "contracts/AIAgentRegistryUpgradeable.sol": upgradeable,
+      "contracts/mocks/MockDistributorV2.sol": upgradeable,
+      "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol": upgradeable,
+      "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol": upgradeable,
+      "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol": upgradeable
     }
   },
   networks: {
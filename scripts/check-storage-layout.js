@@ -0,0 +1,145 @@
+/**
+ * Storage layout check for the UUPS contracts
+ *
+ * Compares the storage layout of a new implementation with the one it
+ * replaces and fails if the upgrade would corrupt proxy storage. Run it
+ * before queueUpgrade().
+ *
+ *   npx hardhat compile
+ *   node scripts/check-storage-layout.js <Old> <New>
+ *   node scripts/check-storage-layout.js --save <Contract> <file.json>
+ *
+ * <Old> is a compiled contract name or a snapshot saved with --save — keep
+ * one per deployed implementation. Layouts come from the solc storageLayout
+ * output enabled in hardhat.config.js.
+ *
+ * Rules:
+ *   - every existing variable keeps its slot, offset and type (renames warn)
+ *   - new variables only use a shrunk __gap or slots after the old layout
+ *   - a __gap may shrink from the front but must keep its last slot
+ * OpenZeppelin parents use namespaced (ERC-7201) storage and do not appear.
+ */
+
+const fs = require("fs");
+
+// Type signature without AST ids, e.g. "mapping(address => struct Agent{...})"
+function typeSignature(types, id) {
+  const t = types[id];
+  if (t.members) {
+    const members = t.members.map(m => `${m.label}@${m.slot}:${m.offset} ${typeSignature(types, m.type)}`);
+    return `${t.label.replace(/^struct .*\./, "struct ")}{${members.join(", ")}}`;
+  }
+  if (t.key) return `mapping(${typeSignature(types, t.key)} => ${typeSignature(types, t.value)})`;
+  if (t.base) return t.label.replace(/^.*\[/, `${typeSignature(types, t.base)}[`);
+  // Contract and interface types are stored as plain addresses
+  return t.label.startsWith("contract ") ? "address" : t.label;
+}
+
+function entries(layout) {
+  return layout.storage.map(v => {
+    const size  = BigInt(layout.types[v.type].numberOfBytes);
+    const start = BigInt(v.slot) * 32n + BigInt(v.offset);
+    return {
+      label:    v.label,
+      contract: v.contract,
+      slot:     BigInt(v.slot),
+      offset:   v.offset,
+      start,
+      end:      start + size,
+      gap:      v.label === "__gap",
+      type:     typeSignature(layout.types, v.type),
+    };
+  });
+}
+
+const describe = v => `${v.contract.split(":")[1]}.${v.label} (slot ${v.slot}, offset ${v.offset})`;
+
+/**
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function compareLayouts(oldLayout, newLayout) {
+  const errors = [];
+  const warnings = [];
+  const before = entries(oldLayout);
+  const after  = entries(newLayout);
+  const matched = new Set();
+
+  for (const o of before) {
+    if (o.gap) {
+      const n = after.find(v => v.gap && v.end === o.end);
+      if (!n) errors.push(`${describe(o)}: gap no longer ends at byte ${o.end}`);
+      else matched.add(n);
+      continue;
+    }
+    const n = after.find(v => !v.gap && v.start === o.start);
+    if (!n) {
+      const moved = after.find(v => v.label === o.label);
+      errors.push(moved
+        ? `${describe(o)}: moved to slot ${moved.slot}, offset ${moved.offset}`
+        : `${describe(o)}: removed`);
+      continue;
+    }
+    matched.add(n);
+    const moved = after.find(v => v.label === o.label && v.start !== o.start);
+    if (moved) errors.push(`${describe(o)}: moved to slot ${moved.slot}, offset ${moved.offset}`);
+    else if (n.type !== o.type) errors.push(`${describe(o)}: type changed from ${o.type} to ${n.type}`);
+    else if (n.label !== o.label) warnings.push(`${describe(o)}: renamed to ${n.label}`);
+  }
+
+  for (const n of after) {
+    if (matched.has(n)) continue;
+    const clash = before.find(o => !o.gap && n.start < o.end && o.start < n.end);
+    if (clash) errors.push(`${describe(n)}: overlaps ${describe(clash)}`);
+  }
+
+  return { errors, warnings };
+}
+
+async function getStorageLayout(hre, name) {
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const layout = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+  if (!layout) throw new Error(`No storage layout for ${name} — is storageLayout in outputSelection?`);
+  return layout;
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const args = process.argv.slice(2);
+
+  if (args[0] === "--save") {
+    const [, name, file] = args;
+    fs.writeFileSync(file, JSON.stringify(await getStorageLayout(hre, name), null, 2));
+    console.log(`💾 Storage layout of ${name} saved to ${file}`);
+    return;
+  }
+
+  const [oldRef, newName] = args;
+  if (!oldRef || !newName) {
+    console.error("Usage: node scripts/check-storage-layout.js <Old|old.json> <New>");
+    process.exitCode = 1;
+    return;
+  }
+  const oldLayout = oldRef.endsWith(".json")
+    ? JSON.parse(fs.readFileSync(oldRef, "utf8"))
+    : await getStorageLayout(hre, oldRef);
+  const { errors, warnings } = compareLayouts(oldLayout, await getStorageLayout(hre, newName));
+
+  warnings.forEach(w => console.log(`⚠️  ${w}`));
+  errors.forEach(e => console.log(`❌ ${e}`));
+  if (errors.length) {
+    console.log(`\n❌ ${newName} is NOT storage-compatible with ${oldRef}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${newName} is storage-compatible with ${oldRef}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { compareLayouts, getStorageLayout };
@@ -9,24 +9,111 @@ async function main() {
   
   console.log(`📦 Using USDC at: ${USDC_ADDRESS}`);
   
+  // Harvest, keeper, flash loans, fundReserve e reportLoss do vault — o extension delega a este módulo o que não implementa
+  const YeldenVaultModule = await hre.ethers.getContractFactory("YeldenVaultModule");
+  const vaultModule = await YeldenVaultModule.deploy(USDC_ADDRESS);
+  await vaultModule.waitForDeployment();
+  console.log(`🧩 YeldenVaultModule deployed to: ${await vaultModule.getAddress()}`);
+
+  // Lógica de admin/estratégia do vault, executada via delegatecall
+  const YeldenVaultExtension = await hre.ethers.getContractFactory("YeldenVaultExtension");
+  const extension = await YeldenVaultExtension.deploy(USDC_ADDRESS, await vaultModule.getAddress());
+  await extension.waitForDeployment();
+  console.log(`🧩 YeldenVaultExtension deployed to: ${await extension.getAddress()}`);
+
   const YeldenVault = await hre.ethers.getContractFactory("YeldenVault");
   const vault = await YeldenVault.deploy(
     USDC_ADDRESS,
     "Yelden USD",
-    "yUSD"
+    "yUSD",
+    await extension.getAddress()
   );
 
   await vault.waitForDeployment();
   
   const vaultAddress = await vault.getAddress();
   console.log(`✅ YeldenVault deployed to: ${vaultAddress}`);
+
+  // RegenFund — recebe os 5% de regen em USDC a cada harvest
+  const RegenFund = await hre.ethers.getContractFactory("RegenFund");
+  const regenFund = await RegenFund.deploy(USDC_ADDRESS, vaultAddress);
+  await regenFund.waitForDeployment();
+  const regenFundAddress = await regenFund.getAddress();
+  await (await vault.setRegenFund(regenFundAddress)).wait();
+  console.log(`🌱 RegenFund deployed to: ${regenFundAddress}`);
+
+  // Oráculo da taxa yUSD/USDC — checkpoint a cada harvest, para mercados de empréstimo
+  const YeldenRateOracle = await hre.ethers.getContractFactory("YeldenRateOracle");
+  const rateOracle = await YeldenRateOracle.deploy(vaultAddress);
+  await rateOracle.waitForDeployment();
+  const rateOracleAddress = await rateOracle.getAddress();
+  await (await vault.setRateOracle(rateOracleAddress)).wait();
+  console.log(`📈 YeldenRateOracle deployed to: ${rateOracleAddress}`);
+
+  // $YLD — token de governança com teto de 1B; o deployer é admin e concede os papéis de minter
+  const [deployer] = await hre.ethers.getSigners();
+  const YeldenToken = await hre.ethers.getContractFactory("YeldenToken");
+  const yld = await YeldenToken.deploy(deployer.address);
+  await yld.waitForDeployment();
+  const yldAddress = await yld.getAddress();
+  console.log(`🪙 YeldenToken deployed to: ${yldAddress}`);
+
+  // Minters opcionais — emissões e pool de contribuidores da DevNet
+  if (process.env.EMISSIONS_MINTER_ADDRESS) {
+    await (await yld.grantRole(await yld.EMISSIONS_MINTER_ROLE(), process.env.EMISSIONS_MINTER_ADDRESS)).wait();
+    console.log(`🎛️  Emissions minter: ${process.env.EMISSIONS_MINTER_ADDRESS}`);
+  }
+  if (process.env.CONTRIBUTOR_MINTER_ADDRESS) {
+    await (await yld.grantRole(await yld.CONTRIBUTOR_MINTER_ROLE(), process.env.CONTRIBUTOR_MINTER_ADDRESS)).wait();
+    console.log(`🧑‍💻 Contributor minter: ${process.env.CONTRIBUTOR_MINTER_ADDRESS}`);
+  }
+
+  // AIAgentRegistry — stake de 50 YLD, taxa mensal máxima de 1 YLD; taxas e slashes queimam YLD de verdade
+  const AIAgentRegistry = await hre.ethers.getContractFactory("AIAgentRegistry");
+  const registry = await AIAgentRegistry.deploy(
+    yldAddress,
+    hre.ethers.parseUnits("50", 18),
+    hre.ethers.parseUnits("1", 18),
+    vaultAddress,
+    deployer.address
+  );
+  await registry.waitForDeployment();
+  const registryAddress = await registry.getAddress();
+  await (await vault.setRegistry(registryAddress)).wait();
+  console.log(`🤖 AIAgentRegistry deployed to: ${registryAddress}`);
+
+  // Estratégia RWA (IRWAProvider) — opcional, pode ser conectada depois
+  if (process.env.RWA_PROVIDER_ADDRESS) {
+    await (await vault.setStrategy(process.env.RWA_PROVIDER_ADDRESS)).wait();
+    console.log(`🏦 Strategy set to: ${process.env.RWA_PROVIDER_ADDRESS}`);
+
+    // Chainlink Proof of Reserve da estratégia — bloqueia depósitos e harvest se as reservas não cobrirem o valor contabilizado
+    if (process.env.POR_FEED_ADDRESS) {
+      await (await vault.setReserveFeed(process.env.RWA_PROVIDER_ADDRESS, process.env.POR_FEED_ADDRESS)).wait();
+      console.log(`🔎 Reserve feed set to: ${process.env.POR_FEED_ADDRESS}`);
+    }
+  }
+  
+  // Treasury — recebe as taxas em yUSD (as taxas começam em 0)
+  if (process.env.TREASURY_ADDRESS) {
+    await (await vault.setTreasury(process.env.TREASURY_ADDRESS)).wait();
+    console.log(`💼 Treasury set to: ${process.env.TREASURY_ADDRESS}`);
+  }
   
   // Verificar no Etherscan (se tiver API key)
   if (process.env.ETHERSCAN_API_KEY) {
     console.log("🔍 Verifying on Etherscan...");
+    await hre.run("verify:verify", {
+      address: await extension.getAddress(),
+      constructorArguments: [USDC_ADDRESS, await vaultModule.getAddress()],
+    });
     await hre.run("verify:verify", {
       address: vaultAddress,
-      constructorArguments: [USDC_ADDRESS, "Yelden USD", "yUSD"],
+      constructorArguments: [USDC_ADDRESS, "Yelden USD", "yUSD", await extension.getAddress()],
+    });
+    await hre.run("verify:verify", {
+      address: yldAddress,
+      constructorArguments: [deployer.address],
     });
   }
 }
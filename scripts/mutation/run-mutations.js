@@ -6,81 +6,94 @@
  * ALL mutations must cause at least one test to FAIL.
  * A mutation that passes all tests = a test coverage gap.
  *
- * Run: node test/mutation/run-mutations.js
+ * The vault's code is split across YeldenVault.sol (ERC-4626 core),
+ * YeldenVaultBase.sol (storage, init), YeldenVaultExtension.sol (admin) and
+ * YeldenVaultModule.sol (harvest) — each mutation names the file it edits.
  *
- * Results are written to: test/mutation/mutation-report.json
+ * Run: node scripts/mutation/run-mutations.js
+ *
+ * Results are written to: scripts/mutation/mutation-report.json
  */
 
 const { execSync } = require("child_process");
 const fs   = require("fs");
 const path = require("path");
 
-const VAULT_SRC  = path.resolve(__dirname, "../../contracts/YeldenVault.sol");
-const VAULT_BAK  = path.resolve(__dirname, "../../contracts/YeldenVault.original.sol");
+const CONTRACTS  = path.resolve(__dirname, "../../contracts");
 const REPORT     = path.resolve(__dirname, "mutation-report.json");
 
 // ─── MUTATION DEFINITIONS ────────────────────────────────────────────────────
-// Each mutation: { id, description, find, replace }
-// find/replace are exact strings in YeldenVault.sol
+// Each mutation: { id, description, file, find, replace }
+// find/replace are exact strings in contracts/<file>
 
 const MUTATIONS = [
   {
     id: "M01",
     description: "Remove zero-deposit check — allows deposit(0) to mint 0 shares",
+    file:    "YeldenVault.sol",
     find:    `require(assets > 0, "Zero deposit");`,
     replace: `// require(assets > 0, "Zero deposit"); // MUTATED`
   },
   {
     id: "M02",
     description: "Remove zero-shares check — allows deposit to mint 0 shares with small amount",
-    find:    `require(shares > 0, "Zero shares");\n\n        asset.safeTransferFrom`,
-    replace: `// require(shares > 0, "Zero shares"); // MUTATED\n\n        asset.safeTransferFrom`
+    file:    "YeldenVault.sol",
+    find:    `shares = previewDeposit(assets);\n        require(shares > 0, "Zero shares");`,
+    replace: `shares = previewDeposit(assets);\n        // require(shares > 0, "Zero shares"); // MUTATED`
   },
   {
     id: "M03",
-    description: "Flip BASE_YIELD_BPS to 0 — no base yield allocated, all goes to surplus",
-    find:    `uint256 public constant BASE_YIELD_BPS  = 450;`,
-    replace: `uint256 public constant BASE_YIELD_BPS  = 0; // MUTATED`
+    description: "Flip baseYieldBps to 0 — no base yield allocated, all goes to surplus",
+    file:    "YeldenVaultBase.sol",
+    find:    `baseYieldBps       = 450;`,
+    replace: `baseYieldBps       = 0; // MUTATED`
   },
   {
     id: "M04",
     description: "Remove onlyOwner from harvest — anyone can harvest",
-    find:    `function harvest(uint256 grossYield) external onlyOwner {`,
-    replace: `function harvest(uint256 grossYield) external /* onlyOwner MUTATED */ {`
+    file:    "YeldenVaultModule.sol",
+    find:    `function harvest() external onlyOwner nonReentrant whenNotPaused(HARVESTS) {`,
+    replace: `function harvest() external /* onlyOwner MUTATED */ nonReentrant whenNotPaused(HARVESTS) {`
   },
   {
     id: "M05",
     description: "Subtract instead of add to yieldReserve — reserve drains on harvest",
-    find:    `yieldReserve += toReserve;`,
-    replace: `yieldReserve -= toReserve; // MUTATED`
+    file:    "YeldenVaultModule.sol",
+    find:    `yieldReserve    += toReserve;`,
+    replace: `yieldReserve    -= toReserve; // MUTATED`
   },
   {
     id: "M06",
     description: "Remove reentrancy guard from deposit — enables reentrancy attack",
-    find:    `function deposit(uint256 assets, address receiver)\n        external\n        nonReentrant`,
-    replace: `function deposit(uint256 assets, address receiver)\n        external\n        /* nonReentrant MUTATED */`
+    file:    "YeldenVault.sol",
+    find:    `function deposit(uint256 assets, address receiver)\n        public nonReentrant`,
+    replace: `function deposit(uint256 assets, address receiver)\n        public /* nonReentrant MUTATED */`
   },
   {
     id: "M07",
     description: "Remove distributor check in harvest — harvest succeeds without distributor",
+    file:    "YeldenVaultModule.sol",
     find:    `require(address(distributor) != address(0), "Distributor not set");`,
     replace: `// require(address(distributor) != address(0), "Distributor not set"); // MUTATED`
   },
   {
     id: "M08",
     description: "Swap receiver and owner in Withdraw event — incorrect event args",
-    find:    `emit Withdraw(msg.sender, receiver, owner, assets, shares);`,
-    replace: `emit Withdraw(msg.sender, owner, receiver, assets, shares); // MUTATED`
+    file:    "YeldenVault.sol",
+    find:    `emit Withdraw(caller, receiver, owner, assets, shares);`,
+    replace: `emit Withdraw(caller, owner, receiver, assets, shares); // MUTATED`
   },
   {
     id: "M09",
     description: "Remove allowance check in withdraw — delegated withdrawal without approval",
-    find:    `if (msg.sender != owner) {\n            _spendAllowance(owner, msg.sender, shares);\n        }\n\n        _burn(owner, shares);\n        asset.safeTransfer(receiver, assets);\n\n        emit Withdraw`,
-    replace: `// if (msg.sender != owner) { ... } // MUTATED\n\n        _burn(owner, shares);\n        asset.safeTransfer(receiver, assets);\n\n        emit Withdraw`
+    file:    "YeldenVault.sol",
+    find:    `if (caller != owner) _spendAllowance(owner, caller, shares);`,
+    replace: `// if (caller != owner) _spendAllowance(owner, caller, shares); // MUTATED`
   },
   {
     id: "M10",
     description: "Flip surplus calculation — surplus becomes negative-equivalent",
+    file:    "YeldenVaultModule.sol",
     find:    `uint256 surplus = grossYield - base - regen;`,
     replace: `uint256 surplus = grossYield + base + regen; // MUTATED`
   }
@@ -89,17 +102,23 @@ const MUTATIONS = [
 // ─── RUNNER ──────────────────────────────────────────────────────────────────
 
 async function runMutations() {
-  const original = fs.readFileSync(VAULT_SRC, "utf8");
-
-  // GUARD: detect coverage instrumentation
-  if (original.includes("__coverageInit") || original.includes("global.__coverage__")) {
-    console.error("❌ Contract is coverage-instrumented. Run: npx hardhat clean && npx hardhat compile");
-    process.exit(1);
+  const files = [...new Set(MUTATIONS.map(m => m.file))];
+  const originals = {};
+  for (const file of files) {
+    originals[file] = fs.readFileSync(path.join(CONTRACTS, file), "utf8");
+
+    // GUARD: detect coverage instrumentation
+    if (originals[file].includes("__coverageInit") || originals[file].includes("global.__coverage__")) {
+      console.error(`❌ ${file} is coverage-instrumented. Run: npx hardhat clean && npx hardhat compile`);
+      process.exit(1);
+    }
   }
 
-  // Save backup with a name coverage won't touch
-  fs.writeFileSync(VAULT_BAK, original);
-  console.log("✅ Backup saved:", VAULT_BAK);
+  // Save backups outside contracts/ so Hardhat never compiles them
+  for (const file of files) {
+    fs.writeFileSync(path.join(__dirname, `${file}.bak`), originals[file]);
+  }
+  console.log("✅ Backups saved:", __dirname);
 
   // Clean stale artifacts before starting
   try { execSync("npx hardhat clean 2>&1", { timeout: 30000, encoding: "utf8" }); } catch(e) {}
@@ -113,16 +132,18 @@ async function runMutations() {
 
   try {
   for (const mutation of MUTATIONS) {
-    const mutated = original.replace(mutation.find, mutation.replace);
+    const src      = path.join(CONTRACTS, mutation.file);
+    const original = originals[mutation.file];
+    const mutated  = original.replace(mutation.find, mutation.replace);
 
     if (mutated === original) {
-      console.log(`  ⚠️  ${mutation.id} — find string not found in source (check mutation definition)`);
+      console.log(`  ⚠️  ${mutation.id} — find string not found in ${mutation.file} (check mutation definition)`);
       results.push({ ...mutation, status: "NOT_FOUND", output: "" });
       continue;
     }
 
     // Write mutated contract
-    fs.writeFileSync(VAULT_SRC, mutated);
+    fs.writeFileSync(src, mutated);
 
     let testPassed = false;
     let output = "";
@@ -153,12 +174,15 @@ async function runMutations() {
     results.push({ ...mutation, status, output: output.slice(0, 500) });
 
     // Restore original after EACH mutation
-    fs.writeFileSync(VAULT_SRC, original);
+    fs.writeFileSync(src, original);
   }
   } finally {
     // ALWAYS restore — even if script crashes mid-run
-    fs.writeFileSync(VAULT_SRC, original);
-    if (fs.existsSync(VAULT_BAK)) fs.unlinkSync(VAULT_BAK);
+    for (const file of files) {
+      fs.writeFileSync(path.join(CONTRACTS, file), originals[file]);
+      const bak = path.join(__dirname, `${file}.bak`);
+      if (fs.existsSync(bak)) fs.unlinkSync(bak);
+    }
     // Final clean so next hardhat run uses clean artifacts
     try { execSync("npx hardhat clean 2>&1", { timeout: 30000, encoding: "utf8" }); } catch(e) {}
     console.log("✅ Contract restored. Artifacts cleaned.");
@@ -179,13 +203,21 @@ async function runMutations() {
 
   console.log(`\n${"─".repeat(50)}`);
   console.log(`🧬 Mutation Score: ${score}% (${killed}/${MUTATIONS.length} killed)`);
+  const notFound = results.filter(r => r.status === "NOT_FOUND");
   if (survived > 0) {
     console.log(`\n⚠️  Survived mutations (coverage gaps):`);
     results.filter(r => r.status === "SURVIVED").forEach(r => {
       console.log(`   • ${r.id}: ${r.description}`);
     });
-  } else {
+  }
+  if (notFound.length > 0) {
+    console.log(`\n⚠️  Mutations that no longer apply (update find strings):`);
+    notFound.forEach(r => console.log(`   • ${r.id}: ${r.file}`));
+  }
+  if (killed === MUTATIONS.length) {
     console.log(`✅ All mutations killed — test suite is robust`);
+  } else {
+    process.exitCode = 1;
   }
   console.log(`\nReport: ${REPORT}\n`);
 }
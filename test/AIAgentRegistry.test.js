@@ -1,57 +1,53 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault } = require("./helpers");
 
 /**
  * AIAgentRegistry v3 — Test Suite
  *
- * Stake token: YLD (MockERC20 18 decimals)
+ * Stake token: YLD (YeldenToken, 18 decimals)
  * Fee model: monthlyFee * (1000 - score) / 1000
- * Slashing: burns YLD (no vault transfer)
+ * Slashing: burns YLD — totalSupply falls (no vault transfer)
  * Exit: fee origin → stake returned | slash origin → stake burned
  */
 
 describe("AIAgentRegistry", function () {
   let registry, vault, yld, usdc, owner, slasher, scorer, agent1, agent2, agent3;
-  let BURN_ADDRESS;
 
   const MIN_STAKE   = ethers.parseUnits("50", 18);   // 50 YLD
   const MONTHLY_FEE = ethers.parseUnits("1", 18);    // 1 YLD max
   const MINT_AMOUNT = ethers.parseUnits("10000", 18);
 
-  // burn address
-  BURN_ADDRESS = "0x000000000000000000000000000000000000dEaD";
-
   async function deployAll() {
     [owner, slasher, scorer, agent1, agent2, agent3] = await ethers.getSigners();
 
-    // Deploy MockERC20 as YLD (18 decimals)
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    yld = await MockERC20.deploy("Yelden Token", "YLD", 18);
+    // Deploy YLD and let the owner mint emissions
+    const YeldenToken = await ethers.getContractFactory("YeldenToken");
+    yld = await YeldenToken.deploy(owner.address);
     await yld.waitForDeployment();
+    await yld.grantRole(await yld.EMISSIONS_MINTER_ROLE(), owner.address);
 
     // Deploy MockERC20 as USDC for vault
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
     usdc = await MockERC20.deploy("Mock USDC", "USDC", 6);
     await usdc.waitForDeployment();
 
     // Mint YLD to agents
     for (const signer of [agent1, agent2, agent3]) {
-      await yld.mint(signer.address, MINT_AMOUNT);
+      await yld.mintEmissions(signer.address, MINT_AMOUNT);
     }
 
     // Deploy vault
-    const YeldenVault = await ethers.getContractFactory("YeldenVault");
-    vault = await YeldenVault.deploy(await usdc.getAddress(), "Yelden USD", "yUSD");
-    await vault.waitForDeployment();
+    vault = await deployVault(await usdc.getAddress());
 
-    // Deploy registry with 6 args
+    // Deploy registry with 5 args
     const Registry = await ethers.getContractFactory("AIAgentRegistry");
     registry = await Registry.deploy(
       await yld.getAddress(),   // _yld
       MIN_STAKE,                // _minStake
       MONTHLY_FEE,              // _monthlyFee
       await vault.getAddress(), // _vault
-      BURN_ADDRESS,             // _burnAddress
       owner.address             // _admin
     );
     await registry.waitForDeployment();
@@ -95,8 +91,8 @@ describe("AIAgentRegistry", function () {
       expect(await registry.vault()).to.equal(await vault.getAddress());
     });
 
-    it("Should set burnAddress correctly", async function () {
-      expect(await registry.burnAddress()).to.equal(BURN_ADDRESS);
+    it("Should hold no YLD outside the stakes", async function () {
+      expect(await yld.balanceOf(await registry.getAddress())).to.equal(0);
     });
 
     it("Should grant DEFAULT_ADMIN_ROLE to owner", async function () {
@@ -236,13 +232,13 @@ describe("AIAgentRegistry", function () {
       expect(stakeBefore - stakeAfter).to.equal(expectedFee);
     });
 
-    it("Should burn the fee (send to burnAddress)", async function () {
+    it("Should burn the fee (reduce YLD supply)", async function () {
       await time.increase(30 * 24 * 60 * 60 + 1);
-      const burnBefore = await yld.balanceOf(BURN_ADDRESS);
+      const supplyBefore = await yld.totalSupply();
       await registry.collectFee(agent1.address);
-      const burnAfter = await yld.balanceOf(BURN_ADDRESS);
+      const supplyAfter = await yld.totalSupply();
       const expectedFee = MONTHLY_FEE * 700n / 1000n;
-      expect(burnAfter - burnBefore).to.equal(expectedFee);
+      expect(supplyBefore - supplyAfter).to.equal(expectedFee);
     });
 
     it("Agent with score 1000 pays zero fee", async function () {
@@ -314,10 +310,10 @@ describe("AIAgentRegistry", function () {
 
     describe("WARNING (10%)", function () {
       it("Should burn 10% of stake", async function () {
-        const burnBefore = await yld.balanceOf(BURN_ADDRESS);
+        const supplyBefore = await yld.totalSupply();
         await registry.connect(slasher).slashAgent(agent1.address, 0, "Low perf");
-        const burnAfter = await yld.balanceOf(BURN_ADDRESS);
-        expect(burnAfter - burnBefore).to.equal(MIN_STAKE * 10n / 100n);
+        const supplyAfter = await yld.totalSupply();
+        expect(supplyBefore - supplyAfter).to.equal(MIN_STAKE * 10n / 100n);
       });
 
       it("Should keep agent ACTIVE", async function () {
@@ -345,10 +341,10 @@ describe("AIAgentRegistry", function () {
 
     describe("SUSPENSION (50%)", function () {
       it("Should burn 50% of stake", async function () {
-        const burnBefore = await yld.balanceOf(BURN_ADDRESS);
+        const supplyBefore = await yld.totalSupply();
         await registry.connect(slasher).slashAgent(agent1.address, 1, "Suspicious");
-        const burnAfter = await yld.balanceOf(BURN_ADDRESS);
-        expect(burnAfter - burnBefore).to.equal(MIN_STAKE / 2n);
+        const supplyAfter = await yld.totalSupply();
+        expect(supplyBefore - supplyAfter).to.equal(MIN_STAKE / 2n);
       });
 
       it("Should set status to PENDING with slashPending=true", async function () {
@@ -372,10 +368,10 @@ describe("AIAgentRegistry", function () {
 
     describe("BAN (100%)", function () {
       it("Should burn 100% of stake", async function () {
-        const burnBefore = await yld.balanceOf(BURN_ADDRESS);
+        const supplyBefore = await yld.totalSupply();
         await registry.connect(slasher).slashAgent(agent1.address, 2, "Malicious");
-        const burnAfter = await yld.balanceOf(BURN_ADDRESS);
-        expect(burnAfter - burnBefore).to.equal(MIN_STAKE);
+        const supplyAfter = await yld.totalSupply();
+        expect(supplyBefore - supplyAfter).to.equal(MIN_STAKE);
       });
 
       it("Should set status to BANNED", async function () {
@@ -434,10 +430,10 @@ describe("AIAgentRegistry", function () {
       // SUSPENSION → PENDING + slashPending=true
       await registry.connect(slasher).slashAgent(agent1.address, 1, "Suspension");
       const remaining = await registry.stakeOf(agent1.address);
-      const burnBefore = await yld.balanceOf(BURN_ADDRESS);
+      const supplyBefore = await yld.totalSupply();
       await registry.connect(agent1).voluntaryExit();
-      const burnAfter = await yld.balanceOf(BURN_ADDRESS);
-      expect(burnAfter - burnBefore).to.equal(remaining);
+      const supplyAfter = await yld.totalSupply();
+      expect(supplyBefore - supplyAfter).to.equal(remaining);
     });
 
     it("Should set status to NONE", async function () {
@@ -617,23 +613,23 @@ describe("AIAgentRegistry", function () {
       await registry.connect(slasher).slashAgent(agent1.address, 1, "Suspension");
 
       const remaining = await registry.stakeOf(agent1.address);
-      const burnBefore = await yld.balanceOf(BURN_ADDRESS);
+      const supplyBefore = await yld.totalSupply();
       await registry.connect(agent1).voluntaryExit();
-      const burnAfter = await yld.balanceOf(BURN_ADDRESS);
+      const supplyAfter = await yld.totalSupply();
 
-      expect(burnAfter - burnBefore).to.equal(remaining);
+      expect(supplyBefore - supplyAfter).to.equal(remaining);
       expect((await registry.getAgent(agent1.address)).status).to.equal(0); // NONE
     });
 
     it("Full burn cycle: warn+suspend+ban burns 100% of original stake", async function () {
       await deployAll();
       const bigStake = ethers.parseUnits("1000", 18);
-      await yld.mint(agent1.address, bigStake);
+      await yld.mintEmissions(agent1.address, bigStake);
       await yld.connect(agent1).approve(await registry.getAddress(), bigStake);
       await registry.connect(agent1).registerAgent("Big Agent", "monitor", bigStake);
       await registry.connect(scorer).approveAgent(agent1.address);
 
-      const burnBefore = await yld.balanceOf(BURN_ADDRESS);
+      const supplyBefore = await yld.totalSupply();
 
       // WARNING 10% = 100 YLD
       await registry.connect(slasher).slashAgent(agent1.address, 0, "W1");
@@ -642,8 +638,8 @@ describe("AIAgentRegistry", function () {
       // BAN 100% of 450 = 450 YLD (+ exit burns rest)
       await registry.connect(slasher).slashAgent(agent1.address, 2, "B1");
 
-      const burnAfter = await yld.balanceOf(BURN_ADDRESS);
-      expect(burnAfter - burnBefore).to.equal(bigStake);
+      const supplyAfter = await yld.totalSupply();
+      expect(supplyBefore - supplyAfter).to.equal(bigStake);
     });
   });
 });
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, harvestYield } = require("./helpers");
+
+describe("RegenFund", function () {
+  let deployment, vault, usdc, fund;
+  let owner, user1, project, other;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const GROSS   = ethers.parseUnits("20000", 6);
+  const REGEN   = GROSS * 500n / 10000n; // 1,000 USDC
+  const META    = ethers.id("ipfs://mangrove-restoration");
+  const DAY     = 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, user1, project, other] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc } = deployment);
+
+    const RegenFund = await ethers.getContractFactory("RegenFund");
+    fund = await RegenFund.deploy(await usdc.getAddress(), await vault.getAddress());
+    await vault.setRegenFund(await fund.getAddress());
+
+    await usdc.mint(user1.address, DEPOSIT);
+    await usdc.connect(user1).approve(await vault.getAddress(), DEPOSIT);
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.allocate(DEPOSIT);
+  });
+
+  describe("Vault integration", function () {
+    it("Should receive the regen share in USDC on every harvest", async function () {
+      const tx = await harvestYield(deployment, GROSS);
+      await expect(tx).to.emit(vault, "RegenSent").withArgs(await fund.getAddress(), REGEN);
+      await expect(tx).to.emit(fund, "RegenReceived").withArgs(REGEN, REGEN);
+      expect(await usdc.balanceOf(await fund.getAddress())).to.equal(REGEN);
+      expect(await vault.regenPool()).to.equal(0);
+      expect(await fund.totalReceived()).to.equal(REGEN);
+    });
+    it("Should send regen accrued before the fund was set", async function () {
+      const fresh = await deployConnected();
+      await harvestYield(fresh, GROSS);
+      expect(await fresh.vault.regenPool()).to.equal(REGEN);
+
+      const RegenFund = await ethers.getContractFactory("RegenFund");
+      const lateFund = await RegenFund.deploy(await fresh.usdc.getAddress(), await fresh.vault.getAddress());
+      await expect(fresh.vault.setRegenFund(await lateFund.getAddress()))
+        .to.emit(fresh.vault, "RegenFundSet");
+      await harvestYield(fresh, GROSS);
+      expect(await lateFund.totalReceived()).to.equal(REGEN * 2n);
+    });
+    it("Should keep regen booked while the strategy cannot release it", async function () {
+      const { strategy } = deployment;
+      await strategy.setWithdrawLimit(0); // e.g. a T+1 redemption window
+      const tx = await harvestYield(deployment, GROSS);
+      await expect(tx).to.emit(vault, "Harvest");
+      await expect(tx).to.emit(vault, "RegenDeferred").withArgs(REGEN, 0);
+      await expect(tx).to.not.emit(vault, "RegenSent");
+      expect(await vault.regenPool()).to.equal(REGEN);
+      expect(await fund.totalReceived()).to.equal(0);
+
+      await strategy.setWithdrawLimit(ethers.MaxUint256);
+      await expect(harvestYield(deployment, GROSS))
+        .to.emit(vault, "RegenSent").withArgs(await fund.getAddress(), REGEN * 2n);
+      expect(await vault.regenPool()).to.equal(0);
+    });
+    it("Should not change depositor equity when regen is paid out", async function () {
+      await vault.setProfitUnlockPeriod(0); // price profit immediately — streaming has its own suite
+      await harvestYield(deployment, GROSS);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + GROSS * 450n / 10000n);
+    });
+    it("Should only accept receiveRegen from the vault", async function () {
+      await expect(fund.receiveRegen(1)).to.be.revertedWith("RegenFund: caller is not vault");
+    });
+    it("Should revert setRegenFund if not owner", async function () {
+      await expect(vault.connect(user1).setRegenFund(other.address))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Grants", function () {
+    const M1 = ethers.parseUnits("300", 6);
+    const M2 = ethers.parseUnits("200", 6);
+
+    beforeEach(async function () {
+      await harvestYield(deployment, GROSS);
+      await fund.setRecipient(project.address, true);
+    });
+
+    async function proposeAndApprove(vesting = 0) {
+      await fund.connect(other).proposeGrant(project.address, [M1, M2], vesting, META);
+      await fund.approveGrant(0);
+    }
+
+    it("Should let anyone propose for an allowlisted recipient", async function () {
+      await expect(fund.connect(other).proposeGrant(project.address, [M1, M2], 0, META))
+        .to.emit(fund, "GrantProposed")
+        .withArgs(0, other.address, project.address, M1 + M2, META);
+      expect(await fund.grantCount()).to.equal(1);
+    });
+    it("Should reject recipients outside the allowlist", async function () {
+      await expect(fund.proposeGrant(other.address, [M1], 0, META))
+        .to.be.revertedWith("RegenFund: recipient not allowed");
+    });
+    it("Should commit funds on approval", async function () {
+      await proposeAndApprove();
+      expect(await fund.totalCommitted()).to.equal(M1 + M2);
+      expect(await fund.availableFunds()).to.equal(REGEN - M1 - M2);
+    });
+    it("Should not approve more than available funds", async function () {
+      await fund.proposeGrant(project.address, [REGEN + 1n], 0, META);
+      await expect(fund.approveGrant(0)).to.be.revertedWith("RegenFund: insufficient funds");
+    });
+    it("Should pay nothing before a milestone is completed", async function () {
+      await proposeAndApprove();
+      expect(await fund.claimable(0)).to.equal(0);
+      await expect(fund.connect(project).claim(0)).to.be.revertedWith("RegenFund: nothing to claim");
+    });
+    it("Should complete milestones in order", async function () {
+      await proposeAndApprove();
+      await expect(fund.completeMilestone(0, 1)).to.be.revertedWith("RegenFund: previous milestone open");
+      await expect(fund.completeMilestone(0, 0))
+        .to.emit(fund, "MilestoneCompleted").withArgs(0, 0, M1);
+    });
+    it("Should pay a completed milestone immediately without vesting", async function () {
+      await proposeAndApprove();
+      await fund.completeMilestone(0, 0);
+      await expect(fund.connect(project).claim(0))
+        .to.emit(fund, "GrantClaimed").withArgs(0, project.address, M1);
+      expect(await usdc.balanceOf(project.address)).to.equal(M1);
+      expect(await fund.totalPaid()).to.equal(M1);
+    });
+    it("Should vest a completed milestone linearly", async function () {
+      await proposeAndApprove(100 * DAY);
+      await fund.completeMilestone(0, 0);
+      await time.increase(50 * DAY);
+      expect(await fund.claimable(0)).to.be.closeTo(M1 / 2n, M1 / 1000n);
+      await time.increase(50 * DAY);
+      expect(await fund.claimable(0)).to.equal(M1);
+    });
+    it("Should only pay the recipient", async function () {
+      await proposeAndApprove();
+      await fund.completeMilestone(0, 0);
+      await expect(fund.connect(other).claim(0)).to.be.revertedWith("RegenFund: not recipient");
+    });
+    it("Should release open milestones on cancel but keep completed ones claimable", async function () {
+      await proposeAndApprove();
+      await fund.completeMilestone(0, 0);
+      await expect(fund.cancelGrant(0)).to.emit(fund, "GrantCancelled").withArgs(0, M2);
+      expect(await fund.totalCommitted()).to.equal(M1);
+      await fund.connect(project).claim(0);
+      expect(await usdc.balanceOf(project.address)).to.equal(M1);
+      expect(await fund.availableFunds()).to.equal(REGEN - M1);
+    });
+    it("Should reject non-owner approval and milestone completion", async function () {
+      await fund.proposeGrant(project.address, [M1], 0, META);
+      await expect(fund.connect(other).approveGrant(0))
+        .to.be.revertedWithCustomError(fund, "OwnableUnauthorizedAccount");
+      await fund.approveGrant(0);
+      await expect(fund.connect(other).completeMilestone(0, 0))
+        .to.be.revertedWithCustomError(fund, "OwnableUnauthorizedAccount");
+    });
+  });
+});
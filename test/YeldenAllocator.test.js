@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployWithAllocator, accrueYield } = require("./helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("YeldenAllocator", function () {
+  let vault, usdc, allocator, providers;
+  let owner, user1;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    ({ vault, usdc, allocator, providers } = await deployWithAllocator([5000, 3000]));
+    await usdc.mint(user1.address, ethers.parseUnits("100000", 6));
+    await usdc.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+  });
+
+  async function deployProvider(assetAddress) {
+    const MockRWAProvider = await ethers.getContractFactory("MockRWAProvider");
+    return MockRWAProvider.deploy(assetAddress, await allocator.getAddress());
+  }
+
+  describe("Strategy management", function () {
+    it("Should list strategies in the withdrawal queue in insertion order", async function () {
+      const addrs = await Promise.all(providers.map((p) => p.getAddress()));
+      expect(await allocator.getStrategies()).to.deep.equal(addrs);
+      expect(await allocator.withdrawalQueue()).to.deep.equal(addrs);
+      expect(await allocator.totalTargetBps()).to.equal(8000);
+    });
+    it("Should emit StrategyAdded", async function () {
+      const extra = await deployProvider(await usdc.getAddress());
+      await expect(allocator.addStrategy(await extra.getAddress(), 1000, DEPOSIT))
+        .to.emit(allocator, "StrategyAdded")
+        .withArgs(await extra.getAddress(), 1000, DEPOSIT);
+    });
+    it("Should revert if not owner", async function () {
+      const extra = await deployProvider(await usdc.getAddress());
+      await expect(allocator.connect(user1).addStrategy(await extra.getAddress(), 1000, DEPOSIT))
+        .to.be.revertedWithCustomError(allocator, "OwnableUnauthorizedAccount");
+    });
+    it("Should revert when targets exceed 100%", async function () {
+      const extra = await deployProvider(await usdc.getAddress());
+      await expect(allocator.addStrategy(await extra.getAddress(), 2001, DEPOSIT))
+        .to.be.revertedWith("Allocator: targets exceed 100%");
+    });
+    it("Should revert on asset mismatch", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const other = await MockERC20.deploy("Other", "OTH", 6);
+      const wrong = await deployProvider(await other.getAddress());
+      await expect(allocator.addStrategy(await wrong.getAddress(), 1000, DEPOSIT))
+        .to.be.revertedWith("Allocator: asset mismatch");
+    });
+    it("Should revert on duplicate strategy", async function () {
+      await expect(allocator.addStrategy(await providers[0].getAddress(), 0, 0))
+        .to.be.revertedWith("Allocator: already added");
+    });
+    it("Should update target and ceiling", async function () {
+      await expect(allocator.updateStrategy(await providers[0].getAddress(), 6000, DEPOSIT))
+        .to.emit(allocator, "StrategyUpdated")
+        .withArgs(await providers[0].getAddress(), 6000, DEPOSIT);
+      expect(await allocator.totalTargetBps()).to.equal(9000);
+    });
+  });
+
+  describe("Allocation", function () {
+    it("Should spread deposits by target weight and keep the rest idle", async function () {
+      await vault.allocate(DEPOSIT);
+      expect(await providers[0].totalValue()).to.equal(DEPOSIT / 2n);
+      expect(await providers[1].totalValue()).to.equal((DEPOSIT * 3n) / 10n);
+      expect(await allocator.idleAssets()).to.equal(DEPOSIT / 5n);
+      expect(await allocator.totalValue()).to.equal(DEPOSIT);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+    });
+    it("Should respect maxDebt ceilings", async function () {
+      const cap = ethers.parseUnits("1000", 6);
+      await allocator.updateStrategy(await providers[0].getAddress(), 5000, cap);
+      await vault.allocate(DEPOSIT);
+      expect(await providers[0].totalValue()).to.equal(cap);
+      expect((await allocator.strategies(await providers[0].getAddress())).debt).to.equal(cap);
+    });
+    it("Should only accept deposits from the vault", async function () {
+      await expect(allocator.connect(user1).deposit(1))
+        .to.be.revertedWith("Allocator: only vault");
+    });
+  });
+
+  describe("rebalance", function () {
+    it("Should move funds toward new targets", async function () {
+      await vault.allocate(DEPOSIT);
+      await allocator.updateStrategy(await providers[0].getAddress(), 2000, ethers.MaxUint256);
+      await allocator.updateStrategy(await providers[1].getAddress(), 7000, ethers.MaxUint256);
+      await expect(allocator.rebalance()).to.emit(allocator, "Rebalanced");
+      expect(await providers[0].totalValue()).to.equal(DEPOSIT / 5n);
+      expect(await providers[1].totalValue()).to.equal((DEPOSIT * 7n) / 10n);
+      expect(await allocator.totalValue()).to.equal(DEPOSIT);
+    });
+    it("Should revert if not owner", async function () {
+      await expect(allocator.connect(user1).rebalance())
+        .to.be.revertedWithCustomError(allocator, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Withdrawal queue", function () {
+    it("Should pull from idle first, then strategies in queue order", async function () {
+      await vault.allocate(DEPOSIT);
+      // Vault idle 0, allocator idle 2000, p0 5000, p1 3000
+      await vault.connect(user1).withdraw(ethers.parseUnits("4000", 6), user1.address, user1.address);
+      expect(await allocator.idleAssets()).to.equal(0);
+      expect(await providers[0].totalValue()).to.equal(ethers.parseUnits("3000", 6));
+      expect(await providers[1].totalValue()).to.equal(ethers.parseUnits("3000", 6));
+    });
+    it("Should honour a reordered queue", async function () {
+      await vault.allocate(DEPOSIT);
+      const [a, b] = await Promise.all(providers.map((p) => p.getAddress()));
+      await expect(allocator.setWithdrawalQueue([b, a]))
+        .to.emit(allocator, "WithdrawalQueueSet");
+      await vault.connect(user1).withdraw(ethers.parseUnits("4000", 6), user1.address, user1.address);
+      expect(await providers[1].totalValue()).to.equal(ethers.parseUnits("1000", 6));
+      expect(await providers[0].totalValue()).to.equal(DEPOSIT / 2n);
+    });
+    it("Should reject incomplete or duplicate queues", async function () {
+      const a = await providers[0].getAddress();
+      await expect(allocator.setWithdrawalQueue([a]))
+        .to.be.revertedWith("Allocator: queue length mismatch");
+      await expect(allocator.setWithdrawalQueue([a, a]))
+        .to.be.revertedWith("Allocator: duplicate strategy");
+    });
+    it("Should let users redeem everything across strategies", async function () {
+      await vault.allocate(DEPOSIT);
+      const shares = await vault.balanceOf(user1.address);
+      await vault.connect(user1).redeem(shares, user1.address, user1.address);
+      expect(await vault.totalSupply()).to.equal(0);
+      expect(await allocator.totalValue()).to.equal(0);
+    });
+  });
+
+  describe("Retire / remove", function () {
+    it("Should recall all funds on retire", async function () {
+      await vault.allocate(DEPOSIT);
+      const p0 = await providers[0].getAddress();
+      await expect(allocator.retireStrategy(p0))
+        .to.emit(allocator, "StrategyRetired")
+        .withArgs(p0, DEPOSIT / 2n);
+      expect(await providers[0].totalValue()).to.equal(0);
+      expect(await allocator.totalValue()).to.equal(DEPOSIT);
+      expect(await allocator.totalTargetBps()).to.equal(3000);
+      expect(await allocator.isRetiring(p0)).to.equal(false);
+    });
+    it("Should keep a partially recalled strategy retiring until its debt is recalled", async function () {
+      await vault.allocate(DEPOSIT);
+      const p0 = await providers[0].getAddress();
+      await providers[0].setWithdrawLimit(DEPOSIT / 8n); // e.g. a T+1 redemption window
+      await expect(allocator.retireStrategy(p0))
+        .to.emit(allocator, "StrategyRetired").withArgs(p0, DEPOSIT / 8n);
+
+      const left = DEPOSIT / 2n - DEPOSIT / 8n;
+      expect((await allocator.strategies(p0)).debt).to.equal(left);
+      expect(await allocator.isRetiring(p0)).to.equal(true);
+      expect(await allocator.totalValue()).to.equal(DEPOSIT);
+      await expect(allocator.removeStrategy(p0)).to.be.revertedWith("Allocator: still retiring");
+
+      await providers[0].setWithdrawLimit(ethers.MaxUint256);
+      await allocator.rebalance();
+      expect((await allocator.strategies(p0)).debt).to.equal(0);
+      expect(await allocator.isRetiring(p0)).to.equal(false);
+      await expect(allocator.removeStrategy(p0)).to.emit(allocator, "StrategyRemoved").withArgs(p0);
+      expect(await allocator.totalValue()).to.equal(DEPOSIT);
+    });
+    it("Should not remove an active strategy", async function () {
+      await expect(allocator.removeStrategy(await providers[0].getAddress()))
+        .to.be.revertedWith("Allocator: retire first");
+    });
+    it("Should not remove a strategy that still holds funds", async function () {
+      await vault.allocate(DEPOSIT);
+      const p0 = await providers[0].getAddress();
+      await allocator.retireStrategy(p0);
+      // Interest arriving after retirement must be recalled before removal
+      await usdc.mint(owner.address, 1n);
+      await usdc.approve(p0, 1n);
+      await providers[0].accrueYield(1n);
+      await expect(allocator.removeStrategy(p0))
+        .to.be.revertedWith("Allocator: strategy not empty");
+    });
+    it("Should remove a retired, empty strategy from list and queue", async function () {
+      await vault.allocate(DEPOSIT);
+      const [a, b] = await Promise.all(providers.map((p) => p.getAddress()));
+      await allocator.retireStrategy(a);
+      await expect(allocator.removeStrategy(a))
+        .to.emit(allocator, "StrategyRemoved").withArgs(a);
+      expect(await allocator.getStrategies()).to.deep.equal([b]);
+      expect(await allocator.withdrawalQueue()).to.deep.equal([b]);
+      expect(await allocator.totalValue()).to.equal(DEPOSIT);
+    });
+    it("Should keep the withdrawal order when removing a strategy from the middle", async function () {
+      ({ vault, allocator, providers } = await deployWithAllocator([2500, 2500, 2500, 2500]));
+      const [a, b, c, d] = await Promise.all(providers.map((p) => p.getAddress()));
+      await allocator.setWithdrawalQueue([d, b, a, c]);
+      await allocator.retireStrategy(b);
+      await allocator.removeStrategy(b);
+      expect(await allocator.withdrawalQueue()).to.deep.equal([d, a, c]);
+      expect(await allocator.getStrategies()).to.deep.equal([a, c, d]);
+    });
+  });
+
+  describe("Harvest", function () {
+    it("Should report profit from every strategy to the vault", async function () {
+      await vault.allocate(DEPOSIT);
+      const y0 = ethers.parseUnits("100", 6);
+      const y1 = ethers.parseUnits("50", 6);
+      await accrueYield({ usdc, strategy: providers[0] }, y0);
+      await accrueYield({ usdc, strategy: providers[1] }, y1);
+      await expect(vault.harvest())
+        .to.emit(vault, "Harvest")
+        .withArgs(y0 + y1, (y0 + y1) * 450n / 10000n, (y0 + y1) * 500n / 10000n,
+          anyValue, anyValue);
+      expect((await allocator.strategies(await providers[0].getAddress())).debt)
+        .to.equal(DEPOSIT / 2n + y0);
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT + y0 + y1);
+    });
+    it("Should only be harvested by the vault", async function () {
+      await expect(allocator.harvest()).to.be.revertedWith("Allocator: only vault");
+    });
+  });
+});
+
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, harvestYield, sharesFor } = require("./helpers");
+
+describe("YeldenBridge", function () {
+  let deployment, vault, mockUSDC;
+  let homeMessenger, remoteMessenger, adapter, remote;
+  let owner, user1, user2;
+
+  const HOME   = 1;
+  const REMOTE = 10;
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const SHARES  = sharesFor(DEPOSIT);
+  const LIMIT   = SHARES / 2n;
+  const DAY     = 24 * 60 * 60;
+
+  // Relays the latest message queued on `from` through `to`
+  async function relayLast(from, to) {
+    return to.relay(await from.getAddress(), (await from.messageCount()) - 1n);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+    await mockUSDC.mint(user1.address, ethers.parseUnits("100000", 6));
+    await mockUSDC.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+
+    // Two deployments on one node, each behind its own messenger
+    const MockMessenger = await ethers.getContractFactory("MockMessenger");
+    homeMessenger   = await MockMessenger.deploy(HOME);
+    remoteMessenger = await MockMessenger.deploy(REMOTE);
+
+    const Adapter = await ethers.getContractFactory("YeldenBridgeAdapter");
+    adapter = await Adapter.deploy(await vault.getAddress(), await homeMessenger.getAddress());
+    const RemoteYUSD = await ethers.getContractFactory("YeldenRemoteYUSD");
+    remote = await RemoteYUSD.deploy("Yelden USD", "yUSD", await vault.decimals(), await remoteMessenger.getAddress());
+
+    await adapter.setPeer(REMOTE, await remote.getAddress());
+    await remote.setPeer(HOME, await adapter.getAddress());
+    await adapter.setRateLimits(REMOTE, LIMIT, LIMIT, DAY);
+    await remote.setRateLimits(HOME, LIMIT, LIMIT, DAY);
+
+    await vault.connect(user1).approve(await adapter.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Configuration", function () {
+    it("Should wire peers, limits and decimals", async function () {
+      expect(await adapter.peers(REMOTE)).to.equal(await remote.getAddress());
+      expect(await remote.decimals()).to.equal(await vault.decimals());
+      expect(await adapter.outboundCapacity(REMOTE)).to.equal(LIMIT);
+      expect(await remote.inboundCapacity(HOME)).to.equal(LIMIT);
+    });
+    it("Should restrict admin to the owner and validate inputs", async function () {
+      await expect(adapter.connect(user1).setPeer(REMOTE, user1.address))
+        .to.be.revertedWithCustomError(adapter, "OwnableUnauthorizedAccount");
+      await expect(adapter.connect(user1).setRateLimits(REMOTE, 0, 0, DAY))
+        .to.be.revertedWithCustomError(adapter, "OwnableUnauthorizedAccount");
+      await expect(adapter.connect(user1).setMessenger(user1.address))
+        .to.be.revertedWithCustomError(adapter, "OwnableUnauthorizedAccount");
+      await expect(adapter.setRateLimits(REMOTE, LIMIT, LIMIT, 0)).to.be.revertedWith("Bridge: invalid window");
+      await expect(adapter.setMessenger(ethers.ZeroAddress)).to.be.revertedWith("Bridge: invalid messenger");
+      await expect(adapter.setPeer(31337, user1.address)).to.be.revertedWith("Bridge: invalid chain");
+    });
+  });
+
+  describe("Lock / mint", function () {
+    const AMOUNT = SHARES / 4n;
+
+    it("Should lock on home and mint on remote", async function () {
+      await expect(adapter.connect(user1).send(REMOTE, user2.address, AMOUNT))
+        .to.emit(adapter, "Sent").withArgs(REMOTE, 1, user1.address, user2.address, AMOUNT);
+      expect(await adapter.lockedShares()).to.equal(AMOUNT);
+      expect(await remote.balanceOf(user2.address)).to.equal(0);
+
+      await expect(relayLast(homeMessenger, remoteMessenger))
+        .to.emit(remote, "Received").withArgs(HOME, 1, user2.address, AMOUNT);
+      expect(await remote.balanceOf(user2.address)).to.equal(AMOUNT);
+      expect(await remote.totalSupply()).to.equal(await adapter.lockedShares());
+    });
+    it("Should burn on remote and unlock on home", async function () {
+      await adapter.connect(user1).send(REMOTE, user2.address, AMOUNT);
+      await relayLast(homeMessenger, remoteMessenger);
+
+      await remote.connect(user2).send(HOME, user2.address, AMOUNT);
+      expect(await remote.totalSupply()).to.equal(0);
+      await relayLast(remoteMessenger, homeMessenger);
+      expect(await vault.balanceOf(user2.address)).to.equal(AMOUNT);
+      expect(await adapter.lockedShares()).to.equal(0);
+    });
+    it("Should reject zero amounts, bad recipients and unknown chains", async function () {
+      await expect(adapter.connect(user1).send(REMOTE, user2.address, 0)).to.be.revertedWith("Bridge: zero amount");
+      await expect(adapter.connect(user1).send(REMOTE, ethers.ZeroAddress, 1n)).to.be.revertedWith("Bridge: invalid recipient");
+      await adapter.setRateLimits(42161, LIMIT, LIMIT, DAY);
+      await expect(adapter.connect(user1).send(42161, user2.address, 1n)).to.be.revertedWith("Bridge: unknown peer");
+    });
+    it("Should charge the messenger fee", async function () {
+      await homeMessenger.setFee(1000);
+      expect(await adapter.quoteSend(REMOTE, user2.address, AMOUNT)).to.equal(1000);
+      await expect(adapter.connect(user1).send(REMOTE, user2.address, AMOUNT)).to.be.revertedWith("MockMessenger: fee");
+      await adapter.connect(user1).send(REMOTE, user2.address, AMOUNT, { value: 1000 });
+    });
+  });
+
+  describe("Replay protection", function () {
+    it("Should process each message once", async function () {
+      await adapter.connect(user1).send(REMOTE, user2.address, 1000n);
+      await relayLast(homeMessenger, remoteMessenger);
+      await expect(relayLast(homeMessenger, remoteMessenger)).to.be.revertedWith("Bridge: already processed");
+      expect(await remote.balanceOf(user2.address)).to.equal(1000n);
+    });
+    it("Should only accept the messenger and the configured peer", async function () {
+      const payload = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint8", "uint64", "address", "uint256", "uint256", "uint256"], [1, 99, user1.address, SHARES, 0, 0]
+      );
+      await expect(remote.receiveMessage(HOME, await adapter.getAddress(), payload))
+        .to.be.revertedWith("Bridge: caller is not messenger");
+
+      // A bridge on home that is not the peer cannot mint
+      const Adapter = await ethers.getContractFactory("YeldenBridgeAdapter");
+      const rogue = await Adapter.deploy(await vault.getAddress(), await homeMessenger.getAddress());
+      await rogue.setPeer(REMOTE, await remote.getAddress());
+      await rogue.setRateLimits(REMOTE, LIMIT, 0, DAY);
+      await vault.connect(user1).approve(await rogue.getAddress(), 1n);
+      await rogue.connect(user1).send(REMOTE, user1.address, 1n);
+      await expect(relayLast(homeMessenger, remoteMessenger)).to.be.revertedWith("Bridge: unknown peer");
+    });
+  });
+
+  describe("Rate limits", function () {
+    it("Should cap outbound transfers and refill over the window", async function () {
+      await adapter.connect(user1).send(REMOTE, user1.address, LIMIT);
+      await expect(adapter.connect(user1).send(REMOTE, user1.address, LIMIT / 100n))
+        .to.be.revertedWith("Bridge: rate limit exceeded");
+
+      await time.increase(DAY / 2);
+      expect(await adapter.outboundCapacity(REMOTE)).to.be.closeTo(LIMIT / 2n, LIMIT / 1000n);
+      await adapter.connect(user1).send(REMOTE, user1.address, LIMIT / 4n);
+    });
+    it("Should hold inbound transfers over the limit until capacity frees up", async function () {
+      await remote.setRateLimits(HOME, LIMIT, LIMIT / 4n, DAY);
+      await adapter.connect(user1).send(REMOTE, user2.address, LIMIT / 4n);
+      await relayLast(homeMessenger, remoteMessenger);
+      await adapter.connect(user1).send(REMOTE, user2.address, LIMIT / 4n);
+      await expect(relayLast(homeMessenger, remoteMessenger)).to.be.revertedWith("Bridge: rate limit exceeded");
+
+      await time.increase(DAY);
+      await relayLast(homeMessenger, remoteMessenger);
+      expect(await remote.balanceOf(user2.address)).to.equal(LIMIT / 2n);
+    });
+    it("Should close a chain with no limits", async function () {
+      await adapter.setRateLimits(REMOTE, 0, 0, DAY);
+      await expect(adapter.connect(user1).send(REMOTE, user1.address, 1n))
+        .to.be.revertedWith("Bridge: rate limit exceeded");
+    });
+  });
+
+  describe("Rate propagation", function () {
+    const GROSS = ethers.parseUnits("1000", 6);
+
+    beforeEach(async function () {
+      await vault.allocate(DEPOSIT);
+      await vault.setProfitUnlockPeriod(0);
+    });
+
+    it("Should carry the home rate with every transfer", async function () {
+      await adapter.connect(user1).send(REMOTE, user2.address, 1000n);
+      const sentAt = await time.latest();
+      await expect(relayLast(homeMessenger, remoteMessenger))
+        .to.emit(remote, "RateUpdated").withArgs(ethers.parseUnits("1", 6), sentAt);
+      expect(await remote.convertToAssets(SHARES)).to.equal(await vault.convertToAssets(SHARES));
+    });
+    it("Should push the rate after a harvest", async function () {
+      await harvestYield(deployment, GROSS);
+      await expect(adapter.sendRate(REMOTE)).to.emit(adapter, "RateSent");
+      await relayLast(homeMessenger, remoteMessenger);
+
+      const oneShare = 10n ** (await vault.decimals());
+      expect(await remote.rate()).to.equal(await vault.convertToAssets(oneShare));
+      expect(await remote.rate()).to.be.gt(ethers.parseUnits("1", 6));
+      expect(await remote.rateUpdatedAt()).to.equal(await time.latest() - 1);
+      // The rate carries asset precision per whole yUSD — 1 unit per yUSD at most
+      expect(await remote.convertToAssets(SHARES)).to.be.closeTo(await vault.convertToAssets(SHARES), SHARES / oneShare);
+    });
+    it("Should ignore a rate older than the one it has", async function () {
+      await adapter.sendRate(REMOTE);
+      const oldId = (await homeMessenger.messageCount()) - 1n;
+      await harvestYield(deployment, GROSS);
+      await adapter.sendRate(REMOTE);
+      await relayLast(homeMessenger, remoteMessenger);
+      const fresh = await remote.rate();
+
+      // The delayed, older message still delivers but does not roll the rate back
+      await expect(remoteMessenger.relay(await homeMessenger.getAddress(), oldId)).to.not.emit(remote, "RateUpdated");
+      expect(await remote.rate()).to.equal(fresh);
+    });
+  });
+
+  describe("Remote to remote", function () {
+    const OTHER = 42161;
+    let otherMessenger, other;
+
+    it("Should move supply between remotes and keep the home timestamp", async function () {
+      const MockMessenger = await ethers.getContractFactory("MockMessenger");
+      otherMessenger = await MockMessenger.deploy(OTHER);
+      const RemoteYUSD = await ethers.getContractFactory("YeldenRemoteYUSD");
+      other = await RemoteYUSD.deploy("Yelden USD", "yUSD", await vault.decimals(), await otherMessenger.getAddress());
+      await remote.setPeer(OTHER, await other.getAddress());
+      await other.setPeer(REMOTE, await remote.getAddress());
+      await remote.setRateLimits(OTHER, LIMIT, LIMIT, DAY);
+      await other.setRateLimits(REMOTE, LIMIT, LIMIT, DAY);
+
+      await adapter.connect(user1).send(REMOTE, user2.address, 1000n);
+      await relayLast(homeMessenger, remoteMessenger);
+      await time.increase(3600);
+      await remote.connect(user2).send(OTHER, user2.address, 1000n);
+      await relayLast(remoteMessenger, otherMessenger);
+
+      expect(await remote.totalSupply()).to.equal(0);
+      expect(await other.balanceOf(user2.address)).to.equal(1000n);
+      expect(await other.rateUpdatedAt()).to.equal(await remote.rateUpdatedAt());
+      expect(await adapter.lockedShares()).to.equal(1000n);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, sharesFor } = require("./helpers");
+
+describe("YeldenLock", function () {
+  let deployment, vault, usdc, distributor, locks;
+  let owner, user1, user2;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const LOCKED  = sharesFor(ethers.parseUnits("4000", 6));
+  const DAY     = 24 * 60 * 60;
+  const MONTHS_3 = 90 * DAY, MONTHS_6 = 180 * DAY, MONTHS_12 = 365 * DAY;
+
+  async function lockFor(user, duration, shares = LOCKED) {
+    const tokenId = await locks.nextTokenId();
+    await locks.connect(user).lock(shares, duration, user.address);
+    const { start, end } = await locks.positions(tokenId);
+    return { tokenId, start, end };
+  }
+
+  // Timestamp of the latest block, once it is in the past
+  async function snapshot() {
+    const t = await time.latest();
+    await time.increase(1);
+    return t;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc, distributor } = deployment);
+
+    const YeldenLock = await ethers.getContractFactory("YeldenLock");
+    locks = await YeldenLock.deploy(await vault.getAddress());
+    await distributor.setLocks(await locks.getAddress());
+
+    for (const user of [user1, user2]) {
+      await usdc.mint(user.address, DEPOSIT);
+      await usdc.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+      await vault.connect(user).deposit(DEPOSIT, user.address);
+      await vault.connect(user).approve(await locks.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Configuration", function () {
+    it("Should offer 3, 6 and 12 month tiers by default", async function () {
+      expect(await locks.boostFor(MONTHS_3)).to.equal(12500);
+      expect(await locks.boostFor(MONTHS_6)).to.equal(15000);
+      expect(await locks.boostFor(MONTHS_12)).to.equal(20000);
+      expect(await locks.boostFor(30 * DAY)).to.equal(0);
+      expect(await locks.earlyExitPenaltyBps()).to.equal(1000);
+      expect(await locks.usdc()).to.equal(await usdc.getAddress());
+    });
+    it("Should add and remove tiers within bounds", async function () {
+      await expect(locks.setLockTier(730 * DAY, 30000))
+        .to.emit(locks, "LockTierSet").withArgs(730 * DAY, 30000);
+      await locks.setLockTier(MONTHS_3, 0);
+      expect(await locks.boostFor(MONTHS_3)).to.equal(0);
+
+      await expect(locks.setLockTier(MONTHS_3, 9999)).to.be.revertedWith("Lock: invalid boost");
+      await expect(locks.setLockTier(MONTHS_3, 30001)).to.be.revertedWith("Lock: invalid boost");
+      await expect(locks.setLockTier(0, 12500)).to.be.revertedWith("Lock: invalid duration");
+    });
+    it("Should cap the early-exit penalty", async function () {
+      await expect(locks.setEarlyExitPenalty(5000))
+        .to.emit(locks, "EarlyExitPenaltySet").withArgs(1000, 5000);
+      await expect(locks.setEarlyExitPenalty(5001)).to.be.revertedWith("Lock: penalty too high");
+    });
+    it("Should revert if not owner", async function () {
+      await expect(locks.connect(user1).setLockTier(MONTHS_3, 10000))
+        .to.be.revertedWithCustomError(locks, "OwnableUnauthorizedAccount");
+      await expect(locks.connect(user1).setEarlyExitPenalty(0))
+        .to.be.revertedWithCustomError(locks, "OwnableUnauthorizedAccount");
+      await expect(distributor.connect(user1).setLocks(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("lock", function () {
+    it("Should take the yUSD and mint a position NFT with its unlock schedule", async function () {
+      const tx = locks.connect(user1).lock(LOCKED, MONTHS_6, user2.address);
+      await expect(tx).to.emit(locks, "Transfer").withArgs(ethers.ZeroAddress, user2.address, 1);
+      const { start, end, shares, boostBps } = await locks.positions(1);
+      await expect(tx).to.emit(locks, "Locked").withArgs(1, user2.address, LOCKED, end, 15000);
+
+      expect(end - start).to.equal(MONTHS_6);
+      expect(start).to.equal(await time.latest());
+      expect(shares).to.equal(LOCKED);
+      expect(boostBps).to.equal(15000);
+      expect(await locks.ownerOf(1)).to.equal(user2.address);
+      expect(await locks.totalLocked()).to.equal(LOCKED);
+      expect(await vault.balanceOf(await locks.getAddress())).to.equal(LOCKED);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT) - LOCKED);
+    });
+    it("Should reject zero amounts, unoffered durations and the zero receiver", async function () {
+      await expect(locks.connect(user1).lock(0, MONTHS_3, user1.address)).to.be.revertedWith("Lock: zero amount");
+      await expect(locks.connect(user1).lock(LOCKED, 30 * DAY, user1.address))
+        .to.be.revertedWith("Lock: unsupported duration");
+      await expect(locks.connect(user1).lock(LOCKED, MONTHS_3, ethers.ZeroAddress))
+        .to.be.revertedWith("Lock: invalid receiver");
+    });
+  });
+
+  describe("Weight", function () {
+    it("Should weigh positions at their boost in the distributor", async function () {
+      await lockFor(user1, MONTHS_12);
+      const t = await snapshot();
+      const free = sharesFor(DEPOSIT) - LOCKED;
+      expect(await locks.weightOf(user1.address)).to.equal(LOCKED * 2n);
+      expect(await distributor.weightOf(user1.address, t)).to.equal(free + LOCKED * 2n);
+      expect(await distributor.weightOf(user2.address, t)).to.equal(sharesFor(DEPOSIT));
+      // Locked yUSD counts once, at its boosted weight
+      expect(await distributor.totalWeight(t)).to.equal(sharesFor(DEPOSIT) * 2n + LOCKED);
+    });
+    it("Should weigh the lock's own yUSD at zero so weights sum to totalWeight", async function () {
+      await lockFor(user1, MONTHS_12);
+      await lockFor(user2, MONTHS_3, LOCKED / 2n);
+      // yUSD sent straight to the lock backs no position
+      await vault.connect(user2).transfer(await locks.getAddress(), LOCKED / 4n);
+      const t = await snapshot();
+
+      expect(await distributor.weightOf(await locks.getAddress(), t)).to.equal(0);
+      let sum = 0n;
+      for (const account of [user1, user2, locks]) sum += await distributor.weightOf(await account.getAddress(), t);
+      expect(sum).to.equal(await distributor.totalWeight(t));
+    });
+    it("Should fall back to plain yUSD balances without a lock contract", async function () {
+      await lockFor(user1, MONTHS_12);
+      await expect(distributor.setLocks(ethers.ZeroAddress))
+        .to.emit(distributor, "LocksSet").withArgs(await locks.getAddress(), ethers.ZeroAddress);
+      const t = await snapshot();
+      expect(await distributor.weightOf(user1.address, t)).to.equal(sharesFor(DEPOSIT) - LOCKED);
+      expect(await distributor.totalWeight(t)).to.equal(sharesFor(DEPOSIT) * 2n);
+    });
+    it("Should move the weight with the NFT and checkpoint it", async function () {
+      const { tokenId } = await lockFor(user1, MONTHS_3);
+      const before = await time.latest();
+      await locks.connect(user1).transferFrom(user1.address, user2.address, tokenId);
+      const after = await time.latest();
+      await time.increase(1);
+
+      const weight = LOCKED * 12500n / 10000n;
+      expect(await locks.weightOf(user1.address)).to.equal(0);
+      expect(await locks.weightOf(user2.address)).to.equal(weight);
+      expect(await locks.getPastWeight(user1.address, before)).to.equal(weight);
+      expect(await locks.getPastWeight(user2.address, before)).to.equal(0);
+      expect(await locks.getPastWeight(user2.address, after)).to.equal(weight);
+      expect(await locks.getPastTotalWeight(after)).to.equal(weight);
+      await expect(locks.getPastWeight(user1.address, await time.latest() + 1))
+        .to.be.revertedWith("Lock: future lookup");
+    });
+    it("Should let anyone drop an expired position to 1x", async function () {
+      const { tokenId, end } = await lockFor(user1, MONTHS_6);
+      await expect(locks.expire(tokenId)).to.be.revertedWith("Lock: still locked");
+
+      await time.increaseTo(end);
+      await expect(locks.connect(user2).expire(tokenId)).to.emit(locks, "Expired").withArgs(tokenId);
+      expect(await locks.weightOf(user1.address)).to.equal(LOCKED);
+      expect(await locks.totalWeight()).to.equal(LOCKED);
+      expect((await locks.positions(tokenId)).boostBps).to.equal(10000);
+      await expect(locks.expire(tokenId)).to.be.revertedWith("Lock: not boosted");
+    });
+  });
+
+  describe("unlock", function () {
+    it("Should return the full position after the unlock time", async function () {
+      const { tokenId, end } = await lockFor(user1, MONTHS_3);
+      await time.increaseTo(end);
+      expect(await locks.penaltyOf(tokenId)).to.equal(0);
+
+      await expect(locks.connect(user1).unlock(tokenId, user1.address))
+        .to.emit(locks, "Unlocked").withArgs(tokenId, user1.address, user1.address, LOCKED, 0, 0);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await locks.totalLocked()).to.equal(0);
+      expect(await locks.weightOf(user1.address)).to.equal(0);
+      expect(await locks.totalWeight()).to.equal(0);
+      await expect(locks.ownerOf(tokenId)).to.be.revertedWithCustomError(locks, "ERC721NonexistentToken");
+    });
+    it("Should charge a penalty that falls linearly to zero into yieldReserve", async function () {
+      const { tokenId, start } = await lockFor(user1, MONTHS_6);
+      // Halfway through: half of the 10% penalty
+      await time.increaseTo(start + BigInt(MONTHS_6 / 2));
+      expect(await locks.penaltyOf(tokenId)).to.equal(LOCKED * 500n / 10000n);
+
+      const penalty = LOCKED * 1000n * BigInt(MONTHS_6 / 2 - 1) / (BigInt(MONTHS_6) * 10000n);
+      const penaltyAssets = await vault.previewRedeem(penalty);
+      const priceBefore = await vault.convertToAssets(sharesFor(1n));
+      await time.setNextBlockTimestamp(start + BigInt(MONTHS_6 / 2) + 1n);
+      await expect(locks.connect(user1).unlock(tokenId, user1.address))
+        .to.emit(locks, "Unlocked")
+        .withArgs(tokenId, user1.address, user1.address, LOCKED - penalty, penalty, penaltyAssets)
+        .and.to.emit(vault, "ReserveFunded").withArgs(await locks.getAddress(), penaltyAssets);
+
+      expect(await vault.yieldReserve()).to.equal(penaltyAssets);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT) - penalty);
+      expect(await vault.balanceOf(await locks.getAddress())).to.equal(0);
+      // The penalty leaves depositor equity, it does not reprice remaining yUSD
+      expect(await vault.convertToAssets(sharesFor(1n))).to.equal(priceBefore);
+    });
+    it("Should let an approved operator unlock to any receiver", async function () {
+      const { tokenId, end } = await lockFor(user1, MONTHS_3);
+      await locks.connect(user1).approve(user2.address, tokenId);
+      await time.increaseTo(end);
+      await locks.connect(user2).unlock(tokenId, user2.address);
+      expect(await vault.balanceOf(user2.address)).to.equal(sharesFor(DEPOSIT) + LOCKED);
+    });
+    it("Should revert for anyone else or the zero receiver", async function () {
+      const { tokenId } = await lockFor(user1, MONTHS_3);
+      await expect(locks.connect(user2).unlock(tokenId, user2.address))
+        .to.be.revertedWithCustomError(locks, "ERC721InsufficientApproval");
+      await expect(locks.connect(user1).unlock(tokenId, ethers.ZeroAddress))
+        .to.be.revertedWith("Lock: invalid receiver");
+      await expect(locks.connect(user1).unlock(99, user1.address))
+        .to.be.revertedWithCustomError(locks, "ERC721NonexistentToken");
+    });
+    it("Should waive a penalty worth no USDC", async function () {
+      const { tokenId } = await lockFor(user1, MONTHS_12, 1000n);
+      expect(await locks.penaltyOf(tokenId)).to.be.gt(0);
+      await locks.connect(user1).unlock(tokenId, user1.address);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await vault.yieldReserve()).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, harvestYield } = require("./helpers");
+
+describe("YeldenRateOracle", function () {
+  let deployment, vault, mockUSDC, oracle;
+  let owner, user1, whale;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const GROSS   = ethers.parseUnits("1000", 6);
+  const BASE    = GROSS * 450n / 10000n;
+  const ONE     = ethers.parseUnits("1", 6);   // 1 USDC per yUSD
+  const YEAR    = 365 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, user1, whale] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+    for (const user of [user1, whale]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("1000000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.allocate(DEPOSIT);
+    await vault.setProfitUnlockPeriod(0); // price profit at harvest — streaming has its own suite
+
+    const YeldenRateOracle = await ethers.getContractFactory("YeldenRateOracle");
+    oracle = await YeldenRateOracle.deploy(await vault.getAddress());
+    await vault.setRateOracle(await oracle.getAddress());
+  });
+
+  describe("Feed metadata", function () {
+    it("Should describe a yUSD / USDC feed in asset decimals", async function () {
+      expect(await oracle.decimals()).to.equal(6);
+      expect(await oracle.description()).to.equal("yUSD / USDC");
+      expect(await oracle.version()).to.equal(1);
+    });
+    it("Should checkpoint the rate at deployment", async function () {
+      expect(await oracle.checkpointCount()).to.equal(1);
+      const [rate, timestamp] = await oracle.checkpointAt(1);
+      expect(rate).to.equal(ONE);
+      expect(timestamp).to.be.gt(0);
+    });
+  });
+
+  describe("Checkpoints", function () {
+    it("Should write a checkpoint on every harvest", async function () {
+      const tx = await harvestYield(deployment, GROSS);
+      const rate = await vault.convertToAssets(10n ** 12n);
+      expect(rate).to.be.closeTo(ONE * (DEPOSIT + BASE) / DEPOSIT, 1n);
+      await expect(tx).to.emit(oracle, "RateCheckpointed").withArgs(2, rate, await time.latest());
+      expect(await oracle.checkpointCount()).to.equal(2);
+
+      const [, answer, , updatedAt, answeredInRound] = await oracle.getRoundData(2);
+      expect(answer).to.equal(rate);
+      expect(updatedAt).to.equal(await time.latest());
+      expect(answeredInRound).to.equal(2);
+    });
+    it("Should only accept checkpoints from the vault", async function () {
+      await expect(oracle.connect(user1).checkpoint()).to.be.revertedWith("Oracle: caller is not vault");
+    });
+    it("Should let only the owner set the oracle", async function () {
+      await expect(vault.connect(user1).setRateOracle(user1.address))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.setRateOracle(ethers.ZeroAddress))
+        .to.emit(vault, "RateOracleSet").withArgs(await oracle.getAddress(), ethers.ZeroAddress);
+      await harvestYield(deployment, GROSS);
+      expect(await oracle.checkpointCount()).to.equal(1);
+    });
+    it("Should revert for unknown rounds", async function () {
+      await expect(oracle.getRoundData(0)).to.be.revertedWith("Oracle: unknown round");
+      await expect(oracle.getRoundData(2)).to.be.revertedWith("Oracle: unknown round");
+    });
+  });
+
+  describe("latestRoundData", function () {
+    it("Should report the latest checkpoint with its own timestamp", async function () {
+      await harvestYield(deployment, GROSS);
+      const [rate, checkpointTime] = await oracle.checkpointAt(2);
+      await time.increase(3600);
+      const [roundId, answer, startedAt, updatedAt, answeredInRound] = await oracle.latestRoundData();
+      expect(roundId).to.equal(2);
+      expect(answer).to.equal(rate);
+      expect(startedAt).to.equal(checkpointTime);
+      expect(updatedAt).to.equal(checkpointTime);
+      expect(answeredInRound).to.equal(2);
+    });
+    it("Should not move when USDC is donated to the vault", async function () {
+      const [, before] = await oracle.latestRoundData();
+      await mockUSDC.connect(whale).transfer(await vault.getAddress(), DEPOSIT);
+      expect(await oracle.currentRate()).to.be.gt(before);
+      const [, after] = await oracle.latestRoundData();
+      expect(after).to.equal(before);
+    });
+    it("Should not move when a whale deposits and redeems", async function () {
+      const [, before] = await oracle.latestRoundData();
+      await vault.connect(whale).deposit(DEPOSIT * 50n, whale.address);
+      const [, during] = await oracle.latestRoundData();
+      await vault.connect(whale).redeem(await vault.balanceOf(whale.address), whale.address, whale.address);
+      const [, after] = await oracle.latestRoundData();
+      expect(during).to.equal(before);
+      expect(after).to.equal(before);
+    });
+  });
+
+  describe("rateAt", function () {
+    it("Should interpolate between checkpoints", async function () {
+      const [, start] = await oracle.checkpointAt(1);
+      await time.increase(YEAR);
+      await harvestYield(deployment, GROSS);
+      const [endRate, end] = await oracle.checkpointAt(2);
+
+      expect(await oracle.rateAt(start)).to.equal(ONE);
+      expect(await oracle.rateAt(end)).to.equal(endRate);
+      expect(await oracle.rateAt((start + end) / 2n)).to.be.closeTo((ONE + endRate) / 2n, 1n);
+    });
+    it("Should interpolate towards the live rate after the last checkpoint", async function () {
+      // With streaming on, harvested profit unlocks into the live rate over a week
+      await vault.setProfitUnlockPeriod(7 * 24 * 60 * 60);
+      await harvestYield(deployment, GROSS);
+      const [checkpointRate, checkpointTime] = await oracle.checkpointAt(2);
+      expect(checkpointRate).to.equal(ONE);
+
+      await time.increase(7 * 24 * 60 * 60);
+      const live = await oracle.currentRate();
+      expect(live).to.be.closeTo(ONE * (DEPOSIT + BASE) / DEPOSIT, 1n);
+      const now = BigInt(await time.latest());
+      expect(await oracle.rateAt((checkpointTime + now) / 2n)).to.be.closeTo((ONE + live) / 2n, 1n);
+    });
+    it("Should revert outside the recorded range", async function () {
+      const [, start] = await oracle.checkpointAt(1);
+      await expect(oracle.rateAt(start - 1n)).to.be.revertedWith("Oracle: before first checkpoint");
+      await expect(oracle.rateAt(BigInt(await time.latest()) + 100n)).to.be.revertedWith("Oracle: future timestamp");
+    });
+  });
+
+  describe("realizedApy", function () {
+    it("Should annualize the rate change between checkpoints", async function () {
+      await time.increase(YEAR - 1);
+      await harvestYield(deployment, GROSS);
+      // ~1 year, base share of 1000 on 10000 = 0.45%
+      expect(await oracle.realizedApy(1, 2)).to.be.closeTo(45n, 1n);
+    });
+    it("Should return 0 when the rate did not rise and revert on a bad range", async function () {
+      await harvestYield(deployment, GROSS);
+      await expect(oracle.realizedApy(2, 1)).to.be.revertedWith("Oracle: invalid range");
+      await expect(oracle.realizedApy(1, 3)).to.be.revertedWith("Oracle: unknown round");
+      await vault.setProfitUnlockPeriod(7 * 24 * 60 * 60);
+      await harvestYield(deployment, GROSS);
+      expect(await oracle.realizedApy(2, 3)).to.equal(0);
+    });
+  });
+});
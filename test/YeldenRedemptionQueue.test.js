@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, harvestYield, sharesFor } = require("./helpers");
+
+describe("YeldenRedemptionQueue", function () {
+  let deployment, vault, usdc, queue;
+  let owner, user1, user2, operator;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+
+  beforeEach(async function () {
+    [owner, user1, user2, operator] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc } = deployment);
+
+    const Queue = await ethers.getContractFactory("YeldenRedemptionQueue");
+    queue = await Queue.deploy(await vault.getAddress());
+    await queue.setOperator(operator.address);
+
+    for (const user of [user1, user2]) {
+      await usdc.mint(user.address, DEPOSIT);
+      await usdc.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+      await vault.connect(user).deposit(DEPOSIT, user.address);
+      await vault.connect(user).approve(await queue.getAddress(), ethers.MaxUint256);
+    }
+    // Everything sits in the (illiquid) RWA strategy
+    await vault.allocate(DEPOSIT * 2n);
+  });
+
+  describe("requestRedeem", function () {
+    it("Should lock yUSD and report it as pending", async function () {
+      const shares = sharesFor(DEPOSIT);
+      await expect(queue.connect(user1).requestRedeem(shares, user1.address, user1.address))
+        .to.emit(queue, "RedeemRequest")
+        .withArgs(user1.address, user1.address, 0, user1.address, shares);
+      expect(await vault.balanceOf(user1.address)).to.equal(0);
+      expect(await vault.balanceOf(await queue.getAddress())).to.equal(shares);
+      expect(await queue.pendingRedeemRequest(0, user1.address)).to.equal(shares);
+      expect(await queue.claimableRedeemRequest(0, user1.address)).to.equal(0);
+      expect(await queue.queueLength()).to.equal(1);
+    });
+    it("Should revert on zero shares", async function () {
+      await expect(queue.connect(user1).requestRedeem(0, user1.address, user1.address))
+        .to.be.revertedWith("Queue: zero shares");
+    });
+    it("Should revert when caller is not the owner", async function () {
+      await expect(queue.connect(user2).requestRedeem(1, user2.address, user1.address))
+        .to.be.revertedWith("Queue: not owner");
+    });
+    it("Should reject requests worth no USDC", async function () {
+      // 1 wei of yUSD redeems for 0 USDC and would revert at the head of the queue
+      await expect(queue.connect(user1).requestRedeem(1, user1.address, user1.address))
+        .to.be.revertedWith("Queue: zero assets");
+    });
+  });
+
+  describe("fulfillRedeems", function () {
+    beforeEach(async function () {
+      await queue.connect(user1).requestRedeem(sharesFor(DEPOSIT), user1.address, user1.address);
+      await queue.connect(user2).requestRedeem(sharesFor(DEPOSIT), user2.address, user2.address);
+    });
+
+    it("Should fulfil nothing while the vault has no idle USDC", async function () {
+      await queue.connect(operator).fulfillRedeems(10);
+      expect(await queue.head()).to.equal(0);
+      expect(await queue.pendingRedeemRequest(0, user1.address)).to.equal(sharesFor(DEPOSIT));
+    });
+    it("Should fulfil in FIFO order as strategies unwind", async function () {
+      await vault.deallocate(DEPOSIT);
+      await expect(queue.connect(operator).fulfillRedeems(10))
+        .to.emit(queue, "RedeemFulfilled")
+        .withArgs(0, user1.address, sharesFor(DEPOSIT), DEPOSIT);
+      expect(await queue.claimableRedeemRequest(0, user1.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await queue.pendingRedeemRequest(0, user2.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await queue.queueLength()).to.equal(1);
+    });
+    it("Should not pay redeemers with USDC held for the protocol buckets", async function () {
+      await vault.deallocate(DEPOSIT / 2n);
+      await usdc.mint(owner.address, DEPOSIT);
+      await usdc.approve(await vault.getAddress(), DEPOSIT);
+      await vault.fundReserve(DEPOSIT);
+      expect(await vault.idleAssets()).to.equal(DEPOSIT + DEPOSIT / 2n);
+      expect(await vault.freeIdleAssets()).to.equal(DEPOSIT / 2n);
+
+      await queue.connect(operator).fulfillRedeems(10);
+      expect(await queue.head()).to.equal(0);
+      expect(await vault.yieldReserve()).to.equal(DEPOSIT);
+    });
+    it("Should not let a later, smaller request jump the queue", async function () {
+      await vault.connect(user2).approve(await queue.getAddress(), ethers.MaxUint256);
+      await usdc.mint(user2.address, 100n);
+      await vault.connect(user2).deposit(100n, user2.address);
+      await queue.connect(user2).requestRedeem(sharesFor(100n), user2.address, user2.address);
+      await vault.deallocate(DEPOSIT / 2n);
+      await queue.connect(operator).fulfillRedeems(10);
+      expect(await queue.head()).to.equal(0);
+    });
+    it("Should respect maxRequests", async function () {
+      await vault.deallocate(DEPOSIT * 2n);
+      expect(await queue.connect(operator).fulfillRedeems.staticCall(1)).to.equal(1);
+      await queue.connect(operator).fulfillRedeems(1);
+      expect(await queue.head()).to.equal(1);
+    });
+    it("Should revert if not operator", async function () {
+      await expect(queue.connect(user1).fulfillRedeems(1))
+        .to.be.revertedWith("Queue: only operator");
+    });
+  });
+
+  describe("Blocked requests", function () {
+    it("Should refund a request that became worthless instead of stalling the queue", async function () {
+      const dust = sharesFor(1n);
+      await queue.connect(user1).requestRedeem(dust, user1.address, user1.address);
+      // A socialized loss halves the share price — the dust request is now worth 0 USDC
+      await deployment.strategy.simulateLoss(DEPOSIT);
+      await vault.reportLoss(await deployment.strategy.getAddress(), DEPOSIT);
+      expect(await vault.previewRedeem(dust)).to.equal(0);
+
+      const shares = sharesFor(DEPOSIT);
+      await queue.connect(user2).requestRedeem(shares, user2.address, user2.address);
+      await vault.deallocate(DEPOSIT);
+
+      const assets = await vault.previewRedeem(shares);
+      await expect(queue.connect(operator).fulfillRedeems(10))
+        .to.emit(queue, "RedeemCancelled").withArgs(0, user1.address, dust)
+        .and.to.emit(queue, "RedeemFulfilled").withArgs(1, user2.address, shares, assets);
+      expect(await queue.head()).to.equal(2);
+      expect(await queue.pendingRedeemRequest(0, user1.address)).to.equal(0);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await queue.totalPendingShares()).to.equal(0);
+    });
+    it("Should let the controller cancel a pending request and skip it", async function () {
+      const shares = sharesFor(DEPOSIT);
+      await queue.connect(user1).requestRedeem(shares, user1.address, user1.address);
+      await queue.connect(user2).requestRedeem(shares, user2.address, user2.address);
+
+      await expect(queue.connect(user2).cancelRedeem(0)).to.be.revertedWith("Queue: not controller");
+      await expect(queue.connect(user1).cancelRedeem(0))
+        .to.emit(queue, "RedeemCancelled").withArgs(0, user1.address, shares);
+      expect(await vault.balanceOf(user1.address)).to.equal(shares);
+      expect(await queue.pendingRedeemRequest(0, user1.address)).to.equal(0);
+      await expect(queue.connect(user1).cancelRedeem(0)).to.be.revertedWith("Queue: not pending");
+
+      await vault.deallocate(DEPOSIT);
+      expect(await queue.connect(operator).fulfillRedeems.staticCall(10)).to.equal(1);
+      await queue.connect(operator).fulfillRedeems(10);
+      expect(await queue.head()).to.equal(2);
+      expect(await queue.claimableRedeemRequest(0, user2.address)).to.equal(shares);
+      await expect(queue.connect(user2).cancelRedeem(1)).to.be.revertedWith("Queue: not pending");
+    });
+  });
+
+  describe("Claim", function () {
+    beforeEach(async function () {
+      await queue.connect(user1).requestRedeem(sharesFor(DEPOSIT), user1.address, user1.address);
+    });
+
+    it("Should pay the fulfilment price, not the request price", async function () {
+      await vault.setProfitUnlockPeriod(0); // price profit immediately — streaming has its own suite
+      await harvestYield(deployment, ethers.parseUnits("1000", 6));
+      await vault.deallocate(await vault.strategyDebt());
+      const expected = await vault.previewRedeem(sharesFor(DEPOSIT));
+      expect(expected).to.be.gt(DEPOSIT);
+
+      await queue.connect(operator).fulfillRedeems(1);
+      expect(await queue.maxWithdraw(user1.address)).to.equal(expected);
+
+      await expect(queue.connect(user1).redeem(sharesFor(DEPOSIT), user1.address, user1.address))
+        .to.emit(queue, "RedeemClaimed")
+        .withArgs(user1.address, user1.address, expected, sharesFor(DEPOSIT));
+      expect(await usdc.balanceOf(user1.address)).to.equal(expected);
+      expect(await queue.totalClaimableAssets()).to.equal(0);
+    });
+    it("Should support partial claims by assets", async function () {
+      await vault.deallocate(DEPOSIT);
+      await queue.connect(operator).fulfillRedeems(1);
+      await queue.connect(user1).withdraw(DEPOSIT / 4n, user2.address, user1.address);
+      expect(await usdc.balanceOf(user2.address)).to.equal(DEPOSIT / 4n);
+      expect(await queue.claimableRedeemRequest(0, user1.address)).to.equal(sharesFor(DEPOSIT) * 3n / 4n);
+      expect(await queue.maxWithdraw(user1.address)).to.equal(DEPOSIT * 3n / 4n);
+    });
+    it("Should revert when claiming more than claimable", async function () {
+      await expect(queue.connect(user1).redeem(1, user1.address, user1.address))
+        .to.be.revertedWith("Queue: exceeds claimable");
+    });
+    it("Should revert when caller is not the controller", async function () {
+      await vault.deallocate(DEPOSIT);
+      await queue.connect(operator).fulfillRedeems(1);
+      await expect(queue.connect(user2).redeem(1, user2.address, user1.address))
+        .to.be.revertedWith("Queue: not controller");
+    });
+  });
+});
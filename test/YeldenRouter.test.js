@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, sharesFor } = require("./helpers");
+
+describe("YeldenRouter", function () {
+  let vault, mockUSDC, router, dex;
+  let usdt, dai, eurc;
+  let feeds;
+  let owner, user1, user2;
+
+  const E18 = 10n ** 18n;
+  // Chainlink USD feeds use 8 decimals
+  const usd = (x) => ethers.parseUnits(x, 8);
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    ({ vault, usdc: mockUSDC } = await deployConnected());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdt = await MockERC20.deploy("Mock USDT", "USDT", 6);
+    dai  = await MockERC20.deploy("Mock DAI", "DAI", 18);
+    eurc = await MockERC20.deploy("Mock EURC", "EURC", 6);
+
+    const MockSwapAdapter = await ethers.getContractFactory("MockSwapAdapter");
+    dex = await MockSwapAdapter.deploy();
+
+    const YeldenRouter = await ethers.getContractFactory("YeldenRouter");
+    router = await YeldenRouter.deploy(await vault.getAddress(), await dex.getAddress());
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    feeds = {};
+    const prices = [[mockUSDC, "1"], [usdt, "1"], [dai, "1"], [eurc, "1.08"]];
+    for (const [token, price] of prices) {
+      const feed = await MockV3Aggregator.deploy(8, usd(price));
+      await router.setPriceFeed(await token.getAddress(), await feed.getAddress());
+      feeds[await token.symbol()] = feed;
+    }
+    for (const token of [usdt, dai, eurc]) {
+      await router.setSupported(await token.getAddress(), true);
+    }
+
+    // DEX pools at the oracle price, with liquidity on both sides
+    const usdcAddr = await mockUSDC.getAddress();
+    for (const [token, rate] of [[usdt, E18], [dai, E18], [eurc, 108n * E18 / 100n]]) {
+      const addr = await token.getAddress();
+      await dex.setRate(addr, usdcAddr, rate);
+      await dex.setRate(usdcAddr, addr, E18 * E18 / rate);
+      await token.mint(await dex.getAddress(), ethers.parseUnits("1000000", await token.decimals()));
+    }
+    await mockUSDC.mint(await dex.getAddress(), ethers.parseUnits("1000000", 6));
+
+    for (const token of [usdt, dai, eurc]) {
+      await token.mint(user1.address, ethers.parseUnits("100000", await token.decimals()));
+      await token.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Configuration", function () {
+    it("Should bind to the vault asset", async function () {
+      expect(await router.usdc()).to.equal(await mockUSDC.getAddress());
+      expect(await router.isSupported(await dai.getAddress())).to.equal(true);
+      expect(await router.maxOracleDeviationBps()).to.equal(100);
+    });
+    it("Should require a feed before supporting a token", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const pyusd = await MockERC20.deploy("Mock PYUSD", "PYUSD", 6);
+      await expect(router.setSupported(await pyusd.getAddress(), true))
+        .to.be.revertedWith("Router: no price feed");
+      await expect(router.setSupported(await mockUSDC.getAddress(), true))
+        .to.be.revertedWith("Router: deposit USDC directly");
+    });
+    it("Should bound the oracle params and restrict admin to the owner", async function () {
+      await expect(router.setOracleParams(501, 3600)).to.be.revertedWith("Router: deviation too high");
+      await expect(router.setOracleParams(50, 0)).to.be.revertedWith("Router: invalid price age");
+      await expect(router.setOracleParams(50, 3600))
+        .to.emit(router, "OracleParamsSet").withArgs(50, 3600);
+      await expect(router.connect(user1).setSwapAdapter(user1.address))
+        .to.be.revertedWithCustomError(router, "OwnableUnauthorizedAccount");
+      await expect(router.connect(user1).setSupported(await dai.getAddress(), false))
+        .to.be.revertedWithCustomError(router, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("depositToken", function () {
+    it("Should swap USDT and deposit for the receiver in one call", async function () {
+      const amount = ethers.parseUnits("1000", 6);
+      await expect(router.connect(user1).depositToken(await usdt.getAddress(), amount, amount, user2.address))
+        .to.emit(router, "TokenDeposited")
+        .withArgs(user1.address, user2.address, await usdt.getAddress(), amount, amount, sharesFor(amount));
+      expect(await vault.balanceOf(user2.address)).to.equal(sharesFor(amount));
+      expect(await mockUSDC.balanceOf(await router.getAddress())).to.equal(0);
+    });
+    it("Should handle 18-decimal DAI", async function () {
+      const amount = ethers.parseUnits("250", 18);
+      await router.connect(user1).depositToken(await dai.getAddress(), amount, 0, user1.address);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(ethers.parseUnits("250", 6)));
+    });
+    it("Should convert EURC at the FX rate", async function () {
+      const amount = ethers.parseUnits("1000", 6);
+      expect(await router.quote(await eurc.getAddress(), await mockUSDC.getAddress(), amount))
+        .to.equal(ethers.parseUnits("1080", 6));
+      await router.connect(user1).depositToken(await eurc.getAddress(), amount, 0, user1.address);
+      expect(await vault.maxWithdraw(user1.address)).to.equal(ethers.parseUnits("1080", 6));
+    });
+    it("Should revert when the swap returns less than the caller minimum", async function () {
+      const amount = ethers.parseUnits("1000", 6);
+      await expect(router.connect(user1).depositToken(await usdt.getAddress(), amount, amount + 1n, user1.address))
+        .to.be.revertedWith("MockSwap: slippage");
+    });
+    it("Should revert when the pool price deviates from the oracle", async function () {
+      // USDT pool drained to 0.97 while the feed still reads 1.00 — beyond the 1% band
+      await dex.setRate(await usdt.getAddress(), await mockUSDC.getAddress(), 97n * E18 / 100n);
+      const amount = ethers.parseUnits("1000", 6);
+      await expect(router.connect(user1).depositToken(await usdt.getAddress(), amount, 0, user1.address))
+        .to.be.revertedWith("MockSwap: slippage");
+
+      // Within the band it fills
+      await dex.setRate(await usdt.getAddress(), await mockUSDC.getAddress(), 995n * E18 / 1000n);
+      await router.connect(user1).depositToken(await usdt.getAddress(), amount, 0, user1.address);
+      expect(await vault.maxWithdraw(user1.address)).to.equal(ethers.parseUnits("995", 6));
+    });
+    it("Should revert on stale or invalid feeds", async function () {
+      await time.increase(24 * 60 * 60 + 1);
+      await expect(router.connect(user1).depositToken(await usdt.getAddress(), 1000n, 0, user1.address))
+        .to.be.revertedWith("Router: stale price");
+
+      await feeds.USDC.updateAnswer(usd("1"));
+      await feeds.USDT.updateAnswer(0);
+      await expect(router.connect(user1).depositToken(await usdt.getAddress(), 1000n, 0, user1.address))
+        .to.be.revertedWith("Router: invalid price");
+    });
+    it("Should reject unsupported tokens and zero amounts", async function () {
+      await router.setSupported(await dai.getAddress(), false);
+      await expect(router.connect(user1).depositToken(await dai.getAddress(), 1n, 0, user1.address))
+        .to.be.revertedWith("Router: unsupported token");
+      await expect(router.connect(user1).depositToken(await usdt.getAddress(), 0, 0, user1.address))
+        .to.be.revertedWith("Router: zero amount");
+    });
+    it("Should apply the vault deposit guard to the real caller", async function () {
+      const Guard = await ethers.getContractFactory("YeldenDepositGuard");
+      const guard = await Guard.deploy(true);
+      await guard.setAllowlisted([await router.getAddress(), user2.address], true);
+      await vault.setDepositGuard(await guard.getAddress());
+
+      const amount = ethers.parseUnits("100", 6);
+      await expect(router.connect(user1).depositToken(await usdt.getAddress(), amount, 0, user2.address))
+        .to.be.revertedWith("Router: deposit not allowed");
+
+      await guard.setAllowlisted([user1.address], true);
+      await router.connect(user1).depositToken(await usdt.getAddress(), amount, 0, user2.address);
+      expect(await vault.balanceOf(user2.address)).to.equal(sharesFor(amount));
+    });
+  });
+
+  describe("redeemToToken", function () {
+    const AMOUNT = ethers.parseUnits("1000", 6);
+
+    beforeEach(async function () {
+      await router.connect(user1).depositToken(await usdt.getAddress(), AMOUNT, 0, user1.address);
+      await vault.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+    });
+
+    it("Should redeem yUSD and pay out in DAI", async function () {
+      const shares = await vault.balanceOf(user1.address);
+      const out = ethers.parseUnits("1000", 18);
+      await expect(router.connect(user1).redeemToToken(await dai.getAddress(), shares, out, user2.address))
+        .to.emit(router, "TokenRedeemed")
+        .withArgs(user1.address, user2.address, await dai.getAddress(), shares, AMOUNT, out);
+      expect(await dai.balanceOf(user2.address)).to.equal(out);
+      expect(await vault.balanceOf(user1.address)).to.equal(0);
+    });
+    it("Should enforce slippage and oracle checks on the way out", async function () {
+      const shares = await vault.balanceOf(user1.address);
+      await expect(router.connect(user1).redeemToToken(await dai.getAddress(), shares, ethers.parseUnits("1001", 18), user1.address))
+        .to.be.revertedWith("MockSwap: slippage");
+
+      await dex.setRate(await mockUSDC.getAddress(), await eurc.getAddress(), 80n * E18 / 100n);
+      await expect(router.connect(user1).redeemToToken(await eurc.getAddress(), shares, 0, user1.address))
+        .to.be.revertedWith("MockSwap: slippage");
+    });
+    it("Should revert without a yUSD allowance", async function () {
+      await vault.connect(user1).approve(await router.getAddress(), 0);
+      await expect(router.connect(user1).redeemToToken(await dai.getAddress(), 1n, 0, user1.address))
+        .to.be.revertedWithCustomError(vault, "ERC20InsufficientAllowance");
+    });
+  });
+});
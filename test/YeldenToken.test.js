@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("YeldenToken", function () {
+  let yld, owner, emitter, devnet, user1, user2;
+  let EMISSIONS_MINTER_ROLE, CONTRIBUTOR_MINTER_ROLE;
+
+  const CAP    = ethers.parseUnits("1000000000", 18);
+  const AMOUNT = ethers.parseUnits("1000", 18);
+
+  beforeEach(async function () {
+    [owner, emitter, devnet, user1, user2] = await ethers.getSigners();
+    const YeldenToken = await ethers.getContractFactory("YeldenToken");
+    yld = await YeldenToken.deploy(owner.address);
+    EMISSIONS_MINTER_ROLE   = await yld.EMISSIONS_MINTER_ROLE();
+    CONTRIBUTOR_MINTER_ROLE = await yld.CONTRIBUTOR_MINTER_ROLE();
+    await yld.grantRole(EMISSIONS_MINTER_ROLE, emitter.address);
+    await yld.grantRole(CONTRIBUTOR_MINTER_ROLE, devnet.address);
+  });
+
+  describe("Deployment", function () {
+    it("Should start with no supply and a 1B cap", async function () {
+      expect(await yld.name()).to.equal("Yelden Token");
+      expect(await yld.symbol()).to.equal("YLD");
+      expect(await yld.decimals()).to.equal(18);
+      expect(await yld.totalSupply()).to.equal(0);
+      expect(await yld.CAP()).to.equal(CAP);
+      expect(await yld.mintable()).to.equal(CAP);
+      expect(await yld.hasRole(await yld.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await yld.hasRole(EMISSIONS_MINTER_ROLE, owner.address)).to.be.false;
+    });
+    it("Should reject the zero admin", async function () {
+      const YeldenToken = await ethers.getContractFactory("YeldenToken");
+      await expect(YeldenToken.deploy(ethers.ZeroAddress)).to.be.revertedWith("YLD: invalid admin");
+    });
+  });
+
+  describe("Minting", function () {
+    it("Should mint emissions and contributor rewards on separate counters", async function () {
+      await expect(yld.connect(emitter).mintEmissions(user1.address, AMOUNT))
+        .to.emit(yld, "EmissionsMinted").withArgs(user1.address, AMOUNT, emitter.address);
+      await expect(yld.connect(devnet).mintContributorReward(user2.address, AMOUNT / 2n))
+        .to.emit(yld, "ContributorRewardMinted").withArgs(user2.address, AMOUNT / 2n, devnet.address);
+
+      expect(await yld.emissionsMinted()).to.equal(AMOUNT);
+      expect(await yld.contributorMinted()).to.equal(AMOUNT / 2n);
+      expect(await yld.balanceOf(user1.address)).to.equal(AMOUNT);
+      expect(await yld.balanceOf(user2.address)).to.equal(AMOUNT / 2n);
+      expect(await yld.mintable()).to.equal(CAP - AMOUNT - AMOUNT / 2n);
+    });
+    it("Should gate each pool to its own role", async function () {
+      await expect(yld.connect(devnet).mintEmissions(user1.address, AMOUNT))
+        .to.be.revertedWithCustomError(yld, "AccessControlUnauthorizedAccount")
+        .withArgs(devnet.address, EMISSIONS_MINTER_ROLE);
+      await expect(yld.connect(emitter).mintContributorReward(user1.address, AMOUNT))
+        .to.be.revertedWithCustomError(yld, "AccessControlUnauthorizedAccount")
+        .withArgs(emitter.address, CONTRIBUTOR_MINTER_ROLE);
+      await expect(yld.connect(user1).mintEmissions(user1.address, AMOUNT))
+        .to.be.revertedWithCustomError(yld, "AccessControlUnauthorizedAccount");
+    });
+    it("Should never mint past the cap across both pools", async function () {
+      await yld.connect(emitter).mintEmissions(user1.address, CAP - AMOUNT);
+      await expect(yld.connect(devnet).mintContributorReward(user2.address, AMOUNT + 1n))
+        .to.be.revertedWith("YLD: cap exceeded");
+      await yld.connect(devnet).mintContributorReward(user2.address, AMOUNT);
+      expect(await yld.totalSupply()).to.equal(CAP);
+      await expect(yld.connect(emitter).mintEmissions(user1.address, 1))
+        .to.be.revertedWith("YLD: cap exceeded");
+    });
+    it("Should reject zero amounts", async function () {
+      await expect(yld.connect(emitter).mintEmissions(user1.address, 0)).to.be.revertedWith("YLD: zero amount");
+    });
+  });
+
+  describe("Burning", function () {
+    beforeEach(async function () {
+      await yld.connect(emitter).mintEmissions(user1.address, AMOUNT);
+    });
+
+    it("Should burn from the caller and lower totalSupply", async function () {
+      await expect(yld.connect(user1).burn(AMOUNT / 4n))
+        .to.emit(yld, "Transfer").withArgs(user1.address, ethers.ZeroAddress, AMOUNT / 4n);
+      expect(await yld.totalSupply()).to.equal(AMOUNT - AMOUNT / 4n);
+      expect(await yld.balanceOf(user1.address)).to.equal(AMOUNT - AMOUNT / 4n);
+    });
+    it("Should burnFrom only within the allowance", async function () {
+      await yld.connect(user1).approve(user2.address, AMOUNT / 2n);
+      await expect(yld.connect(user2).burnFrom(user1.address, AMOUNT))
+        .to.be.revertedWithCustomError(yld, "ERC20InsufficientAllowance");
+      await yld.connect(user2).burnFrom(user1.address, AMOUNT / 2n);
+      expect(await yld.totalSupply()).to.equal(AMOUNT / 2n);
+    });
+    it("Should not free room under the cap", async function () {
+      await yld.connect(user1).burn(AMOUNT);
+      expect(await yld.mintable()).to.equal(CAP - AMOUNT);
+      expect(await yld.emissionsMinted()).to.equal(AMOUNT);
+
+      await yld.connect(emitter).mintEmissions(user1.address, CAP - AMOUNT);
+      await expect(yld.connect(devnet).mintContributorReward(user2.address, 1))
+        .to.be.revertedWith("YLD: cap exceeded");
+      expect(await yld.totalSupply()).to.equal(CAP - AMOUNT);
+    });
+  });
+
+  describe("Votes", function () {
+    beforeEach(async function () {
+      await yld.connect(emitter).mintEmissions(user1.address, AMOUNT);
+    });
+
+    it("Should use a timestamp clock", async function () {
+      expect(await yld.CLOCK_MODE()).to.equal("mode=timestamp");
+      expect(await yld.clock()).to.equal(await time.latest());
+    });
+    it("Should count votes only once delegated", async function () {
+      expect(await yld.getVotes(user1.address)).to.equal(0);
+      await yld.connect(user1).delegate(user2.address);
+      expect(await yld.getVotes(user2.address)).to.equal(AMOUNT);
+
+      await yld.connect(user1).transfer(user2.address, AMOUNT / 4n);
+      expect(await yld.getVotes(user2.address)).to.equal(AMOUNT - AMOUNT / 4n);
+    });
+    it("Should checkpoint votes and supply through burns", async function () {
+      await yld.connect(user1).delegate(user1.address);
+      const before = await time.latest();
+      await yld.connect(user1).burn(AMOUNT / 2n);
+      await time.increase(1);
+
+      expect(await yld.getPastVotes(user1.address, before)).to.equal(AMOUNT);
+      expect(await yld.getPastTotalSupply(before)).to.equal(AMOUNT);
+      expect(await yld.getVotes(user1.address)).to.equal(AMOUNT / 2n);
+      expect(await yld.getPastTotalSupply(await time.latest() - 1)).to.equal(AMOUNT / 2n);
+    });
+  });
+
+  describe("Permit", function () {
+    it("Should approve by signature and share nonces with delegateBySig", async function () {
+      await yld.connect(emitter).mintEmissions(user1.address, AMOUNT);
+      const deadline = (await time.latest()) + 3600;
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "Yelden Token", version: "1", chainId, verifyingContract: await yld.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner",    type: "address" },
+          { name: "spender",  type: "address" },
+          { name: "value",    type: "uint256" },
+          { name: "nonce",    type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const value = { owner: user1.address, spender: user2.address, value: AMOUNT, nonce: 0, deadline };
+      const { v, r, s } = ethers.Signature.from(await user1.signTypedData(domain, types, value));
+
+      await yld.permit(user1.address, user2.address, AMOUNT, deadline, v, r, s);
+      expect(await yld.allowance(user1.address, user2.address)).to.equal(AMOUNT);
+      expect(await yld.nonces(user1.address)).to.equal(1);
+
+      const delegation = { delegatee: user2.address, nonce: 1, expiry: deadline };
+      const sig = ethers.Signature.from(await user1.signTypedData(domain, {
+        Delegation: [
+          { name: "delegatee", type: "address" },
+          { name: "nonce",     type: "uint256" },
+          { name: "expiry",    type: "uint256" },
+        ],
+      }, delegation));
+      await yld.delegateBySig(user2.address, 1, deadline, sig.v, sig.r, sig.s);
+      expect(await yld.delegates(user1.address)).to.equal(user2.address);
+      expect(await yld.nonces(user1.address)).to.equal(2);
+    });
+  });
+});
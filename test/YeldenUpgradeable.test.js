@@ -0,0 +1,447 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployExtension, deployVault, sharesFor } = require("./helpers");
+const { compareLayouts, getStorageLayout } = require("../scripts/check-storage-layout");
+
+describe("Upgradeable deployments (UUPS)", function () {
+  let owner, user1, user2;
+  let usdc;
+
+  const DEPOSIT  = ethers.parseUnits("1000", 6);
+  const TIMELOCK = 2 * 24 * 60 * 60;
+
+  // ERC1967Proxy(implementation, initialize calldata), attached as `name`
+  async function deployProxy(name, constructorArgs, initArgs) {
+    const Impl = await ethers.getContractFactory(name);
+    const impl = await Impl.deploy(...constructorArgs);
+    const Proxy = await ethers.getContractFactory("ERC1967Proxy");
+    const proxy = await Proxy.deploy(
+      await impl.getAddress(),
+      Impl.interface.encodeFunctionData("initialize", initArgs)
+    );
+    return { proxy: Impl.attach(await proxy.getAddress()), impl };
+  }
+
+  async function deployVaultProxy() {
+    const asset = await usdc.getAddress();
+    const extension = await deployExtension(asset);
+    return deployProxy(
+      "YeldenVaultUpgradeable",
+      [asset, await extension.getAddress()],
+      ["Yelden USD", "yUSD", owner.address]
+    );
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("Mock USDC", "USDC", 6);
+    await usdc.mint(user1.address, ethers.parseUnits("100000", 6));
+  });
+
+  // ─── Vault ──────────────────────────────────────────────────────────────────
+
+  describe("YeldenVaultUpgradeable", function () {
+    let vault, impl;
+
+    beforeEach(async function () {
+      ({ proxy: vault, impl } = await deployVaultProxy());
+      await usdc.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+    });
+
+    it("initializes the proxy with the same defaults as YeldenVault", async function () {
+      const reference = await deployVault(await usdc.getAddress());
+
+      expect(await vault.name()).to.equal("Yelden USD");
+      expect(await vault.symbol()).to.equal("yUSD");
+      expect(await vault.owner()).to.equal(owner.address);
+      expect(await vault.asset()).to.equal(await usdc.getAddress());
+      for (const param of ["baseYieldBps", "regenBps", "yieldReserveBps", "profitUnlockPeriod", "depositCap", "accountCap"]) {
+        expect(await vault[param]()).to.equal(await reference[param](), param);
+      }
+    });
+
+    it("cannot be initialized twice, nor its implementation at all", async function () {
+      await expect(vault.initialize("X", "X", user1.address))
+        .to.be.revertedWithCustomError(vault, "InvalidInitialization");
+      await expect(impl.initialize("X", "X", user1.address))
+        .to.be.revertedWithCustomError(impl, "InvalidInitialization");
+    });
+
+    it("runs deposits, admin calls and permit through the proxy", async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+
+      // Delegated to the extension, which must see the proxy's storage
+      await vault.setDepositCaps(DEPOSIT * 2n, DEPOSIT);
+      expect(await vault.depositCap()).to.equal(DEPOSIT * 2n);
+      expect(await vault.accountCap()).to.equal(DEPOSIT);
+      await expect(vault.connect(user1).setDepositCaps(0, 0))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = await vault.eip712Domain();
+      expect(domain.name).to.equal("Yelden USD");
+      expect(domain.chainId).to.equal(chainId);
+      expect(domain.verifyingContract).to.equal(await vault.getAddress());
+    });
+
+    it("upgrades only to the queued implementation after the timelock", async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      const { impl: next } = await deployVaultProxy();
+      const nextAddress = await next.getAddress();
+
+      await expect(vault.upgradeToAndCall(nextAddress, "0x"))
+        .to.be.revertedWith("Nothing queued");
+
+      await expect(vault.queueUpgrade(nextAddress))
+        .to.emit(vault, "UpgradeQueued");
+      expect(await vault.pendingImplementation()).to.equal(nextAddress);
+
+      await expect(vault.upgradeToAndCall(nextAddress, "0x"))
+        .to.be.revertedWith("Timelock not expired");
+      await expect(vault.upgradeToAndCall(await impl.getAddress(), "0x"))
+        .to.be.revertedWith("Upgrade not queued");
+
+      await time.increase(TIMELOCK);
+      await expect(vault.upgradeToAndCall(nextAddress, "0x"))
+        .to.emit(vault, "Upgraded").withArgs(nextAddress);
+
+      expect(await vault.pendingImplementation()).to.equal(ethers.ZeroAddress);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+      expect(await vault.owner()).to.equal(owner.address);
+    });
+
+    it("restricts queueing, cancelling and upgrading to the owner", async function () {
+      const implAddress = await impl.getAddress();
+      await expect(vault.connect(user1).queueUpgrade(implAddress))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+
+      await vault.queueUpgrade(implAddress);
+      await expect(vault.connect(user1).cancelUpgrade())
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+
+      await time.increase(TIMELOCK);
+      await expect(vault.connect(user1).upgradeToAndCall(implAddress, "0x"))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+
+    it("rejects implementations without code", async function () {
+      await expect(vault.queueUpgrade(user2.address))
+        .to.be.revertedWith("Invalid implementation");
+    });
+
+    it("cancels a queued upgrade", async function () {
+      const implAddress = await impl.getAddress();
+      await expect(vault.cancelUpgrade()).to.be.revertedWith("Nothing queued");
+
+      await vault.queueUpgrade(implAddress);
+      await expect(vault.cancelUpgrade())
+        .to.emit(vault, "UpgradeCancelled").withArgs(implAddress);
+
+      await time.increase(TIMELOCK);
+      await expect(vault.upgradeToAndCall(implAddress, "0x"))
+        .to.be.revertedWith("Nothing queued");
+    });
+
+    it("restarts the timelock when another implementation is queued", async function () {
+      const { impl: next } = await deployVaultProxy();
+      await vault.queueUpgrade(await impl.getAddress());
+      await time.increase(TIMELOCK - 60);
+      await vault.queueUpgrade(await next.getAddress());
+      await time.increase(120);
+
+      await expect(vault.upgradeToAndCall(await next.getAddress(), "0x"))
+        .to.be.revertedWith("Timelock not expired");
+    });
+  });
+
+  // ─── Distributor ────────────────────────────────────────────────────────────
+
+  describe("YeldenDistributorUpgradeable", function () {
+    let distributor;
+
+    beforeEach(async function () {
+      ({ proxy: distributor } = await deployProxy("YeldenDistributorUpgradeable", [], [owner.address]));
+    });
+
+    it("initializes the proxy with the same defaults as YeldenDistributor", async function () {
+      const Reference = await ethers.getContractFactory("YeldenDistributor");
+      const reference = await Reference.deploy();
+
+      expect(await distributor.owner()).to.equal(owner.address);
+      for (const param of ["proportionalBps", "equalizedBps", "zkBonusBps", "aiAgentShareBps", "walletCap"]) {
+        expect(await distributor[param]()).to.equal(await reference[param](), param);
+      }
+    });
+
+    it("keeps state across an upgrade to a new implementation", async function () {
+      await distributor.setVault(user2.address);
+      await distributor.queueParams(8000, 1000, 1000, 0, ethers.parseUnits("1000", 6));
+      await time.increase(TIMELOCK);
+      await distributor.executeParams();
+
+      const V2 = await ethers.getContractFactory("MockDistributorV2");
+      const v2 = await V2.deploy();
+      await distributor.queueUpgrade(await v2.getAddress());
+      await time.increase(TIMELOCK);
+      await distributor.upgradeToAndCall(await v2.getAddress(), "0x");
+
+      const upgraded = V2.attach(await distributor.getAddress());
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.vault()).to.equal(user2.address);
+      expect(await upgraded.proportionalBps()).to.equal(8000);
+      expect(await upgraded.walletCap()).to.equal(ethers.parseUnits("1000", 6));
+      expect(await upgraded.owner()).to.equal(owner.address);
+
+      await upgraded.setNewValue(42);
+      expect(await upgraded.newValue()).to.equal(42);
+    });
+  });
+
+  // ─── Registry ───────────────────────────────────────────────────────────────
+
+  describe("AIAgentRegistryUpgradeable", function () {
+    const MIN_STAKE   = ethers.parseUnits("50", 18);
+    const MONTHLY_FEE = ethers.parseUnits("1", 18);
+    let registry, yld;
+
+    beforeEach(async function () {
+      const YeldenToken = await ethers.getContractFactory("YeldenToken");
+      yld = await YeldenToken.deploy(owner.address);
+      await yld.grantRole(await yld.EMISSIONS_MINTER_ROLE(), owner.address);
+      const vault = await deployVault(await usdc.getAddress());
+      ({ proxy: registry } = await deployProxy("AIAgentRegistryUpgradeable", [], [
+        await yld.getAddress(), MIN_STAKE, MONTHLY_FEE, await vault.getAddress(), owner.address,
+      ]));
+    });
+
+    it("initializes roles and parameters on the proxy", async function () {
+      expect(await registry.hasRole(await registry.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await registry.hasRole(await registry.SCORER_ROLE(), owner.address)).to.be.true;
+      expect(await registry.minStake()).to.equal(MIN_STAKE);
+      expect(await registry.monthlyFee()).to.equal(MONTHLY_FEE);
+    });
+
+    it("keeps agent records across an upgrade", async function () {
+      await yld.mintEmissions(user1.address, MIN_STAKE);
+      await yld.connect(user1).approve(await registry.getAddress(), MIN_STAKE);
+      await registry.connect(user1).registerAgent("agent-1", "trading", MIN_STAKE);
+
+      const Impl = await ethers.getContractFactory("AIAgentRegistryUpgradeable");
+      const next = await Impl.deploy();
+      await registry.queueUpgrade(await next.getAddress());
+      await time.increase(TIMELOCK);
+      await registry.upgradeToAndCall(await next.getAddress(), "0x");
+
+      expect(await registry.stakeOf(user1.address)).to.equal(MIN_STAKE);
+      expect(await registry.totalAgents()).to.equal(1);
+    });
+
+    it("restricts upgrades to DEFAULT_ADMIN_ROLE", async function () {
+      await expect(registry.connect(user1).queueUpgrade(await yld.getAddress()))
+        .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ─── Migration ──────────────────────────────────────────────────────────────
+
+  describe("YeldenVaultMigrator", function () {
+    let oldVault, newVault, migrator;
+
+    beforeEach(async function () {
+      oldVault = await deployVault(await usdc.getAddress());
+      ({ proxy: newVault } = await deployVaultProxy());
+
+      const Migrator = await ethers.getContractFactory("YeldenVaultMigrator");
+      migrator = await Migrator.deploy(await oldVault.getAddress(), await newVault.getAddress());
+
+      await usdc.connect(user1).approve(await oldVault.getAddress(), ethers.MaxUint256);
+      await oldVault.connect(user1).deposit(DEPOSIT, user1.address);
+      await oldVault.pause(await oldVault.DEPOSITS(), "migrating");
+    });
+
+    it("moves a holder's position from the old vault to the new one", async function () {
+      const shares = await oldVault.balanceOf(user1.address);
+      await oldVault.connect(user1).approve(await migrator.getAddress(), shares);
+
+      await expect(migrator.connect(user1).migrate(shares, sharesFor(DEPOSIT)))
+        .to.emit(migrator, "Migrated").withArgs(user1.address, shares, DEPOSIT, sharesFor(DEPOSIT));
+
+      expect(await oldVault.balanceOf(user1.address)).to.equal(0);
+      expect(await newVault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+      expect(await newVault.totalAssets()).to.equal(DEPOSIT);
+      expect(await usdc.balanceOf(await migrator.getAddress())).to.equal(0);
+    });
+
+    it("migrates with a permit instead of an approval", async function () {
+      const shares = await oldVault.balanceOf(user1.address);
+      const deadline = (await time.latest()) + 3600;
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = ethers.Signature.from(await user1.signTypedData(
+        { name: await oldVault.name(), version: "1", chainId, verifyingContract: await oldVault.getAddress() },
+        { Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ] },
+        { owner: user1.address, spender: await migrator.getAddress(), value: shares, nonce: 0, deadline }
+      ));
+
+      await migrator.connect(user1).migrateWithPermit(shares, 0, deadline, signature.v, signature.r, signature.s);
+      expect(await newVault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+    });
+
+    it("reverts on slippage, zero amounts and missing approval", async function () {
+      const shares = await oldVault.balanceOf(user1.address);
+      await expect(migrator.connect(user1).migrate(0, 0))
+        .to.be.revertedWith("Migrator: zero amount");
+      await expect(migrator.connect(user1).migrate(shares, 0))
+        .to.be.revertedWithCustomError(oldVault, "ERC20InsufficientAllowance");
+
+      await oldVault.connect(user1).approve(await migrator.getAddress(), shares);
+      await expect(migrator.connect(user1).migrate(shares, sharesFor(DEPOSIT) + 1n))
+        .to.be.revertedWith("Migrator: slippage");
+    });
+
+    it("applies the new vault's deposit guard to the holder", async function () {
+      const Guard = await ethers.getContractFactory("YeldenDepositGuard");
+      const guard = await Guard.deploy(true);
+      await guard.setAllowlisted([await migrator.getAddress()], true);
+      await newVault.setDepositGuard(await guard.getAddress());
+
+      const shares = await oldVault.balanceOf(user1.address);
+      await oldVault.connect(user1).approve(await migrator.getAddress(), shares);
+      await expect(migrator.connect(user1).migrate(shares, 0))
+        .to.be.revertedWith("Migrator: deposit not allowed");
+
+      await guard.setAllowlisted([user1.address], true);
+      await migrator.connect(user1).migrate(shares, 0);
+      expect(await newVault.balanceOf(user1.address)).to.equal(sharesFor(DEPOSIT));
+    });
+
+    it("rejects vaults with different assets", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const other = await deployVault(await (await MockERC20.deploy("DAI", "DAI", 18)).getAddress());
+      const Migrator = await ethers.getContractFactory("YeldenVaultMigrator");
+      await expect(Migrator.deploy(await oldVault.getAddress(), await other.getAddress()))
+        .to.be.revertedWith("Migrator: asset mismatch");
+    });
+  });
+
+  // ─── Storage layout check ───────────────────────────────────────────────────
+
+  describe("scripts/check-storage-layout.js", function () {
+    // Minimal solc-style layout: [label, slot, offset, type]
+    function layout(vars) {
+      const types = {
+        t_uint256: { label: "uint256", numberOfBytes: "32" },
+        t_address: { label: "address", numberOfBytes: "20" },
+        t_bool:    { label: "bool",    numberOfBytes: "1" },
+        "t_array(t_uint256)10_storage": { label: "uint256[10]", numberOfBytes: "320", base: "t_uint256" },
+        "t_array(t_uint256)9_storage":  { label: "uint256[9]",  numberOfBytes: "288", base: "t_uint256" },
+      };
+      return {
+        storage: vars.map(([label, slot, offset, type]) => ({ label, slot: String(slot), offset, type, contract: "C.sol:C" })),
+        types,
+      };
+    }
+
+    const V1 = layout([
+      ["owner",  0, 0,  "t_address"],
+      ["paused", 0, 20, "t_bool"],
+      ["total",  1, 0,  "t_uint256"],
+      ["__gap",  2, 0,  "t_array(t_uint256)10_storage"],
+    ]);
+
+    it("accepts the real upgradeable contracts against their predecessors", async function () {
+      for (const [from, to] of [
+        ["YeldenVault", "YeldenVaultUpgradeable"],
+        ["YeldenDistributor", "YeldenDistributorUpgradeable"],
+        ["AIAgentRegistry", "AIAgentRegistryUpgradeable"],
+        ["YeldenDistributorUpgradeable", "MockDistributorV2"],
+      ]) {
+        const { errors } = compareLayouts(await getStorageLayout(hre, from), await getStorageLayout(hre, to));
+        expect(errors, `${from} → ${to}`).to.deep.equal([]);
+      }
+    });
+
+    it("flags reordered real layouts", async function () {
+      const { errors } = compareLayouts(
+        await getStorageLayout(hre, "MockDistributorV2"),
+        await getStorageLayout(hre, "YeldenDistributorUpgradeable")
+      );
+      expect(errors.some(e => e.includes("newValue"))).to.be.true;
+    });
+
+    it("accepts a variable taken from the front of a gap", function () {
+      const V2 = layout([
+        ["owner",  0, 0,  "t_address"],
+        ["paused", 0, 20, "t_bool"],
+        ["total",  1, 0,  "t_uint256"],
+        ["added",  2, 0,  "t_uint256"],
+        ["__gap",  3, 0,  "t_array(t_uint256)9_storage"],
+        ["after",  12, 0, "t_uint256"],
+      ]);
+      expect(compareLayouts(V1, V2)).to.deep.equal({ errors: [], warnings: [] });
+    });
+
+    it("rejects a gap that does not shrink by the slots it gave up", function () {
+      const V2 = layout([
+        ["owner",  0, 0,  "t_address"],
+        ["paused", 0, 20, "t_bool"],
+        ["total",  1, 0,  "t_uint256"],
+        ["added",  2, 0,  "t_uint256"],
+        ["__gap",  3, 0,  "t_array(t_uint256)10_storage"],
+      ]);
+      const { errors } = compareLayouts(V1, V2);
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include("gap no longer ends");
+    });
+
+    it("rejects inserted, removed and retyped variables", function () {
+      const inserted = layout([
+        ["owner",  0, 0,  "t_address"],
+        ["paused", 0, 20, "t_bool"],
+        ["added",  1, 0,  "t_uint256"],
+        ["total",  2, 0,  "t_uint256"],
+        ["__gap",  3, 0,  "t_array(t_uint256)9_storage"],
+      ]);
+      expect(compareLayouts(V1, inserted).errors[0]).to.include("total (slot 1, offset 0): moved to slot 2");
+
+      const removed = layout([
+        ["owner",  0, 0,  "t_address"],
+        ["total",  1, 0,  "t_uint256"],
+        ["__gap",  2, 0,  "t_array(t_uint256)10_storage"],
+      ]);
+      expect(compareLayouts(V1, removed).errors[0]).to.include("paused (slot 0, offset 20): removed");
+
+      const retyped = layout([
+        ["owner",  0, 0,  "t_address"],
+        ["paused", 0, 20, "t_bool"],
+        ["total",  1, 0,  "t_address"],
+        ["__gap",  2, 0,  "t_array(t_uint256)10_storage"],
+      ]);
+      expect(compareLayouts(V1, retyped).errors[0]).to.include("type changed from uint256 to address");
+    });
+
+    it("rejects a new variable packed over an existing one", function () {
+      const V2 = layout([
+        ["owner",  0, 0,  "t_address"],
+        ["paused", 0, 20, "t_bool"],
+        ["flag",   0, 20, "t_bool"],
+        ["total",  1, 0,  "t_uint256"],
+        ["__gap",  2, 0,  "t_array(t_uint256)10_storage"],
+      ]);
+      // Both sit at the same offset — the first match keeps `paused`, the second clashes
+      const { errors } = compareLayouts(V1, V2);
+      expect(errors.some(e => e.includes("flag") && e.includes("overlaps"))).to.be.true;
+    });
+  });
+});
@@ -1,9 +1,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { deployConnected } = require("./helpers");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, harvestYield } = require("./helpers");
 
 describe("YeldenVault — Bear Market Simulation", function () {
-  let vault, distributor, mockUSDC;
+  let deployment, vault, distributor, mockUSDC;
   let owner, user1, user2;
 
   const DEPOSIT_AMOUNT = ethers.parseUnits("10000", 6);
@@ -13,7 +14,7 @@ describe("YeldenVault — Bear Market Simulation", function () {
     [owner, user1, user2] = await ethers.getSigners();
     
     // Usar deployConnected para garantir que o distributor está configurado
-    const deployment = await deployConnected();
+    deployment = await deployConnected();
     vault = deployment.vault;
     distributor = deployment.distributor;
     mockUSDC = deployment.usdc;
@@ -31,7 +32,7 @@ describe("YeldenVault — Bear Market Simulation", function () {
       let expectedReserve = 0n;
 
       for (let i = 0; i < numHarvests; i++) {
-        const tx = await vault.connect(owner).harvest(GROSS_YIELD);
+        const tx = await harvestYield(deployment, GROSS_YIELD);
         const receipt = await tx.wait();
         
         const event = receipt.logs.find(
@@ -47,7 +48,7 @@ describe("YeldenVault — Bear Market Simulation", function () {
   describe("Reserve Usage", function () {
     beforeEach(async function () {
       for (let i = 0; i < 5; i++) {
-        await vault.connect(owner).harvest(GROSS_YIELD);
+        await harvestYield(deployment, GROSS_YIELD);
       }
       // Mint USDC to vault to back the reserve (simulates RWA returns)
       const reserve = await vault.yieldReserve();
@@ -84,12 +85,92 @@ describe("YeldenVault — Bear Market Simulation", function () {
     });
   });
 
+  describe("Bear Mode State Machine", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+    // Yield on DEPOSIT_AMOUNT at a given annual rate in bps
+    const yieldAt = (bps) => DEPOSIT_AMOUNT * BigInt(bps) / 10000n;
+
+    async function harvestAfterYear(bps) {
+      await time.increase(YEAR);
+      return harvestYield(deployment, yieldAt(bps));
+    }
+
+    it("Should record the realized yield rate per harvest", async function () {
+      await expect(harvestAfterYear(800)).to.emit(vault, "YieldRateRecorded");
+      expect(await vault.lastYieldRateBps()).to.be.closeTo(800n, 1n);
+      expect(await vault.bearMode()).to.equal(false);
+    });
+
+    it("Should enter bear mode when the rate falls below baseYieldBps", async function () {
+      await harvestAfterYear(800);
+      await expect(harvestAfterYear(200))
+        .to.emit(vault, "BearModeEntered");
+      expect(await vault.bearMode()).to.equal(true);
+    });
+
+    it("Should pause distributor routing and send the whole surplus to the reserve", async function () {
+      await harvestAfterYear(800);
+      const poolBefore = await vault.distributorPool();
+      const [, , distributedBefore] = await distributor.poolBalances();
+
+      const gross = yieldAt(200);
+      const base = gross * 450n / 10000n;
+      const regen = gross * 500n / 10000n;
+      const tx = await harvestAfterYear(200);
+      await expect(tx).to.emit(vault, "Harvest").withArgs(gross, base, regen, gross - base - regen, 0);
+      await expect(tx).to.not.emit(distributor, "Distributed");
+
+      expect(await vault.distributorPool()).to.equal(poolBefore);
+      const [, , distributedAfter] = await distributor.poolBalances();
+      expect(distributedAfter).to.equal(distributedBefore);
+    });
+
+    it("Should top up the base share from the reserve", async function () {
+      await vault.setProfitUnlockPeriod(0); // price profit immediately — streaming has its own suite
+      await harvestAfterYear(800);
+      const equityBefore = await vault.totalAssets();
+      const tx = await harvestAfterYear(200);
+      const receipt = await tx.wait();
+      const topUp = receipt.logs.find((log) => log.fragment && log.fragment.name === "ReserveTopUp");
+      expect(topUp).to.not.equal(undefined);
+
+      // Depositors get the base share they would have had at 4.5%
+      const targetBase = equityBefore * 450n / 10000n * 450n / 10000n;
+      expect(await vault.totalAssets()).to.be.closeTo(equityBefore + targetBase, 1000n);
+    });
+
+    it("Should cap the top-up at the available reserve", async function () {
+      await time.increase(YEAR);
+      await harvestYield(deployment, 10n);
+      expect(await vault.bearMode()).to.equal(true);
+      expect(await vault.yieldReserve()).to.equal(0);
+    });
+
+    it("Should stay in bear mode inside the hysteresis band", async function () {
+      await harvestAfterYear(200);
+      expect(await vault.bearMode()).to.equal(true);
+      await expect(harvestAfterYear(500)).to.not.emit(vault, "BearModeExited");
+      expect(await vault.bearMode()).to.equal(true);
+    });
+
+    it("Should exit bear mode once the rate reaches baseYieldBps + hysteresis", async function () {
+      await harvestAfterYear(200);
+      await expect(harvestAfterYear(600)).to.emit(vault, "BearModeExited");
+      expect(await vault.bearMode()).to.equal(false);
+    });
+
+    it("Should resume distributor routing after exit", async function () {
+      await harvestAfterYear(200);
+      await expect(harvestAfterYear(600)).to.emit(distributor, "Distributed");
+    });
+  });
+
   describe("Full Bear Market Simulation", function () {
     it("Should simulate complete bear market cycle", async function () {
       // Fase 1: Anos bons - acumula reserva
       console.log("\n📈 Fase 1: Anos bons (acumulando reserva)");
       for (let i = 0; i < 10; i++) {
-        await vault.connect(owner).harvest(GROSS_YIELD);
+        await harvestYield(deployment, GROSS_YIELD);
       }
       const reserveAfterGood = await vault.yieldReserve();
       console.log(`   Reserve acumulado: ${ethers.formatUnits(reserveAfterGood, 6)} USDC`);
@@ -106,7 +187,7 @@ describe("YeldenVault — Bear Market Simulation", function () {
 
       // Fase 3: Recuperação
       console.log("\n🌱 Fase 3: Recuperação");
-      await vault.connect(owner).harvest(GROSS_YIELD * 2n);
+      await harvestYield(deployment, GROSS_YIELD * 2n);
       
       const reserveAfterRecovery = await vault.yieldReserve();
       console.log(`   Reserve após recuperação: ${ethers.formatUnits(reserveAfterRecovery, 6)} USDC`);
@@ -118,7 +199,7 @@ describe("YeldenVault — Bear Market Simulation", function () {
   describe("Test Helper", function () {
     beforeEach(async function () {
       for (let i = 0; i < 5; i++) {
-        await vault.connect(owner).harvest(GROSS_YIELD);
+        await harvestYield(deployment, GROSS_YIELD);
       }
       const reserve = await vault.yieldReserve();
       await mockUSDC.mint(await vault.getAddress(), reserve);
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, harvestYield, sharesFor, SHARE_SCALE } = require("./helpers");
+
+describe("YeldenVault — Protocol Buckets", function () {
+  let deployment, vault, mockUSDC;
+  let owner, user1, user2, registry;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const GROSS   = ethers.parseUnits("1000", 6);
+
+  // Harvest split for GROSS: 4.5% base, 5% regen, 90.5% surplus → 20% reserve / 80% distributor
+  const BASE          = GROSS * 450n / 10000n;
+  const REGEN         = GROSS * 500n / 10000n;
+  const SURPLUS       = GROSS - BASE - REGEN;
+  const TO_RESERVE    = SURPLUS * 2000n / 10000n;
+  const TO_DISTRIBUTOR = SURPLUS - TO_RESERVE;
+
+  beforeEach(async function () {
+    [owner, user1, user2, registry] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+    await vault.setProfitUnlockPeriod(0); // bucket math only — streaming has its own suite
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("100000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.allocate(DEPOSIT);
+  });
+
+  describe("Bucket views", function () {
+    it("Should start empty", async function () {
+      expect(await vault.yieldReserve()).to.equal(0);
+      expect(await vault.regenPool()).to.equal(0);
+      expect(await vault.distributorPool()).to.equal(0);
+      expect(await vault.protocolAssets()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(await vault.grossAssets());
+    });
+    it("Should book every harvest share into its bucket", async function () {
+      await harvestYield(deployment, GROSS);
+      expect(await vault.yieldReserve()).to.equal(TO_RESERVE);
+      expect(await vault.regenPool()).to.equal(REGEN);
+      expect(await vault.distributorPool()).to.equal(TO_DISTRIBUTOR);
+      expect(await vault.protocolAssets()).to.equal(REGEN + TO_RESERVE + TO_DISTRIBUTOR);
+    });
+    it("Should count only the base share as depositor equity", async function () {
+      await harvestYield(deployment, GROSS);
+      expect(await vault.grossAssets()).to.equal(DEPOSIT + GROSS);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + BASE);
+    });
+  });
+
+  describe("Share price", function () {
+    it("Should not let a full exit take a slice of the buckets", async function () {
+      await harvestYield(deployment, GROSS);
+      await vault.connect(user1).redeem(await vault.balanceOf(user1.address), user1.address, user1.address);
+      expect(await vault.totalSupply()).to.equal(0);
+      // Every bucket is still backed by USDC in the vault or strategy
+      expect(await vault.grossAssets()).to.be.gte(await vault.protocolAssets());
+      expect(await mockUSDC.balanceOf(user1.address))
+        .to.be.closeTo(ethers.parseUnits("90000", 6) + DEPOSIT + BASE, 1n);
+    });
+    it("Should price new deposits at depositor equity only", async function () {
+      await harvestYield(deployment, GROSS);
+      const shares = await vault.connect(user2).deposit.staticCall(DEPOSIT, user2.address);
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+      expect(await vault.convertToAssets(shares)).to.be.closeTo(DEPOSIT, 1n);
+    });
+    it("Should not move the share price on receiveSlash", async function () {
+      await vault.setRegistry(registry.address);
+      const before = await vault.convertToAssets(sharesFor(DEPOSIT));
+      const slash = ethers.parseUnits("500", 6);
+      await mockUSDC.mint(await vault.getAddress(), slash);
+      await vault.connect(registry).receiveSlash(slash);
+      expect(await vault.convertToAssets(sharesFor(DEPOSIT))).to.equal(before);
+      expect(await vault.yieldReserve()).to.equal(slash);
+    });
+    it("Should not move the share price on withdrawReserve", async function () {
+      await harvestYield(deployment, GROSS);
+      const before = await vault.convertToAssets(sharesFor(DEPOSIT));
+      await vault.withdrawReserve(owner.address, TO_RESERVE);
+      expect(await vault.convertToAssets(sharesFor(DEPOSIT))).to.equal(before);
+    });
+    it("Should credit fundReserve to yieldReserve without moving the share price", async function () {
+      const before = await vault.convertToAssets(sharesFor(DEPOSIT));
+      const amount = ethers.parseUnits("250", 6);
+      await expect(vault.connect(user2).fundReserve(amount))
+        .to.emit(vault, "ReserveFunded").withArgs(user2.address, amount);
+      expect(await vault.yieldReserve()).to.equal(amount);
+      expect(await vault.idleAssets()).to.equal(amount);
+      expect(await vault.convertToAssets(sharesFor(DEPOSIT))).to.equal(before);
+      await expect(vault.fundReserve(0)).to.be.revertedWith("Zero amount");
+    });
+    it("Should floor totalAssets at zero when buckets exceed holdings", async function () {
+      await vault.setRegistry(registry.address);
+      // Slash accounted without the USDC arriving
+      await vault.connect(registry).receiveSlash(DEPOSIT * 2n);
+      expect(await vault.totalAssets()).to.equal(0);
+    });
+  });
+
+  describe("Distributor payouts", function () {
+    const dA = [0n, 0n], dB = [[0n, 0n], [0n, 0n]], dC = [0n, 0n];
+    let distributor;
+
+    beforeEach(async function () {
+      ({ distributor } = deployment);
+      await harvestYield(deployment, GROSS);
+    });
+
+    it("Should pay claimed USDC out of the vault and distributorPool", async function () {
+      const zk = await distributor.zkBonusPool();
+      const ai = await distributor.aiAgentPool();
+      const holders = await distributor.holderPool();
+      expect(zk + ai + holders).to.equal(TO_DISTRIBUTOR);
+      const vaultAddress = await vault.getAddress();
+      const assetsBefore = await vault.totalAssets();
+
+      const claim = distributor.connect(user2).claimZKBonus(zk / 2n, 1, dA, dB, dC, [1n, 500n, 1n]);
+      await expect(claim).to.emit(vault, "DistributionReleased").withArgs(user2.address, zk / 2n);
+      await expect(claim).to.changeTokenBalance(mockUSDC, user2, zk / 2n);
+
+      await expect(distributor.releaseAIBonus(registry.address, ai))
+        .to.changeTokenBalance(mockUSDC, registry, ai);
+      const release = distributor.releaseHolderRewards(owner.address, holders);
+      await expect(release).to.emit(distributor, "HolderRewardsReleased").withArgs(owner.address, holders);
+      await expect(release).to.changeTokenBalance(mockUSDC, owner, holders);
+
+      expect(await vault.distributorPool()).to.equal(zk - zk / 2n);
+      expect(await vault.grossAssets()).to.equal(DEPOSIT + GROSS - TO_DISTRIBUTOR + zk - zk / 2n);
+      // Payouts come out of the bucket, not depositor equity
+      expect(await vault.totalAssets()).to.equal(assetsBefore);
+      expect(await mockUSDC.balanceOf(vaultAddress) + await vault.strategyDebt())
+        .to.equal(await vault.grossAssets());
+    });
+    it("Should only let the distributor draw on distributorPool", async function () {
+      await expect(vault.releaseDistribution(owner.address, 1)).to.be.revertedWith("Only distributor");
+      await expect(distributor.connect(user1).releaseHolderRewards(user1.address, 1))
+        .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+      await expect(distributor.releaseHolderRewards(owner.address, TO_DISTRIBUTOR))
+        .to.be.revertedWith("Insufficient holder pool");
+    });
+  });
+
+  // yUSD used to be priced against idle + strategyDebt (now grossAssets()).
+  describe("Migration from gross accounting", function () {
+    function grossPrice(shares, gross, supply) {
+      return shares * (gross + 1n) / (supply + SHARE_SCALE);
+    }
+
+    it("Should leave the share price unchanged while buckets are empty", async function () {
+      const supply = await vault.totalSupply();
+      const shares = sharesFor(DEPOSIT);
+      expect(await vault.convertToAssets(shares))
+        .to.equal(grossPrice(shares, await vault.grossAssets(), supply));
+    });
+    it("Should reduce redeemable value by exactly the protocol buckets after a harvest", async function () {
+      await harvestYield(deployment, GROSS);
+      const supply = await vault.totalSupply();
+      const oldValue = grossPrice(supply, await vault.grossAssets(), supply);
+      const newValue = await vault.convertToAssets(supply);
+      expect(oldValue - newValue).to.be.closeTo(await vault.protocolAssets(), 1n);
+    });
+    it("Should mint more shares per USDC than gross accounting would", async function () {
+      await harvestYield(deployment, GROSS);
+      const supply = await vault.totalSupply();
+      const oldShares = DEPOSIT * (supply + SHARE_SCALE) / (await vault.grossAssets() + 1n);
+      expect(await vault.convertToShares(DEPOSIT)).to.be.gt(oldShares);
+    });
+  });
+});
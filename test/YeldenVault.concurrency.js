@@ -1,9 +1,9 @@
 ﻿const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { deployConnected } = require("./helpers");
+const { deployConnected, sharesFor, harvestYield } = require("./helpers");
 
 describe("YeldenVault — Concurrency Testing", function () {
-  let vault, distributor, mockUSDC;
+  let deployment, vault, distributor, mockUSDC;
   let users;
 
   const NUM_USERS = 10;
@@ -13,7 +13,7 @@ describe("YeldenVault — Concurrency Testing", function () {
     users = await ethers.getSigners();
     users = users.slice(0, NUM_USERS);
 
-    const deployment = await deployConnected();
+    deployment = await deployConnected();
     vault = deployment.vault;
     mockUSDC = deployment.usdc;
 
@@ -37,7 +37,7 @@ describe("YeldenVault — Concurrency Testing", function () {
       await Promise.all(depositPromises);
 
       for (const user of users) {
-        expect(await vault.balanceOf(user.address)).to.equal(DEPOSIT_AMOUNT);
+        expect(await vault.balanceOf(user.address)).to.equal(sharesFor(DEPOSIT_AMOUNT));
       }
       expect(await vault.totalAssets()).to.equal(DEPOSIT_AMOUNT * BigInt(NUM_USERS));
     });
@@ -124,7 +124,7 @@ describe("YeldenVault — Concurrency Testing", function () {
       // Verifications
       for (const user of depositors) {
         expect(await vault.balanceOf(user.address)).to.equal(
-          DEPOSIT_AMOUNT + extraDeposit
+          sharesFor(DEPOSIT_AMOUNT + extraDeposit)
         );
       }
 
@@ -151,13 +151,13 @@ describe("YeldenVault — Concurrency Testing", function () {
     it("Should handle circular transfers", async function () {
       const transferPromises = users.map((user, i) => {
         const nextIndex = (i + 1) % users.length;
-        return vault.connect(user).transfer(users[nextIndex].address, DEPOSIT_AMOUNT / 2n);
+        return vault.connect(user).transfer(users[nextIndex].address, sharesFor(DEPOSIT_AMOUNT) / 2n);
       });
 
       await Promise.all(transferPromises);
 
       for (const user of users) {
-        expect(await vault.balanceOf(user.address)).to.equal(DEPOSIT_AMOUNT);
+        expect(await vault.balanceOf(user.address)).to.equal(sharesFor(DEPOSIT_AMOUNT));
       }
     });
   });
@@ -176,7 +176,7 @@ describe("YeldenVault — Concurrency Testing", function () {
       );
 
       // Harvest and new deposits simultaneously
-      const harvestPromise = vault.connect(owner).harvest(ethers.parseUnits("5000", 6));
+      const harvestPromise = harvestYield(deployment, ethers.parseUnits("5000", 6));
       
       const newDeposits = users.slice(5, 8).map(async user => {
         await mockUSDC.connect(user).approve(vaultAddress, DEPOSIT_AMOUNT);
@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected } = require("./helpers");
+
+describe("YeldenVault — ERC-4626 Compliance", function () {
+  let vault, mockUSDC;
+  let owner, addr1, addr2;
+
+  const DEPOSIT = ethers.parseUnits("1000", 6);
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    ({ vault, usdc: mockUSDC } = await deployConnected());
+    await mockUSDC.mint(addr1.address, ethers.parseUnits("10000", 6));
+    await mockUSDC.mint(addr2.address, ethers.parseUnits("10000", 6));
+    await mockUSDC.connect(addr1).approve(await vault.getAddress(), ethers.MaxUint256);
+    await mockUSDC.connect(addr2).approve(await vault.getAddress(), ethers.MaxUint256);
+  });
+
+  // Donation makes the share price non-integer so rounding becomes visible
+  async function makeRateUneven() {
+    await vault.connect(addr1).deposit(DEPOSIT, addr1.address);
+    await mockUSDC.mint(await vault.getAddress(), ethers.parseUnits("333", 6) + 1n);
+  }
+
+  describe("Interface", function () {
+    it("Should expose asset() as an address", async function () {
+      expect(await vault.asset()).to.equal(await mockUSDC.getAddress());
+    });
+    it("Should report unlimited maxDeposit and maxMint", async function () {
+      expect(await vault.maxDeposit(addr1.address)).to.equal(ethers.MaxUint256);
+      expect(await vault.maxMint(addr1.address)).to.equal(ethers.MaxUint256);
+    });
+    it("Should report maxWithdraw and maxRedeem from owner balance", async function () {
+      await vault.connect(addr1).deposit(DEPOSIT, addr1.address);
+      expect(await vault.maxRedeem(addr1.address)).to.equal(await vault.balanceOf(addr1.address));
+      expect(await vault.maxWithdraw(addr1.address)).to.equal(DEPOSIT);
+      expect(await vault.maxWithdraw(addr2.address)).to.equal(0);
+    });
+  });
+
+  describe("Rounding", function () {
+    beforeEach(makeRateUneven);
+
+    it("previewDeposit rounds down and matches convertToShares", async function () {
+      const assets = 1_000_001n;
+      expect(await vault.previewDeposit(assets)).to.equal(await vault.convertToShares(assets));
+    });
+    it("previewRedeem rounds down and matches convertToAssets", async function () {
+      const shares = 1_000_001n;
+      expect(await vault.previewRedeem(shares)).to.equal(await vault.convertToAssets(shares));
+    });
+    it("previewMint rounds up", async function () {
+      const shares = 1_000_001n;
+      expect(await vault.previewMint(shares)).to.equal(await vault.convertToAssets(shares) + 1n);
+    });
+    it("previewWithdraw rounds up", async function () {
+      const assets = 1_000_001n;
+      expect(await vault.previewWithdraw(assets)).to.equal(await vault.convertToShares(assets) + 1n);
+    });
+    it("deposit → redeem round trip never returns more than deposited", async function () {
+      const assets = 123_456_789n;
+      const balBefore = await mockUSDC.balanceOf(addr2.address);
+      await vault.connect(addr2).deposit(assets, addr2.address);
+      const shares = await vault.balanceOf(addr2.address);
+      await vault.connect(addr2).redeem(shares, addr2.address, addr2.address);
+      expect(await mockUSDC.balanceOf(addr2.address)).to.be.lte(balBefore);
+    });
+    it("mint → withdraw round trip never returns more than paid", async function () {
+      const shares = 123_456_789n;
+      const balBefore = await mockUSDC.balanceOf(addr2.address);
+      await vault.connect(addr2).mint(shares, addr2.address);
+      await vault.connect(addr2).withdraw(await vault.maxWithdraw(addr2.address), addr2.address, addr2.address);
+      expect(await mockUSDC.balanceOf(addr2.address)).to.be.lte(balBefore);
+    });
+  });
+
+  describe("mint", function () {
+    it("Should mint exact shares and pull previewMint assets", async function () {
+      const shares = ethers.parseUnits("250", 6);
+      const expectedAssets = await vault.previewMint(shares);
+      const balBefore = await mockUSDC.balanceOf(addr1.address);
+      await vault.connect(addr1).mint(shares, addr2.address);
+      expect(await vault.balanceOf(addr2.address)).to.equal(shares);
+      expect(await mockUSDC.balanceOf(addr1.address)).to.equal(balBefore - expectedAssets);
+    });
+    it("Should emit Deposit event", async function () {
+      const shares = ethers.parseUnits("250", 6);
+      const assets = await vault.previewMint(shares);
+      await expect(vault.connect(addr1).mint(shares, addr1.address))
+        .to.emit(vault, "Deposit")
+        .withArgs(addr1.address, addr1.address, assets, shares);
+    });
+    it("Should revert on zero shares", async function () {
+      await expect(vault.connect(addr1).mint(0, addr1.address))
+        .to.be.revertedWith("Zero shares");
+    });
+    it("Should revert if receiver is zero address", async function () {
+      await expect(vault.connect(addr1).mint(1000n, ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid receiver");
+    });
+  });
+
+  describe("withdraw", function () {
+    beforeEach(makeRateUneven);
+
+    it("Should burn previewWithdraw shares", async function () {
+      const assets = ethers.parseUnits("100", 6) + 7n;
+      const expectedShares = await vault.previewWithdraw(assets);
+      const sharesBefore = await vault.balanceOf(addr1.address);
+      await vault.connect(addr1).withdraw(assets, addr1.address, addr1.address);
+      expect(await vault.balanceOf(addr1.address)).to.equal(sharesBefore - expectedShares);
+    });
+    it("Should revert when withdrawing more than maxWithdraw", async function () {
+      const max = await vault.maxWithdraw(addr1.address);
+      await expect(vault.connect(addr1).withdraw(max + 1n, addr1.address, addr1.address))
+        .to.be.revertedWith("Insufficient balance");
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, harvestYield } = require("./helpers");
+
+describe("YeldenVault — Fees", function () {
+  let deployment, vault, mockUSDC;
+  let owner, user1, user2, treasury;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const YEAR    = 365 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasury] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("100000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.setTreasury(treasury.address);
+  });
+
+  describe("Configuration", function () {
+    it("Should start with no fees", async function () {
+      expect(await vault.managementFeeBps()).to.equal(0);
+      expect(await vault.performanceFeeBps()).to.equal(0);
+      expect(await vault.previewFees()).to.deep.equal([0n, 0n]);
+    });
+    it("Should set the treasury and fees with events", async function () {
+      await expect(vault.setTreasury(user2.address))
+        .to.emit(vault, "TreasurySet").withArgs(treasury.address, user2.address);
+      await expect(vault.setFees(200, 1000))
+        .to.emit(vault, "FeesSet").withArgs(200, 1000);
+      expect(await vault.lastFeeAccrual()).to.equal(await time.latest());
+    });
+    it("Should enforce the hard caps", async function () {
+      await expect(vault.setFees(201, 0)).to.be.revertedWith("Management fee too high");
+      await expect(vault.setFees(0, 2001)).to.be.revertedWith("Performance fee too high");
+    });
+    it("Should revert if not owner, or without a treasury", async function () {
+      await expect(vault.connect(user1).setFees(100, 0))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.connect(user1).setTreasury(user1.address))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid treasury");
+
+      const fresh = await deployConnected();
+      await expect(fresh.vault.setFees(100, 0)).to.be.revertedWith("Treasury not set");
+    });
+  });
+
+  describe("Management fee", function () {
+    beforeEach(async function () {
+      await vault.setFees(200, 0);
+    });
+
+    it("Should accrue per second and show in previewFees", async function () {
+      await time.increase(YEAR / 2);
+      const [assets, shares] = await vault.previewFees();
+      expect(assets).to.be.closeTo(DEPOSIT / 100n, DEPOSIT / 1000000n);
+      expect(shares).to.be.gt(0);
+    });
+    it("Should mint lazily on the next deposit", async function () {
+      await time.increase(YEAR);
+      const tx = await vault.connect(user2).deposit(DEPOSIT, user2.address);
+      await expect(tx).to.emit(vault, "ManagementFeeMinted");
+      expect(await vault.lastFeeAccrual()).to.equal(await time.latest());
+      expect(await vault.previewFees()).to.deep.equal([0n, 0n]);
+
+      // The treasury holds ~2% of the first year's equity; the new depositor is not charged for it
+      expect(await vault.maxWithdraw(treasury.address)).to.be.closeTo(DEPOSIT * 2n / 100n, DEPOSIT / 100000n);
+      expect(await vault.maxWithdraw(user2.address)).to.be.closeTo(DEPOSIT, 1n);
+    });
+    it("Should dilute holders exactly once", async function () {
+      await time.increase(YEAR);
+      await vault.connect(user1).withdraw(1n, user1.address, user1.address);
+      const treasuryShares = await vault.balanceOf(treasury.address);
+      expect(treasuryShares).to.be.gt(0);
+
+      const equity = await vault.totalAssets();
+      const userValue = await vault.convertToAssets(await vault.balanceOf(user1.address));
+      const treasuryValue = await vault.convertToAssets(treasuryShares);
+      expect(userValue + treasuryValue).to.be.closeTo(equity, 2n);
+      expect(treasuryValue).to.be.closeTo(DEPOSIT * 2n / 100n, DEPOSIT / 100000n);
+    });
+    it("Should include the pending fee in previews", async function () {
+      await time.increase(YEAR);
+      const shares = await vault.balanceOf(user1.address);
+      const expected = await vault.previewRedeem(shares);
+      expect(expected).to.be.closeTo(DEPOSIT * 98n / 100n, DEPOSIT / 100000n);
+
+      const before = await mockUSDC.balanceOf(user1.address);
+      await vault.connect(user1).redeem(shares, user1.address, user1.address);
+      // Only the one second of fee accrued while the redeem was mined differs
+      expect((await mockUSDC.balanceOf(user1.address)) - before).to.be.closeTo(expected, 10n);
+    });
+    it("Should accrue the old rate before a fee change", async function () {
+      await time.increase(YEAR);
+      await expect(vault.setFees(0, 0)).to.emit(vault, "ManagementFeeMinted");
+      const treasuryShares = await vault.balanceOf(treasury.address);
+      await time.increase(YEAR);
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+      expect(await vault.balanceOf(treasury.address)).to.equal(treasuryShares);
+    });
+  });
+
+  describe("Performance fee", function () {
+    const GROSS = ethers.parseUnits("1000", 6);
+    const BASE  = GROSS * 450n / 10000n;
+
+    beforeEach(async function () {
+      await vault.allocate(DEPOSIT);
+      await vault.setFees(0, 2000);
+    });
+
+    it("Should mint performanceFeeBps of the base yield on harvest", async function () {
+      const tx = await harvestYield(deployment, GROSS);
+      const fee = BASE * 2000n / 10000n;
+      await expect(tx).to.emit(vault, "PerformanceFeeMinted");
+
+      await time.increase(7 * 24 * 60 * 60); // let the streamed profit unlock
+      expect(await vault.maxWithdraw(treasury.address)).to.be.closeTo(fee, 2n);
+      expect(await vault.maxWithdraw(user1.address)).to.be.closeTo(DEPOSIT + BASE - fee, 2n);
+    });
+    it("Should take nothing when the fee is zero", async function () {
+      await vault.setFees(0, 0);
+      await expect(harvestYield(deployment, GROSS)).to.not.emit(vault, "PerformanceFeeMinted");
+      expect(await vault.balanceOf(treasury.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, accrueYield, sharesFor } = require("./helpers");
+
+describe("YeldenVault — Flash loans (ERC-3156)", function () {
+  let deployment, vault, mockUSDC, borrower;
+  let owner, user1;
+
+  const DEPOSIT   = ethers.parseUnits("10000", 6);
+  const LOAN      = ethers.parseUnits("4000", 6);
+  const FEE_BPS   = 9n;
+  const FEE       = (LOAN * FEE_BPS) / 10000n;
+  const Mode = { Repay: 0, NoApproval: 1, WrongReturn: 2, Deposit: 3, Redeem: 4, FlashLoan: 5 };
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+    await mockUSDC.mint(user1.address, ethers.parseUnits("100000", 6));
+    await mockUSDC.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+
+    const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+    borrower = await MockFlashBorrower.deploy(await vault.getAddress());
+    // Enough to cover fees — the loan itself is repaid from the borrowed USDC
+    await mockUSDC.mint(await borrower.getAddress(), ethers.parseUnits("100", 6));
+    await vault.setFlashFee(FEE_BPS);
+  });
+
+  describe("Configuration", function () {
+    it("Should set the fee with an event, within MAX_FLASH_FEE_BPS", async function () {
+      await expect(vault.setFlashFee(100))
+        .to.emit(vault, "FlashFeeSet").withArgs(FEE_BPS, 100);
+      expect(await vault.flashFeeBps()).to.equal(100);
+      await expect(vault.setFlashFee(101)).to.be.revertedWith("Flash fee too high");
+    });
+    it("Should revert if not owner", async function () {
+      await expect(vault.connect(user1).setFlashFee(0))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should quote fees rounded up, for the asset only", async function () {
+      const asset = await mockUSDC.getAddress();
+      expect(await vault.flashFee(asset, LOAN)).to.equal(FEE);
+      expect(await vault.flashFee(asset, 1)).to.equal(1);
+      await expect(vault.flashFee(await vault.getAddress(), LOAN)).to.be.revertedWith("Unsupported token");
+    });
+  });
+
+  describe("maxFlashLoan", function () {
+    it("Should lend idle USDC only", async function () {
+      await vault.allocate(LOAN);
+      expect(await vault.maxFlashLoan(await mockUSDC.getAddress())).to.equal(DEPOSIT - LOAN);
+      expect(await vault.maxFlashLoan(await vault.getAddress())).to.equal(0);
+    });
+    it("Should be zero while deposits are paused or in shutdown", async function () {
+      const asset = await mockUSDC.getAddress();
+      await vault.pause(await vault.DEPOSITS(), "incident");
+      expect(await vault.maxFlashLoan(asset)).to.equal(0);
+      await expect(borrower.borrow(asset, LOAN)).to.be.revertedWith("Exceeds max flash loan");
+
+      await vault.unpause(await vault.DEPOSITS(), "resolved");
+      await vault.shutdown("incident");
+      expect(await vault.maxFlashLoan(asset)).to.equal(0);
+    });
+  });
+
+  describe("flashLoan", function () {
+    it("Should lend, pull back amount + fee and credit the fee to yieldReserve", async function () {
+      const asset = await mockUSDC.getAddress();
+      const reserveBefore = await vault.yieldReserve();
+      const assetsBefore  = await vault.totalAssets();
+      const borrowerBefore = await mockUSDC.balanceOf(await borrower.getAddress());
+
+      await expect(borrower.borrow(asset, LOAN))
+        .to.emit(vault, "FlashLoan")
+        .withArgs(await borrower.getAddress(), await borrower.getAddress(), LOAN, FEE);
+
+      expect(await borrower.seenBalance()).to.equal(borrowerBefore + LOAN);
+      expect(await borrower.seenFee()).to.equal(FEE);
+      expect(await vault.yieldReserve()).to.equal(reserveBefore + FEE);
+      expect(await vault.idleAssets()).to.equal(DEPOSIT + FEE);
+      expect(await mockUSDC.balanceOf(await borrower.getAddress())).to.equal(borrowerBefore - FEE);
+      // The fee is protocol-owned — depositor equity is unchanged
+      expect(await vault.totalAssets()).to.equal(assetsBefore);
+    });
+    it("Should keep the share price unchanged for readers during the loan", async function () {
+      const assetsBefore = await vault.totalAssets();
+      await borrower.borrow(await mockUSDC.getAddress(), DEPOSIT);
+      expect(await borrower.seenTotalAssets()).to.equal(assetsBefore);
+    });
+    it("Should lend the whole idle balance, protocol buckets included", async function () {
+      // The first fee sits in yieldReserve, held as idle USDC
+      await borrower.borrow(await mockUSDC.getAddress(), LOAN);
+      const idle = await vault.idleAssets();
+      expect(idle).to.equal(DEPOSIT + FEE);
+      expect(await vault.maxFlashLoan(await mockUSDC.getAddress())).to.equal(idle);
+
+      await borrower.borrow(await mockUSDC.getAddress(), idle);
+      await expect(borrower.borrow(await mockUSDC.getAddress(), (await vault.idleAssets()) + 1n))
+        .to.be.revertedWith("Exceeds max flash loan");
+    });
+    it("Should charge nothing with a zero fee", async function () {
+      await vault.setFlashFee(0);
+      const borrowerBefore = await mockUSDC.balanceOf(await borrower.getAddress());
+      await borrower.borrow(await mockUSDC.getAddress(), LOAN);
+      expect(await mockUSDC.balanceOf(await borrower.getAddress())).to.equal(borrowerBefore);
+      expect(await vault.yieldReserve()).to.equal(0);
+    });
+    it("Should reject other tokens, zero amounts and more than idle", async function () {
+      const asset = await mockUSDC.getAddress();
+      await expect(borrower.borrow(await vault.getAddress(), 1)).to.be.revertedWith("Unsupported token");
+      await expect(borrower.borrow(asset, 0)).to.be.revertedWith("Zero amount");
+      await expect(borrower.borrow(asset, DEPOSIT + 1n)).to.be.revertedWith("Exceeds max flash loan");
+    });
+  });
+
+  describe("Malicious borrowers", function () {
+    it("Should revert when the borrower does not repay", async function () {
+      await borrower.setMode(Mode.NoApproval);
+      await expect(borrower.borrow(await mockUSDC.getAddress(), LOAN))
+        .to.be.revertedWithCustomError(mockUSDC, "ERC20InsufficientAllowance");
+      expect(await vault.idleAssets()).to.equal(DEPOSIT);
+    });
+    it("Should revert when the borrower cannot cover the fee", async function () {
+      const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+      const broke = await MockFlashBorrower.deploy(await vault.getAddress());
+      await expect(broke.borrow(await mockUSDC.getAddress(), LOAN))
+        .to.be.revertedWithCustomError(mockUSDC, "ERC20InsufficientBalance");
+    });
+    it("Should revert on a wrong callback return value", async function () {
+      await borrower.setMode(Mode.WrongReturn);
+      await expect(borrower.borrow(await mockUSDC.getAddress(), LOAN))
+        .to.be.revertedWith("Flash loan callback failed");
+    });
+    it("Should block deposits with borrowed USDC", async function () {
+      await borrower.setMode(Mode.Deposit);
+      await expect(borrower.borrow(await mockUSDC.getAddress(), LOAN))
+        .to.be.revertedWithCustomError(vault, "ReentrancyGuardReentrantCall");
+    });
+    it("Should block redemptions during the loan", async function () {
+      // The borrower holds shares, so only the reentrancy guard can stop it
+      await vault.connect(user1).transfer(await borrower.getAddress(), sharesFor(1n));
+      await borrower.setMode(Mode.Redeem);
+      await expect(borrower.borrow(await mockUSDC.getAddress(), LOAN))
+        .to.be.revertedWithCustomError(vault, "ReentrancyGuardReentrantCall");
+    });
+    it("Should block nested flash loans", async function () {
+      await borrower.setMode(Mode.FlashLoan);
+      await expect(borrower.borrow(await mockUSDC.getAddress(), LOAN))
+        .to.be.revertedWithCustomError(vault, "ReentrancyGuardReentrantCall");
+    });
+    it("Should block flash loans during harvest", async function () {
+      // The borrower stands in for the rate oracle, which harvest() calls last
+      await vault.setRateOracle(await borrower.getAddress());
+      await accrueYield(deployment, ethers.parseUnits("100", 6));
+      await vault.allocate(DEPOSIT / 2n);
+      await expect(vault.harvest())
+        .to.be.revertedWithCustomError(vault, "ReentrancyGuardReentrantCall");
+    });
+  });
+
+  describe("Direct calls", function () {
+    it("Should not lend from the module or extension themselves", async function () {
+      const extension = await ethers.getContractAt("YeldenVaultExtension", await vault.extension());
+      const vaultModule = await ethers.getContractAt("YeldenVaultModule", await extension.module());
+      expect(await vaultModule.owner()).to.equal(ethers.ZeroAddress);
+      await expect(vaultModule.setFlashFee(0))
+        .to.be.revertedWithCustomError(vaultModule, "OwnableUnauthorizedAccount");
+
+      // Neither holds any USDC, so a loan through them has nothing to send
+      const lender = await ethers.getContractAt("YeldenVault", await extension.getAddress());
+      expect(await mockUSDC.balanceOf(await extension.getAddress())).to.equal(0);
+      await expect(lender.flashLoan(await borrower.getAddress(), await mockUSDC.getAddress(), LOAN, "0x"))
+        .to.be.reverted;
+    });
+  });
+});
@@ -1,15 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { deployConnected } = require("./helpers");
+const { deployConnected, sharesFor, harvestYield } = require("./helpers");
 
 describe("YeldenVault — Fuzz Testing", function () {
-  let vault, distributor, mockUSDC;
+  let deployment, vault, distributor, mockUSDC;
   let owner, addr1, addr2;
 
   beforeEach(async function () {
     [owner, addr1, addr2] = await ethers.getSigners();
 
-    const deployment = await deployConnected();
+    deployment = await deployConnected();
     vault = deployment.vault;
     distributor = deployment.distributor;
     mockUSDC = deployment.usdc;
@@ -32,7 +32,7 @@ describe("YeldenVault — Fuzz Testing", function () {
         expect(await vault.totalAssets()).to.equal(totalDeposited);
       }
       
-      expect(await vault.balanceOf(addr1.address)).to.equal(totalDeposited);
+      expect(await vault.balanceOf(addr1.address)).to.equal(sharesFor(totalDeposited));
     });
 
     it("Should handle random deposits from multiple users", async function () {
@@ -51,7 +51,7 @@ describe("YeldenVault — Fuzz Testing", function () {
         totalDeposited += amount;
         
         expect(await vault.totalAssets()).to.equal(totalDeposited);
-        expect(await vault.balanceOf(user.address)).to.equal(userBalances[user.address]);
+        expect(await vault.balanceOf(user.address)).to.equal(sharesFor(userBalances[user.address]));
       }
     });
   });
@@ -71,7 +71,7 @@ describe("YeldenVault — Fuzz Testing", function () {
     it("Should handle 50 random withdrawals", async function () {
       for (let i = 0; i < 50; i++) {
         const user = i % 2 === 0 ? addr1 : addr2;
-        const maxWithdraw = await vault.balanceOf(user.address);
+        const maxWithdraw = await vault.maxWithdraw(user.address);
         
         if (maxWithdraw === 0n) continue;
         
@@ -96,18 +96,18 @@ describe("YeldenVault — Fuzz Testing", function () {
     it("Should handle 100 random harvest amounts", async function () {
       for (let i = 0; i < 100; i++) {
         const grossYield = BigInt(Math.floor(Math.random() * 10000) + 1) * 10n ** 6n;
-        await vault.connect(owner).harvest(grossYield);
+        await harvestYield(deployment, grossYield);
       }
       expect(await vault.yieldReserve()).to.be.gt(0);
     });
 
     it("Should revert on zero harvest", async function () {
-      await expect(vault.connect(owner).harvest(0)).to.be.revertedWith("Zero yield");
+      await expect(vault.connect(owner).harvest()).to.be.revertedWith("Zero yield");
     });
 
     it("Should handle extremely large harvest amounts", async function () {
       const hugeYield = ethers.parseUnits("1000000000", 6);
-      await expect(vault.connect(owner).harvest(hugeYield)).to.not.be.reverted;
+      await expect(harvestYield(deployment, hugeYield)).to.not.be.reverted;
     });
   });
 });
\ No newline at end of file
@@ -1,9 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { deployConnected } = require("./helpers");
+const { deployConnected, harvestYield } = require("./helpers");
 
 describe("YeldenVault — Gas Consumption", function () {
-  let vault, distributor, mockUSDC;
+  let deployment, vault, distributor, mockUSDC;
   let owner, user1, user2;
 
   const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6);
@@ -12,7 +12,7 @@ describe("YeldenVault — Gas Consumption", function () {
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
 
-    const deployment = await deployConnected();
+    deployment = await deployConnected();
     vault = deployment.vault;
     mockUSDC = deployment.usdc;
 
@@ -31,7 +31,7 @@ describe("YeldenVault — Gas Consumption", function () {
       const receipt = await tx.wait();
       
       console.log(`⛽ First deposit: ${receipt.gasUsed} gas`);
-      expect(receipt.gasUsed).to.be.lessThan(150000); // Limite seguro
+      expect(receipt.gasUsed).to.be.lessThan(270000); // Includes the self-delegation and the ERC20Votes supply and vote checkpoints
     });
 
     it("Records gas for second deposit (different user)", async function () {
@@ -43,7 +43,7 @@ describe("YeldenVault — Gas Consumption", function () {
       const receipt = await tx.wait();
       
       console.log(`⛽ Second deposit: ${receipt.gasUsed} gas`);
-      expect(receipt.gasUsed).to.be.lessThan(100000);
+      expect(receipt.gasUsed).to.be.lessThan(220000); // ERC20Votes checkpoints total supply and the receiver's votes on every mint
     });
   });
 
@@ -61,7 +61,7 @@ describe("YeldenVault — Gas Consumption", function () {
       const receipt = await tx.wait();
       
       console.log(`⛽ Full withdrawal: ${receipt.gasUsed} gas`);
-      expect(receipt.gasUsed).to.be.lessThan(100000);
+      expect(receipt.gasUsed).to.be.lessThan(140000); // ERC20Votes checkpoints total supply and the owner's votes on every burn
     });
 
     it("Records gas for partial withdrawal", async function () {
@@ -71,7 +71,7 @@ describe("YeldenVault — Gas Consumption", function () {
       const receipt = await tx.wait();
       
       console.log(`⛽ Partial withdrawal: ${receipt.gasUsed} gas`);
-      expect(receipt.gasUsed).to.be.lessThan(100000);
+      expect(receipt.gasUsed).to.be.lessThan(155000);
     });
   });
 
@@ -85,11 +85,11 @@ describe("YeldenVault — Gas Consumption", function () {
     });
 
     it("Records gas for harvest", async function () {
-      const tx = await vault.connect(owner).harvest(GROSS_YIELD);
+      const tx = await harvestYield(deployment, GROSS_YIELD);
       const receipt = await tx.wait();
       
       console.log(`⛽ Harvest: ${receipt.gasUsed} gas`);
-      expect(receipt.gasUsed).to.be.lessThan(200000); // Higher due to distributor call
+      expect(receipt.gasUsed).to.be.lessThan(300000); // Higher due to distributor call, first writes to the protocol buckets and holderPool, the pause check and the delegatecall hop to YeldenVaultModule
     });
   });
 
@@ -109,7 +109,7 @@ describe("YeldenVault — Gas Consumption", function () {
       const receipt = await tx.wait();
       
       console.log(`⛽ Transfer: ${receipt.gasUsed} gas`);
-      expect(receipt.gasUsed).to.be.lessThan(80000);
+      expect(receipt.gasUsed).to.be.lessThan(175000); // Self-delegates a new receiver and checkpoints both sides' votes
     });
 
     it("Records gas for transferFrom (approved)", async function () {
@@ -120,7 +120,7 @@ describe("YeldenVault — Gas Consumption", function () {
       const receipt = await tx.wait();
       
       console.log(`⛽ TransferFrom: ${receipt.gasUsed} gas`);
-      expect(receipt.gasUsed).to.be.lessThan(80000);
+      expect(receipt.gasUsed).to.be.lessThan(175000);
     });
   });
 
@@ -193,7 +193,7 @@ describe("YeldenVault — Gas Consumption", function () {
       console.log(`   ✅ Deposit:  ${receipt.gasUsed} gas`);
       
       // Harvest (owner)
-      tx = await vault.connect(owner).harvest(GROSS_YIELD);
+      tx = await harvestYield(deployment, GROSS_YIELD);
       receipt = await tx.wait();
       console.log(`   ✅ Harvest:  ${receipt.gasUsed} gas (owner)`);
       
@@ -207,7 +207,7 @@ describe("YeldenVault — Gas Consumption", function () {
       const r_a = await tx_a.wait();
       const tx_d = await vault.connect(user1).deposit(DEPOSIT_AMOUNT, user1.address);
       const r_d = await tx_d.wait();
-      const tx_h = await vault.connect(owner).harvest(GROSS_YIELD);
+      const tx_h = await harvestYield(deployment, GROSS_YIELD);
       const r_h = await tx_h.wait();
       const tx_w = await vault.connect(user1).withdraw(DEPOSIT_AMOUNT / 2n, user1.address, user1.address);
       const r_w = await tx_w.wait();
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, sharesFor } = require("./helpers");
+
+describe("YeldenVault — Deposit Gating", function () {
+  let vault, mockUSDC, guard;
+  let owner, user1, user2, user3;
+
+  const AMOUNT = ethers.parseUnits("1000", 6);
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    ({ vault, usdc: mockUSDC } = await deployConnected());
+    for (const user of [user1, user2, user3]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("100000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    const Guard = await ethers.getContractFactory("YeldenDepositGuard");
+    guard = await Guard.deploy(true);
+  });
+
+  describe("Caps", function () {
+    it("Should be uncapped by default", async function () {
+      expect(await vault.depositCap()).to.equal(ethers.MaxUint256);
+      expect(await vault.accountCap()).to.equal(ethers.MaxUint256);
+      expect(await vault.maxDeposit(user1.address)).to.equal(ethers.MaxUint256);
+    });
+    it("Should emit DepositCapsSet and revert if not owner", async function () {
+      await expect(vault.setDepositCaps(AMOUNT * 10n, AMOUNT))
+        .to.emit(vault, "DepositCapsSet").withArgs(AMOUNT * 10n, AMOUNT);
+      await expect(vault.connect(user1).setDepositCaps(0, 0))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should enforce the global TVL cap", async function () {
+      await vault.setDepositCaps(AMOUNT * 3n / 2n, ethers.MaxUint256);
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      expect(await vault.maxDeposit(user2.address)).to.equal(AMOUNT / 2n);
+      await expect(vault.connect(user2).deposit(AMOUNT, user2.address))
+        .to.be.revertedWith("Exceeds max deposit");
+      await vault.connect(user2).deposit(AMOUNT / 2n, user2.address);
+      expect(await vault.maxDeposit(user3.address)).to.equal(0);
+    });
+    it("Should enforce the per-receiver cap", async function () {
+      await vault.setDepositCaps(ethers.MaxUint256, AMOUNT);
+      await vault.connect(user1).deposit(AMOUNT * 3n / 4n, user1.address);
+      expect(await vault.maxDeposit(user1.address)).to.equal(AMOUNT / 4n);
+      // Cap applies to the receiver, not the caller
+      await expect(vault.connect(user2).deposit(AMOUNT / 2n, user1.address))
+        .to.be.revertedWith("Exceeds max deposit");
+      expect(await vault.maxDeposit(user2.address)).to.equal(AMOUNT);
+    });
+    it("Should reflect the caps in maxMint", async function () {
+      await vault.setDepositCaps(AMOUNT, ethers.MaxUint256);
+      expect(await vault.maxMint(user1.address)).to.equal(sharesFor(AMOUNT));
+      await expect(vault.connect(user1).mint(sharesFor(AMOUNT) + 1n, user1.address))
+        .to.be.revertedWith("Exceeds max mint");
+    });
+    it("Should free headroom when depositors exit", async function () {
+      await vault.setDepositCaps(AMOUNT, ethers.MaxUint256);
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      await vault.connect(user1).withdraw(AMOUNT / 2n, user1.address, user1.address);
+      expect(await vault.maxDeposit(user2.address)).to.equal(AMOUNT / 2n);
+    });
+  });
+
+  describe("Deposit guard", function () {
+    beforeEach(async function () {
+      await guard.setAllowlisted([user1.address, user2.address], true);
+      await expect(vault.setDepositGuard(await guard.getAddress()))
+        .to.emit(vault, "DepositGuardSet")
+        .withArgs(ethers.ZeroAddress, await guard.getAddress());
+    });
+
+    it("Should report zero maxDeposit for rejected receivers", async function () {
+      expect(await vault.maxDeposit(user3.address)).to.equal(0);
+      expect(await vault.maxMint(user3.address)).to.equal(0);
+      expect(await vault.maxDeposit(user1.address)).to.equal(ethers.MaxUint256);
+    });
+    it("Should block deposits to non-allowlisted receivers", async function () {
+      await expect(vault.connect(user3).deposit(AMOUNT, user3.address))
+        .to.be.revertedWith("Exceeds max deposit");
+    });
+    it("Should block deposits funded by a sanctioned caller", async function () {
+      await guard.setAllowlisted([user3.address], true);
+      await guard.setSanctioned(user3.address, true);
+      await expect(vault.connect(user3).deposit(AMOUNT, user1.address))
+        .to.be.revertedWith("Deposit not allowed");
+    });
+    it("Should block blocked jurisdictions", async function () {
+      await guard.setJurisdiction(user1.address, 840);
+      await guard.setJurisdictionBlocked(840, true);
+      expect(await vault.maxDeposit(user1.address)).to.equal(0);
+    });
+    it("Should gate yUSD transfers", async function () {
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      await vault.connect(user1).transfer(user2.address, sharesFor(1n));
+      await expect(vault.connect(user1).transfer(user3.address, sharesFor(1n)))
+        .to.be.revertedWith("Transfer not allowed");
+    });
+    it("Should let a sanctioned holder be frozen for transfers but not block redemptions", async function () {
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      await guard.setSanctioned(user1.address, true);
+      await expect(vault.connect(user1).transfer(user2.address, 1n))
+        .to.be.revertedWith("Transfer not allowed");
+      await vault.connect(user1).redeem(await vault.balanceOf(user1.address), user1.address, user1.address);
+      expect(await vault.balanceOf(user1.address)).to.equal(0);
+    });
+    it("Should consult an external sanctions oracle", async function () {
+      const Oracle = await ethers.getContractFactory("MockSanctionsList");
+      const oracle = await Oracle.deploy();
+      await oracle.setSanctioned(user2.address, true);
+      await guard.setSanctionsOracle(await oracle.getAddress());
+      expect(await vault.maxDeposit(user2.address)).to.equal(0);
+    });
+    it("Should be removable", async function () {
+      await vault.setDepositGuard(ethers.ZeroAddress);
+      await vault.connect(user3).deposit(AMOUNT, user3.address);
+      expect(await vault.balanceOf(user3.address)).to.equal(sharesFor(AMOUNT));
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, harvestYield } = require("./helpers");
+
+const TIMELOCK = 2 * 24 * 60 * 60;
+
+describe("YeldenVault — Governance Parameters", function () {
+  let deployment, vault, mockUSDC;
+  let owner, user1;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+  });
+
+  describe("queueYieldParams", function () {
+    it("Should expose pending values and emit the eta", async function () {
+      const tx = await vault.queueYieldParams(500, 600, 3000);
+      const eta = (await time.latest()) + TIMELOCK;
+      await expect(tx).to.emit(vault, "YieldParamsQueued").withArgs(500, 600, 3000, eta);
+
+      const pending = await vault.pendingYieldParams();
+      expect(pending.baseYieldBps).to.equal(500);
+      expect(pending.regenBps).to.equal(600);
+      expect(pending.yieldReserveBps).to.equal(3000);
+      expect(pending.eta).to.equal(eta);
+      // Active values unchanged until executed
+      expect(await vault.baseYieldBps()).to.equal(450);
+    });
+    it("Should revert if not owner", async function () {
+      await expect(vault.connect(user1).queueYieldParams(500, 600, 3000))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should enforce min/max bounds", async function () {
+      await expect(vault.queueYieldParams(99, 500, 2000)).to.be.revertedWith("Base yield out of bounds");
+      await expect(vault.queueYieldParams(2001, 500, 2000)).to.be.revertedWith("Base yield out of bounds");
+      await expect(vault.queueYieldParams(450, 99, 2000)).to.be.revertedWith("Regen out of bounds");
+      await expect(vault.queueYieldParams(450, 1501, 2000)).to.be.revertedWith("Regen out of bounds");
+      await expect(vault.queueYieldParams(450, 500, 499)).to.be.revertedWith("Reserve out of bounds");
+      await expect(vault.queueYieldParams(450, 500, 5001)).to.be.revertedWith("Reserve out of bounds");
+    });
+  });
+
+  describe("executeYieldParams", function () {
+    beforeEach(async function () {
+      await vault.queueYieldParams(1000, 1000, 5000);
+    });
+
+    it("Should not apply before the timelock expires", async function () {
+      await time.increase(TIMELOCK - 10);
+      await expect(vault.executeYieldParams()).to.be.revertedWith("Timelock not expired");
+    });
+    it("Should apply after the timelock and clear the pending update", async function () {
+      await time.increase(TIMELOCK);
+      await expect(vault.executeYieldParams())
+        .to.emit(vault, "YieldParamsApplied").withArgs(1000, 1000, 5000);
+      expect(await vault.baseYieldBps()).to.equal(1000);
+      expect(await vault.regenBps()).to.equal(1000);
+      expect(await vault.yieldReserveBps()).to.equal(5000);
+      expect((await vault.pendingYieldParams()).eta).to.equal(0);
+    });
+    it("Should route harvests with the new split", async function () {
+      await time.increase(TIMELOCK);
+      await vault.executeYieldParams();
+
+      await mockUSDC.mint(user1.address, ethers.parseUnits("10000", 6));
+      await mockUSDC.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+      await vault.connect(user1).deposit(ethers.parseUnits("10000", 6), user1.address);
+
+      const gross = ethers.parseUnits("1000", 6);
+      const base = gross / 10n;
+      const regen = gross / 10n;
+      const surplus = gross - base - regen;
+      await expect(harvestYield(deployment, gross))
+        .to.emit(vault, "Harvest")
+        .withArgs(gross, base, regen, surplus / 2n, surplus - surplus / 2n);
+    });
+    it("Should revert when nothing is queued", async function () {
+      await vault.cancelYieldParams();
+      await expect(vault.executeYieldParams()).to.be.revertedWith("Nothing queued");
+    });
+    it("Should emit on cancel", async function () {
+      await expect(vault.cancelYieldParams())
+        .to.emit(vault, "YieldParamsCancelled").withArgs(1000, 1000, 5000);
+    });
+    it("Should restart the timelock when re-queued", async function () {
+      await time.increase(TIMELOCK - 100);
+      await vault.queueYieldParams(600, 500, 2000);
+      await time.increase(200);
+      await expect(vault.executeYieldParams()).to.be.revertedWith("Timelock not expired");
+    });
+  });
+});
+
+describe("YeldenDistributor — Governance Parameters", function () {
+  let distributor;
+  let owner, user1;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    ({ distributor } = await deployConnected());
+  });
+
+  it("Should queue and expose pending values", async function () {
+    const tx = await distributor.queueParams(6000, 2500, 1500, 1000, 1000e6);
+    const eta = (await time.latest()) + TIMELOCK;
+    await expect(tx).to.emit(distributor, "ParamsQueued").withArgs(6000, 2500, 1500, 1000, 1000e6, eta);
+    const pending = await distributor.pendingParams();
+    expect(pending.proportionalBps).to.equal(6000);
+    expect(pending.walletCap).to.equal(1000e6);
+    expect(await distributor.proportionalBps()).to.equal(7000);
+  });
+  it("Should require the three tiers to sum to 10000", async function () {
+    await expect(distributor.queueParams(7000, 2000, 1500, 500, 500e6))
+      .to.be.revertedWith("Tiers must sum to 100%");
+  });
+  it("Should enforce min/max bounds", async function () {
+    await expect(distributor.queueParams(9500, 500, 0, 500, 500e6))
+      .to.be.revertedWith("Proportional out of bounds");
+    await expect(distributor.queueParams(7000, 2000, 1000, 5001, 500e6))
+      .to.be.revertedWith("AI share out of bounds");
+    await expect(distributor.queueParams(7000, 2000, 1000, 500, 99e6))
+      .to.be.revertedWith("Wallet cap out of bounds");
+  });
+  it("Should apply only after the timelock", async function () {
+    await distributor.queueParams(6000, 2500, 1500, 1000, 1000e6);
+    await expect(distributor.executeParams()).to.be.revertedWith("Timelock not expired");
+    await time.increase(TIMELOCK);
+    await expect(distributor.executeParams())
+      .to.emit(distributor, "ParamsApplied").withArgs(6000, 2500, 1500, 1000, 1000e6);
+    expect(await distributor.zkBonusBps()).to.equal(1500);
+    expect(await distributor.aiAgentShareBps()).to.equal(1000);
+    expect(await distributor.walletCap()).to.equal(1000e6);
+  });
+  it("Should cancel a pending update", async function () {
+    await distributor.queueParams(6000, 2500, 1500, 1000, 1000e6);
+    await expect(distributor.cancelParams()).to.emit(distributor, "ParamsCancelled");
+    await expect(distributor.executeParams()).to.be.revertedWith("Nothing queued");
+  });
+  it("Should revert if not owner", async function () {
+    await expect(distributor.connect(user1).queueParams(7000, 2000, 1000, 500, 500e6))
+      .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+    await expect(distributor.connect(user1).executeParams())
+      .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+  });
+});
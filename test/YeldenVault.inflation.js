@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, deployVault, sharesFor } = require("./helpers");
+
+describe("YeldenVault — Inflation Attack & Decimals", function () {
+  let vault, mockUSDC;
+  let owner, attacker, victim;
+
+  beforeEach(async function () {
+    [owner, attacker, victim] = await ethers.getSigners();
+    ({ vault, usdc: mockUSDC } = await deployConnected());
+    await mockUSDC.mint(attacker.address, ethers.parseUnits("1000000", 6));
+    await mockUSDC.mint(victim.address, ethers.parseUnits("1000000", 6));
+    await mockUSDC.connect(attacker).approve(await vault.getAddress(), ethers.MaxUint256);
+    await mockUSDC.connect(victim).approve(await vault.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Decimals", function () {
+    it("Should derive yUSD decimals from the asset plus the offset", async function () {
+      expect(await vault.DECIMALS_OFFSET()).to.equal(6);
+      expect(await vault.decimals()).to.equal(12);
+    });
+    it("Should follow the asset decimals for an 18-decimal asset", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const dai = await MockERC20.deploy("Mock DAI", "DAI", 18);
+      const daiVault = await deployVault(await dai.getAddress(), "Yelden DAI", "yDAI");
+      expect(await daiVault.decimals()).to.equal(24);
+    });
+    it("Should display 1 yUSD per USDC on first deposit", async function () {
+      await vault.connect(victim).deposit(ethers.parseUnits("1", 6), victim.address);
+      const balance = await vault.balanceOf(victim.address);
+      expect(ethers.formatUnits(balance, await vault.decimals())).to.equal("1.0");
+    });
+  });
+
+  describe("Donation attack against deposit", function () {
+    const DONATION = ethers.parseUnits("10000", 6);
+    const VICTIM_DEPOSIT = ethers.parseUnits("10000", 6);
+
+    async function frontRun() {
+      // 1. Attacker becomes the first depositor with a single wei of USDC
+      await vault.connect(attacker).deposit(1n, attacker.address);
+      // 2. Attacker donates USDC directly to inflate the share price
+      await mockUSDC.connect(attacker).transfer(await vault.getAddress(), DONATION);
+    }
+
+    it("Victim still receives shares after the donation", async function () {
+      await frontRun();
+      await vault.connect(victim).deposit(VICTIM_DEPOSIT, victim.address);
+      expect(await vault.balanceOf(victim.address)).to.be.gt(0);
+    });
+
+    it("Victim loses a negligible amount to rounding", async function () {
+      await frontRun();
+      await vault.connect(victim).deposit(VICTIM_DEPOSIT, victim.address);
+      const redeemable = await vault.maxWithdraw(victim.address);
+      // Loss bounded to 0.01% of the deposit
+      expect(redeemable).to.be.gte(VICTIM_DEPOSIT - VICTIM_DEPOSIT / 10000n);
+    });
+
+    it("Attacker cannot profit from the donation", async function () {
+      const balBefore = await mockUSDC.balanceOf(attacker.address);
+      await frontRun();
+      await vault.connect(victim).deposit(VICTIM_DEPOSIT, victim.address);
+      const shares = await vault.balanceOf(attacker.address);
+      await vault.connect(attacker).redeem(shares, attacker.address, attacker.address);
+      const balAfter = await mockUSDC.balanceOf(attacker.address);
+      // The virtual shares absorb roughly half of the donation
+      expect(balAfter).to.be.lt(balBefore - DONATION / 3n);
+    });
+
+    it("Small deposits after a donation revert instead of minting zero shares", async function () {
+      await vault.connect(attacker).deposit(1n, attacker.address);
+      await mockUSDC.connect(attacker).transfer(await vault.getAddress(), ethers.parseUnits("1000000", 6) - 1n);
+      // 1e6 virtual shares spread over ~1e12 assets → 1 wei of USDC is worth < 1 share
+      await expect(vault.connect(victim).deposit(1n, victim.address))
+        .to.be.revertedWith("Zero shares");
+    });
+  });
+
+  describe("Share math", function () {
+    it("Should mint sharesFor(assets) into an empty vault", async function () {
+      const amount = ethers.parseUnits("123", 6);
+      await vault.connect(victim).deposit(amount, victim.address);
+      expect(await vault.balanceOf(victim.address)).to.equal(sharesFor(amount));
+    });
+    it("Should keep later depositors at the same rate without yield", async function () {
+      await vault.connect(attacker).deposit(ethers.parseUnits("777", 6), attacker.address);
+      const amount = ethers.parseUnits("55", 6);
+      await vault.connect(victim).deposit(amount, victim.address);
+      expect(await vault.balanceOf(victim.address)).to.equal(sharesFor(amount));
+    });
+  });
+});
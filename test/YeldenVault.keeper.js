@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, accrueYield } = require("./helpers");
+
+describe("YeldenVault — Keeper Harvest", function () {
+  let deployment, vault, mockUSDC, strategy;
+  let owner, user1, keeper, attacker;
+
+  const DEPOSIT    = ethers.parseUnits("10000", 6);
+  const GROSS      = ethers.parseUnits("100", 6);
+  const DAY        = 24 * 60 * 60;
+  const MIN_PROFIT = ethers.parseUnits("10", 6);
+  const BOUNTY_BPS = 100n;
+  const MAX_BOUNTY = ethers.parseUnits("5", 6);
+  const BOUNTY     = GROSS * BOUNTY_BPS / 10000n;
+
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  beforeEach(async function () {
+    [owner, user1, keeper, attacker] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC, strategy } = deployment);
+    await mockUSDC.mint(user1.address, DEPOSIT);
+    await mockUSDC.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.allocate(DEPOSIT);
+    await vault.setKeeperParams(DAY, MIN_PROFIT, BOUNTY_BPS, MAX_BOUNTY);
+  });
+
+  describe("Configuration", function () {
+    it("Should set the keeper rules with an event", async function () {
+      await expect(vault.setKeeperParams(2 * DAY, 1, 500, 7))
+        .to.emit(vault, "KeeperParamsSet").withArgs(2 * DAY, 1, 500, 7);
+      expect(await vault.harvestInterval()).to.equal(2 * DAY);
+      expect(await vault.minHarvestProfit()).to.equal(1);
+      expect(await vault.keeperBountyBps()).to.equal(500);
+      expect(await vault.maxKeeperBounty()).to.equal(7);
+    });
+    it("Should enforce MIN_HARVEST_INTERVAL and MAX_KEEPER_BOUNTY_BPS", async function () {
+      await expect(vault.setKeeperParams(3599, 0, 0, 0)).to.be.revertedWith("Harvest interval too short");
+      await expect(vault.setKeeperParams(DAY, 0, 501, 0)).to.be.revertedWith("Keeper bounty too high");
+      await vault.setKeeperParams(3600, 0, 500, 0);
+    });
+    it("Should revert if not owner", async function () {
+      await expect(vault.connect(user1).setKeeperParams(DAY, 0, 0, 0))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should be disabled with a zero interval, as after deployment", async function () {
+      await vault.setKeeperParams(0, 0, 0, 0);
+      await accrueYield(deployment, GROSS);
+      await time.increase(DAY);
+      const [upkeepNeeded] = await vault.checkUpkeep.staticCall("0x");
+      expect(upkeepNeeded).to.equal(false);
+      await expect(vault.connect(keeper).performUpkeep("0x")).to.be.revertedWith("Keeper harvest disabled");
+    });
+  });
+
+  describe("checkUpkeep", function () {
+    it("Should wait for the interval and the minimum profit", async function () {
+      await accrueYield(deployment, GROSS);
+      expect((await vault.checkUpkeep.staticCall("0x"))[0]).to.equal(false);
+
+      await time.increase(DAY);
+      const [upkeepNeeded, performData] = await vault.checkUpkeep.staticCall("0x");
+      expect(upkeepNeeded).to.equal(true);
+      expect(coder.decode(["uint256"], performData)[0]).to.equal(GROSS);
+
+      await vault.setKeeperParams(DAY, GROSS + 1n, BOUNTY_BPS, MAX_BOUNTY);
+      expect((await vault.checkUpkeep.staticCall("0x"))[0]).to.equal(false);
+    });
+    it("Should say no while harvests are paused or the reserve feed is stale", async function () {
+      await accrueYield(deployment, GROSS);
+      await time.increase(DAY);
+
+      await vault.pause(await vault.HARVESTS(), "incident");
+      expect((await vault.checkUpkeep.staticCall("0x"))[0]).to.equal(false);
+      await vault.unpause(await vault.HARVESTS(), "resolved");
+
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const feed = await MockV3Aggregator.deploy(6, DEPOSIT + GROSS);
+      await vault.setReserveFeed(await strategy.getAddress(), await feed.getAddress());
+      expect((await vault.checkUpkeep.staticCall("0x"))[0]).to.equal(true);
+      await feed.updateAnswer(DEPOSIT);  // reserves do not attest to the yield
+      expect((await vault.checkUpkeep.staticCall("0x"))[0]).to.equal(false);
+    });
+  });
+
+  describe("performUpkeep", function () {
+    it("Should let anyone harvest and pay the bounty out of the yield", async function () {
+      await accrueYield(deployment, GROSS);
+      await time.increase(DAY);
+
+      const tx = vault.connect(keeper).performUpkeep("0x");
+      await expect(tx).to.emit(vault, "KeeperHarvest").withArgs(keeper.address, GROSS, BOUNTY);
+      await expect(tx).to.changeTokenBalance(mockUSDC, keeper, BOUNTY);
+
+      // The protocol splits what is left
+      const net = GROSS - BOUNTY;
+      const base = net * 450n / 10000n;
+      const regen = net * 500n / 10000n;
+      const toReserve = (net - base - regen) * 2000n / 10000n;
+      await expect(tx).to.emit(vault, "Harvest")
+        .withArgs(net, base, regen, toReserve, net - base - regen - toReserve);
+      expect(await vault.lastHarvest()).to.equal(await time.latest());
+      expect(await vault.grossAssets()).to.equal(DEPOSIT + net);
+    });
+    it("Should cap the bounty at maxKeeperBounty", async function () {
+      await accrueYield(deployment, GROSS * 10n);
+      await time.increase(DAY);
+      await expect(vault.connect(keeper).performUpkeep("0x"))
+        .to.emit(vault, "KeeperHarvest").withArgs(keeper.address, GROSS * 10n, MAX_BOUNTY);
+    });
+    it("Should revert before the interval, below the minimum profit or while paused", async function () {
+      await accrueYield(deployment, MIN_PROFIT - 1n);
+      await expect(vault.connect(keeper).performUpkeep("0x")).to.be.revertedWith("Harvest interval not elapsed");
+      await time.increase(DAY);
+      await expect(vault.connect(keeper).performUpkeep("0x")).to.be.revertedWith("Yield below minimum");
+      await vault.pause(await vault.HARVESTS(), "incident");
+      await expect(vault.connect(keeper).performUpkeep("0x")).to.be.revertedWith("Action paused");
+    });
+    it("Should feed bear mode the same yield as an owner harvest", async function () {
+      // 4.6% over a year: above the 4.5% base, but not once a 5% bounty is taken out
+      await vault.setKeeperParams(DAY, MIN_PROFIT, 500, ethers.MaxUint256 >> 160n);
+      await time.increase(365 * DAY);
+      await accrueYield(deployment, DEPOSIT * 460n / 10000n);
+
+      const snapshot = await takeSnapshot();
+      await vault.harvest();
+      const ownerRate = await vault.lastYieldRateBps();
+      await snapshot.restore();
+
+      await expect(vault.connect(keeper).performUpkeep("0x")).to.not.emit(vault, "BearModeEntered");
+      expect(await vault.lastYieldRateBps()).to.equal(ownerRate);
+      expect(ownerRate).to.be.gte(await vault.baseYieldBps());
+      expect(await vault.bearMode()).to.equal(false);
+    });
+    it("Should leave the owner's harvest unrestricted and bounty-free", async function () {
+      await accrueYield(deployment, 1n);
+      await expect(vault.harvest()).to.not.emit(vault, "KeeperHarvest");
+    });
+  });
+
+  describe("Griefing", function () {
+    it("Should not let tiny harvests reset the profit stream or the realized rate", async function () {
+      // A real harvest starts a 7-day profit stream and records the rate
+      await accrueYield(deployment, GROSS);
+      await time.increase(DAY);
+      await vault.connect(keeper).performUpkeep("0x");
+      const unlockDate = await vault.fullProfitUnlockDate();
+      const rate = await vault.lastYieldRateBps();
+      const lastHarvest = await vault.lastHarvest();
+
+      // Dust yield, harvested over and over, would restart both every block
+      await mockUSDC.mint(attacker.address, MIN_PROFIT);
+      await mockUSDC.connect(attacker).transfer(await strategy.getAddress(), 1n);
+      await expect(vault.connect(attacker).performUpkeep("0x")).to.be.revertedWith("Harvest interval not elapsed");
+      await time.increase(DAY);
+      await expect(vault.connect(attacker).performUpkeep("0x")).to.be.revertedWith("Yield below minimum");
+
+      expect(await vault.fullProfitUnlockDate()).to.equal(unlockDate);
+      expect(await vault.lastYieldRateBps()).to.equal(rate);
+      expect(await vault.lastHarvest()).to.equal(lastHarvest);
+    });
+    it("Should make donating yield to trigger a harvest a loss for the donor", async function () {
+      await time.increase(DAY);
+      await mockUSDC.mint(attacker.address, MIN_PROFIT);
+      await mockUSDC.connect(attacker).transfer(await strategy.getAddress(), MIN_PROFIT);
+
+      await vault.connect(attacker).performUpkeep("0x");
+      // The bounty is a fraction of the yield the attacker paid in
+      expect(await mockUSDC.balanceOf(attacker.address)).to.equal(MIN_PROFIT * BOUNTY_BPS / 10000n);
+      await expect(vault.connect(attacker).performUpkeep("0x")).to.be.revertedWith("Harvest interval not elapsed");
+    });
+  });
+
+  describe("Chainlink Automation", function () {
+    let registry, id;
+
+    beforeEach(async function () {
+      const MockAutomationRegistry = await ethers.getContractFactory("MockAutomationRegistry");
+      registry = await MockAutomationRegistry.deploy();
+      id = 0;
+      await registry.registerUpkeep(await vault.getAddress(), "0x");
+    });
+
+    it("Should perform the upkeep only when the check says so", async function () {
+      await accrueYield(deployment, GROSS);
+      await expect(registry.runUpkeep(id)).to.not.emit(registry, "UpkeepPerformed");
+
+      await time.increase(DAY);
+      await expect(registry.runUpkeep(id))
+        .to.emit(registry, "UpkeepPerformed").withArgs(id, true, coder.encode(["uint256"], [GROSS]))
+        .and.to.emit(vault, "KeeperHarvest").withArgs(await registry.getAddress(), GROSS, BOUNTY);
+      expect(await mockUSDC.balanceOf(await registry.getAddress())).to.equal(BOUNTY);
+
+      // Due again only after another interval with enough yield
+      await accrueYield(deployment, GROSS);
+      await expect(registry.runUpkeep(id)).to.not.emit(registry, "UpkeepPerformed");
+    });
+  });
+});
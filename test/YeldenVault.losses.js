@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, harvestYield, sharesFor } = require("./helpers");
+
+describe("YeldenVault — Loss Reporting", function () {
+  let deployment, vault, mockUSDC, strategy;
+  let owner, user1, user2;
+  let DEPOSITS;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const GROSS   = ethers.parseUnits("1000", 6);
+
+  // Harvest split for GROSS: 4.5% base, 5% regen, 90.5% surplus → 20% reserve / 80% distributor
+  const BASE           = GROSS * 450n / 10000n;
+  const REGEN          = GROSS * 500n / 10000n;
+  const SURPLUS        = GROSS - BASE - REGEN;
+  const TO_RESERVE     = SURPLUS * 2000n / 10000n;
+  const TO_DISTRIBUTOR = SURPLUS - TO_RESERVE;
+  const BUCKETS        = TO_RESERVE + TO_DISTRIBUTOR + REGEN;
+
+  // An RWA default: the strategy loses `amount` and the owner reports it
+  async function defaultAndReport(amount) {
+    await strategy.simulateLoss(amount);
+    return vault.reportLoss(await strategy.getAddress(), amount);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC, strategy } = deployment);
+    DEPOSITS = await vault.DEPOSITS();
+    await vault.setProfitUnlockPeriod(0); // loss math only — streaming has its own suite
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("100000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.allocate(DEPOSIT);
+    // No RegenFund is set, so the regen share stays in regenPool
+    await harvestYield(deployment, GROSS);
+  });
+
+  describe("Absorption order", function () {
+    it("Should take a loss the reserve covers from yieldReserve only", async function () {
+      const loss = TO_RESERVE / 2n;
+      const assetsBefore = await vault.totalAssets();
+      const tx = defaultAndReport(loss);
+
+      await expect(tx).to.emit(vault, "LossReported")
+        .withArgs(await strategy.getAddress(), loss, DEPOSIT + GROSS - loss);
+      await expect(tx).to.emit(vault, "LossAbsorbedByReserve").withArgs(loss, TO_RESERVE - loss);
+      await expect(tx).to.not.emit(vault, "LossAbsorbedByPools");
+      await expect(tx).to.not.emit(vault, "LossSocialized");
+
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT + GROSS - loss);
+      expect(await vault.yieldReserve()).to.equal(TO_RESERVE - loss);
+      expect(await vault.totalAssets()).to.equal(assetsBefore);
+    });
+    it("Should move on to the distributor pool, then the regen pool", async function () {
+      const loss = TO_RESERVE + TO_DISTRIBUTOR + REGEN / 2n;
+      const assetsBefore = await vault.totalAssets();
+      const tx = defaultAndReport(loss);
+
+      await expect(tx).to.emit(vault, "LossAbsorbedByReserve").withArgs(TO_RESERVE, 0);
+      await expect(tx).to.emit(vault, "LossAbsorbedByPools").withArgs(TO_DISTRIBUTOR, REGEN / 2n);
+      await expect(tx).to.not.emit(vault, "LossSocialized");
+
+      expect(await vault.yieldReserve()).to.equal(0);
+      expect(await vault.distributorPool()).to.equal(0);
+      expect(await vault.regenPool()).to.equal(REGEN - REGEN / 2n);
+      expect(await vault.totalAssets()).to.equal(assetsBefore);
+    });
+    it("Should socialize only what the buckets cannot cover through the share price", async function () {
+      const excess = ethers.parseUnits("1000", 6);
+      const assetsBefore = await vault.totalAssets();
+      const tx = defaultAndReport(BUCKETS + excess);
+
+      await expect(tx).to.emit(vault, "LossSocialized").withArgs(excess, assetsBefore - excess);
+      expect(await vault.protocolAssets()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(assetsBefore - excess);
+      // Every holder takes the same cut per share
+      expect(await vault.convertToAssets(sharesFor(DEPOSIT)))
+        .to.be.closeTo(DEPOSIT + BASE - excess, 1n);
+    });
+    it("Should pass an empty reserve straight to the pools", async function () {
+      await vault.withdrawReserve(owner.address, TO_RESERVE);
+      await expect(defaultAndReport(TO_DISTRIBUTOR))
+        .to.emit(vault, "LossAbsorbedByPools").withArgs(TO_DISTRIBUTOR, 0)
+        .and.to.not.emit(vault, "LossAbsorbedByReserve");
+    });
+  });
+
+  describe("Deposit halt", function () {
+    it("Should pause deposits while the loss is processed", async function () {
+      await expect(defaultAndReport(TO_RESERVE))
+        .to.emit(vault, "Paused").withArgs(DEPOSITS, owner.address, "Loss reported");
+      expect(await vault.isPaused(DEPOSITS)).to.equal(true);
+      expect(await vault.maxDeposit(user2.address)).to.equal(0);
+      await expect(vault.connect(user2).deposit(DEPOSIT, user2.address)).to.be.revertedWith("Action paused");
+
+      // Withdrawals stay open
+      await vault.connect(user1).redeem(sharesFor(DEPOSIT / 2n), user1.address, user1.address);
+
+      await vault.unpause(DEPOSITS, "loss processed");
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+    });
+    it("Should report a loss while deposits are already paused", async function () {
+      await vault.pause(DEPOSITS, "incident");
+      await expect(defaultAndReport(TO_RESERVE)).to.not.emit(vault, "Paused");
+      expect(await vault.isPaused(DEPOSITS)).to.equal(true);
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should revert if not owner", async function () {
+      await strategy.simulateLoss(TO_RESERVE);
+      await expect(vault.connect(user1).reportLoss(await strategy.getAddress(), TO_RESERVE))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should reject another strategy and zero amounts", async function () {
+      await strategy.simulateLoss(TO_RESERVE);
+      await expect(vault.reportLoss(user2.address, TO_RESERVE)).to.be.revertedWith("Not active strategy");
+      await expect(vault.reportLoss(ethers.ZeroAddress, TO_RESERVE)).to.be.revertedWith("Not active strategy");
+      await expect(vault.reportLoss(await strategy.getAddress(), 0)).to.be.revertedWith("Zero amount");
+    });
+    it("Should only write off a loss the strategy value shows", async function () {
+      await expect(vault.reportLoss(await strategy.getAddress(), 1))
+        .to.be.revertedWith("Exceeds strategy shortfall");
+      await strategy.simulateLoss(TO_RESERVE);
+      await expect(vault.reportLoss(await strategy.getAddress(), TO_RESERVE + 1n))
+        .to.be.revertedWith("Exceeds strategy shortfall");
+      // Reporting in parts is fine
+      await vault.reportLoss(await strategy.getAddress(), TO_RESERVE / 2n);
+      await vault.reportLoss(await strategy.getAddress(), TO_RESERVE - TO_RESERVE / 2n);
+      expect(await vault.yieldReserve()).to.equal(0);
+    });
+  });
+
+  describe("After the loss", function () {
+    it("Should shrink the distributor pools so every claim is still paid", async function () {
+      const { distributor } = deployment;
+      const loss = TO_RESERVE + TO_DISTRIBUTOR - ethers.parseUnits("5", 6);
+      const zk = await distributor.zkBonusPool();
+      const ai = await distributor.aiAgentPool();
+      const holders = await distributor.holderPool();
+
+      await expect(defaultAndReport(loss)).to.emit(distributor, "LossAbsorbed");
+      const left = await vault.distributorPool();
+      expect(left).to.equal(ethers.parseUnits("5", 6));
+      // Each pool keeps its share of what is left
+      expect(await distributor.zkBonusPool()).to.equal(zk * left / TO_DISTRIBUTOR);
+      expect(await distributor.aiAgentPool()).to.equal(ai * left / TO_DISTRIBUTOR);
+      expect(await distributor.holderPool()).to.equal(holders * left / TO_DISTRIBUTOR);
+
+      const zkLeft = await distributor.zkBonusPool();
+      const dA = [0n, 0n], dB = [[0n, 0n], [0n, 0n]], dC = [0n, 0n];
+      await expect(distributor.connect(user2).claimZKBonus(zkLeft, 1, dA, dB, dC, [1n, 500n, 1n]))
+        .to.changeTokenBalance(mockUSDC, user2, zkLeft);
+      await distributor.releaseAIBonus(user2.address, await distributor.aiAgentPool());
+      await distributor.releaseHolderRewards(owner.address, await distributor.holderPool());
+      // Only rounding dust stays behind
+      expect(await vault.distributorPool()).to.be.lte(2n);
+    });
+    it("Should zero the distributor pools when the loss takes all of distributorPool", async function () {
+      const { distributor } = deployment;
+      await defaultAndReport(TO_RESERVE + TO_DISTRIBUTOR);
+      expect(await distributor.zkBonusPool()).to.equal(0);
+      expect(await distributor.aiAgentPool()).to.equal(0);
+      expect(await distributor.holderPool()).to.equal(0);
+    });
+    it("Should book a later recovery as harvest yield", async function () {
+      await defaultAndReport(TO_RESERVE);
+      const recovered = TO_RESERVE / 2n;
+      await mockUSDC.mint(await strategy.getAddress(), recovered);
+      await expect(vault.harvest()).to.emit(vault, "Harvest");
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT + GROSS - TO_RESERVE + recovered);
+    });
+    it("Should checkpoint the rate oracle at the new share price", async function () {
+      const YeldenRateOracle = await ethers.getContractFactory("YeldenRateOracle");
+      const oracle = await YeldenRateOracle.deploy(await vault.getAddress());
+      await vault.setRateOracle(await oracle.getAddress());
+      const count = await oracle.checkpointCount();
+
+      await defaultAndReport(BUCKETS + ethers.parseUnits("1000", 6));
+      expect(await oracle.checkpointCount()).to.equal(count + 1n);
+      const [rate] = await oracle.checkpointAt(count + 1n);
+      expect(rate).to.equal(await oracle.currentRate());
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployVault } = require("./helpers");
 
 describe("YeldenVault — Mainnet Fork Tests", function () {
   let vault;
@@ -29,13 +30,7 @@ describe("YeldenVault — Mainnet Fork Tests", function () {
   beforeEach(async function () {
     [owner, user1] = await ethers.getSigners();
 
-    const YeldenVault = await ethers.getContractFactory("YeldenVault");
-    vault = await YeldenVault.deploy(
-      USDC_MAINNET,
-      "Yelden USD",
-      "yUSD"
-    );
-    await vault.waitForDeployment();
+    vault = await deployVault(USDC_MAINNET);
 
     // Connect distributor so harvest() works
     const YeldenDistributor = await ethers.getContractFactory("YeldenDistributor");
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, harvestYield } = require("./helpers");
+
+const DEPOSITS = 0;
+const HARVESTS = 1;
+const CLAIMS = 2;
+const REGISTRATIONS = 3;
+
+describe("YeldenVault — Guardian Pause & Emergency Shutdown", function () {
+  let deployment, vault, distributor, mockUSDC, strategy;
+  let owner, guardian, user1, user2;
+
+  const AMOUNT = ethers.parseUnits("1000", 6);
+
+  beforeEach(async function () {
+    [owner, guardian, user1, user2] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, distributor, usdc: mockUSDC, strategy } = deployment);
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("100000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    await vault.setGuardian(guardian.address);
+  });
+
+  describe("Guardian", function () {
+    it("Should only let the owner set the guardian", async function () {
+      await expect(vault.setGuardian(user1.address))
+        .to.emit(vault, "GuardianSet").withArgs(guardian.address, user1.address);
+      await expect(vault.connect(guardian).setGuardian(guardian.address))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should let the guardian pause with a reason", async function () {
+      await expect(vault.connect(guardian).pause(DEPOSITS, "oracle incident"))
+        .to.emit(vault, "Paused").withArgs(DEPOSITS, guardian.address, "oracle incident");
+      expect(await vault.isPaused(DEPOSITS)).to.equal(true);
+    });
+    it("Should revert pause from anyone else", async function () {
+      await expect(vault.connect(user1).pause(DEPOSITS, "grief"))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should never let the guardian unpause", async function () {
+      await vault.connect(guardian).pause(DEPOSITS, "incident");
+      await expect(vault.connect(guardian).unpause(DEPOSITS, "all clear"))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.unpause(DEPOSITS, "all clear"))
+        .to.emit(vault, "Unpaused").withArgs(DEPOSITS, owner.address, "all clear");
+      expect(await vault.isPaused(DEPOSITS)).to.equal(false);
+    });
+    it("Should reject invalid and redundant changes", async function () {
+      await expect(vault.pause(4, "x")).to.be.revertedWith("Invalid action");
+      await expect(vault.unpause(DEPOSITS, "x")).to.be.revertedWith("Not paused");
+      await vault.pause(DEPOSITS, "x");
+      await expect(vault.pause(DEPOSITS, "x")).to.be.revertedWith("Already paused");
+    });
+  });
+
+  describe("Per-action flags", function () {
+    it("Should block deposit and mint but not withdrawals", async function () {
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      await vault.connect(guardian).pause(DEPOSITS, "incident");
+
+      await expect(vault.connect(user2).deposit(AMOUNT, user2.address))
+        .to.be.revertedWith("Action paused");
+      await expect(vault.connect(user2).mint(1n, user2.address))
+        .to.be.revertedWith("Action paused");
+      expect(await vault.maxDeposit(user2.address)).to.equal(0);
+      expect(await vault.maxMint(user2.address)).to.equal(0);
+
+      await vault.connect(user1).withdraw(AMOUNT / 2n, user1.address, user1.address);
+    });
+    it("Should block harvest independently of deposits", async function () {
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      await vault.allocate(AMOUNT);
+      await vault.connect(guardian).pause(HARVESTS, "strategy review");
+
+      await expect(harvestYield(deployment, ethers.parseUnits("10", 6)))
+        .to.be.revertedWith("Action paused");
+      await vault.connect(user2).deposit(AMOUNT, user2.address);
+      expect(await vault.isPaused(DEPOSITS)).to.equal(false);
+
+      await vault.unpause(HARVESTS, "review done");
+      await expect(vault.harvest()).to.emit(vault, "Harvest");
+    });
+  });
+
+  describe("Emergency shutdown", function () {
+    beforeEach(async function () {
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      await vault.connect(user2).deposit(AMOUNT, user2.address);
+      await vault.allocate(AMOUNT);
+    });
+
+    it("Should let the guardian shut down and unwind the strategy", async function () {
+      await expect(vault.connect(guardian).shutdown("custodian default"))
+        .to.emit(vault, "EmergencyShutdown").withArgs(guardian.address, "custodian default", AMOUNT);
+      expect(await vault.emergencyShutdown()).to.equal(true);
+      expect(await vault.isPaused(DEPOSITS)).to.equal(true);
+      expect(await vault.isPaused(HARVESTS)).to.equal(true);
+      expect(await strategy.totalValue()).to.equal(0);
+      expect(await vault.strategyDebt()).to.equal(0);
+      expect(await vault.idleAssets()).to.equal(AMOUNT * 2n);
+    });
+    it("Should revert shutdown from non-guardian and when already shut down", async function () {
+      await expect(vault.connect(user1).shutdown("x"))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await vault.shutdown("x");
+      await expect(vault.connect(guardian).shutdown("x")).to.be.revertedWith("Already shut down");
+    });
+    it("Should block allocate during shutdown", async function () {
+      await vault.connect(guardian).shutdown("incident");
+      await expect(vault.allocate(AMOUNT)).to.be.revertedWith("Emergency shutdown");
+    });
+    it("Should only allow redeem, pro-rata from liquid assets", async function () {
+      await vault.connect(guardian).shutdown("incident");
+
+      expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+      expect(await vault.maxDeposit(user1.address)).to.equal(0);
+      await expect(vault.connect(user1).withdraw(AMOUNT, user1.address, user1.address))
+        .to.be.revertedWith("Emergency: redeem only");
+
+      const shares = await vault.balanceOf(user1.address);
+      const expected = await vault.previewRedeem(shares);
+      expect(expected).to.be.closeTo(AMOUNT, 1n);
+
+      const before = await mockUSDC.balanceOf(user1.address);
+      await vault.connect(user1).redeem(shares, user1.address, user1.address);
+      expect((await mockUSDC.balanceOf(user1.address)) - before).to.equal(expected);
+
+      // Second holder gets the same share — first out has no advantage
+      const shares2 = await vault.balanceOf(user2.address);
+      expect(await vault.previewRedeem(shares2)).to.be.closeTo(AMOUNT, 1n);
+    });
+    it("Should not pay out protocol buckets to redeemers", async function () {
+      await vault.deallocate(AMOUNT);
+      await vault.allocate(AMOUNT);
+      await harvestYield(deployment, ethers.parseUnits("100", 6));
+      await vault.connect(guardian).shutdown("incident");
+
+      const protocol = await vault.protocolAssets();
+      expect(protocol).to.be.gt(0);
+      const supply = await vault.totalSupply();
+      const liquid = (await vault.idleAssets()) - protocol;
+      expect(await vault.previewRedeem(supply)).to.be.lte(liquid);
+    });
+    it("Should only let the owner end the shutdown", async function () {
+      await vault.connect(guardian).shutdown("incident");
+      await expect(vault.connect(guardian).endShutdown("resolved"))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.endShutdown("resolved"))
+        .to.emit(vault, "EmergencyShutdownEnded").withArgs(owner.address, "resolved");
+
+      // Withdrawals resume; deposits stay paused until explicitly unpaused
+      await vault.connect(user1).withdraw(AMOUNT / 2n, user1.address, user1.address);
+      await expect(vault.connect(user1).deposit(AMOUNT, user1.address))
+        .to.be.revertedWith("Action paused");
+      await vault.unpause(DEPOSITS, "resolved");
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+    });
+  });
+
+  describe("Distributor", function () {
+    it("Should block claims when paused", async function () {
+      await distributor.setGuardian(guardian.address);
+      await distributor.connect(guardian).pause(CLAIMS, "proof exploit");
+      await expect(distributor.claimZKBonus(1n, 0, [0, 0], [[0, 0], [0, 0]], [0, 0], [0, 0, 0]))
+        .to.be.revertedWith("Action paused");
+      await expect(distributor.releaseAIBonus(user1.address, 1n))
+        .to.be.revertedWith("Action paused");
+      await expect(distributor.connect(guardian).unpause(CLAIMS, "x"))
+        .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("ZKVerifier", function () {
+    it("Should block claimBonus when paused", async function () {
+      const ZKVerifier = await ethers.getContractFactory("ZKVerifier");
+      const zk = await ZKVerifier.deploy(ethers.ZeroAddress, await distributor.getAddress());
+      await zk.setGuardian(guardian.address);
+      await zk.connect(guardian).pause(CLAIMS, "verifier bug");
+      await expect(zk.claimBonus([0, 0], [[0, 0], [0, 0]], [0, 0], [1, 0, 0, 0]))
+        .to.be.revertedWith("Action paused");
+    });
+  });
+
+  describe("AIAgentRegistry", function () {
+    it("Should block registrations when paused", async function () {
+      const YeldenToken = await ethers.getContractFactory("YeldenToken");
+      const yld = await YeldenToken.deploy(owner.address);
+      const Registry = await ethers.getContractFactory("AIAgentRegistry");
+      const registry = await Registry.deploy(
+        await yld.getAddress(), ethers.parseUnits("50", 18), ethers.parseUnits("1", 18),
+        await vault.getAddress(), owner.address
+      );
+      await registry.setGuardian(guardian.address);
+      await registry.connect(guardian).pause(REGISTRATIONS, "spam wave");
+      await expect(registry.connect(user1).registerAgent("bot", "trading", ethers.parseUnits("50", 18)))
+        .to.be.revertedWith("Action paused");
+      await expect(registry.connect(guardian).unpause(REGISTRATIONS, "x"))
+        .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
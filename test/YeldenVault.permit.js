@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, sharesFor } = require("./helpers");
+
+const PERMIT2 = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+describe("YeldenVault — Permit & Permit2", function () {
+  let vault, mockUSDC, permit2;
+  let owner, user1, user2, relayer;
+
+  const AMOUNT = ethers.parseUnits("1000", 6);
+
+  // EIP-2612 signature over `token` for `spender`
+  async function signPermit(token, signer, spender, value, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId,
+      verifyingContract: await token.getAddress(),
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = {
+      owner: signer.address,
+      spender,
+      value,
+      nonce: await token.nonces(signer.address),
+      deadline,
+    };
+    return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+  }
+
+  // Permit2 SignatureTransfer signature with the vault as spender
+  async function signPermit2(signer, amount, nonce, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "Permit2", chainId, verifyingContract: PERMIT2 };
+    const types = {
+      PermitTransferFrom: [
+        { name: "permitted", type: "TokenPermissions" },
+        { name: "spender", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      TokenPermissions: [
+        { name: "token", type: "address" },
+        { name: "amount", type: "uint256" },
+      ],
+    };
+    const permitted = { token: await mockUSDC.getAddress(), amount };
+    const signature = await signer.signTypedData(domain, types, {
+      permitted,
+      spender: await vault.getAddress(),
+      nonce,
+      deadline,
+    });
+    return { permit: { permitted, nonce, deadline }, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, relayer] = await ethers.getSigners();
+    ({ vault, usdc: mockUSDC } = await deployConnected());
+    await mockUSDC.mint(user1.address, ethers.parseUnits("100000", 6));
+
+    // Local Permit2 placed at the canonical address
+    const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+    const mock = await MockPermit2.deploy();
+    const code = await ethers.provider.getCode(await mock.getAddress());
+    await network.provider.send("hardhat_setCode", [PERMIT2, code]);
+    permit2 = MockPermit2.attach(PERMIT2);
+  });
+
+  describe("yUSD EIP-2612", function () {
+    it("Should expose the permit domain", async function () {
+      expect(await vault.nonces(user1.address)).to.equal(0);
+      const [, name, version] = await vault.eip712Domain();
+      expect(name).to.equal("Yelden USD");
+      expect(version).to.equal("1");
+    });
+    it("Should let a spender redeem with a signed permit instead of approve", async function () {
+      await mockUSDC.connect(user1).approve(await vault.getAddress(), AMOUNT);
+      await vault.connect(user1).deposit(AMOUNT, user1.address);
+      const shares = await vault.balanceOf(user1.address);
+
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(vault, user1, relayer.address, shares, deadline);
+      await vault.connect(relayer).permit(user1.address, relayer.address, shares, deadline, sig.v, sig.r, sig.s);
+      expect(await vault.allowance(user1.address, relayer.address)).to.equal(shares);
+      expect(await vault.nonces(user1.address)).to.equal(1);
+
+      await vault.connect(relayer).redeem(shares, user2.address, user1.address);
+      expect(await mockUSDC.balanceOf(user2.address)).to.equal(AMOUNT);
+    });
+    it("Should reject an expired or replayed permit", async function () {
+      const deadline = (await time.latest()) + 60;
+      const sig = await signPermit(vault, user1, relayer.address, 1n, deadline);
+      await vault.permit(user1.address, relayer.address, 1n, deadline, sig.v, sig.r, sig.s);
+      await expect(vault.permit(user1.address, relayer.address, 1n, deadline, sig.v, sig.r, sig.s))
+        .to.be.revertedWithCustomError(vault, "ERC2612InvalidSigner");
+
+      const late = await signPermit(vault, user1, relayer.address, 1n, deadline);
+      await time.increase(120);
+      await expect(vault.permit(user1.address, relayer.address, 1n, deadline, late.v, late.r, late.s))
+        .to.be.revertedWithCustomError(vault, "ERC2612ExpiredSignature");
+    });
+  });
+
+  describe("depositWithPermit", function () {
+    it("Should deposit in a single transaction", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(mockUSDC, user1, await vault.getAddress(), AMOUNT, deadline);
+      await expect(vault.connect(user1).depositWithPermit(AMOUNT, user1.address, deadline, sig.v, sig.r, sig.s))
+        .to.emit(vault, "Deposit")
+        .withArgs(user1.address, user1.address, AMOUNT, sharesFor(AMOUNT));
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(AMOUNT));
+    });
+    it("Should still deposit when the permit was front-run", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(mockUSDC, user1, await vault.getAddress(), AMOUNT, deadline);
+      // Someone submits the permit first — nonce consumed, allowance already set
+      await mockUSDC.connect(relayer).permit(user1.address, await vault.getAddress(), AMOUNT, deadline, sig.v, sig.r, sig.s);
+      await vault.connect(user1).depositWithPermit(AMOUNT, user1.address, deadline, sig.v, sig.r, sig.s);
+      expect(await vault.balanceOf(user1.address)).to.equal(sharesFor(AMOUNT));
+    });
+    it("Should revert without a valid permit or allowance", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(mockUSDC, user2, await vault.getAddress(), AMOUNT, deadline);
+      await expect(vault.connect(user1).depositWithPermit(AMOUNT, user1.address, deadline, sig.v, sig.r, sig.s))
+        .to.be.revertedWithCustomError(mockUSDC, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("depositWithPermit2", function () {
+    beforeEach(async function () {
+      // One-time approval of Permit2, shared by every Permit2 integration
+      await mockUSDC.connect(user1).approve(PERMIT2, ethers.MaxUint256);
+    });
+
+    it("Should deposit with a Permit2 signature", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { permit, signature } = await signPermit2(user1, AMOUNT, 7n, deadline);
+      await expect(vault.connect(user1).depositWithPermit2(AMOUNT, user2.address, permit, signature))
+        .to.emit(vault, "Deposit")
+        .withArgs(user1.address, user2.address, AMOUNT, sharesFor(AMOUNT));
+      expect(await vault.balanceOf(user2.address)).to.equal(sharesFor(AMOUNT));
+      expect(await mockUSDC.allowance(user1.address, await vault.getAddress())).to.equal(0);
+      expect(await permit2.nonceUsed(user1.address, 7n)).to.equal(true);
+    });
+    it("Should reject a replayed signature", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { permit, signature } = await signPermit2(user1, AMOUNT * 2n, 1n, deadline);
+      await vault.connect(user1).depositWithPermit2(AMOUNT, user1.address, permit, signature);
+      await expect(vault.connect(user1).depositWithPermit2(AMOUNT, user1.address, permit, signature))
+        .to.be.revertedWith("Permit2: nonce used");
+    });
+    it("Should reject a signature from someone other than the caller", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { permit, signature } = await signPermit2(user1, AMOUNT, 1n, deadline);
+      await expect(vault.connect(relayer).depositWithPermit2(AMOUNT, relayer.address, permit, signature))
+        .to.be.revertedWith("Permit2: invalid signature");
+    });
+    it("Should reject a permit for another token or above the signed amount", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { permit, signature } = await signPermit2(user1, AMOUNT, 1n, deadline);
+      await expect(vault.connect(user1).depositWithPermit2(AMOUNT + 1n, user1.address, permit, signature))
+        .to.be.revertedWith("Permit2: invalid amount");
+
+      const wrong = { ...permit, permitted: { token: await vault.getAddress(), amount: AMOUNT } };
+      await expect(vault.connect(user1).depositWithPermit2(AMOUNT, user1.address, wrong, signature))
+        .to.be.revertedWith("Permit token mismatch");
+    });
+    it("Should apply the usual deposit checks", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { permit, signature } = await signPermit2(user1, AMOUNT, 1n, deadline);
+      await vault.pause(0, "incident");
+      await expect(vault.connect(user1).depositWithPermit2(AMOUNT, user1.address, permit, signature))
+        .to.be.revertedWith("Action paused");
+      await vault.unpause(0, "resolved");
+      await vault.setDepositCaps(AMOUNT / 2n, ethers.MaxUint256);
+      await expect(vault.connect(user1).depositWithPermit2(AMOUNT, user1.address, permit, signature))
+        .to.be.revertedWith("Exceeds max deposit");
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, accrueYield, harvestYield } = require("./helpers");
+
+describe("YeldenVault — Proof of Reserve", function () {
+  let deployment, vault, mockUSDC, strategy, feed;
+  let owner, user1;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const DAY     = 24 * 60 * 60;
+  // PoR feeds report reserves with their own decimals — 8 here, USDC has 6
+  const por = (usdc) => usdc * 100n;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC, strategy } = deployment);
+    await mockUSDC.mint(user1.address, ethers.parseUnits("100000", 6));
+    await mockUSDC.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.allocate(DEPOSIT);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    feed = await MockV3Aggregator.deploy(8, por(DEPOSIT));
+    await vault.setReserveFeed(await strategy.getAddress(), await feed.getAddress());
+  });
+
+  describe("Configuration", function () {
+    it("Should set a feed per strategy with an event", async function () {
+      const other = await (await ethers.getContractFactory("MockV3Aggregator")).deploy(8, 0);
+      await expect(vault.setReserveFeed(await strategy.getAddress(), await other.getAddress()))
+        .to.emit(vault, "ReserveFeedSet")
+        .withArgs(await strategy.getAddress(), await feed.getAddress(), await other.getAddress());
+      expect(await vault.reserveFeeds(await strategy.getAddress())).to.equal(await other.getAddress());
+    });
+    it("Should revert if not owner or for the zero strategy", async function () {
+      await expect(vault.connect(user1).setReserveFeed(await strategy.getAddress(), ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.setReserveFeed(ethers.ZeroAddress, await feed.getAddress()))
+        .to.be.revertedWith("Invalid strategy");
+    });
+    it("Should follow the active strategy", async function () {
+      const MockRWAProvider = await ethers.getContractFactory("MockRWAProvider");
+      const next = await MockRWAProvider.deploy(await mockUSDC.getAddress(), await vault.getAddress());
+      await feed.updateAnswer(0);
+
+      // The new strategy has no feed — deposits open again
+      await vault.setStrategy(await next.getAddress());
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+
+      // Switching back re-arms the old strategy's feed
+      await vault.setStrategy(await strategy.getAddress());
+      await vault.allocate(DEPOSIT);
+      await expect(vault.connect(user1).deposit(DEPOSIT, user1.address))
+        .to.be.revertedWith("Reserves below booked value");
+    });
+  });
+
+  describe("verifyReserves", function () {
+    it("Should report healthy reserves", async function () {
+      const updatedAt = await feed.latestTimestamp();
+      await expect(vault.connect(user1).verifyReserves())
+        .to.emit(vault, "ReservesVerified")
+        .withArgs(await strategy.getAddress(), DEPOSIT, DEPOSIT, updatedAt, true);
+      expect(await vault.verifyReserves.staticCall()).to.equal(true);
+    });
+    it("Should report a shortfall and a stale feed", async function () {
+      await feed.updateAnswer(por(DEPOSIT - 1n));
+      let updatedAt = await feed.latestTimestamp();
+      await expect(vault.verifyReserves())
+        .to.emit(vault, "ReservesVerified")
+        .withArgs(await strategy.getAddress(), DEPOSIT - 1n, DEPOSIT, updatedAt, false);
+
+      await feed.updateAnswer(por(DEPOSIT));
+      updatedAt = await feed.latestTimestamp();
+      await time.increase(DAY + 1);
+      await expect(vault.verifyReserves())
+        .to.emit(vault, "ReservesVerified")
+        .withArgs(await strategy.getAddress(), DEPOSIT, DEPOSIT, updatedAt, false);
+    });
+    it("Should be healthy without a feed", async function () {
+      await vault.setReserveFeed(await strategy.getAddress(), ethers.ZeroAddress);
+      expect(await vault.reserveStatus()).to.deep.equal([true, 0n, 0n]);
+    });
+  });
+
+  describe("Deposit gate", function () {
+    it("Should accept deposits while reserves cover booked value", async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      expect(await vault.maxDeposit(user1.address)).to.equal(ethers.MaxUint256);
+    });
+    it("Should block deposits and mints when reserves fall short", async function () {
+      await feed.updateAnswer(por(DEPOSIT / 2n));
+      expect(await vault.maxDeposit(user1.address)).to.equal(0);
+      expect(await vault.maxMint(user1.address)).to.equal(0);
+      await expect(vault.connect(user1).deposit(DEPOSIT, user1.address))
+        .to.be.revertedWith("Reserves below booked value");
+      await expect(vault.connect(user1).mint(1n, user1.address))
+        .to.be.revertedWith("Reserves below booked value");
+    });
+    it("Should block deposits when the feed is older than 24h", async function () {
+      await time.increase(DAY + 1);
+      expect(await vault.maxDeposit(user1.address)).to.equal(0);
+      await expect(vault.connect(user1).deposit(DEPOSIT, user1.address))
+        .to.be.revertedWith("Reserve feed stale");
+
+      await feed.updateAnswer(por(DEPOSIT));
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    });
+    it("Should never block withdrawals", async function () {
+      await feed.updateAnswer(0);
+      await time.increase(DAY + 1);
+      await vault.connect(user1).withdraw(DEPOSIT / 2n, user1.address, user1.address);
+    });
+  });
+
+  describe("Harvest gate", function () {
+    const GROSS = ethers.parseUnits("100", 6);
+
+    it("Should harvest yield the reserves attest to", async function () {
+      await feed.updateAnswer(por(DEPOSIT + GROSS));
+      await expect(harvestYield(deployment, GROSS)).to.emit(vault, "Harvest");
+    });
+    it("Should not book yield above reported reserves", async function () {
+      // Reserves still report the old value — the new yield is unattested
+      await expect(harvestYield(deployment, GROSS))
+        .to.be.revertedWith("Reserves below booked value");
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT);
+    });
+    it("Should block harvest on a stale feed", async function () {
+      await accrueYield(deployment, GROSS);
+      await feed.updateRoundData(por(DEPOSIT + GROSS), (await time.latest()) - DAY - 1);
+      await expect(vault.harvest()).to.be.revertedWith("Reserve feed stale");
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployConnected, deployVaultOnly, accrueYield, harvestYield } = require("./helpers");
+
+describe("YeldenVault — RWA Strategy", function () {
+  let deployment, vault, mockUSDC, strategy;
+  let owner, user1, user2;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC, strategy } = deployment);
+    await mockUSDC.mint(user1.address, ethers.parseUnits("100000", 6));
+    await mockUSDC.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+  });
+
+  async function deployProvider(assetAddress, vaultAddress) {
+    const MockRWAProvider = await ethers.getContractFactory("MockRWAProvider");
+    return MockRWAProvider.deploy(assetAddress, vaultAddress);
+  }
+
+  describe("setStrategy", function () {
+    it("Should be set by deployConnected", async function () {
+      expect(await vault.strategy()).to.equal(await strategy.getAddress());
+    });
+    it("Should revert if not owner", async function () {
+      await expect(vault.connect(user1).setStrategy(await strategy.getAddress()))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should revert on zero address", async function () {
+      await expect(vault.setStrategy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid strategy");
+    });
+    it("Should revert when the strategy asset differs from the vault asset", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const other = await MockERC20.deploy("Other", "OTH", 6);
+      const wrong = await deployProvider(await other.getAddress(), await vault.getAddress());
+      await expect(vault.setStrategy(await wrong.getAddress()))
+        .to.be.revertedWith("Strategy asset mismatch");
+    });
+    it("Should recall funds from the previous strategy", async function () {
+      await vault.allocate(DEPOSIT);
+      const next = await deployProvider(await mockUSDC.getAddress(), await vault.getAddress());
+      await expect(vault.setStrategy(await next.getAddress()))
+        .to.emit(vault, "StrategySet")
+        .withArgs(await strategy.getAddress(), await next.getAddress(), DEPOSIT);
+      expect(await vault.strategyDebt()).to.equal(0);
+      expect(await vault.idleAssets()).to.equal(DEPOSIT);
+      expect(await strategy.totalValue()).to.equal(0);
+    });
+    it("Should refuse to switch while the old strategy cannot be recalled in full", async function () {
+      await vault.allocate(DEPOSIT);
+      await strategy.setWithdrawLimit(DEPOSIT / 2n);  // only half redeemable today
+      const next = await deployProvider(await mockUSDC.getAddress(), await vault.getAddress());
+      await expect(vault.setStrategy(await next.getAddress()))
+        .to.be.revertedWith("Strategy not fully recalled");
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT);
+    });
+    it("Should make unharvested yield go through harvest() before switching", async function () {
+      await vault.setProfitUnlockPeriod(0); // price profit immediately — streaming has its own suite
+      await vault.allocate(DEPOSIT);
+      await accrueYield(deployment, ethers.parseUnits("100", 6));
+      const next = await deployProvider(await mockUSDC.getAddress(), await vault.getAddress());
+      await expect(vault.setStrategy(await next.getAddress()))
+        .to.be.revertedWith("Harvest before switching");
+
+      await vault.harvest();
+      const assetsBefore = await vault.totalAssets();
+      await vault.setStrategy(await next.getAddress());
+      expect(await vault.totalAssets()).to.equal(assetsBefore);
+    });
+    it("Should make losses go through reportLoss() before switching", async function () {
+      await vault.allocate(DEPOSIT);
+      await strategy.simulateLoss(ethers.parseUnits("100", 6));
+      const next = await deployProvider(await mockUSDC.getAddress(), await vault.getAddress());
+      await expect(vault.setStrategy(await next.getAddress()))
+        .to.be.revertedWith("Report loss before switching");
+    });
+  });
+
+  describe("allocate / deallocate", function () {
+    it("Should move idle USDC into the strategy", async function () {
+      await expect(vault.allocate(DEPOSIT / 2n))
+        .to.emit(vault, "StrategyAllocated")
+        .withArgs(await strategy.getAddress(), DEPOSIT / 2n, DEPOSIT / 2n);
+      expect(await vault.idleAssets()).to.equal(DEPOSIT / 2n);
+      expect(await strategy.totalValue()).to.equal(DEPOSIT / 2n);
+      expect(await strategy.balanceOf(await vault.getAddress())).to.be.gt(0);
+    });
+    it("Should not change totalAssets", async function () {
+      await vault.allocate(DEPOSIT);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+    });
+    it("Should revert when allocating more than idle", async function () {
+      await expect(vault.allocate(DEPOSIT + 1n)).to.be.revertedWith("Exceeds idle");
+    });
+    it("Should revert allocate if not owner", async function () {
+      await expect(vault.connect(user1).allocate(1n))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+    it("Should revert allocate without strategy", async function () {
+      const { vault: fresh } = await deployVaultOnly();
+      await expect(fresh.allocate(1n)).to.be.revertedWith("Strategy not set");
+    });
+    it("Should recall funds with deallocate", async function () {
+      await vault.allocate(DEPOSIT);
+      await expect(vault.deallocate(DEPOSIT / 4n))
+        .to.emit(vault, "StrategyDeallocated");
+      expect(await vault.idleAssets()).to.equal(DEPOSIT / 4n);
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT - DEPOSIT / 4n);
+    });
+    it("Should not deallocate unharvested profit", async function () {
+      await vault.allocate(DEPOSIT);
+      await accrueYield(deployment, 1000n);
+      await expect(vault.deallocate(DEPOSIT + 1n)).to.be.revertedWith("Exceeds debt");
+    });
+  });
+
+  describe("harvest", function () {
+    beforeEach(async function () {
+      await vault.allocate(DEPOSIT);
+    });
+
+    it("Should compute gross yield from the strategy value increase", async function () {
+      const grossYield = ethers.parseUnits("450", 6);
+      await accrueYield(deployment, grossYield);
+      const tx = await vault.harvest();
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment && log.fragment.name === "Harvest");
+      expect(event.args[0]).to.equal(grossYield);
+    });
+    it("Should book the profit into strategyDebt", async function () {
+      await vault.setProfitUnlockPeriod(0); // price profit immediately — streaming has its own suite
+      const grossYield = ethers.parseUnits("450", 6);
+      await harvestYield(deployment, grossYield);
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT + grossYield);
+      // Only the base share is depositor equity — the rest sits in protocol buckets
+      expect(await vault.grossAssets()).to.equal(DEPOSIT + grossYield);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + grossYield * 450n / 10000n);
+    });
+    it("Should ignore unharvested growth in totalAssets", async function () {
+      await accrueYield(deployment, ethers.parseUnits("450", 6));
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+    });
+    it("Should revert when the strategy did not grow", async function () {
+      await expect(vault.harvest()).to.be.revertedWith("Zero yield");
+    });
+    it("Should not count the same yield twice", async function () {
+      await harvestYield(deployment, 1000n);
+      await expect(vault.harvest()).to.be.revertedWith("Zero yield");
+    });
+    it("Should revert without strategy", async function () {
+      const { vault: fresh } = await deployVaultOnly();
+      await fresh.setDistributor(user2.address);
+      await expect(fresh.harvest()).to.be.revertedWith("Strategy not set");
+    });
+    it("Should raise the OUSG-like price per unit", async function () {
+      const before = await strategy.pricePerUnit();
+      await accrueYield(deployment, ethers.parseUnits("100", 6));
+      expect(await strategy.pricePerUnit()).to.be.gt(before);
+    });
+  });
+
+  describe("Liquidity", function () {
+    beforeEach(async function () {
+      await vault.allocate(DEPOSIT - ethers.parseUnits("1000", 6));
+    });
+
+    it("Should pull the shortfall from the strategy on withdraw", async function () {
+      const amount = ethers.parseUnits("5000", 6);
+      const balBefore = await mockUSDC.balanceOf(user1.address);
+      await vault.connect(user1).withdraw(amount, user1.address, user1.address);
+      expect(await mockUSDC.balanceOf(user1.address)).to.equal(balBefore + amount);
+      expect(await vault.idleAssets()).to.equal(0);
+      expect(await vault.strategyDebt()).to.equal(DEPOSIT - amount);
+    });
+    it("Should let the last depositor redeem everything", async function () {
+      await harvestYield(deployment, ethers.parseUnits("100", 6));
+      const shares = await vault.balanceOf(user1.address);
+      await vault.connect(user1).redeem(shares, user1.address, user1.address);
+      expect(await vault.balanceOf(user1.address)).to.equal(0);
+    });
+    it("Should pull from the strategy to pay withdrawReserve", async function () {
+      await harvestYield(deployment, ethers.parseUnits("10000", 6));
+      await vault.connect(user1).withdraw(ethers.parseUnits("1000", 6), user1.address, user1.address);
+      const reserve = await vault.yieldReserve();
+      await vault.withdrawReserve(owner.address, reserve);
+      expect(await vault.yieldReserve()).to.equal(0);
+    });
+  });
+});
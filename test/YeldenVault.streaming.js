@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, accrueYield, harvestYield } = require("./helpers");
+
+describe("YeldenVault — Profit Streaming", function () {
+  let deployment, vault, mockUSDC;
+  let owner, user1, attacker;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const GROSS   = ethers.parseUnits("1000", 6);
+  const BASE    = GROSS * 450n / 10000n;
+  const WEEK    = 7 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, user1, attacker] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+    for (const user of [user1, attacker]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("1000000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    await vault.connect(user1).deposit(DEPOSIT, user1.address);
+    await vault.allocate(DEPOSIT);
+  });
+
+  describe("Locking", function () {
+    it("Should default to a 7 day unlock period with nothing locked", async function () {
+      expect(await vault.profitUnlockPeriod()).to.equal(WEEK);
+      expect(await vault.lockedProfit()).to.equal(0);
+    });
+    it("Should lock the base share on harvest", async function () {
+      const tx = await harvestYield(deployment, GROSS);
+      const ts = BigInt(await time.latest());
+      await expect(tx).to.emit(vault, "ProfitLocked").withArgs(BASE, BASE, ts + BigInt(WEEK));
+      expect(await vault.lockedProfit()).to.equal(BASE);
+      expect(await vault.fullProfitUnlockDate()).to.equal(ts + BigInt(WEEK));
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+    });
+    it("Should release profit linearly", async function () {
+      await harvestYield(deployment, GROSS);
+      const start = BigInt(await time.latest());
+
+      await time.increaseTo(start + BigInt(WEEK / 2));
+      expect(await vault.lockedProfit()).to.equal(BASE / 2n);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + BASE / 2n);
+
+      await time.increaseTo(start + BigInt(WEEK));
+      expect(await vault.lockedProfit()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + BASE);
+    });
+    it("Should add a new harvest to the remainder and restart the unlock", async function () {
+      await harvestYield(deployment, GROSS);
+      const start = BigInt(await time.latest());
+      await time.increaseTo(start + BigInt(WEEK / 2));
+
+      await harvestYield(deployment, GROSS);
+      const now = BigInt(await time.latest());
+      // Roughly half of the first harvest is still locked, plus all of the second
+      expect(await vault.lockedProfit()).to.be.closeTo(BASE / 2n + BASE, BASE / 1000n);
+      expect(await vault.fullProfitUnlockDate()).to.equal(now + BigInt(WEEK));
+    });
+  });
+
+  describe("Harvest sandwich", function () {
+    async function sandwich() {
+      await accrueYield(deployment, GROSS);
+      const big = DEPOSIT * 10n;
+      const before = await mockUSDC.balanceOf(attacker.address);
+
+      await vault.connect(attacker).deposit(big, attacker.address);
+      await vault.harvest();
+      const shares = await vault.balanceOf(attacker.address);
+      await vault.connect(attacker).redeem(shares, attacker.address, attacker.address);
+
+      return (await mockUSDC.balanceOf(attacker.address)) - before;
+    }
+
+    it("Should pay an instant deposit-harvest-redeem without streaming", async function () {
+      await vault.setProfitUnlockPeriod(0);
+      // The attacker holds 10/11 of the vault when the base share is priced in
+      expect(await sandwich()).to.be.closeTo(BASE * 10n / 11n, 2n);
+    });
+    it("Should not pay once profit is streamed", async function () {
+      // At most the profit unlocked in the one second between harvest and redeem
+      const pnl = await sandwich();
+      expect(pnl).to.be.lt(BASE / 100000n);
+      // The profit stays with the long-term holder
+      await time.increase(WEEK);
+      expect(await vault.maxWithdraw(user1.address)).to.be.closeTo(DEPOSIT + BASE, BASE / 100000n);
+    });
+  });
+
+  describe("setProfitUnlockPeriod", function () {
+    it("Should emit and revert if not owner or above the maximum", async function () {
+      await expect(vault.setProfitUnlockPeriod(3 * 24 * 60 * 60))
+        .to.emit(vault, "ProfitUnlockPeriodSet").withArgs(WEEK, 3 * 24 * 60 * 60);
+      await expect(vault.connect(user1).setProfitUnlockPeriod(0))
+        .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(vault.setProfitUnlockPeriod(31 * 24 * 60 * 60))
+        .to.be.revertedWith("Unlock period too long");
+    });
+    it("Should re-stream what is still locked over the new period", async function () {
+      await harvestYield(deployment, GROSS);
+      await vault.setProfitUnlockPeriod(2 * WEEK);
+      const now = BigInt(await time.latest());
+      const locked = await vault.lockedProfit();
+      expect(locked).to.be.closeTo(BASE, BASE / 1000n);
+      expect(await vault.fullProfitUnlockDate()).to.equal(now + BigInt(2 * WEEK));
+    });
+    it("Should release everything immediately when set to zero", async function () {
+      await harvestYield(deployment, GROSS);
+      await vault.setProfitUnlockPeriod(0);
+      expect(await vault.lockedProfit()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + BASE);
+      // Later harvests count immediately
+      await harvestYield(deployment, GROSS);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + BASE * 2n);
+    });
+  });
+
+  it("Should release locked profit on emergency shutdown", async function () {
+    await harvestYield(deployment, GROSS);
+    await vault.shutdown("incident");
+    expect(await vault.lockedProfit()).to.equal(0);
+    expect(await vault.totalAssets()).to.equal(DEPOSIT + BASE);
+  });
+});
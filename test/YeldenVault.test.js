@@ -1,17 +1,18 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { deployConnected, deployVaultOnly } = require("./helpers");
+const { deployConnected, deployExtension, deployVaultOnly, sharesFor, harvestYield } = require("./helpers");
 
 // ─────────────────────────────────────────────────────────────
 //  YELDEN VAULT TESTS
 // ─────────────────────────────────────────────────────────────
 describe("YeldenVault", function () {
-  let vault, distributor, mockUSDC;
+  let deployment, vault, distributor, mockUSDC;
   let owner, addr1, addr2, addr3;
 
   beforeEach(async function () {
     [owner, addr1, addr2, addr3] = await ethers.getSigners();
-    ({ vault, distributor, usdc: mockUSDC } = await deployConnected());
+    deployment = await deployConnected();
+    ({ vault, distributor, usdc: mockUSDC } = deployment);
     await mockUSDC.mint(addr1.address, ethers.parseUnits("10000", 6));
     await mockUSDC.mint(addr2.address, ethers.parseUnits("10000", 6));
   });
@@ -34,15 +35,39 @@ describe("YeldenVault", function () {
     it("Should set the correct owner", async function () {
       expect(await vault.owner()).to.equal(owner.address);
     });
-    it("Should have correct constants", async function () {
-      expect(await vault.BASE_YIELD_BPS()).to.equal(450);
+    it("Should have correct constants and default parameters", async function () {
+      expect(await vault.baseYieldBps()).to.equal(450);
       expect(await vault.RESERVE_BPS()).to.equal(1000);
-      expect(await vault.REGEN_BPS()).to.equal(500);
+      expect(await vault.regenBps()).to.equal(500);
+      expect(await vault.yieldReserveBps()).to.equal(2000);
       expect(await vault.BASIS_POINTS()).to.equal(10000);
     });
     it("Should have distributor set after deployConnected", async function () {
       expect(await vault.distributor()).to.equal(await distributor.getAddress());
     });
+    it("Should use an extension that cannot be used directly", async function () {
+      const extension = await ethers.getContractAt("YeldenVaultExtension", await vault.extension());
+      expect(await extension.owner()).to.equal(ethers.ZeroAddress);
+      await expect(extension.setDistributor(addr1.address))
+        .to.be.revertedWithCustomError(extension, "OwnableUnauthorizedAccount");
+    });
+    it("Should reject an extension built for another asset", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const dai = await MockERC20.deploy("Mock DAI", "DAI", 18);
+      const extension = await deployExtension(await dai.getAddress());
+      const YeldenVault = await ethers.getContractFactory("YeldenVault");
+      await expect(YeldenVault.deploy(await mockUSDC.getAddress(), "Yelden USD", "yUSD", await extension.getAddress()))
+        .to.be.revertedWith("Extension asset mismatch");
+    });
+    it("Should reject a module built for another asset", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const dai = await MockERC20.deploy("Mock DAI", "DAI", 18);
+      const Module = await ethers.getContractFactory("YeldenVaultModule");
+      const vaultModule = await Module.deploy(await dai.getAddress());
+      const Extension = await ethers.getContractFactory("YeldenVaultExtension");
+      await expect(Extension.deploy(await mockUSDC.getAddress(), await vaultModule.getAddress()))
+        .to.be.revertedWith("Module asset mismatch");
+    });
   });
 
   // ── setDistributor ──────────────────────────────────────────
@@ -69,7 +94,7 @@ describe("YeldenVault", function () {
     });
     it("Should revert harvest if distributor not set", async function () {
       const { vault: freshVault } = await deployVaultOnly();
-      await expect(freshVault.harvest(1000))
+      await expect(freshVault.harvest())
         .to.be.revertedWith("Distributor not set");
     });
   });
@@ -80,7 +105,7 @@ describe("YeldenVault", function () {
       const amount = ethers.parseUnits("1000", 6);
       await mockUSDC.connect(addr1).approve(await vault.getAddress(), amount);
       await vault.connect(addr1).deposit(amount, addr1.address);
-      expect(await vault.balanceOf(addr1.address)).to.equal(amount);
+      expect(await vault.balanceOf(addr1.address)).to.equal(ethers.parseUnits("1000", 12));
       expect(await vault.totalAssets()).to.equal(amount);
     });
     it("Should emit Deposit event with correct args", async function () {
@@ -88,13 +113,13 @@ describe("YeldenVault", function () {
       await mockUSDC.connect(addr1).approve(await vault.getAddress(), amount);
       await expect(vault.connect(addr1).deposit(amount, addr1.address))
         .to.emit(vault, "Deposit")
-        .withArgs(addr1.address, addr1.address, amount, amount);
+        .withArgs(addr1.address, addr1.address, amount, sharesFor(amount));
     });
     it("Should allow depositing to a different receiver", async function () {
       const amount = ethers.parseUnits("1000", 6);
       await mockUSDC.connect(addr1).approve(await vault.getAddress(), amount);
       await vault.connect(addr1).deposit(amount, addr2.address);
-      expect(await vault.balanceOf(addr2.address)).to.equal(amount);
+      expect(await vault.balanceOf(addr2.address)).to.equal(sharesFor(amount));
       expect(await vault.balanceOf(addr1.address)).to.equal(0);
     });
     it("Should maintain correct share ratio after multiple deposits", async function () {
@@ -104,8 +129,8 @@ describe("YeldenVault", function () {
       await vault.connect(addr1).deposit(amount1, addr1.address);
       await mockUSDC.connect(addr2).approve(await vault.getAddress(), amount2);
       await vault.connect(addr2).deposit(amount2, addr2.address);
-      expect(await vault.balanceOf(addr1.address)).to.equal(amount1);
-      expect(await vault.balanceOf(addr2.address)).to.equal(amount2);
+      expect(await vault.balanceOf(addr1.address)).to.equal(sharesFor(amount1));
+      expect(await vault.balanceOf(addr2.address)).to.equal(sharesFor(amount2));
     });
     it("Should revert on zero deposit", async function () {
       await expect(vault.connect(addr1).deposit(0, addr1.address))
@@ -141,13 +166,13 @@ describe("YeldenVault", function () {
       const balanceBefore = await mockUSDC.balanceOf(addr1.address);
       await vault.connect(addr1).withdraw(withdrawAmount, addr1.address, addr1.address);
       expect(await mockUSDC.balanceOf(addr1.address)).to.equal(balanceBefore + withdrawAmount);
-      expect(await vault.balanceOf(addr1.address)).to.equal(ethers.parseUnits("500", 6));
+      expect(await vault.balanceOf(addr1.address)).to.equal(sharesFor(ethers.parseUnits("500", 6)));
     });
     it("Should emit Withdraw event with correct args", async function () {
       const withdrawAmount = ethers.parseUnits("500", 6);
       await expect(vault.connect(addr1).withdraw(withdrawAmount, addr1.address, addr1.address))
         .to.emit(vault, "Withdraw")
-        .withArgs(addr1.address, addr1.address, addr1.address, withdrawAmount, withdrawAmount);
+        .withArgs(addr1.address, addr1.address, addr1.address, withdrawAmount, sharesFor(withdrawAmount));
     });
     it("Should allow full withdrawal", async function () {
       await vault.connect(addr1).withdraw(ethers.parseUnits("1000", 6), addr1.address, addr1.address);
@@ -169,9 +194,9 @@ describe("YeldenVault", function () {
     });
     it("Should allow approved operator to withdraw on behalf of owner", async function () {
       const withdrawAmount = ethers.parseUnits("500", 6);
-      await vault.connect(addr1).approve(addr2.address, withdrawAmount);
+      await vault.connect(addr1).approve(addr2.address, sharesFor(withdrawAmount));
       await vault.connect(addr2).withdraw(withdrawAmount, addr2.address, addr1.address);
-      expect(await vault.balanceOf(addr1.address)).to.equal(ethers.parseUnits("500", 6));
+      expect(await vault.balanceOf(addr1.address)).to.equal(sharesFor(ethers.parseUnits("500", 6)));
     });
   });
 
@@ -201,7 +226,7 @@ describe("YeldenVault", function () {
     });
     it("Should revert if insufficient balance", async function () {
       await expect(vault.connect(addr1).redeem(
-        ethers.parseUnits("9999", 6), addr1.address, addr1.address
+        ethers.parseUnits("9999", 12), addr1.address, addr1.address
       )).to.be.revertedWith("Insufficient balance");
     });
     it("Should allow approved operator to redeem on behalf", async function () {
@@ -220,11 +245,11 @@ describe("YeldenVault", function () {
   // ── Harvest ──────────────────────────────────────────────────
   describe("Harvest", function () {
     it("Should only allow owner to harvest", async function () {
-      await expect(vault.connect(addr1).harvest(1000))
+      await expect(vault.connect(addr1).harvest())
         .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
     });
     it("Should revert on zero yield harvest", async function () {
-      await expect(vault.harvest(0)).to.be.revertedWith("Zero yield");
+      await expect(vault.harvest()).to.be.revertedWith("Zero yield");
     });
     it("Should emit Harvest event with correct 5-arg split", async function () {
       const grossYield = ethers.parseUnits("1000", 6);
@@ -233,32 +258,32 @@ describe("YeldenVault", function () {
       const surplus = grossYield - base - regen;
       const reserve = (surplus * 2000n) / 10000n;
       const toDist  = surplus - reserve;
-      await expect(vault.harvest(grossYield))
+      await expect(harvestYield(deployment, grossYield))
         .to.emit(vault, "Harvest")
         .withArgs(grossYield, base, regen, reserve, toDist);
     });
     it("Should accumulate yield reserve correctly", async function () {
       const grossYield = ethers.parseUnits("1000", 6);
-      await vault.harvest(grossYield);
+      await harvestYield(deployment, grossYield);
       const surplus  = grossYield - (grossYield * 450n) / 10000n - (grossYield * 500n) / 10000n;
       const expected = (surplus * 2000n) / 10000n;
       expect(await vault.yieldReserve()).to.equal(expected);
     });
     it("Should accumulate yield reserve across multiple harvests", async function () {
       const grossYield = ethers.parseUnits("1000", 6);
-      await vault.harvest(grossYield);
-      await vault.harvest(grossYield);
+      await harvestYield(deployment, grossYield);
+      await harvestYield(deployment, grossYield);
       const surplus = grossYield - (grossYield * 450n) / 10000n - (grossYield * 500n) / 10000n;
       const reserve = (surplus * 2000n) / 10000n;
       expect(await vault.yieldReserve()).to.equal(reserve * 2n);
     });
     it("Should update lastHarvest timestamp", async function () {
-      await vault.harvest(1000n);
+      await harvestYield(deployment, 1000n);
       const block = await ethers.provider.getBlock("latest");
       expect(await vault.lastHarvest()).to.equal(BigInt(block.timestamp));
     });
     it("Should route surplus to distributor", async function () {
-      await vault.harvest(ethers.parseUnits("1000", 6));
+      await harvestYield(deployment, ethers.parseUnits("1000", 6));
       const [,, totalDist] = await distributor.poolBalances();
       expect(totalDist).to.be.gt(0n);
     });
@@ -267,7 +292,7 @@ describe("YeldenVault", function () {
   // ── withdrawReserve ──────────────────────────────────────────
   describe("withdrawReserve", function () {
     beforeEach(async function () {
-      await vault.harvest(ethers.parseUnits("1000", 6));
+      await harvestYield(deployment, ethers.parseUnits("1000", 6));
     });
     it("Should allow owner to withdraw from reserve", async function () {
       const reserve = await vault.yieldReserve();
@@ -299,10 +324,10 @@ describe("YeldenVault", function () {
   // ── Share Conversion ─────────────────────────────────────────
   describe("Share Conversion", function () {
     it("convertToShares returns 1:1 when vault is empty", async function () {
-      expect(await vault.convertToShares(1000)).to.equal(1000);
+      expect(await vault.convertToShares(1000)).to.equal(sharesFor(1000n));
     });
     it("convertToAssets returns 1:1 when vault is empty", async function () {
-      expect(await vault.convertToAssets(1000)).to.equal(1000);
+      expect(await vault.convertToAssets(sharesFor(1000n))).to.equal(1000);
     });
     it("convertToShares and convertToAssets are inverse operations", async function () {
       const amount = ethers.parseUnits("1000", 6);
@@ -319,23 +344,25 @@ describe("YeldenVault", function () {
 //  YELDEN DISTRIBUTOR TESTS
 // ─────────────────────────────────────────────────────────────
 describe("YeldenDistributor", function () {
-  let vault, distributor, mockUSDC;
+  let deployment, vault, distributor, mockUSDC;
   let owner, addr1, addr2;
 
   beforeEach(async function () {
     [owner, addr1, addr2] = await ethers.getSigners();
-    ({ vault, distributor, usdc: mockUSDC } = await deployConnected());
+    deployment = await deployConnected();
+    ({ vault, distributor, usdc: mockUSDC } = deployment);
   });
 
   describe("Deployment", function () {
     it("Should set correct owner", async function () {
       expect(await distributor.owner()).to.equal(owner.address);
     });
-    it("Should have correct BPS constants", async function () {
-      expect(await distributor.PROPORTIONAL_BPS()).to.equal(7000);
-      expect(await distributor.EQUALIZED_BPS()).to.equal(2000);
-      expect(await distributor.ZK_BONUS_BPS()).to.equal(1000);
-      expect(await distributor.AI_AGENT_SHARE_BPS()).to.equal(500);
+    it("Should have correct default BPS parameters", async function () {
+      expect(await distributor.proportionalBps()).to.equal(7000);
+      expect(await distributor.equalizedBps()).to.equal(2000);
+      expect(await distributor.zkBonusBps()).to.equal(1000);
+      expect(await distributor.aiAgentShareBps()).to.equal(500);
+      expect(await distributor.walletCap()).to.equal(500e6);
     });
     it("Should start with zero pools", async function () {
       expect(await distributor.zkBonusPool()).to.equal(0);
@@ -364,7 +391,7 @@ describe("YeldenDistributor", function () {
   describe("Distribute — via vault.harvest()", function () {
     it("Should split surplus into ZK + AI pools correctly", async function () {
       const grossYield = ethers.parseUnits("1000", 6);
-      await vault.harvest(grossYield);
+      await harvestYield(deployment, grossYield);
       const surplus = grossYield - (grossYield * 450n) / 10000n - (grossYield * 500n) / 10000n;
       const toDist  = surplus - (surplus * 2000n) / 10000n;
       const zkTotal = (toDist * 1000n) / 10000n;
@@ -374,8 +401,8 @@ describe("YeldenDistributor", function () {
     });
     it("Should accumulate ZK pool across multiple harvests", async function () {
       const grossYield = ethers.parseUnits("1000", 6);
-      await vault.harvest(grossYield);
-      await vault.harvest(grossYield);
+      await harvestYield(deployment, grossYield);
+      await harvestYield(deployment, grossYield);
       const surplus = grossYield - (grossYield * 450n) / 10000n - (grossYield * 500n) / 10000n;
       const toDist  = surplus - (surplus * 2000n) / 10000n;
       const zkTotal = (toDist * 1000n) / 10000n;
@@ -384,8 +411,8 @@ describe("YeldenDistributor", function () {
     });
     it("Should accumulate AI pool across multiple harvests", async function () {
       const grossYield = ethers.parseUnits("1000", 6);
-      await vault.harvest(grossYield);
-      await vault.harvest(grossYield);
+      await harvestYield(deployment, grossYield);
+      await harvestYield(deployment, grossYield);
       const surplus = grossYield - (grossYield * 450n) / 10000n - (grossYield * 500n) / 10000n;
       const toDist  = surplus - (surplus * 2000n) / 10000n;
       const aiShare = ((toDist * 1000n) / 10000n * 500n) / 10000n;
@@ -393,8 +420,8 @@ describe("YeldenDistributor", function () {
     });
     it("Should track totalDistributed correctly", async function () {
       const grossYield = ethers.parseUnits("1000", 6);
-      await vault.harvest(grossYield);
-      await vault.harvest(grossYield);
+      await harvestYield(deployment, grossYield);
+      await harvestYield(deployment, grossYield);
       const surplus = grossYield - (grossYield * 450n) / 10000n - (grossYield * 500n) / 10000n;
       const toDist  = surplus - (surplus * 2000n) / 10000n;
       const [,, totalDist] = await distributor.poolBalances();
@@ -408,7 +435,7 @@ describe("YeldenDistributor", function () {
     const dC = [0n, 0n];
 
     beforeEach(async function () {
-      await vault.harvest(ethers.parseUnits("100000", 6));
+      await harvestYield(deployment, ethers.parseUnits("100000", 6));
     });
 
     it("Should allow claiming from ZK pool (no verifier set)", async function () {
@@ -434,7 +461,7 @@ describe("YeldenDistributor", function () {
       ).to.be.revertedWith("Insufficient pool");
     });
     it("Should revert if exceeds wallet cap", async function () {
-      const cap = await distributor.WALLET_CAP();
+      const cap = await distributor.walletCap();
       await expect(
         distributor.connect(addr1).claimZKBonus(cap + 1n, 1, dA, dB, dC, [1n, 500n, 44444n])
       ).to.be.revertedWith("Exceeds wallet cap");
@@ -449,7 +476,7 @@ describe("YeldenDistributor", function () {
 
   describe("releaseAIBonus", function () {
     beforeEach(async function () {
-      await vault.harvest(ethers.parseUnits("100000", 6));
+      await harvestYield(deployment, ethers.parseUnits("100000", 6));
     });
     it("Should release AI bonus to agent address", async function () {
       const [, aiPoolBefore] = await distributor.poolBalances();
@@ -479,7 +506,7 @@ describe("YeldenDistributor", function () {
 
   describe("poolBalances view", function () {
     it("Should return correct pool balances", async function () {
-      await vault.harvest(ethers.parseUnits("1000", 6));
+      await harvestYield(deployment, ethers.parseUnits("1000", 6));
       const [zk, ai, total] = await distributor.poolBalances();
       expect(zk).to.equal(await distributor.zkBonusPool());
       expect(ai).to.equal(await distributor.aiAgentPool());
@@ -564,12 +591,13 @@ describe("ZKVerifier", function () {
 //  INTEGRATION TESTS
 // ─────────────────────────────────────────────────────────────
 describe("Integration — YeldenVault + YeldenDistributor", function () {
-  let vault, distributor, mockUSDC;
+  let deployment, vault, distributor, mockUSDC;
   let owner, user1, user2;
 
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
-    ({ vault, distributor, usdc: mockUSDC } = await deployConnected());
+    deployment = await deployConnected();
+    ({ vault, distributor, usdc: mockUSDC } = deployment);
     await mockUSDC.mint(user1.address, ethers.parseUnits("50000", 6));
     await mockUSDC.mint(user2.address, ethers.parseUnits("50000", 6));
   });
@@ -578,7 +606,7 @@ describe("Integration — YeldenVault + YeldenDistributor", function () {
     const dep = ethers.parseUnits("10000", 6);
     await mockUSDC.connect(user1).approve(await vault.getAddress(), dep);
     await vault.connect(user1).deposit(dep, user1.address);
-    await vault.harvest(ethers.parseUnits("1000", 6));
+    await harvestYield(deployment, ethers.parseUnits("1000", 6));
     const [zkPool, aiPool, totalDist] = await distributor.poolBalances();
     expect(zkPool).to.be.gt(0n);
     expect(aiPool).to.be.gt(0n);
@@ -593,7 +621,7 @@ describe("Integration — YeldenVault + YeldenDistributor", function () {
     const dep = ethers.parseUnits("5000", 6);
     await mockUSDC.connect(user1).approve(await vault.getAddress(), dep);
     await vault.connect(user1).deposit(dep, user1.address);
-    await vault.harvest(ethers.parseUnits("500", 6));
+    await harvestYield(deployment, ethers.parseUnits("500", 6));
     const shares = await vault.balanceOf(user1.address);
     await vault.connect(user1).redeem(shares, user1.address, user1.address);
     expect(await vault.balanceOf(user1.address)).to.equal(0);
@@ -613,14 +641,14 @@ describe("Integration — YeldenVault + YeldenDistributor", function () {
 
   it("Bear market: yieldReserve accumulates over multiple harvests", async function () {
     const grossYield = ethers.parseUnits("1000", 6);
-    for (let i = 0; i < 5; i++) await vault.harvest(grossYield);
+    for (let i = 0; i < 5; i++) await harvestYield(deployment, grossYield);
     const surplus = grossYield - (grossYield * 450n) / 10000n - (grossYield * 500n) / 10000n;
     const reservePerHarvest = (surplus * 2000n) / 10000n;
     expect(await vault.yieldReserve()).to.equal(reservePerHarvest * 5n);
   });
 
   it("AI bonus: harvest → releaseAIBonus to agent", async function () {
-    await vault.harvest(ethers.parseUnits("10000", 6));
+    await harvestYield(deployment, ethers.parseUnits("10000", 6));
     const [, aiPool] = await distributor.poolBalances();
     await distributor.releaseAIBonus(user1.address, aiPool / 2n);
     const [, aiPoolAfter] = await distributor.poolBalances();
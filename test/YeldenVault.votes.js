@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployConnected, sharesFor } = require("./helpers");
+
+describe("YeldenVault — Votes & Snapshots", function () {
+  let deployment, vault, mockUSDC;
+  let owner, user1, user2, treasury;
+
+  const DEPOSIT = ethers.parseUnits("10000", 6);
+  const SHARES  = sharesFor(DEPOSIT);
+  const YEAR    = 365 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasury] = await ethers.getSigners();
+    deployment = await deployConnected();
+    ({ vault, usdc: mockUSDC } = deployment);
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("100000", 6));
+      await mockUSDC.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Clock", function () {
+    it("Should use timestamps (ERC-6372)", async function () {
+      expect(await vault.CLOCK_MODE()).to.equal("mode=timestamp");
+      expect(await vault.clock()).to.equal(await time.latest());
+    });
+  });
+
+  describe("Delegation", function () {
+    it("Should delegate a new holder to itself", async function () {
+      await expect(vault.connect(user1).deposit(DEPOSIT, user1.address))
+        .to.emit(vault, "DelegateChanged").withArgs(user1.address, ethers.ZeroAddress, user1.address);
+      expect(await vault.delegates(user1.address)).to.equal(user1.address);
+      expect(await vault.getVotes(user1.address)).to.equal(SHARES);
+
+      await vault.connect(user1).transfer(user2.address, SHARES / 4n);
+      expect(await vault.delegates(user2.address)).to.equal(user2.address);
+      expect(await vault.getVotes(user2.address)).to.equal(SHARES / 4n);
+    });
+    it("Should keep an explicit delegation", async function () {
+      await vault.connect(user2).delegate(user1.address);
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+      expect(await vault.delegates(user2.address)).to.equal(user1.address);
+      expect(await vault.getVotes(user1.address)).to.equal(SHARES);
+      expect(await vault.getVotes(user2.address)).to.equal(0);
+    });
+    it("Should move votes with deposits, transfers and withdrawals", async function () {
+      await vault.connect(user1).delegate(user1.address);
+      await vault.connect(user2).delegate(user1.address);
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+      expect(await vault.getVotes(user1.address)).to.equal(SHARES * 2n);
+
+      await vault.connect(user2).delegate(user2.address);
+      await vault.connect(user1).transfer(user2.address, SHARES / 2n);
+      expect(await vault.getVotes(user1.address)).to.equal(SHARES / 2n);
+      expect(await vault.getVotes(user2.address)).to.equal(SHARES + SHARES / 2n);
+
+      await vault.connect(user2).redeem(SHARES, user2.address, user2.address);
+      expect(await vault.getVotes(user2.address)).to.equal(SHARES / 2n);
+    });
+    it("Should delegate by signature, sharing nonces with permit", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: await vault.name(), version: "1", chainId, verifyingContract: await vault.getAddress() };
+      const types = {
+        Delegation: [
+          { name: "delegatee", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+      const expiry = (await time.latest()) + 3600;
+      const sig = ethers.Signature.from(
+        await user1.signTypedData(domain, types, { delegatee: user2.address, nonce: 0, expiry })
+      );
+
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await vault.delegateBySig(user2.address, 0, expiry, sig.v, sig.r, sig.s);
+      expect(await vault.delegates(user1.address)).to.equal(user2.address);
+      expect(await vault.getVotes(user2.address)).to.equal(SHARES);
+      expect(await vault.nonces(user1.address)).to.equal(1);
+    });
+  });
+
+  describe("Snapshots", function () {
+    it("Should report past votes and past total supply by timestamp", async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      const t1 = await time.latest();
+      await vault.connect(user2).deposit(DEPOSIT * 3n, user2.address);
+      const t2 = await time.latest();
+      await vault.connect(user1).redeem(SHARES / 2n, user1.address, user1.address);
+      await time.increase(1);
+
+      expect(await vault.getPastVotes(user1.address, t1 - 1)).to.equal(0);
+      expect(await vault.getPastVotes(user1.address, t1)).to.equal(SHARES);
+      expect(await vault.getPastVotes(user1.address, await time.latest() - 1)).to.equal(SHARES / 2n);
+
+      expect(await vault.getPastTotalSupply(t1)).to.equal(SHARES);
+      expect(await vault.getPastTotalSupply(t2)).to.equal(SHARES * 4n);
+      expect(await vault.getPastTotalSupply(await time.latest() - 1)).to.equal(await vault.totalSupply());
+    });
+    it("Should revert for the current or a future timestamp", async function () {
+      const now = await time.latest();
+      await expect(vault.getPastTotalSupply(now + 10))
+        .to.be.revertedWithCustomError(vault, "ERC5805FutureLookup");
+      await expect(vault.getPastVotes(user1.address, now + 10))
+        .to.be.revertedWithCustomError(vault, "ERC5805FutureLookup");
+    });
+    it("Should checkpoint fee mints into total supply", async function () {
+      await vault.setTreasury(treasury.address);
+      await vault.setFees(200, 0);
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await time.increase(YEAR);
+
+      await vault.connect(user2).deposit(1n, user2.address);
+      const fees = await vault.balanceOf(treasury.address);
+      expect(fees).to.be.gt(0);
+      await time.increase(1);
+      expect(await vault.getPastTotalSupply(await time.latest() - 1))
+        .to.equal(SHARES + fees + await vault.balanceOf(user2.address));
+    });
+  });
+
+  describe("Distribution weights", function () {
+    it("Should weigh holders at the epoch timestamp, not after it", async function () {
+      const { distributor } = deployment;
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+      const epoch = await time.latest();
+
+      // Buying in after the snapshot and selling out again earns nothing
+      await vault.connect(user1).transfer(user2.address, SHARES);
+      await vault.connect(user2).deposit(DEPOSIT * 3n, user2.address);
+      await time.increase(1);
+
+      expect(await distributor.weightOf(user1.address, epoch)).to.equal(SHARES);
+      expect(await distributor.weightOf(user2.address, epoch)).to.equal(SHARES);
+      expect(await distributor.totalWeight(epoch)).to.equal(SHARES * 2n);
+      expect(await distributor.weightOf(user1.address, await time.latest() - 1)).to.equal(0);
+    });
+    it("Should revert for the current or a future timestamp", async function () {
+      const { distributor } = deployment;
+      await expect(distributor.totalWeight(await time.latest() + 10))
+        .to.be.revertedWithCustomError(vault, "ERC5805FutureLookup");
+    });
+  });
+});
@@ -6,35 +6,57 @@ using YeldenDistributor as distributor;
 
 methods {
     function deposit(uint256, address)              external returns (uint256);
+    function mint(uint256, address)                 external returns (uint256);
     function withdraw(uint256, address, address)    external returns (uint256);
     function redeem(uint256, address, address)      external returns (uint256);
-    function harvest(uint256)                       external;
+    function harvest()                              external;
+    function allocate(uint256)                      external;
+    function setStrategy(address)                   external;
     function setDistributor(address)                external;
     function withdrawReserve(address, uint256)      external;
-    function totalAssets()                          external returns (uint256) envfree;
+    function totalAssets()                          external returns (uint256);
     function totalSupply()                          external returns (uint256) envfree;
     function balanceOf(address)                     external returns (uint256) envfree;
-    function convertToShares(uint256)               external returns (uint256) envfree;
-    function convertToAssets(uint256)               external returns (uint256) envfree;
+    function convertToShares(uint256)               external returns (uint256);
+    function convertToAssets(uint256)               external returns (uint256);
+    function previewDeposit(uint256)                external returns (uint256);
+    function previewMint(uint256)                   external returns (uint256);
+    function previewWithdraw(uint256)               external returns (uint256);
+    function previewRedeem(uint256)                 external returns (uint256);
+    function maxWithdraw(address)                   external returns (uint256);
+    function maxRedeem(address)                     external returns (uint256) envfree;
     function yieldReserve()                         external returns (uint256) envfree;
+    function regenPool()                            external returns (uint256) envfree;
+    function distributorPool()                      external returns (uint256) envfree;
+    function protocolAssets()                       external returns (uint256) envfree;
+    function bearMode()                             external returns (bool)    envfree;
+    function emergencyShutdown()                    external returns (bool)    envfree;
+    function lockedProfit()                         external returns (uint256);
+    function grossAssets()                          external returns (uint256) envfree;
     function owner()                                external returns (address)  envfree;
+    function treasury()                             external returns (address)  envfree;
     function asset()                                external returns (address)  envfree;
+    function decimals()                             external returns (uint8)    envfree;
     function distributor.distribute(uint256)        external;
     function distributor.vault()                    external returns (address) envfree;
 }
 
-rule harvest_does_not_change_supply(env e, uint256 grossYield) {
-    require grossYield > 0;
-    require totalSupply() > 0;
-    mathint supplyBefore = totalSupply();
-    harvest(e, grossYield);
-    mathint supplyAfter = totalSupply();
-    assert supplyAfter == supplyBefore, "harvest() must not mint or burn shares";
+rule harvest_mints_only_fee_shares(env e, address holder) {
+    address t = treasury();
+    require holder != t;
+    mathint supplyBefore   = totalSupply();
+    mathint treasuryBefore = balanceOf(t);
+    mathint holderBefore   = balanceOf(holder);
+    harvest(e);
+    assert totalSupply() >= supplyBefore, "harvest() must never burn shares";
+    assert totalSupply() - supplyBefore == balanceOf(t) - treasuryBefore,
+        "harvest() may only mint management and performance fee shares to the treasury";
+    assert to_mathint(balanceOf(holder)) == holderBefore, "harvest() must not move anyone else's shares";
 }
 
-rule only_owner_can_harvest(env e, uint256 grossYield) {
+rule only_owner_can_harvest(env e) {
     require e.msg.sender != owner();
-    harvest@withrevert(e, grossYield);
+    harvest@withrevert(e);
     assert lastReverted;
 }
 
@@ -44,32 +66,64 @@ rule only_owner_can_set_distributor(env e, address d) {
     assert lastReverted;
 }
 
+rule only_owner_can_allocate(env e, uint256 amount) {
+    require e.msg.sender != owner();
+    allocate@withrevert(e, amount);
+    assert lastReverted;
+}
+
+rule only_owner_can_set_strategy(env e, address s) {
+    require e.msg.sender != owner();
+    setStrategy@withrevert(e, s);
+    assert lastReverted;
+}
+
+rule allocate_preserves_total_assets(env e, uint256 amount) {
+    mathint before = totalAssets(e);
+    allocate(e, amount);
+    assert totalAssets(e) == before, "Moving idle USDC into the strategy must not change totalAssets";
+}
+
+rule buckets_excluded_from_total_assets(env e) {
+    require grossAssets() >= protocolAssets() + lockedProfit(e);
+    assert to_mathint(totalAssets(e)) == grossAssets() - protocolAssets() - lockedProfit(e),
+        "Protocol-owned buckets and locked profit must never count as depositor equity";
+}
+
+rule slash_does_not_change_total_assets(env e, uint256 amount) {
+    require grossAssets() >= protocolAssets() + amount;
+    mathint before = totalAssets(e);
+    receiveSlash(e, amount);
+    assert totalAssets(e) == before, "Slashed stake belongs to the reserve, not to depositors";
+}
+
 rule only_owner_can_withdraw_reserve(env e, address to, uint256 amount) {
     require e.msg.sender != owner();
     withdrawReserve@withrevert(e, to, amount);
     assert lastReverted;
 }
 
-rule reserve_grows_only_on_harvest(env e, uint256 grossYield) {
-    require grossYield > 0;
+rule reserve_grows_only_on_harvest(env e) {
     mathint reserveBefore = yieldReserve();
-    harvest(e, grossYield);
+    harvest(e);
     mathint reserveAfter = yieldReserve();
-    assert reserveAfter >= reserveBefore, "yieldReserve must be non-decreasing after harvest";
+    assert reserveAfter >= reserveBefore || bearMode(),
+        "yieldReserve may only shrink on harvest to top up base yield in bear mode";
 }
 
 rule deposit_withdraw_integrity(env e, uint256 assets) {
     require assets > 0;
     require assets <= 10^12;
     require totalSupply() == 0;
-    require totalAssets() == 0;
+    require totalAssets(e) == 0;
     require e.msg.value == 0;
     address user = e.msg.sender;
     require user != 0;
     require user != currentContract;
     require user != distributor;
     uint256 sharesMinted = deposit(e, assets, user);
-    assert sharesMinted == assets, "At 1:1 rate shares minted must equal assets deposited";
+    assert to_mathint(sharesMinted) == assets * 10^6,
+        "At 1:1 rate shares minted must equal assets scaled by DECIMALS_OFFSET";
 }
 
 rule deposit_not_reentrant(env e, uint256 assets, address receiver) {
@@ -78,3 +132,51 @@ rule deposit_not_reentrant(env e, uint256 assets, address receiver) {
     deposit(e, assets, receiver);
     satisfy true;
 }
+
+rule preview_deposit_matches_convert(env e, uint256 assets) {
+    assert previewDeposit(e, assets) == convertToShares(e, assets),
+        "previewDeposit must round down like convertToShares";
+}
+
+rule preview_redeem_matches_convert(env e, uint256 shares) {
+    require !emergencyShutdown();
+    assert previewRedeem(e, shares) == convertToAssets(e, shares),
+        "previewRedeem must round down like convertToAssets";
+}
+
+rule preview_mint_rounds_up(env e, uint256 shares) {
+    assert previewMint(e, shares) >= convertToAssets(e, shares),
+        "previewMint must round up in favor of the vault";
+}
+
+rule preview_withdraw_rounds_up(env e, uint256 assets) {
+    assert previewWithdraw(e, assets) >= convertToShares(e, assets),
+        "previewWithdraw must round up in favor of the vault";
+}
+
+rule max_redeem_is_balance(address user) {
+    assert maxRedeem(user) == balanceOf(user), "maxRedeem must equal share balance";
+}
+
+rule mint_pulls_preview_assets(env e, uint256 shares, address receiver) {
+    require receiver != 0;
+    mathint supplyBefore = totalSupply();
+    uint256 expected = previewMint(e, shares);
+    uint256 assets = mint(e, shares, receiver);
+    assert assets == expected, "mint must pull exactly previewMint(shares)";
+    assert totalSupply() == supplyBefore + shares, "mint must create exactly shares";
+}
+
+rule withdraw_burns_preview_shares(env e, uint256 assets, address receiver, address owner) {
+    uint256 expected = previewWithdraw(e, assets);
+    uint256 shares = withdraw(e, assets, receiver, owner);
+    assert shares == expected, "withdraw must burn exactly previewWithdraw(assets)";
+}
+
+rule empty_vault_mints_offset_shares(env e, uint256 assets) {
+    require totalSupply() == 0;
+    require totalAssets(e) == 0;
+    require assets <= 10^30;
+    assert to_mathint(previewDeposit(e, assets)) == assets * 10^6,
+        "Empty vault must price shares at 10^DECIMALS_OFFSET per asset";
+}
@@ -1,17 +1,41 @@
 const { ethers } = require("hardhat");
 
+// yUSD carries DECIMALS_OFFSET (6) extra decimals over USDC, so at the
+// initial 1:1 rate `assets` USDC mint `assets * 10^6` raw yUSD units.
+const SHARE_SCALE = 10n ** 6n;
+
+function sharesFor(assets) {
+  return assets * SHARE_SCALE;
+}
+
+// Extension (admin and harvest logic) and the module it falls back to (flash loans)
+async function deployExtension(asset) {
+  const YeldenVaultModule = await ethers.getContractFactory("YeldenVaultModule");
+  const vaultModule = await YeldenVaultModule.deploy(asset);
+  await vaultModule.waitForDeployment();
+
+  const YeldenVaultExtension = await ethers.getContractFactory("YeldenVaultExtension");
+  const extension = await YeldenVaultExtension.deploy(asset, await vaultModule.getAddress());
+  await extension.waitForDeployment();
+  return extension;
+}
+
+// YeldenVault runs its admin and harvest logic from a separately deployed extension
+async function deployVault(asset, name = "Yelden USD", symbol = "yUSD") {
+  const extension = await deployExtension(asset);
+
+  const YeldenVault = await ethers.getContractFactory("YeldenVault");
+  const vault = await YeldenVault.deploy(asset, name, symbol, await extension.getAddress());
+  await vault.waitForDeployment();
+  return vault;
+}
+
 async function deployVaultOnly() {
   const MockERC20 = await ethers.getContractFactory("MockERC20");
   const mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
   await mockUSDC.waitForDeployment();
 
-  const YeldenVault = await ethers.getContractFactory("YeldenVault");
-  const vault = await YeldenVault.deploy(
-    await mockUSDC.getAddress(),
-    "Yelden USD",
-    "yUSD"
-  );
-  await vault.waitForDeployment();
+  const vault = await deployVault(await mockUSDC.getAddress());
 
   return { vault, usdc: mockUSDC };
 }
@@ -29,21 +53,79 @@ async function deployConnected() {
   // Configura o distribuidor no vault
   await vault.setDistributor(await distributor.getAddress());
 
-  return { vault, distributor, usdc };
+  // Estratégia RWA local (OUSG-like) para o harvest medir yield real
+  const MockRWAProvider = await ethers.getContractFactory("MockRWAProvider");
+  const strategy = await MockRWAProvider.deploy(
+    await usdc.getAddress(),
+    await vault.getAddress()
+  );
+  await strategy.waitForDeployment();
+  await vault.setStrategy(await strategy.getAddress());
+
+  return { vault, distributor, usdc, strategy };
 }
 
-async function deployWithVerifier() {
+// Vault → YeldenAllocator → N mock RWA providers. Targets are in bps.
+async function deployWithAllocator(targets = [5000, 3000]) {
   const { vault, distributor, usdc } = await deployConnected();
 
+  const YeldenAllocator = await ethers.getContractFactory("YeldenAllocator");
+  const allocator = await YeldenAllocator.deploy(
+    await usdc.getAddress(),
+    await vault.getAddress()
+  );
+  await allocator.waitForDeployment();
+
+  const MockRWAProvider = await ethers.getContractFactory("MockRWAProvider");
+  const providers = [];
+  for (const targetBps of targets) {
+    const provider = await MockRWAProvider.deploy(
+      await usdc.getAddress(),
+      await allocator.getAddress()
+    );
+    await provider.waitForDeployment();
+    await allocator.addStrategy(await provider.getAddress(), targetBps, ethers.MaxUint256);
+    providers.push(provider);
+  }
+  await vault.setStrategy(await allocator.getAddress());
+
+  return { vault, distributor, usdc, allocator, providers };
+}
+
+// Simulates RWA income: pays `amount` USDC of interest into the strategy
+async function accrueYield({ usdc, strategy }, amount) {
+  const [owner] = await ethers.getSigners();
+  await usdc.mint(owner.address, amount);
+  await usdc.connect(owner).approve(await strategy.getAddress(), amount);
+  await strategy.connect(owner).accrueYield(amount);
+}
+
+// Accrues `amount` of yield and harvests it — returns the harvest tx
+async function harvestYield(deployment, amount) {
+  await accrueYield(deployment, amount);
+  const [owner] = await ethers.getSigners();
+  return deployment.vault.connect(owner).harvest();
+}
+
+async function deployWithVerifier() {
+  const { vault, distributor, usdc, strategy } = await deployConnected();
+
   const ZKVerifier = await ethers.getContractFactory("ZKVerifier");
   const verifier = await ZKVerifier.deploy();
   await verifier.waitForDeployment();
 
-  return { vault, distributor, usdc, verifier };
+  return { vault, distributor, usdc, strategy, verifier };
 }
 
 module.exports = {
+  SHARE_SCALE,
+  sharesFor,
+  deployExtension,
+  deployVault,
   deployVaultOnly,
   deployConnected,
-  deployWithVerifier
+  deployWithVerifier,
+  deployWithAllocator,
+  accrueYield,
+  harvestYield
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployVault } = require("./helpers");
 
 describe("Yelden — Mainnet Test (Rápido)", function () {
   let vault, usdc;
@@ -45,9 +46,7 @@ describe("Yelden — Mainnet Test (Rápido)", function () {
     await usdc.connect(whale).transfer(user.address, amount);
     console.log("✅ Transferido!");
     
-    const YeldenVault = await ethers.getContractFactory("YeldenVault");
-    vault = await YeldenVault.deploy(USDC_MAINNET, "Yelden USD", "yUSD");
-    await vault.waitForDeployment();
+    vault = await deployVault(USDC_MAINNET);
     console.log("✅ Vault deployado!");
     
     console.log("🔄 Aprovando USDC...");